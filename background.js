@@ -1,24 +1,130 @@
 // --- background.js (Refactored) ---
-console.log('[BG] Service Worker starting...');
+importScripts('errors.js', 'logger.js', 'protocol.js'); // Shared error codes, the logger and the message protocol (targets, MSG_TYPE_*, validation)
 
 // --- Constants ---
 const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
 const STORAGE_KEY_VOLUMES = 'tabVolumes';
-const TARGET_OFFSCREEN = 'offscreen';
+const STORAGE_KEY_SITE_RULES = 'siteRules';
+const STORAGE_KEY_TAB_RULES = 'tabRuleIds';
+const STORAGE_KEY_EQ = 'tabEqSettings';
+const STORAGE_KEY_LIMITER = 'limiterSettings';
+const STORAGE_KEY_TAB_LIMITER = 'tabLimiterSettings';
+const STORAGE_KEY_MUTE_RESTORE = 'tabMuteRestoreVolumes';
+const STORAGE_KEY_SETTINGS = 'settings';
+const STORAGE_KEY_CAPTURE_ERRORS = 'tabCaptureErrors';
+const STORAGE_KEY_TAB_LOCATIONS = 'tabLocations';
+const STORAGE_KEY_RESTORABLE = 'restorableTabStates';
+const STORAGE_KEY_PENDING = 'tabPendingVolumes';
+const STORAGE_KEY_DIAGNOSTIC_LOGS = 'diagnosticLogs';
+const STORAGE_KEY_SLEEP_TIMERS = 'tabSleepTimers';
+const STORAGE_KEY_PRIORITY_TABS = 'tabPriorities';
+const STORAGE_KEY_GROUP_VOLUMES = 'groupVolumes';
+const STORAGE_KEY_WINDOW_VOLUMES = 'windowVolumes';
+const STORAGE_KEY_MASTER_VOLUME = 'masterVolume';
+const STORAGE_KEY_OUTPUT_DEVICES = 'tabOutputDevices';
+const STORAGE_KEY_VOLUME_CHANGED_AT = 'tabVolumeChangedAt';
 const DEFAULT_VOLUME = 100;
+const MUTED_VOLUME = 0;
 const SAVE_DEBOUNCE_MS = 500;
 const CLOSE_OFFSCREEN_DEBOUNCE_MS = 2000; // Increased slightly for safety margin
 const ONUPDATED_RESTART_DEBOUNCE_MS = 350; // Adjusted debounce for nav restarts
+const CAPTURE_RETRY_DELAY_MS = 1000; // Pause before re-capturing a tab whose capture ended on its own
 const GET_STREAM_ID_TIMEOUT_MS = 5000; // Timeout for getMediaStreamId
-
-// Message Types (Exported implicitly via usage)
-const MSG_TYPE_GET_VOLUME = 'GET_VOLUME';
-const MSG_TYPE_SET_VOLUME = 'SET_VOLUME';
-const MSG_TYPE_GET_ACTIVE_TABS = 'GET_ACTIVE_TABS';
-// Internal Message Types (To Offscreen)
-const MSG_TYPE_START_CAPTURE = 'startOrUpdateCapture';
-const MSG_TYPE_STOP_CAPTURE = 'stopCapture';
-const MSG_TYPE_UPDATE_VOLUME = 'updateVolume';
+const STARTUP_RESTORE_MS = 5 * 60 * 1000; // How long state of tabs gone after a restart waits for its restored tab
+const WINDOW_CLOSE_RESTORE_MS = 7 * 24 * 60 * 60 * 1000; // Closing the last window may be a browser quit
+const CLOSED_TAB_RESTORE_MS = 30 * 60 * 1000; // Window for "Reopen closed tab" to get its volume back
+const MAX_RESTORABLE_ENTRIES = 50;
+const ALARM_PENDING_EXPIRY = 'pendingVolumeExpiry';
+const ALARM_SLEEP_TIMER = 'sleepTimer';
+const SLEEP_TIMER_RANGE_MINUTES = { min: 1, max: 720 };
+const SCOPE_VOLUME_RANGE = { min: 0, max: 200 }; // Group and window volumes, a multiplier on the tab volume
+const MASTER_VOLUME_RANGE = { min: 0, max: 200 }; // Master volume, a multiplier on every captured tab
+const SLEEP_FADE_GRACE_MS = 5000; // Finish a fade ourselves if the offscreen document hasn't reported it by then
+const BADGE_FLASH_MS = 1500; // How long a shortcut's new level stays on the toolbar badge
+const BADGE_COLOR_FLASH = '#4CAF50';
+const BADGE_COLOR_BOOST = '#1E88E5'; // Volume above 100%
+const BADGE_COLOR_CUT = '#757575'; // Volume below 100%
+const BADGE_COLOR_WARNING = '#FB8C00'; // Last capture attempt for the tab failed
+const BADGE_COLOR_PENDING = '#8E24AA'; // Waiting for the tab to play audio
+const BADGE_COLOR_ERROR = '#E53935';
+const LOG_BUFFER_SIZE = 500; // Entries kept in the diagnostics ring buffer (all scripts together)
+const LOG_SAVE_DELAY_MS = 2000; // New entries are written to storage at most this often
+
+// Keyboard shortcuts (names must match "commands" in manifest.json)
+const COMMAND_VOLUME_UP = 'volume-up';
+const COMMAND_VOLUME_DOWN = 'volume-down';
+const COMMAND_VOLUME_RESET = 'volume-reset';
+const COMMAND_TOGGLE_MUTE = 'toggle-mute';
+
+// User settings (edited on the options page), stored as one object. Unknown/invalid values fall back to these.
+const SLIDER_MAPPINGS = ['linear', 'power', 'db'];
+const DEFAULT_SETTINGS = {
+    stepSize: 25, // Percentage points per volume-up/down shortcut
+    maxVolume: 600, // Highest volume the popup and shortcuts allow
+    presets: [50, 150, 200, 400, 600], // Popup preset buttons, in display order
+    sliderMapping: 'power', // One of SLIDER_MAPPINGS
+    pendingExpiryMinutes: 10, // How long a volume set on a silent tab waits for audio
+    volumeRampMs: 50, // Gain ramp for volume changes of a running capture (0 = instant)
+    volumeRampCurve: 'linear', // One of GAIN_RAMP_CURVES (protocol.js)
+    fadeInMs: 300, // Fade-in when a capture starts or restarts
+    fadeOutMs: 100, // Fade-out before a capture is stopped
+    sleepFadeSeconds: 30, // How long a sleep timer fades the tab out
+    sleepTimerAction: 'mute', // One of SLEEP_TIMER_ACTIONS (protocol.js)
+    duckLevel: 25, // Percent of their volume other tabs keep while a priority tab plays
+    duckAttackMs: 300, // Ramp down when a priority tab starts playing
+    duckReleaseMs: 1500, // Ramp back up once no priority tab plays anymore
+    recordingFormat: 'webm', // One of RECORDING_FORMATS (protocol.js); the popup remembers the last choice
+    recordingMaxMinutes: 60 // A recording stops on its own after this long
+};
+const SETTINGS_RANGES = {
+    stepSize: { min: 1, max: 100 },
+    pendingExpiryMinutes: { min: 1, max: 240 },
+    maxVolume: { min: 100, max: 1000 },
+    presetCount: { min: 1, max: 8 },
+    volumeRampMs: { min: 0, max: 1000 },
+    fadeInMs: { min: 0, max: 2000 },
+    fadeOutMs: { min: 0, max: 500 }, // The stop (and a navigation restart) waits for it
+    sleepFadeSeconds: { min: 0, max: 300 },
+    duckLevel: { min: 0, max: 100 },
+    duckAttackMs: { min: 0, max: 5000 },
+    duckReleaseMs: { min: 0, max: 10000 },
+    recordingMaxMinutes: { min: 1, max: 240 }
+};
+
+// Equalizer: fixed band layout (low shelf, peaking mids, high shelf) and built-in presets (gains in dB per band)
+const EQ_BANDS = [
+    { type: 'lowshelf', frequency: 100, Q: 0.7 },
+    { type: 'peaking', frequency: 250, Q: 1.0 },
+    { type: 'peaking', frequency: 1000, Q: 1.0 },
+    { type: 'peaking', frequency: 3500, Q: 1.0 },
+    { type: 'highshelf', frequency: 8000, Q: 0.7 }
+];
+const EQ_PRESETS = {
+    'Flat': [0, 0, 0, 0, 0],
+    'Bass Boost': [6, 4, 0, 0, 0],
+    'Vocal': [-3, -1, 3, 4, 1],
+    'Treble': [0, 0, 0, 3, 6]
+};
+const EQ_PRESET_FLAT = 'Flat';
+const EQ_PRESET_CUSTOM = 'Custom';
+const EQ_GAIN_LIMIT_DB = 12;
+
+// Limiter/compressor presets. "Off" bypasses the DynamicsCompressorNode entirely.
+const LIMITER_PRESETS = {
+    'Brickwall': { bypass: false, threshold: -1.0, knee: 0, ratio: 20, attack: 0.003, release: 0.050 },
+    'Gentle': { bypass: false, threshold: -24, knee: 30, ratio: 4, attack: 0.010, release: 0.250 },
+    'Off': { bypass: true, threshold: -1.0, knee: 0, ratio: 20, attack: 0.003, release: 0.050 }
+};
+const LIMITER_PRESET_DEFAULT = 'Brickwall';
+const LIMITER_PRESET_CUSTOM = 'Custom';
+// Valid ranges (DynamicsCompressorNode limits)
+const LIMITER_PARAM_RANGES = {
+    threshold: { min: -100, max: 0 },
+    knee: { min: 0, max: 40 },
+    ratio: { min: 1, max: 20 },
+    attack: { min: 0, max: 1 },
+    release: { min: 0, max: 1 }
+};
 
 // Logging Prefixes
 const LOG_PREFIX = '[BG]';
@@ -28,58 +134,189 @@ const LOG_PREFIX_STORAGE = '[BG Storage]';
 const LOG_PREFIX_TABS = '[BG Tabs]';
 const LOG_PREFIX_LIFECYCLE = '[BG Lifecycle]';
 const LOG_PREFIX_MSG = '[BG Msg]';
+const LOG_PREFIX_RULES = '[BG Rules]';
+const LOG_PREFIX_COMMANDS = '[BG Commands]';
+const LOG_PREFIX_BADGE = '[BG Badge]';
+const LOG_PREFIX_RESTORE = '[BG Restore]';
+const LOG_PREFIX_SYNC = '[BG Sync]';
+const LOG_PREFIX_EVENTS = '[BG Events]';
+const LOG_PREFIX_DIAGNOSTICS = '[BG Diagnostics]';
+const LOG_PREFIX_SLEEP = '[BG Sleep]';
+const LOG_PREFIX_DUCKING = '[BG Ducking]';
+const LOG_PREFIX_SCOPES = '[BG Scopes]';
+const LOG_PREFIX_MASTER = '[BG Master]';
+const LOG_PREFIX_RECORDING = '[BG Recording]';
+const LOG_PREFIX_OUTPUT = '[BG Output]';
+const LOG_PREFIX_POPUP = '[BG Popup]';
 
 
 // --- Global State ---
 let tabVolumes = {}; // { tabId: volumePercent } - In-memory cache
 const activeTabOperations = new Set(); // Tracks tabIds currently undergoing an async operation (start/stop/update)
 const onUpdatedRestartTimers = {}; // { tabId: timerId } - For debouncing restarts on navigation
+let siteRules = []; // [{ id, pattern, volume }] - Per-site volume rules
+let tabRuleIds = {}; // { tabId: ruleId } - Tabs whose current volume was applied by a site rule
+let tabEqSettings = {}; // { tabId: { preset, gains: [dB per EQ_BANDS entry] } } - Only non-flat entries are kept
+let globalLimiterSettings = { preset: LIMITER_PRESET_DEFAULT, ...LIMITER_PRESETS[LIMITER_PRESET_DEFAULT] }; // Default for all tabs
+let tabLimiterSettings = {}; // { tabId: { preset, bypass, threshold, knee, ratio, attack, release } } - Per-tab overrides
+let tabMuteRestoreVolumes = {}; // { tabId: volumePercent } - Volume to restore when a muted tab is unmuted
+let tabCaptureErrors = {}; // { tabId: volumePercent } - Tabs whose last capture attempt (for that volume) failed
+let tabLocations = {}; // { tabId: { url, index } } - Where each tab with state was last seen, for restore matching
+let tabPendingVolumes = {}; // { tabId: { volume, expiresAt } } - Requested on a silent tab, applied once it plays audio
+let restorableTabStates = []; // [{ url, index, expiresAt, state }] - State of closed/stale tabs awaiting a restored tab
+let tabSleepTimers = {}; // { tabId: { endsAt, fadeEndsAt? } } - fadeEndsAt is set once the timer ran out and the fade started
+let tabPriorities = {}; // { tabId: true } - Tabs marked as priority by hand (priority site rules cover the rest)
+const audiblePriorityTabs = new Set(); // Priority tabs currently playing sound; other tabs are ducked while it isn't empty
+const tabDuckFactors = {}; // { tabId: factor } - Duck factor last sent to each tab's graph (one entry per running graph)
+let groupVolumes = {}; // { groupId: volumePercent } - Tab group volumes; only entries other than 100 are kept
+let windowVolumes = {}; // { windowId: volumePercent } - Window volumes; only entries other than 100 are kept
+const tabScopes = {}; // { tabId: { groupId, windowId } } - Group and window of every open tab, mirrored from the tabs API
+let masterVolume = DEFAULT_VOLUME; // Percent applied on top of every entry in tabVolumes
+const tabRecordings = {}; // { tabId: { format, startedAt, pausedAt, pausedMs, maxDurationMs } } - Running recordings (the offscreen document has the audio)
+const recordingDownloads = new Map(); // downloadId -> blob URL of a finished recording, released once the download is over
+let tabOutputDevices = {}; // { tabId: deviceId } - Output device picked by hand ('' = the default device); only kept when it differs from the site rule's
+let tabVolumeChangedAt = {}; // { tabId: timestamp } - When the tab's volume last changed; sorts the popup's boosted tabs list
+let settings = { ...DEFAULT_SETTINGS };
+let logBuffer = []; // [{ time, level, source, message }] - Diagnostics ring buffer, oldest first (see logger.js)
+const popupPorts = new Set(); // Tab state ports of the open popups
+let popupPushedStates = {}; // { tabId: state } - Tab states the open popups were last sent
+const popupTouchedTabs = new Set(); // tabIds (strings) whose other state changed (ducking, title...): pushed even if unchanged
 
 // Timers
 let closeOffscreenTimer; // Timer ID for debouncing offscreen close checks
 let saveTimeout; // Timer ID for debouncing volume saves
+let logSaveTimer = null; // Timer ID for the next diagnostics buffer write
+let popupPushTimer = null; // Timer ID for the next tab state push to the open popups
+const badgeFlashTimers = {}; // { tabId: timerId } - Flashed badges, restored to the tab's state when they expire
+
+// Everything logged from here on (and everything the pages forward) lands in logBuffer
+configureLogger('background', entry => appendLogEntries([entry]));
+logger.info(`${LOG_PREFIX} Service Worker starting...`);
 
 // --- Initialization ---
 async function initialize() {
-    console.log(`${LOG_PREFIX} Initializing...`);
+    logger.info(`${LOG_PREFIX} Initializing...`);
+    await loadDiagnostics();
+    await loadSettings();
     await loadInitialVolumes();
+    await loadTabScopes(); // Before reconciling: group and window volumes decide which tabs need a capture
+    await loadSiteRules();
+    await expirePendingVolumes(); // Also re-arms the expiry alarm
+    await handleSleepTimerAlarm(); // Runs timers that ran out while the browser was closed, re-arms the alarm
+    // The offscreen document may have outlived a previous service worker instance
+    await reconcileWithOffscreen();
+    // Tabs that were ducked before a restart stay ducked only while a priority tab still plays
+    await refreshDucking();
+    // Badges survive a service worker restart, but the state behind them may have been cleaned up
+    await refreshAllBadges();
     // Initial check to close offscreen if it somehow exists and isn't needed
     await closeOffscreenDocumentIfNeeded(true); // Force immediate check without debounce on init
-    console.log(`${LOG_PREFIX} Initialization complete. Listeners added.`);
+    logger.info(`${LOG_PREFIX} Initialization complete. Listeners added.`);
 }
 
 async function loadInitialVolumes() {
     try {
-        const result = await chrome.storage.local.get([STORAGE_KEY_VOLUMES]);
+        const result = await chrome.storage.local.get([
+            STORAGE_KEY_VOLUMES, STORAGE_KEY_TAB_RULES, STORAGE_KEY_EQ, STORAGE_KEY_LIMITER, STORAGE_KEY_TAB_LIMITER,
+            STORAGE_KEY_MUTE_RESTORE, STORAGE_KEY_CAPTURE_ERRORS, STORAGE_KEY_TAB_LOCATIONS, STORAGE_KEY_RESTORABLE,
+            STORAGE_KEY_PENDING, STORAGE_KEY_SLEEP_TIMERS, STORAGE_KEY_PRIORITY_TABS, STORAGE_KEY_GROUP_VOLUMES,
+            STORAGE_KEY_WINDOW_VOLUMES, STORAGE_KEY_MASTER_VOLUME, STORAGE_KEY_OUTPUT_DEVICES, STORAGE_KEY_VOLUME_CHANGED_AT
+        ]);
         tabVolumes = result[STORAGE_KEY_VOLUMES] || {};
-        console.log(`${LOG_PREFIX_STORAGE} Loaded initial volumes:`, JSON.stringify(tabVolumes));
+        tabRuleIds = result[STORAGE_KEY_TAB_RULES] || {};
+        tabEqSettings = result[STORAGE_KEY_EQ] || {};
+        tabLimiterSettings = result[STORAGE_KEY_TAB_LIMITER] || {};
+        tabMuteRestoreVolumes = result[STORAGE_KEY_MUTE_RESTORE] || {};
+        tabCaptureErrors = result[STORAGE_KEY_CAPTURE_ERRORS] || {};
+        tabLocations = result[STORAGE_KEY_TAB_LOCATIONS] || {};
+        restorableTabStates = Array.isArray(result[STORAGE_KEY_RESTORABLE]) ? result[STORAGE_KEY_RESTORABLE] : [];
+        tabPendingVolumes = result[STORAGE_KEY_PENDING] || {};
+        tabSleepTimers = result[STORAGE_KEY_SLEEP_TIMERS] || {};
+        tabPriorities = result[STORAGE_KEY_PRIORITY_TABS] || {};
+        groupVolumes = result[STORAGE_KEY_GROUP_VOLUMES] || {};
+        windowVolumes = result[STORAGE_KEY_WINDOW_VOLUMES] || {};
+        tabOutputDevices = result[STORAGE_KEY_OUTPUT_DEVICES] || {};
+        tabVolumeChangedAt = result[STORAGE_KEY_VOLUME_CHANGED_AT] || {};
+        masterVolume = _isIntegerInRange(result[STORAGE_KEY_MASTER_VOLUME], MASTER_VOLUME_RANGE) ? result[STORAGE_KEY_MASTER_VOLUME] : DEFAULT_VOLUME;
+        if (result[STORAGE_KEY_LIMITER]) {
+            globalLimiterSettings = result[STORAGE_KEY_LIMITER];
+        }
+        logger.info(`${LOG_PREFIX_STORAGE} Loaded initial volumes:`, JSON.stringify(tabVolumes));
         await cleanupStaleVolumeEntries();
     } catch (error) {
-        console.error(`${LOG_PREFIX_STORAGE} Error loading initial volumes:`, error);
+        logger.error(`${LOG_PREFIX_STORAGE} Error loading initial volumes:`, error);
         tabVolumes = {};
+        tabRuleIds = {};
+        tabEqSettings = {};
+        tabLimiterSettings = {};
+        tabMuteRestoreVolumes = {};
+        tabCaptureErrors = {};
+        tabLocations = {};
+        restorableTabStates = [];
+        tabPendingVolumes = {};
+        tabSleepTimers = {};
+        tabPriorities = {};
+        groupVolumes = {};
+        windowVolumes = {};
+        tabOutputDevices = {};
+        tabVolumeChangedAt = {};
+        masterVolume = DEFAULT_VOLUME;
+    }
+}
+
+async function loadSettings() {
+    try {
+        const result = await chrome.storage.local.get([STORAGE_KEY_SETTINGS]);
+        settings = _normalizeSettings({ ...DEFAULT_SETTINGS, ...result[STORAGE_KEY_SETTINGS] });
+        logger.info(`${LOG_PREFIX_STORAGE} Loaded settings:`, JSON.stringify(settings));
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_STORAGE} Error loading settings:`, error);
+        settings = { ...DEFAULT_SETTINGS };
     }
 }
 
+async function loadSiteRules() {
+    try {
+        const result = await chrome.storage.local.get([STORAGE_KEY_SITE_RULES]);
+        siteRules = Array.isArray(result[STORAGE_KEY_SITE_RULES]) ? result[STORAGE_KEY_SITE_RULES] : [];
+        logger.info(`${LOG_PREFIX_RULES} Loaded ${siteRules.length} site rule(s).`);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_RULES} Error loading site rules:`, error);
+        siteRules = [];
+    }
+}
+
+/**
+ * Drops state of tabs that no longer exist. Tab IDs change across browser restarts,
+ * so their state is first stashed for restore and handed to any matching tab that is already open.
+ */
 async function cleanupStaleVolumeEntries() {
-    const storedTabIds = Object.keys(tabVolumes).map(id => parseInt(id, 10));
-    if (storedTabIds.length === 0) return;
+    const storedTabIds = [...new Set([
+        ...Object.keys(tabVolumes), ...Object.keys(tabCaptureErrors), ...Object.keys(tabPendingVolumes),
+        ...Object.keys(tabSleepTimers), ...Object.keys(tabPriorities), ...Object.keys(tabOutputDevices), ...Object.keys(tabLocations)
+    ])].map(id => parseInt(id, 10));
+    if (storedTabIds.length === 0 && restorableTabStates.length === 0) return;
 
     try {
         const existingTabs = await chrome.tabs.query({});
         const existingTabIds = new Set(existingTabs.map(tab => tab.id));
-        let changed = false;
+        let changed = _pruneRestorableStates();
         for (const tabId of storedTabIds) {
             if (!existingTabIds.has(tabId)) {
-                console.log(`${LOG_PREFIX_STORAGE} Cleanup: Removing stale volume for non-existent tab ${tabId}`);
-                delete tabVolumes[tabId];
+                logger.info(`${LOG_PREFIX_STORAGE} Cleanup: Removing stale volume for non-existent tab ${tabId}`);
+                _stashRestorableState(tabId, STARTUP_RESTORE_MS);
+                _forgetTabState(tabId);
                 changed = true;
             }
         }
+        for (const tab of existingTabs) {
+            if (_claimRestorableState(tab)) changed = true;
+        }
         if (changed) {
             await saveVolumes(true); // Save immediately after cleanup
         }
     } catch (error) {
-        console.error(`${LOG_PREFIX_STORAGE} Error during stale entry cleanup:`, error);
+        logger.error(`${LOG_PREFIX_STORAGE} Error during stale entry cleanup:`, error);
     }
 }
 
@@ -96,7 +333,7 @@ async function hasOffscreenDocument() {
             const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
             return clients.some(client => client.url === offscreenUrl);
         } catch (error) {
-             console.warn(`${LOG_PREFIX_OFFSCREEN} Error checking clients.matchAll:`, error);
+             logger.warn(`${LOG_PREFIX_OFFSCREEN} Error checking clients.matchAll:`, error);
              // Fallback or assume true/false depending on error type if needed
         }
     }
@@ -109,7 +346,7 @@ async function hasOffscreenDocument() {
         });
         return contexts.length > 0;
     } catch (error) {
-        console.warn(`${LOG_PREFIX_OFFSCREEN} Error checking contexts:`, error);
+        logger.warn(`${LOG_PREFIX_OFFSCREEN} Error checking contexts:`, error);
         return false; // Assume no document on error
     }
 }
@@ -117,25 +354,27 @@ async function hasOffscreenDocument() {
 
 async function setupOffscreenDocument() {
     if (await hasOffscreenDocument()) {
-        // console.log(`${LOG_PREFIX_OFFSCREEN} Document already exists.`); // Verbose
+        logger.debug(`${LOG_PREFIX_OFFSCREEN} Document already exists.`);
         return;
     }
-    console.log(`${LOG_PREFIX_OFFSCREEN} Creating document...`);
+    logger.info(`${LOG_PREFIX_OFFSCREEN} Creating document...`);
     try {
         await chrome.offscreen.createDocument({
             url: OFFSCREEN_DOCUMENT_PATH,
             reasons: [chrome.offscreen.Reason.USER_MEDIA],
             justification: 'Tab audio processing for volume control',
         });
-        console.log(`${LOG_PREFIX_OFFSCREEN} Document create command issued.`);
+        logger.info(`${LOG_PREFIX_OFFSCREEN} Document create command issued.`);
+        await _sendLogLevelToOffscreen();
+        await _sendGainRampToOffscreen();
         // Small delay *might* sometimes be needed for the doc to fully initialize,
         // but often message passing handles the readiness check implicitly.
         // await new Promise(resolve => setTimeout(resolve, 150));
     } catch (error) {
-        console.error(`${LOG_PREFIX_OFFSCREEN} Failed to create document:`, error);
+        logger.error(`${LOG_PREFIX_OFFSCREEN} Failed to create document:`, error);
         // Handle specific error "Only a single offscreen document may be created."
         if (error.message.toLowerCase().includes("single offscreen document")) {
-            console.warn(`${LOG_PREFIX_OFFSCREEN} Creation failed likely due to race condition (already exists).`);
+            logger.warn(`${LOG_PREFIX_OFFSCREEN} Creation failed likely due to race condition (already exists).`);
             // No need to throw, assume it exists or will be handled by subsequent checks.
         } else {
             throw error; // Re-throw other errors
@@ -147,19 +386,20 @@ async function closeOffscreenDocumentIfNeeded(immediate = false) {
     clearTimeout(closeOffscreenTimer); // Clear any pending timer
 
     const checkAndClose = async () => {
-        const needsCapture = Object.values(tabVolumes).some(v => v !== DEFAULT_VOLUME);
+        const needsCapture = Object.entries(tabVolumes).some(([id, v]) => _tabNeedsCapture(id, v));
         const activeOperations = activeTabOperations.size > 0;
-        // console.log(`${LOG_PREFIX_OFFSCREEN} Close check: NeedsCapture=${needsCapture}, ActiveOps=${activeOperations}`); // Verbose
-
-        if (!needsCapture && !activeOperations) {
+        // Recordings and their blob URLs live in the document until the download is over
+        const recordingBusy = Object.keys(tabRecordings).length > 0 || recordingDownloads.size > 0;
+        logger.debug(`${LOG_PREFIX_OFFSCREEN} Close check: NeedsCapture=${needsCapture}, ActiveOps=${activeOperations}, Recording=${recordingBusy}`);
+        if (!needsCapture && !activeOperations && !recordingBusy) {
             if (await hasOffscreenDocument()) {
-                console.log(`${LOG_PREFIX_OFFSCREEN} Closing document (no tabs require capture/ops).`);
+                logger.info(`${LOG_PREFIX_OFFSCREEN} Closing document (no tabs require capture/ops).`);
                 chrome.offscreen.closeDocument()
-                    .then(() => console.log(`${LOG_PREFIX_OFFSCREEN} Close successful.`))
+                    .then(() => logger.info(`${LOG_PREFIX_OFFSCREEN} Close successful.`))
                     .catch(err => {
                         const msg = err.message.toLowerCase();
                         if (!msg.includes("has already been closed") && !msg.includes("closing")) {
-                            console.warn(`${LOG_PREFIX_OFFSCREEN} Error closing doc:`, err);
+                            logger.warn(`${LOG_PREFIX_OFFSCREEN} Error closing doc:`, err);
                         }
                     });
             }
@@ -167,83 +407,1851 @@ async function closeOffscreenDocumentIfNeeded(immediate = false) {
     };
 
     if (immediate) {
-        // console.log(`${LOG_PREFIX_OFFSCREEN} Performing immediate close check.`); // Verbose
+        logger.debug(`${LOG_PREFIX_OFFSCREEN} Performing immediate close check.`);
         await checkAndClose();
     } else {
-        // console.log(`${LOG_PREFIX_OFFSCREEN} Scheduling debounced close check.`); // Verbose
+        logger.debug(`${LOG_PREFIX_OFFSCREEN} Scheduling debounced close check.`);
         closeOffscreenTimer = setTimeout(checkAndClose, CLOSE_OFFSCREEN_DEBOUNCE_MS);
     }
 }
 
-
-// --- Volume State Management ---
-
-/** Saves the current state of tabVolumes to storage. Debounced by default. */
-async function saveVolumes(immediate = false) {
-    clearTimeout(saveTimeout);
-
-    const saveAction = async () => {
-        // console.log(`${LOG_PREFIX_STORAGE} Saving volumes:`, JSON.stringify(tabVolumes)); // Verbose
-        try {
-            await chrome.storage.local.set({ [STORAGE_KEY_VOLUMES]: tabVolumes });
-            // console.log(`${LOG_PREFIX_STORAGE} Volumes saved.`); // Verbose
-        } catch (error) {
-             console.error(`${LOG_PREFIX_STORAGE} Error saving volumes:`, error);
-             // Potentially notify user or retry? For now, just log.
+
+/** Asks the offscreen document for its audio engine stats (contexts, tab graphs, node count). */
+async function getOffscreenAudioStats() {
+    const emptyStats = { contextCount: 0, contextState: 'none', sampleRate: null, tabCount: 0, nodeCount: 0 };
+    if (!await hasOffscreenDocument()) {
+        return emptyStats;
+    }
+    const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_OFFSCREEN_AUDIO_STATS));
+    if (!response || !response.success) {
+        throw toBoosterError(response?.error ?? 'Invalid stats response from offscreen document.', ERROR_CODES.OFFSCREEN_ERROR);
+    }
+    return response.stats ?? emptyStats;
+}
+
+/** Asks the offscreen document which tab graphs are live: { contextState, tabs: [{ tabId, volume, trackState }] }. */
+async function getOffscreenCaptureState() {
+    const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_OFFSCREEN_GET_STATE));
+    if (!response || !response.success) {
+        throw toBoosterError(response?.error ?? 'Invalid state response from offscreen document.', ERROR_CODES.OFFSCREEN_ERROR);
+    }
+    return response.state;
+}
+
+// --- State Reconciliation ---
+
+/**
+ * Makes the offscreen graphs match our state after a service worker restart: graphs for tabs
+ * we don't boost are stopped, healthy graphs for boosted tabs are adopted (and corrected), and
+ * boosted tabs without a working graph are restarted (or left pending until they play audio).
+ */
+async function reconcileWithOffscreen() {
+    let offscreenState = { contextState: 'none', tabs: [] };
+    if (await hasOffscreenDocument()) {
+        try {
+            offscreenState = await getOffscreenCaptureState();
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_SYNC} Could not read offscreen state, skipping reconciliation:`, error.message);
+            return;
+        }
+    }
+    const liveGraphs = new Map(offscreenState.tabs.map(graph => [graph.tabId, graph]));
+    // Recordings outlive us in the offscreen document; picking them up keeps their tabs captured
+    for (const graph of offscreenState.tabs) {
+        if (graph.recording && !tabRecordings[graph.tabId]) {
+            _adoptRecording(graph.tabId, graph.recording);
+        }
+    }
+    const boostedTabIds = Object.keys(tabVolumes)
+        .map(id => parseInt(id, 10))
+        .filter(tabId => _tabNeedsCapture(tabId, tabVolumes[tabId]));
+    logger.info(`${LOG_PREFIX_SYNC} Offscreen has ${liveGraphs.size} graph(s) (context ${offscreenState.contextState}); ${boostedTabIds.length} tab(s) should be captured.`);
+
+    // 1. Orphaned graphs: still playing for tabs we no longer boost
+    for (const tabId of liveGraphs.keys()) {
+        if (!boostedTabIds.includes(tabId)) {
+            logger.info(`${LOG_PREFIX_SYNC} Stopping orphaned graph for tab ${tabId}.`);
+            await _sendStopMessageToOffscreen(tabId);
+        }
+    }
+
+    // 2. Boosted tabs: adopt a healthy graph, otherwise (re)start capture
+    for (const tabId of boostedTabIds) {
+        const volume = tabVolumes[tabId];
+        const graph = liveGraphs.get(tabId);
+        // A graph playing to another device than the tab's is rebuilt like a dead one
+        const isHealthy = graph && graph.trackState === 'live' && graph.contextState !== 'closed' && graph.outputDeviceId === _getOutputDeviceId(tabId);
+        try {
+            if (isHealthy) {
+                const scaledVolume = _getScaledVolume(tabId, volume);
+                logger.info(`${LOG_PREFIX_SYNC} Adopting graph for tab ${tabId} (gain ${graph.volume}%, expected ${scaledVolume}%).`);
+                tabDuckFactors[tabId] = graph.duckFactor ?? 1; // refreshDucking() moves it to the current factor
+                if (graph.volume !== scaledVolume) {
+                    await handleVolumeChange(tabId, volume, volume); // Update path corrects the gain
+                }
+                // EQ and limiter aren't reported back, so re-send them
+                await _updateEqProcess(tabId, volume);
+                await _sendLimiterUpdateToOffscreen(tabId);
+            } else {
+                logger.info(`${LOG_PREFIX_SYNC} Tab ${tabId} has ${graph ? 'a dead or misrouted' : 'no'} graph. Restarting capture at ${volume}%.`);
+                await handleVolumeChange(tabId, volume, graph ? volume : undefined, { forceRestart: !!graph });
+            }
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_SYNC} Could not reconcile tab ${tabId}:`, error.message);
+        }
+    }
+}
+
+// --- Popup Updates ---
+// An open popup keeps a PORT_NAME_TAB_STATE port. It gets every tab's state when it connects and
+// then only the tabs whose state changed: saveVolumes() and _notifyPopup() schedule the pushes.
+// Pushed states also hold what the boosted tabs list shows, so the popup only looks up the title
+// and favicon of a tab it hasn't listed yet.
+
+/** The state of a tab shown by the popup (GET_VOLUME adds the output device). */
+function _getTabState(tabId) {
+    return {
+        volume: _getRequestedVolume(tabId) ?? DEFAULT_VOLUME,
+        pending: !!tabPendingVolumes[tabId],
+        captureError: tabCaptureErrors[tabId] !== undefined,
+        sleepTimer: tabSleepTimers[tabId] ?? null,
+        recording: tabRecordings[tabId] ?? null
+    };
+}
+
+/**
+ * What the boosted tabs list shows of a tab besides its state: whether it is listed at all (captured,
+ * waiting for audio, timed or recorded), the level it plays at, ducking, EQ preset and last volume change.
+ */
+function _getTabListState(tabId) {
+    const volume = _getRequestedVolume(tabId) ?? DEFAULT_VOLUME;
+    return {
+        listed: (tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, tabVolumes[tabId])) ||
+            !!tabPendingVolumes[tabId] || !!tabSleepTimers[tabId] || !!tabRecordings[tabId],
+        effectiveVolume: _getEffectiveVolume(tabId, volume),
+        ducked: (tabDuckFactors[tabId] ?? 1) < 1,
+        eqPreset: getTabEqSettings(tabId).preset,
+        changedAt: tabVolumeChangedAt[tabId] ?? null // Lets the popup sort by most recently changed
+    };
+}
+
+/** States of the tabs that have any; tabs left out are at 100% with nothing pending, failed, timed or recorded. */
+function _getTabStates() {
+    const tabIds = new Set([tabVolumes, tabPendingVolumes, tabCaptureErrors, tabSleepTimers, tabRecordings].flatMap(Object.keys));
+    return Object.fromEntries([...tabIds].map(tabId => [tabId, { ..._getTabState(Number(tabId)), ..._getTabListState(Number(tabId)) }]));
+}
+
+/** Pushes the tab states that changed to the open popups, once the current operation is done with its changes. */
+function _schedulePopupPush() {
+    if (popupPorts.size === 0 || popupPushTimer !== null) return;
+    popupPushTimer = setTimeout(_pushTabStates, 0);
+}
+
+/** Sends the open popups the tabs whose state changed since the last push (null: back to the defaults). */
+function _pushTabStates() {
+    clearTimeout(popupPushTimer);
+    popupPushTimer = null;
+    const states = _getTabStates();
+    const changes = {};
+    for (const tabId of new Set([...Object.keys(popupPushedStates), ...Object.keys(states), ...popupTouchedTabs])) {
+        const state = states[tabId] ?? null;
+        if (popupTouchedTabs.has(tabId) || JSON.stringify(state) !== JSON.stringify(popupPushedStates[tabId] ?? null)) {
+            changes[tabId] = state;
+        }
+    }
+    popupPushedStates = states;
+    popupTouchedTabs.clear();
+    if (Object.keys(changes).length === 0) return;
+
+    logger.debug(`${LOG_PREFIX_POPUP} Pushing state of tabs ${Object.keys(changes).join(', ')} to ${popupPorts.size} popup(s).`);
+    const message = createMessage(MSG_TYPE_TAB_STATES, { tabs: changes, full: false, duckingActive: audiblePriorityTabs.size > 0 });
+    for (const port of popupPorts) {
+        port.postMessage(message);
+    }
+}
+
+/** Tells the open popups that a tab's state changed behind their back. No popup open is fine. */
+function _notifyPopup(tabId) {
+    if (popupPorts.size === 0) return;
+    popupTouchedTabs.add(String(tabId));
+    _schedulePopupPush();
+}
+
+/** Starts pushing tab states to a popup that just connected, beginning with all of them. */
+function _addPopupPort(port) {
+    if (popupPushTimer !== null) {
+        _pushTabStates(); // The popups already open get what changed before the snapshot
+    }
+    const states = _getTabStates();
+    if (popupPorts.size === 0) {
+        popupPushedStates = states; // Not kept up to date while no popup was open
+    }
+    popupPorts.add(port);
+    port.onDisconnect.addListener(() => {
+        popupPorts.delete(port);
+        logger.info(`${LOG_PREFIX_POPUP} Popup disconnected (${popupPorts.size} open).`);
+    });
+    port.postMessage(createMessage(MSG_TYPE_TAB_STATES, { tabs: states, full: true, duckingActive: audiblePriorityTabs.size > 0 }));
+    logger.info(`${LOG_PREFIX_POPUP} Popup connected (${popupPorts.size} open).`);
+}
+
+// --- Offscreen Events ---
+
+/** Dispatches an event pushed by the offscreen document. */
+async function handleOffscreenEvent(message) {
+    logger.info(`${LOG_PREFIX_EVENTS} Received ${message.type}:`, JSON.stringify(message));
+    switch (message.type) {
+        case MSG_TYPE_EVENT_CAPTURE_ENDED:
+            await handleCaptureEnded(message.tabId);
+            break;
+        case MSG_TYPE_EVENT_CONTEXT_STATE:
+            await handleContextStateEvent(message.state, message.tabIds);
+            break;
+        case MSG_TYPE_EVENT_DEVICE_CHANGED:
+            // Restart whatever graph the device change broke; healthy graphs are left alone
+            await reconcileWithOffscreen();
+            break;
+        case MSG_TYPE_EVENT_FADE_COMPLETE:
+            if (tabSleepTimers[message.tabId]?.fadeEndsAt) {
+                await finishSleepTimer(message.tabId);
+            }
+            break;
+        case MSG_TYPE_EVENT_RECORDING_FINISHED:
+            await handleRecordingFinished(message);
+            break;
+        default:
+            logger.warn(`${LOG_PREFIX_EVENTS} Unknown offscreen event: ${message.type}`);
+    }
+}
+
+/**
+ * The offscreen graph for a tab is gone. The tab's volume becomes pending (badge and popup show
+ * "waiting for audio") and capture is retried shortly; a silent tab then waits for onUpdated.
+ */
+async function handleCaptureEnded(tabId) {
+    const volume = tabVolumes[tabId];
+    if (activeTabOperations.has(tabId) || volume === undefined || !_tabNeedsCapture(tabId, volume)) {
+        return; // We're already (re)starting it, or nothing should be captured anyway
+    }
+    logger.warn(`${LOG_PREFIX_EVENTS} Capture ended for tab ${tabId} at ${volume}%. Retrying in ${CAPTURE_RETRY_DELAY_MS}ms.`);
+    delete tabVolumes[tabId];
+    _setPendingVolume(tabId, volume);
+    await saveVolumes(); // Debounced
+    await updateTabBadge(tabId);
+    _notifyPopup(tabId);
+
+    setTimeout(async () => {
+        if (!tabPendingVolumes[tabId] || activeTabOperations.has(tabId)) return; // Superseded meanwhile
+        try {
+            await handleVolumeChange(tabId, tabPendingVolumes[tabId].volume, undefined);
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_EVENTS} Retry after ended capture failed for tab ${tabId}:`, error.message);
+        }
+        _notifyPopup(tabId);
+    }, CAPTURE_RETRY_DELAY_MS);
+}
+
+/** Marks tabs as failing while the shared context is stuck suspended, and recovers them when it's back or closed. */
+async function handleContextStateEvent(state, tabIds) {
+    if (state === 'closed') {
+        for (const tabId of tabIds) {
+            await handleCaptureEnded(tabId);
+        }
+        return;
+    }
+    if (state !== 'suspended' && state !== 'running') return;
+
+    let changed = false;
+    for (const tabId of tabIds) {
+        const volume = tabVolumes[tabId];
+        if (volume === undefined) continue;
+        // A suspended context plays nothing: show it like a failed capture until it runs again
+        _setCaptureError(tabId, state === 'suspended' ? volume : null);
+        await updateTabBadge(tabId);
+        _notifyPopup(tabId);
+        changed = true;
+    }
+    if (changed) {
+        await saveVolumes(); // Debounced
+    }
+}
+
+// --- Volume State Management ---
+
+/** Drops every piece of per-tab state (volume, rule link, EQ, limiter override). Caller saves. */
+function _forgetTabState(tabId) {
+    delete tabVolumes[tabId];
+    delete tabRuleIds[tabId];
+    delete tabEqSettings[tabId];
+    delete tabLimiterSettings[tabId];
+    delete tabMuteRestoreVolumes[tabId];
+    delete tabCaptureErrors[tabId];
+    delete tabLocations[tabId];
+    delete tabPendingVolumes[tabId];
+    delete tabSleepTimers[tabId];
+    delete tabPriorities[tabId];
+    delete tabDuckFactors[tabId];
+    delete tabRecordings[tabId]; // The offscreen document still finishes and reports the file
+    delete tabOutputDevices[tabId];
+    delete tabVolumeChangedAt[tabId];
+}
+
+/** Notes when a tab's volume changes (re-applying the same volume doesn't count). Caller saves. */
+function _stampVolumeChange(tabId, newVolume) {
+    if (_getRequestedVolume(tabId) !== newVolume) {
+        tabVolumeChangedAt[tabId] = Date.now();
+    }
+}
+
+/** Saves the current state of tabVolumes to storage. Debounced by default. */
+async function saveVolumes(immediate = false) {
+    clearTimeout(saveTimeout);
+    _schedulePopupPush(); // Whatever changed is worth showing in an open popup
+
+    const saveAction = async () => {
+        logger.debug(`${LOG_PREFIX_STORAGE} Saving volumes:`, JSON.stringify(tabVolumes));
+        try {
+            await chrome.storage.local.set({
+                [STORAGE_KEY_VOLUMES]: tabVolumes,
+                [STORAGE_KEY_TAB_RULES]: tabRuleIds,
+                [STORAGE_KEY_EQ]: tabEqSettings,
+                [STORAGE_KEY_LIMITER]: globalLimiterSettings,
+                [STORAGE_KEY_TAB_LIMITER]: tabLimiterSettings,
+                [STORAGE_KEY_MUTE_RESTORE]: tabMuteRestoreVolumes,
+                [STORAGE_KEY_CAPTURE_ERRORS]: tabCaptureErrors,
+                [STORAGE_KEY_TAB_LOCATIONS]: tabLocations,
+                [STORAGE_KEY_RESTORABLE]: restorableTabStates,
+                [STORAGE_KEY_PENDING]: tabPendingVolumes,
+                [STORAGE_KEY_SLEEP_TIMERS]: tabSleepTimers,
+                [STORAGE_KEY_PRIORITY_TABS]: tabPriorities,
+                [STORAGE_KEY_GROUP_VOLUMES]: groupVolumes,
+                [STORAGE_KEY_WINDOW_VOLUMES]: windowVolumes,
+                [STORAGE_KEY_MASTER_VOLUME]: masterVolume,
+                [STORAGE_KEY_OUTPUT_DEVICES]: tabOutputDevices,
+                [STORAGE_KEY_VOLUME_CHANGED_AT]: tabVolumeChangedAt
+            });
+            logger.debug(`${LOG_PREFIX_STORAGE} Volumes saved.`);
+        } catch (error) {
+             logger.error(`${LOG_PREFIX_STORAGE} Error saving volumes:`, error);
+             // Potentially notify user or retry? For now, just log.
+        }
+    };
+
+    if (immediate) {
+        await saveAction();
+    } else {
+        saveTimeout = setTimeout(saveAction, SAVE_DEBOUNCE_MS);
+    }
+}
+
+// --- Diagnostics ---
+// The logger (logger.js) of every script feeds one ring buffer kept here and in storage, so the
+// history survives service worker restarts and can be exported from the popup.
+
+/** Restores the stored verbosity and log history. Entries logged before this ran are kept after the stored ones. */
+async function loadDiagnostics() {
+    try {
+        const result = await chrome.storage.local.get([STORAGE_KEY_LOG_LEVEL, STORAGE_KEY_DIAGNOSTIC_LOGS]);
+        setLogLevel(result[STORAGE_KEY_LOG_LEVEL] ?? DEFAULT_LOG_LEVEL);
+        const storedEntries = Array.isArray(result[STORAGE_KEY_DIAGNOSTIC_LOGS]) ? result[STORAGE_KEY_DIAGNOSTIC_LOGS] : [];
+        logBuffer = [...storedEntries, ...logBuffer].slice(-LOG_BUFFER_SIZE);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_DIAGNOSTICS} Error loading diagnostics:`, error);
+    }
+}
+
+/** Whether something forwarded by a page looks like a logger entry. */
+function _isValidLogEntry(entry) {
+    return entry !== null && typeof entry === 'object' &&
+        Number.isFinite(entry.time) &&
+        Object.hasOwn(LOG_LEVELS, entry.level) &&
+        typeof entry.source === 'string' &&
+        typeof entry.message === 'string';
+}
+
+/** Adds entries to the ring buffer and schedules a write. */
+function appendLogEntries(entries) {
+    for (const entry of entries) {
+        if (_isValidLogEntry(entry)) {
+            logBuffer.push({ time: entry.time, level: entry.level, source: entry.source, message: entry.message });
+        }
+    }
+    if (logBuffer.length > LOG_BUFFER_SIZE) {
+        logBuffer = logBuffer.slice(-LOG_BUFFER_SIZE);
+    }
+    // Throttled rather than debounced, so steady logging still gets written
+    if (logSaveTimer === null) {
+        logSaveTimer = setTimeout(saveLogBuffer, LOG_SAVE_DELAY_MS);
+    }
+}
+
+async function saveLogBuffer() {
+    logSaveTimer = null;
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEY_DIAGNOSTIC_LOGS]: logBuffer });
+    } catch (error) {
+        console.error(`${LOG_PREFIX_DIAGNOSTICS} Error saving the log buffer:`, error); // Not via logger: it would schedule another save
+    }
+}
+
+/** Tells the offscreen document (which can't read storage) the current verbosity. */
+async function _sendLogLevelToOffscreen() {
+    try {
+        await chrome.runtime.sendMessage(createMessage(MSG_TYPE_OFFSCREEN_SET_LOG_LEVEL, { level: logLevel }));
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_DIAGNOSTICS} Could not send the log level to the offscreen document:`, error.message);
+    }
+}
+
+/** Changes the verbosity of every script: stored for the background and pages, sent to the offscreen document. */
+async function updateLogLevel(level) {
+    setLogLevel(level);
+    await chrome.storage.local.set({ [STORAGE_KEY_LOG_LEVEL]: logLevel });
+    if (await hasOffscreenDocument()) {
+        await _sendLogLevelToOffscreen();
+    }
+    logger.info(`${LOG_PREFIX_DIAGNOSTICS} Log level set to '${logLevel}'.`);
+    return logLevel;
+}
+
+/** Everything a bug report needs: version, tab state, live offscreen graphs and the recent logs. */
+async function buildDiagnostics() {
+    let offscreen = { contextState: 'none', tabs: [] };
+    if (await hasOffscreenDocument()) {
+        try {
+            offscreen = await getOffscreenCaptureState();
+        } catch (error) {
+            offscreen = { error: toErrorPayload(error, ERROR_CODES.OFFSCREEN_UNAVAILABLE) };
+        }
+    }
+    return {
+        generatedAt: new Date().toISOString(),
+        version: chrome.runtime.getManifest().version,
+        logLevel: logLevel,
+        tabVolumes: tabVolumes,
+        tabPendingVolumes: tabPendingVolumes,
+        tabSleepTimers: tabSleepTimers,
+        tabCaptureErrors: tabCaptureErrors,
+        tabPriorities: tabPriorities,
+        ducking: { playingPriorityTabs: [...audiblePriorityTabs], tabDuckFactors: tabDuckFactors },
+        groupVolumes: groupVolumes,
+        windowVolumes: windowVolumes,
+        masterVolume: masterVolume,
+        tabRecordings: tabRecordings,
+        tabOutputDevices: tabOutputDevices,
+        activeStreams: offscreen,
+        logs: logBuffer
+    };
+}
+
+// --- Session Restore ---
+// Tab IDs don't survive a browser restart or "Reopen closed tab", so the state of a
+// vanished tab is kept under its last URL and tab index until a matching tab shows up.
+
+/** Records where a tab with state currently is. Returns true if the location changed. */
+function _rememberTabLocation(tab) {
+    const url = tab?.url || tab?.pendingUrl;
+    if (!url) return false;
+    const previous = tabLocations[tab.id];
+    if (previous?.url === url && previous?.index === tab.index) return false;
+    tabLocations[tab.id] = { url: url, index: tab.index };
+    return true;
+}
+
+/** Whether a tab carries state worth restoring (rule-managed volumes are re-applied by their rule anyway). */
+function _hasRestorableState(tabId) {
+    if (!tabLocations[tabId]) return false;
+    const volume = tabPendingVolumes[tabId]?.volume ?? tabVolumes[tabId];
+    const hasManualVolume = volume !== undefined && volume !== DEFAULT_VOLUME && !tabRuleIds[tabId];
+    return hasManualVolume || !!tabEqSettings[tabId] || !!tabLimiterSettings[tabId] || tabOutputDevices[tabId] !== undefined;
+}
+
+/** Keeps a vanishing tab's state for `ttlMs` so a restored tab at the same URL can claim it. Caller forgets and saves. */
+function _stashRestorableState(tabId, ttlMs) {
+    if (!_hasRestorableState(tabId)) return;
+    const { url, index } = tabLocations[tabId];
+    restorableTabStates.push({
+        url: url,
+        index: index,
+        expiresAt: Date.now() + ttlMs,
+        state: {
+            volume: tabRuleIds[tabId] ? DEFAULT_VOLUME : (tabPendingVolumes[tabId]?.volume ?? tabVolumes[tabId] ?? DEFAULT_VOLUME),
+            eq: tabEqSettings[tabId] ?? null,
+            limiter: tabLimiterSettings[tabId] ?? null,
+            muteRestoreVolume: tabMuteRestoreVolumes[tabId] ?? null,
+            outputDeviceId: tabOutputDevices[tabId] ?? null
+        }
+    });
+    // Oldest entries go first once the list is full
+    restorableTabStates = restorableTabStates.slice(-MAX_RESTORABLE_ENTRIES);
+    logger.info(`${LOG_PREFIX_RESTORE} Stashed state of tab ${tabId} for ${url} (index ${index}).`);
+}
+
+/** Drops expired restore entries. Returns true if any were removed. */
+function _pruneRestorableStates() {
+    const now = Date.now();
+    const remaining = restorableTabStates.filter(entry => entry.expiresAt > now);
+    const changed = remaining.length !== restorableTabStates.length;
+    restorableTabStates = remaining;
+    return changed;
+}
+
+/**
+ * Hands a stashed state to a tab without state of its own whose URL matches, preferring
+ * an entry with the same tab index. Capture restarts via onUpdated once the tab is audible.
+ * Returns true if state was restored; caller saves.
+ */
+function _claimRestorableState(tab) {
+    const url = tab.url || tab.pendingUrl;
+    if (!url || restorableTabStates.length === 0 || tabVolumes[tab.id] !== undefined || tabPendingVolumes[tab.id]) return false;
+    _pruneRestorableStates();
+
+    const candidates = restorableTabStates.filter(entry => entry.url === url);
+    const entry = candidates.find(candidate => candidate.index === tab.index) ?? candidates[0];
+    if (!entry) return false;
+
+    restorableTabStates.splice(restorableTabStates.indexOf(entry), 1);
+    const { volume, eq, limiter, muteRestoreVolume, outputDeviceId } = entry.state;
+    tabVolumes[tab.id] = volume;
+    if (eq) tabEqSettings[tab.id] = eq;
+    if (limiter) tabLimiterSettings[tab.id] = limiter;
+    if (muteRestoreVolume !== null) tabMuteRestoreVolumes[tab.id] = muteRestoreVolume;
+    if (typeof outputDeviceId === 'string') tabOutputDevices[tab.id] = outputDeviceId; // Missing in entries stashed by older versions
+    _rememberTabLocation(tab);
+    logger.info(`${LOG_PREFIX_RESTORE} Restored ${volume}% to tab ${tab.id} (${url}).`);
+    updateTabBadge(tab.id);
+    return true;
+}
+
+// --- Settings ---
+
+function _isIntegerInRange(value, range) {
+    return Number.isInteger(value) && value >= range.min && value <= range.max;
+}
+
+/**
+ * Validates settings, replacing invalid values with defaults. Presets above the
+ * maximum volume are clamped to it, so lowering the maximum keeps a "MAX" button.
+ */
+function _normalizeSettings(candidate) {
+    const normalized = { ...DEFAULT_SETTINGS };
+    const stepSize = Math.round(Number(candidate?.stepSize));
+    if (_isIntegerInRange(stepSize, SETTINGS_RANGES.stepSize)) {
+        normalized.stepSize = stepSize;
+    }
+    const maxVolume = Math.round(Number(candidate?.maxVolume));
+    if (_isIntegerInRange(maxVolume, SETTINGS_RANGES.maxVolume)) {
+        normalized.maxVolume = maxVolume;
+    }
+    const pendingExpiryMinutes = Math.round(Number(candidate?.pendingExpiryMinutes));
+    if (_isIntegerInRange(pendingExpiryMinutes, SETTINGS_RANGES.pendingExpiryMinutes)) {
+        normalized.pendingExpiryMinutes = pendingExpiryMinutes;
+    }
+    if (SLIDER_MAPPINGS.includes(candidate?.sliderMapping)) {
+        normalized.sliderMapping = candidate.sliderMapping;
+    }
+    for (const key of ['volumeRampMs', 'fadeInMs', 'fadeOutMs']) {
+        const durationMs = Math.round(Number(candidate?.[key]));
+        if (_isIntegerInRange(durationMs, SETTINGS_RANGES[key])) {
+            normalized[key] = durationMs;
+        }
+    }
+    if (GAIN_RAMP_CURVES.includes(candidate?.volumeRampCurve)) {
+        normalized.volumeRampCurve = candidate.volumeRampCurve;
+    }
+    const sleepFadeSeconds = Math.round(Number(candidate?.sleepFadeSeconds));
+    if (_isIntegerInRange(sleepFadeSeconds, SETTINGS_RANGES.sleepFadeSeconds)) {
+        normalized.sleepFadeSeconds = sleepFadeSeconds;
+    }
+    if (SLEEP_TIMER_ACTIONS.includes(candidate?.sleepTimerAction)) {
+        normalized.sleepTimerAction = candidate.sleepTimerAction;
+    }
+    if (RECORDING_FORMATS.includes(candidate?.recordingFormat)) {
+        normalized.recordingFormat = candidate.recordingFormat;
+    }
+    for (const key of ['duckLevel', 'duckAttackMs', 'duckReleaseMs', 'recordingMaxMinutes']) {
+        const value = Math.round(Number(candidate?.[key]));
+        if (_isIntegerInRange(value, SETTINGS_RANGES[key])) {
+            normalized[key] = value;
+        }
+    }
+    const presets = Array.isArray(candidate?.presets)
+        ? candidate.presets.map(Number).filter(Number.isFinite).map(v => Math.max(0, Math.round(v)))
+        : [];
+    if (_isIntegerInRange(presets.length, SETTINGS_RANGES.presetCount)) {
+        normalized.presets = presets;
+    }
+    normalized.presets = normalized.presets.map(v => Math.min(v, normalized.maxVolume));
+    return normalized;
+}
+
+/** Merges a partial settings update into the current settings and saves them. */
+async function updateSettings(partialSettings) {
+    settings = _normalizeSettings({ ...settings, ...partialSettings });
+    await chrome.storage.local.set({ [STORAGE_KEY_SETTINGS]: settings });
+    logger.info(`${LOG_PREFIX_STORAGE} Settings saved:`, JSON.stringify(settings));
+    if (await hasOffscreenDocument()) {
+        await _sendGainRampToOffscreen(); // Running captures use the new ramps right away
+    }
+    await updateDucking(); // ...and a new duck level
+    return settings;
+}
+
+/** Tells the offscreen document how to ramp gain changes (it applies them to every tab graph). */
+async function _sendGainRampToOffscreen() {
+    try {
+        await chrome.runtime.sendMessage(createMessage(MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP, {
+            rampMs: settings.volumeRampMs,
+            curve: settings.volumeRampCurve,
+            fadeInMs: settings.fadeInMs,
+            fadeOutMs: settings.fadeOutMs
+        }));
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_OFFSCREEN} Could not send gain ramp settings:`, error.message);
+    }
+}
+
+// --- Toolbar Badge ---
+
+/** Badge text and colour for a tab: its volume (empty at 100%), in pending/warning colour while waiting for audio or if capture failed. */
+function _getBadgeState(tabId) {
+    const pending = tabPendingVolumes[tabId];
+    if (pending) {
+        return { text: _formatBadgeVolume(pending.volume), color: BADGE_COLOR_PENDING };
+    }
+    const failedVolume = tabCaptureErrors[tabId];
+    if (failedVolume !== undefined) {
+        return { text: _formatBadgeVolume(failedVolume), color: BADGE_COLOR_WARNING };
+    }
+    const volume = tabVolumes[tabId] ?? DEFAULT_VOLUME;
+    if (volume === DEFAULT_VOLUME) {
+        return { text: '', color: BADGE_COLOR_BOOST };
+    }
+    return { text: _formatBadgeVolume(volume), color: volume > DEFAULT_VOLUME ? BADGE_COLOR_BOOST : BADGE_COLOR_CUT };
+}
+
+function _formatBadgeVolume(volume) {
+    return volume === MUTED_VOLUME ? 'M' : String(volume);
+}
+
+async function _setBadge(tabId, text, color) {
+    try {
+        await chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: color });
+        await chrome.action.setBadgeText({ tabId: tabId, text: text });
+        return true;
+    } catch (error) {
+        // Tab may have closed in the meantime
+        logger.warn(`${LOG_PREFIX_BADGE} Could not set badge for tab ${tabId}:`, error.message);
+        return false;
+    }
+}
+
+/** Shows a tab's current state on its badge, unless a flash is currently on display. */
+async function updateTabBadge(tabId) {
+    if (badgeFlashTimers[tabId]) return; // The flash restores the state when it expires
+    const { text, color } = _getBadgeState(tabId);
+    await _setBadge(tabId, text, color);
+}
+
+/** Re-applies the badge of every tab we hold state for (e.g. after a service worker restart). */
+async function refreshAllBadges() {
+    const tabIds = new Set([...Object.keys(tabVolumes), ...Object.keys(tabCaptureErrors), ...Object.keys(tabPendingVolumes)]);
+    await Promise.all([...tabIds].map(id => updateTabBadge(parseInt(id, 10))));
+}
+
+/** Briefly shows text on the toolbar badge of a tab, e.g. the level a shortcut just set. */
+async function _flashBadge(tabId, text, color = BADGE_COLOR_FLASH) {
+    clearTimeout(badgeFlashTimers[tabId]);
+    delete badgeFlashTimers[tabId];
+    if (!await _setBadge(tabId, text, color)) return;
+    badgeFlashTimers[tabId] = setTimeout(() => {
+        delete badgeFlashTimers[tabId];
+        updateTabBadge(tabId);
+    }, BADGE_FLASH_MS);
+}
+
+/** Records the outcome of a capture attempt for the badge. Caller saves. */
+function _setCaptureError(tabId, failedVolume) {
+    if (failedVolume === null) {
+        delete tabCaptureErrors[tabId];
+    } else {
+        tabCaptureErrors[tabId] = failedVolume;
+    }
+}
+
+// --- Pending Volumes ---
+// A volume requested while the tab can't be captured (usually because it is silent) is kept
+// as pending and applied by the onUpdated restart logic once the tab becomes audible.
+
+/** The volume the user asked for: a pending one if waiting for audio, else the applied one. */
+function _getRequestedVolume(tabId) {
+    const pending = tabPendingVolumes[tabId];
+    if (pending && pending.expiresAt > Date.now()) return pending.volume;
+    return tabVolumes[tabId];
+}
+
+/** Whether a capture failure means "no audio to capture yet" rather than a broken setup. */
+function _isStreamUnavailableError(error) {
+    return error.code === ERROR_CODES.CAPTURE_NOT_AUDIBLE;
+}
+
+/** Marks a volume as waiting for audio until the configured expiry. Caller saves. */
+function _setPendingVolume(tabId, volume) {
+    // A failed retry for the same volume keeps its original deadline
+    const existing = tabPendingVolumes[tabId];
+    const expiresAt = existing?.volume === volume
+        ? existing.expiresAt
+        : Date.now() + settings.pendingExpiryMinutes * 60 * 1000;
+    tabPendingVolumes[tabId] = { volume: volume, expiresAt: expiresAt };
+    logger.info(`${LOG_PREFIX_CORE} Tab ${tabId}: ${volume}% pending until the tab plays audio.`);
+    _schedulePendingExpiry();
+}
+
+/** Drops a tab's pending volume (applied, superseded or expired). Caller saves. */
+function _clearPendingVolume(tabId) {
+    delete tabPendingVolumes[tabId];
+}
+
+/** Points the expiry alarm at the earliest pending deadline (alarms outlive service worker restarts). */
+function _schedulePendingExpiry() {
+    const deadlines = Object.values(tabPendingVolumes).map(pending => pending.expiresAt);
+    if (deadlines.length === 0) {
+        chrome.alarms.clear(ALARM_PENDING_EXPIRY);
+        return;
+    }
+    chrome.alarms.create(ALARM_PENDING_EXPIRY, { when: Math.min(...deadlines) });
+}
+
+/** Drops expired pending volumes and resets their badges. */
+async function expirePendingVolumes() {
+    const now = Date.now();
+    const expiredTabIds = Object.keys(tabPendingVolumes)
+        .filter(id => tabPendingVolumes[id].expiresAt <= now)
+        .map(id => parseInt(id, 10));
+    for (const tabId of expiredTabIds) {
+        logger.info(`${LOG_PREFIX_CORE} Tab ${tabId}: Pending ${tabPendingVolumes[tabId].volume}% expired without audio.`);
+        _clearPendingVolume(tabId);
+        await updateTabBadge(tabId);
+    }
+    if (expiredTabIds.length > 0) {
+        await saveVolumes(); // Debounced
+    }
+    _schedulePendingExpiry();
+}
+
+// --- Sleep Timers ---
+// A timer running out fades the tab to silence in the offscreen document, which reports back when
+// the fade is over; the tab is then muted or reset to 100% (settings.sleepTimerAction). One alarm
+// points at the next deadline, so timers survive service worker suspension.
+
+/** Points the sleep timer alarm at the next deadline: a timer running out, or a fade overdue for its completion event. */
+function _scheduleSleepTimerAlarm() {
+    const deadlines = Object.values(tabSleepTimers)
+        .map(timer => timer.fadeEndsAt ? timer.fadeEndsAt + SLEEP_FADE_GRACE_MS : timer.endsAt);
+    if (deadlines.length === 0) {
+        chrome.alarms.clear(ALARM_SLEEP_TIMER);
+        return;
+    }
+    chrome.alarms.create(ALARM_SLEEP_TIMER, { when: Math.min(...deadlines) });
+}
+
+/** Starts (or replaces) a tab's sleep timer; 0 minutes cancels it. Resolves to the timer, or null. */
+async function setSleepTimer(tabId, minutes) {
+    if (minutes !== 0 && !_isIntegerInRange(minutes, SLEEP_TIMER_RANGE_MINUTES)) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST,
+            `Sleep timer must be ${SLEEP_TIMER_RANGE_MINUTES.min}-${SLEEP_TIMER_RANGE_MINUTES.max} minutes.`, { minutes: minutes });
+    }
+    if (!(await _getTabIfExists(tabId))) {
+        throw new BoosterError(ERROR_CODES.TAB_NOT_FOUND, undefined, { tabId: tabId });
+    }
+    const fading = !!tabSleepTimers[tabId]?.fadeEndsAt;
+    if (minutes === 0) {
+        delete tabSleepTimers[tabId];
+        logger.info(`${LOG_PREFIX_SLEEP} Tab ${tabId}: Sleep timer cancelled.`);
+    } else {
+        tabSleepTimers[tabId] = { endsAt: Date.now() + minutes * 60 * 1000 };
+        logger.info(`${LOG_PREFIX_SLEEP} Tab ${tabId}: Sleep timer set for ${minutes} min.`);
+    }
+    if (fading) {
+        await _restoreFadedVolume(tabId);
+    }
+    _scheduleSleepTimerAlarm();
+    await saveVolumes(); // Debounced
+    return tabSleepTimers[tabId] ?? null;
+}
+
+/**
+ * Undoes a fade that was cut short (timer cancelled or replaced): back to the tab's volume, or
+ * uncaptured again if it was captured just for the fade.
+ */
+async function _restoreFadedVolume(tabId) {
+    const volume = tabVolumes[tabId];
+    if (volume === undefined) return;
+    try {
+        if (_tabNeedsCapture(tabId, volume)) {
+            await chrome.runtime.sendMessage(createMessage(MSG_TYPE_UPDATE_VOLUME, { targetTabId: tabId, volume: _getScaledVolume(tabId, volume) }));
+        } else if (!activeTabOperations.has(tabId)) {
+            await handleVolumeChange(tabId, volume, volume, { wasCapturing: true });
+        }
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_SLEEP} Could not restore the volume of tab ${tabId} after a cancelled fade:`, error.message);
+    }
+}
+
+/** Starts the fade of every timer that ran out, and finishes fades whose completion event never came. */
+async function handleSleepTimerAlarm() {
+    const now = Date.now();
+    for (const [id, timer] of Object.entries(tabSleepTimers)) {
+        const tabId = parseInt(id, 10);
+        if (timer.fadeEndsAt) {
+            if (timer.fadeEndsAt + SLEEP_FADE_GRACE_MS <= now) {
+                logger.warn(`${LOG_PREFIX_SLEEP} Tab ${tabId}: No fade completion reported, finishing the timer.`);
+                await finishSleepTimer(tabId);
+            }
+        } else if (timer.endsAt <= now) {
+            await startSleepFade(tabId);
+        }
+    }
+    _scheduleSleepTimerAlarm();
+}
+
+/**
+ * Fades a tab whose timer ran out. A playing tab that isn't captured (e.g. at 100%) is captured
+ * for the fade; silent tabs have nothing to fade and finish right away.
+ */
+async function startSleepFade(tabId) {
+    const fadeMs = settings.sleepFadeSeconds * 1000;
+    const captured = tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, tabVolumes[tabId]) && tabCaptureErrors[tabId] === undefined;
+    const tab = await _getTabIfExists(tabId);
+    if (fadeMs === 0 || !tab || (captured ? !(await hasOffscreenDocument()) : !tab.audible)) {
+        await finishSleepTimer(tabId);
+        return;
+    }
+    logger.info(`${LOG_PREFIX_SLEEP} Tab ${tabId}: Sleep timer ran out, fading out over ${settings.sleepFadeSeconds}s.`);
+    tabSleepTimers[tabId].fadeEndsAt = Date.now() + fadeMs; // Keeps the tab captured until the timer is done
+    await saveVolumes(); // Debounced
+    _notifyPopup(tabId);
+    try {
+        if (!captured) {
+            const volume = _getRequestedVolume(tabId) ?? DEFAULT_VOLUME;
+            const { pending } = await handleVolumeChange(tabId, volume, tabVolumes[tabId], { wasCapturing: false });
+            if (pending) {
+                throw new BoosterError(ERROR_CODES.CAPTURE_NOT_AUDIBLE, undefined, { tabId: tabId });
+            }
+        }
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_FADE_OUT, { targetTabId: tabId, durationMs: fadeMs }));
+        if (!response?.success) {
+            throw toBoosterError(response?.error || "Invalid fadeOut response.");
+        }
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_SLEEP} Fade failed for tab ${tabId} (${error.message}), finishing without it.`);
+        await finishSleepTimer(tabId);
+    }
+}
+
+/** Ends a tab's sleep timer with the configured action: mute (restorable like Alt+Shift+M) or reset to 100%. */
+async function finishSleepTimer(tabId) {
+    if (!tabSleepTimers[tabId]) return;
+    const wasCapturing = tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, tabVolumes[tabId]);
+    delete tabSleepTimers[tabId];
+    _scheduleSleepTimerAlarm();
+
+    const currentVolume = _getRequestedVolume(tabId) ?? DEFAULT_VOLUME;
+    const newVolume = settings.sleepTimerAction === 'mute' ? MUTED_VOLUME : DEFAULT_VOLUME;
+    logger.info(`${LOG_PREFIX_SLEEP} Tab ${tabId}: Sleep timer done (${settings.sleepTimerAction}), ${currentVolume}% -> ${newVolume}%.`);
+    try {
+        // A captured tab always goes through it: its graph is still faded out, or captured just for the fade
+        if (newVolume !== currentVolume || tabPendingVolumes[tabId] || wasCapturing) {
+            await handleVolumeChange(tabId, newVolume, tabVolumes[tabId], { wasCapturing: wasCapturing });
+        }
+        if (newVolume === MUTED_VOLUME && currentVolume !== MUTED_VOLUME) {
+            tabMuteRestoreVolumes[tabId] = currentVolume; // Unmuting brings the old volume back
+        } else if (newVolume === DEFAULT_VOLUME) {
+            delete tabMuteRestoreVolumes[tabId];
+        }
+        if (tabRuleIds[tabId]) _setTabRule(tabId, null);
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_SLEEP} Could not apply the sleep timer action to tab ${tabId}:`, error.message);
+    }
+    await saveVolumes(); // Debounced
+    _notifyPopup(tabId);
+}
+
+// --- Ducking ---
+// While a priority tab (marked by hand, or matched by a priority site rule) plays sound, every
+// other tab is turned down to settings.duckLevel percent of its volume, and turned back up once
+// no priority tab plays anymore. The duck is a factor the offscreen document applies on top of
+// the tab's volume; tabVolumes never changes. A playing tab that isn't captured (e.g. at 100%
+// without EQ) is captured for the duck and released when it ends. Audible state comes from
+// tabs.onUpdated.
+
+/** True if a priority site rule matches the URL. */
+function _matchesPriorityRule(url) {
+    return !!url && siteRules.some(rule => rule.priority && urlMatchesSitePattern(url, rule.pattern));
+}
+
+/** True if a tab is a priority tab: marked by hand, or its URL matches a priority site rule. */
+function _isPriorityTab(tabId, url = tabLocations[tabId]?.url) {
+    return !!tabPriorities[tabId] || _matchesPriorityRule(url);
+}
+
+/** The duck factor a tab's graph should have right now (1 = not ducked). */
+function _getDuckFactor(tabId) {
+    if (audiblePriorityTabs.size === 0 || audiblePriorityTabs.has(tabId) || _isPriorityTab(tabId)) return 1;
+    return settings.duckLevel / 100;
+}
+
+/**
+ * Records whether a tab is a priority tab playing sound (muted tabs don't count).
+ * Returns true if that changed; the caller then runs updateDucking().
+ */
+function _trackPriorityAudio(tab) {
+    const playing = !!tab.audible && !tab.mutedInfo?.muted && _isPriorityTab(tab.id, tab.url);
+    if (playing === audiblePriorityTabs.has(tab.id)) return false;
+    if (playing) {
+        audiblePriorityTabs.add(tab.id);
+    } else {
+        audiblePriorityTabs.delete(tab.id);
+    }
+    logger.info(`${LOG_PREFIX_DUCKING} Priority tab ${tab.id} ${playing ? 'started' : 'stopped'} playing (${audiblePriorityTabs.size} playing).`);
+    _notifyPopup(tab.id);
+    return true;
+}
+
+/** Rebuilds the set of playing priority tabs from scratch (startup, priority marks or rules changed), then re-ducks. */
+async function refreshDucking() {
+    audiblePriorityTabs.clear();
+    try {
+        const audibleTabs = await chrome.tabs.query({ audible: true });
+        audibleTabs.forEach(tab => _trackPriorityAudio(tab));
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_DUCKING} Could not query audible tabs:`, error.message);
+    }
+    await updateDucking();
+}
+
+/**
+ * Sends every captured tab whose duck factor changed its new factor: ramping down over
+ * settings.duckAttackMs, back up over settings.duckReleaseMs. Like _rescaleTabs, it starts the
+ * capture of a playing tab that needs one only to be ducked, and stops it once the duck ends.
+ */
+async function updateDucking() {
+    let tabs;
+    try {
+        tabs = await chrome.tabs.query({});
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_DUCKING} Could not query tabs:`, error.message);
+        return;
+    }
+    for (const tab of tabs) {
+        const tabId = tab.id;
+        const factor = _getDuckFactor(tabId);
+        const capturing = tabDuckFactors[tabId] !== undefined; // Every running graph has a factor
+        if (capturing ? tabDuckFactors[tabId] === factor : factor === 1) continue;
+        const volume = _getRequestedVolume(tabId) ?? DEFAULT_VOLUME;
+        if (capturing && _tabNeedsCapture(tabId, volume)) {
+            const rampMs = factor < tabDuckFactors[tabId] ? settings.duckAttackMs : settings.duckReleaseMs;
+            await _sendDuckToOffscreen(tabId, factor, rampMs);
+            continue;
+        }
+        // Silent tabs are left to the onUpdated logic, which captures them (ducked) once they play
+        if (activeTabOperations.has(tabId)) continue;
+        if (!capturing && (!tab.audible || tabCaptureErrors[tabId] !== undefined)) continue;
+        try {
+            await handleVolumeChange(tabId, volume, tabVolumes[tabId], { wasCapturing: capturing });
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_DUCKING} Could not ${capturing ? 'release' : 'capture'} tab ${tabId} for the duck:`, error.message);
+        }
+        _notifyPopup(tabId);
+    }
+}
+
+/** Sends a tab's duck factor to its graph. A tab without a running graph gets it with its next capture start. */
+async function _sendDuckToOffscreen(tabId, factor, rampMs) {
+    if (!await hasOffscreenDocument()) return;
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_DUCK, { targetTabId: tabId, factor: factor, rampMs: rampMs }));
+        if (!response?.success) {
+            throw toBoosterError(response?.error || "Invalid duck response.");
+        }
+        tabDuckFactors[tabId] = factor;
+        logger.info(`${LOG_PREFIX_DUCKING} Tab ${tabId}: ${factor < 1 ? `ducked to ${settings.duckLevel}%` : 'released'} over ${rampMs}ms.`);
+        _notifyPopup(tabId);
+    } catch (error) {
+        logger.debug(`${LOG_PREFIX_DUCKING} Could not duck tab ${tabId}:`, error.message);
+    }
+}
+
+/** Marks (or unmarks) a tab as a priority tab. Resolves to the tab's new mark. */
+async function setTabPriority(tabId, priority) {
+    const tab = await _getTabIfExists(tabId);
+    if (!tab) {
+        throw new BoosterError(ERROR_CODES.TAB_NOT_FOUND, undefined, { tabId: tabId });
+    }
+    if (priority) {
+        tabPriorities[tabId] = true;
+    } else {
+        delete tabPriorities[tabId];
+    }
+    logger.info(`${LOG_PREFIX_DUCKING} Tab ${tabId} ${priority ? 'marked' : 'no longer marked'} as priority.`);
+    await saveVolumes(); // Debounced
+    _trackPriorityAudio(tab);
+    await updateDucking(); // Also releases a marked tab that was ducked itself
+    return !!tabPriorities[tabId];
+}
+
+// --- Group & Window Volumes ---
+// A tab group and a window can each have a volume that multiplies the volume of every tab in it
+// (a tab at 200% in a group at 150% plays at 300%). tabVolumes keeps the tab's own volume; only
+// the offscreen graph gets the product. Tabs joining or leaving a group or window pick up or drop
+// its volume. Group and window IDs don't survive a browser restart, so stale entries are dropped.
+
+/** The combined group and window multiplier of a tab (1 = neither is scaled). */
+function _getScopeMultiplier(tabId) {
+    const scope = tabScopes[tabId];
+    if (!scope) return 1;
+    return (groupVolumes[scope.groupId] ?? DEFAULT_VOLUME) / 100 * (windowVolumes[scope.windowId] ?? DEFAULT_VOLUME) / 100;
+}
+
+/** The volume a tab's graph plays at: its own volume times its group, window and master volumes. */
+function _getScaledVolume(tabId, volume) {
+    return Math.round(volume * _getScopeMultiplier(tabId) * masterVolume / 100);
+}
+
+/** What a tab plays at: the scaled volume if it is captured, else its plain volume (nothing scales an uncaptured tab). */
+function _getEffectiveVolume(tabId, volume) {
+    return _tabNeedsCapture(tabId, volume) ? _getScaledVolume(tabId, volume) : volume;
+}
+
+/** Records which group and window a tab is in. Returns true if that changed. */
+function _updateTabScope(tab) {
+    const groupId = tab.groupId ?? chrome.tabGroups.TAB_GROUP_ID_NONE;
+    const scope = tabScopes[tab.id];
+    if (scope && scope.groupId === groupId && scope.windowId === tab.windowId) return false;
+    tabScopes[tab.id] = { groupId: groupId, windowId: tab.windowId };
+    return true;
+}
+
+/** Reads the group and window of every open tab, and drops the volumes of groups and windows that are gone. */
+async function loadTabScopes() {
+    try {
+        const [tabs, groups] = await Promise.all([chrome.tabs.query({}), chrome.tabGroups.query({})]);
+        tabs.forEach(tab => _updateTabScope(tab));
+        const groupIds = new Set(groups.map(group => String(group.id)));
+        const windowIds = new Set(tabs.map(tab => String(tab.windowId)));
+        const staleGroupIds = Object.keys(groupVolumes).filter(id => !groupIds.has(id));
+        const staleWindowIds = Object.keys(windowVolumes).filter(id => !windowIds.has(id));
+        staleGroupIds.forEach(id => delete groupVolumes[id]);
+        staleWindowIds.forEach(id => delete windowVolumes[id]);
+        if (staleGroupIds.length > 0 || staleWindowIds.length > 0) {
+            logger.info(`${LOG_PREFIX_SCOPES} Dropped volumes of ${staleGroupIds.length} closed group(s) and ${staleWindowIds.length} closed window(s).`);
+            await saveVolumes(true);
+        }
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_SCOPES} Error reading tab groups and windows:`, error);
+    }
+}
+
+/**
+ * Applies a change to group, window or master volumes or membership (`applyChange`), then starts,
+ * updates or stops the capture of each affected tab whose multiplier changed. Silent tabs that
+ * weren't captured are left to the onUpdated logic, which captures them once they play.
+ */
+async function _rescaleTabs(tabIds, applyChange) {
+    const before = new Map(tabIds.map(tabId => [tabId, {
+        multiplier: _getScopeMultiplier(tabId) * masterVolume,
+        capturing: tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, tabVolumes[tabId])
+    }]));
+    applyChange();
+    for (const tabId of tabIds) {
+        const { multiplier, capturing } = before.get(tabId);
+        if (_getScopeMultiplier(tabId) * masterVolume === multiplier) continue;
+        const volume = _getRequestedVolume(tabId) ?? DEFAULT_VOLUME;
+        if (!capturing && !_tabNeedsCapture(tabId, volume)) continue;
+        const tab = await _getTabIfExists(tabId);
+        if (!tab || (!capturing && !tab.audible)) continue;
+        try {
+            await handleVolumeChange(tabId, volume, tabVolumes[tabId], { wasCapturing: capturing });
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_SCOPES} Could not rescale tab ${tabId}:`, error.message);
+        }
+        _notifyPopup(tabId);
+    }
+}
+
+/** Sets the volume of a tab group or window (100 removes it) and rescales its tabs. Resolves to the new volume. */
+async function setScopeVolume(scope, id, volume) {
+    if (!_isIntegerInRange(volume, SCOPE_VOLUME_RANGE)) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST,
+            `Volume must be ${SCOPE_VOLUME_RANGE.min}-${SCOPE_VOLUME_RANGE.max}%.`, { volume: volume });
+    }
+    const scopeKey = scope === 'group' ? 'groupId' : 'windowId';
+    const tabs = await chrome.tabs.query({ [scopeKey]: id });
+    if (tabs.length === 0) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `No open ${scope} with ID ${id}.`, { scope: scope, id: id });
+    }
+    tabs.forEach(tab => _updateTabScope(tab));
+    const volumes = scope === 'group' ? groupVolumes : windowVolumes;
+    logger.info(`${LOG_PREFIX_SCOPES} ${scope === 'group' ? 'Group' : 'Window'} ${id}: ${volumes[id] ?? DEFAULT_VOLUME}% -> ${volume}% (${tabs.length} tab(s)).`);
+    await _rescaleTabs(tabs.map(tab => tab.id), () => {
+        if (volume === DEFAULT_VOLUME) {
+            delete volumes[id];
+        } else {
+            volumes[id] = volume;
+        }
+    });
+    await saveVolumes(); // Debounced
+    return volumes[id] ?? DEFAULT_VOLUME;
+}
+
+/** Lists every tab group (first) and window with its volume and number of tabs, for the popup. */
+async function getScopeVolumes() {
+    const [tabs, groups] = await Promise.all([chrome.tabs.query({}), chrome.tabGroups.query({})]);
+    const countTabs = (key, id) => tabs.filter(tab => tab[key] === id).length;
+    const windowIds = [...new Set(tabs.map(tab => tab.windowId))].sort((a, b) => a - b);
+    return [
+        ...groups.map(group => ({
+            scope: 'group',
+            id: group.id,
+            title: group.title || '',
+            color: group.color,
+            windowId: group.windowId,
+            volume: groupVolumes[group.id] ?? DEFAULT_VOLUME,
+            tabCount: countTabs('groupId', group.id)
+        })),
+        ...windowIds.map(windowId => ({
+            scope: 'window',
+            id: windowId,
+            volume: windowVolumes[windowId] ?? DEFAULT_VOLUME,
+            tabCount: countTabs('windowId', windowId)
+        }))
+    ];
+}
+
+// --- Master Volume ---
+// One volume on top of every entry in tabVolumes: each of those tabs' graphs gets masterVolume
+// percent of its scaled volume (see _getScaledVolume), so a tab kept at 100% is captured for it
+// too. Tabs without a volume of their own keep playing untouched.
+
+/** True if the master volume scales a tab, i.e. it is not 100% and the tab has a volume of its own. */
+function _isMasterScaled(tabId) {
+    return masterVolume !== DEFAULT_VOLUME && _getRequestedVolume(tabId) !== undefined;
+}
+
+/** Sets the master volume and rescales every tab with a volume of its own. Resolves to the new volume. */
+async function setMasterVolume(volume) {
+    if (!_isIntegerInRange(volume, MASTER_VOLUME_RANGE)) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST,
+            `Master volume must be ${MASTER_VOLUME_RANGE.min}-${MASTER_VOLUME_RANGE.max}%.`, { volume: volume });
+    }
+    if (volume === masterVolume) return masterVolume;
+    logger.info(`${LOG_PREFIX_MASTER} Master volume ${masterVolume}% -> ${volume}%.`);
+    const tabIds = Object.keys(tabVolumes).map(id => parseInt(id, 10));
+    await _rescaleTabs(tabIds, () => {
+        masterVolume = volume;
+    });
+    await saveVolumes(); // Debounced
+    return masterVolume;
+}
+
+// --- Recording ---
+// The offscreen document records a tab's processed output (see "Recording" there), so the tab
+// stays captured while the recording runs, even at 100%. Volume changes only update the running
+// graph, and a rebuilt graph takes the recording over. The finished file arrives as a blob URL
+// (MSG_TYPE_EVENT_RECORDING_FINISHED), is handed to chrome.downloads, and the URL is released
+// once the download is over; the offscreen document stays open until then.
+
+/** Starts recording a tab (capturing it first if needed). Resolves to the recording. */
+async function startRecording(tabId, format, maxMinutes) {
+    if (!_isIntegerInRange(maxMinutes, SETTINGS_RANGES.recordingMaxMinutes)) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST,
+            `Recordings can last ${SETTINGS_RANGES.recordingMaxMinutes.min}-${SETTINGS_RANGES.recordingMaxMinutes.max} minutes.`, { maxMinutes: maxMinutes });
+    }
+    if (tabRecordings[tabId]) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `Tab ${tabId} is already being recorded.`, { tabId: tabId });
+    }
+    const tab = await _getTabIfExists(tabId);
+    if (!tab) {
+        throw new BoosterError(ERROR_CODES.TAB_NOT_FOUND, undefined, { tabId: tabId });
+    }
+    if (settings.recordingFormat !== format || settings.recordingMaxMinutes !== maxMinutes) {
+        await updateSettings({ recordingFormat: format, recordingMaxMinutes: maxMinutes }); // Preselected next time
+    }
+
+    const volume = _getRequestedVolume(tabId) ?? DEFAULT_VOLUME;
+    const capturing = tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, tabVolumes[tabId]) && tabCaptureErrors[tabId] === undefined;
+    if (!capturing && !tab.audible) {
+        throw new BoosterError(ERROR_CODES.CAPTURE_NOT_AUDIBLE, undefined, { tabId: tabId }); // Nothing to record yet
+    }
+    const maxDurationMs = maxMinutes * 60 * 1000;
+    tabRecordings[tabId] = { format: format, startedAt: Date.now(), pausedAt: null, pausedMs: 0, maxDurationMs: maxDurationMs };
+    try {
+        if (!capturing) {
+            const { pending } = await handleVolumeChange(tabId, volume, tabVolumes[tabId], { wasCapturing: false });
+            if (pending) {
+                throw new BoosterError(ERROR_CODES.CAPTURE_NOT_AUDIBLE, undefined, { tabId: tabId });
+            }
+        }
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_OFFSCREEN_START_RECORDING, {
+            targetTabId: tabId,
+            format: format,
+            maxDurationMs: maxDurationMs
+        }));
+        if (!response?.success) {
+            throw toBoosterError(response?.error ?? 'Invalid startRecording response.', ERROR_CODES.OFFSCREEN_ERROR);
+        }
+    } catch (error) {
+        delete tabRecordings[tabId];
+        await _releaseRecordingCapture(tabId);
+        throw error;
+    }
+    tabRecordings[tabId].startedAt = Date.now();
+    logger.info(`${LOG_PREFIX_RECORDING} Tab ${tabId}: Recording as ${format} for at most ${maxMinutes} min.`);
+    _notifyPopup(tabId);
+    return tabRecordings[tabId];
+}
+
+/** Pauses or resumes a tab's recording. Resolves to the recording. */
+async function pauseRecording(tabId, paused) {
+    const recording = tabRecordings[tabId];
+    if (!recording) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `Tab ${tabId} is not being recorded.`, { tabId: tabId });
+    }
+    const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_OFFSCREEN_PAUSE_RECORDING, { targetTabId: tabId, paused: paused }));
+    if (!response?.success) {
+        throw toBoosterError(response?.error ?? 'Invalid pauseRecording response.', ERROR_CODES.OFFSCREEN_ERROR);
+    }
+    if (paused && recording.pausedAt === null) {
+        recording.pausedAt = Date.now();
+    } else if (!paused && recording.pausedAt !== null) {
+        recording.pausedMs += Date.now() - recording.pausedAt;
+        recording.pausedAt = null;
+    }
+    logger.info(`${LOG_PREFIX_RECORDING} Tab ${tabId}: Recording ${paused ? 'paused' : 'resumed'}.`);
+    return recording;
+}
+
+/** Stops a tab's recording. The download starts once the offscreen document reports the file. */
+async function stopRecording(tabId) {
+    if (!tabRecordings[tabId]) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `Tab ${tabId} is not being recorded.`, { tabId: tabId });
+    }
+    logger.info(`${LOG_PREFIX_RECORDING} Tab ${tabId}: Stopping the recording.`);
+    const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_OFFSCREEN_STOP_RECORDING, { targetTabId: tabId }));
+    if (!response?.success) {
+        throw toBoosterError(response?.error ?? 'Invalid stopRecording response.', ERROR_CODES.OFFSCREEN_ERROR);
+    }
+}
+
+/** Takes over a recording the offscreen document reports after a service worker restart. */
+function _adoptRecording(tabId, { format, paused, elapsedMs, maxDurationMs }) {
+    const now = Date.now();
+    tabRecordings[tabId] = { format: format, startedAt: now - elapsedMs, pausedAt: paused ? now : null, pausedMs: 0, maxDurationMs: maxDurationMs };
+    logger.info(`${LOG_PREFIX_RECORDING} Tab ${tabId}: Adopted a running recording (${Math.round(elapsedMs / 1000)}s).`);
+}
+
+/** A file name for a tab's recording: its title and the time it finished. */
+function _getRecordingFilename(tab, format) {
+    const title = (tab?.title ?? '').replace(/[\\/:*?"<>|~\u0000-\u001f]+/g, '_').trim().substring(0, 80) || 'Tab recording';
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const timestamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
+    return `${title} ${timestamp}.${format}`;
+}
+
+/** A recording is over (stopped, at its maximum duration, or its capture ended): download the file. */
+async function handleRecordingFinished({ tabId, format, url, durationMs, size, reason }) {
+    delete tabRecordings[tabId];
+    logger.info(`${LOG_PREFIX_RECORDING} Tab ${tabId}: Recording finished (${reason}), ${Math.round(durationMs / 1000)}s, ${size} bytes.`);
+    if (url) {
+        const filename = _getRecordingFilename(await _getTabIfExists(tabId), format);
+        try {
+            const downloadId = await chrome.downloads.download({ url: url, filename: filename, conflictAction: 'uniquify' });
+            recordingDownloads.set(downloadId, url);
+            logger.info(`${LOG_PREFIX_RECORDING} Tab ${tabId}: Downloading "${filename}" (download ${downloadId}).`);
+        } catch (error) {
+            logger.error(`${LOG_PREFIX_RECORDING} Could not download the recording of tab ${tabId}:`, error);
+            await _releaseRecordingUrl(url);
+        }
+    } else {
+        logger.warn(`${LOG_PREFIX_RECORDING} Tab ${tabId}: Nothing was recorded, no file to download.`);
+    }
+    await _releaseRecordingCapture(tabId);
+    await closeOffscreenDocumentIfNeeded();
+    _notifyPopup(tabId);
+}
+
+/** Stops a capture that only ran for a recording (tab at 100% without EQ, group or window volume). */
+async function _releaseRecordingCapture(tabId) {
+    const volume = tabVolumes[tabId];
+    if (volume === undefined || _tabNeedsCapture(tabId, volume) || activeTabOperations.has(tabId)) return;
+    try {
+        await handleVolumeChange(tabId, volume, volume, { wasCapturing: true });
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_RECORDING} Could not stop the capture of tab ${tabId} after its recording:`, error.message);
+    }
+}
+
+/** Lets the offscreen document free a finished recording's file. */
+async function _releaseRecordingUrl(url) {
+    if (!await hasOffscreenDocument()) return; // Went away with the document
+    try {
+        await chrome.runtime.sendMessage(createMessage(MSG_TYPE_OFFSCREEN_RELEASE_RECORDING, { url: url }));
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_RECORDING} Could not release ${url}:`, error.message);
+    }
+}
+
+// --- Output Devices ---
+// A tab can play to another output device than the default one (headset vs. speakers). The
+// device is picked by hand per tab, or comes from the site rule matching the tab's URL; '' is
+// the default device. Tabs on another device need a graph even at 100%. The offscreen document
+// falls back to the default device while the chosen one is unplugged.
+
+/** The output device a tab plays to: its own choice, else the one of the site rule matching its URL. */
+function _getOutputDeviceId(tabId, url = tabLocations[tabId]?.url) {
+    return tabOutputDevices[tabId] ?? findMatchingSiteRule(url)?.outputDeviceId ?? '';
+}
+
+/**
+ * Applies a change to output device choices, site rules or tab URLs (`applyChange`), then
+ * restarts the capture of each affected tab whose device changed, or starts or stops it if the
+ * device decides whether it is captured at all. Silent tabs are left to the onUpdated logic.
+ */
+async function _rerouteTabs(tabIds, applyChange) {
+    const before = new Map(tabIds.map(tabId => [tabId, {
+        deviceId: _getOutputDeviceId(tabId),
+        capturing: tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, tabVolumes[tabId])
+    }]));
+    applyChange();
+    for (const tabId of tabIds) {
+        const { deviceId, capturing } = before.get(tabId);
+        if (_getOutputDeviceId(tabId) === deviceId) continue;
+        logger.info(`${LOG_PREFIX_OUTPUT} Tab ${tabId} now plays to ${_getOutputDeviceId(tabId) || 'the default device'}.`);
+        const volume = _getRequestedVolume(tabId) ?? DEFAULT_VOLUME;
+        if (!capturing && !_tabNeedsCapture(tabId, volume)) continue;
+        const tab = await _getTabIfExists(tabId);
+        if (!tab || (!capturing && !tab.audible)) continue;
+        try {
+            // A graph can't move between contexts, so a captured tab gets a new one
+            await handleVolumeChange(tabId, volume, tabVolumes[tabId], { forceRestart: capturing, wasCapturing: capturing });
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_OUTPUT} Could not reroute tab ${tabId}:`, error.message);
+        }
+        _notifyPopup(tabId);
+    }
+}
+
+/** Picks the output device of a tab ('' = default device). Resolves to the device the tab now plays to. */
+async function setTabOutputDevice(tabId, deviceId) {
+    const tab = await _getTabIfExists(tabId);
+    if (!tab) {
+        throw new BoosterError(ERROR_CODES.TAB_NOT_FOUND, undefined, { tabId: tabId });
+    }
+    await _rerouteTabs([tabId], () => {
+        _rememberTabLocation(tab); // The URL picks the site rule's device
+        delete tabOutputDevices[tabId];
+        // Only a choice that differs from the site rule's is kept, so later rule edits still apply
+        if (_getOutputDeviceId(tabId) !== deviceId) tabOutputDevices[tabId] = deviceId;
+    });
+    await saveVolumes(); // Debounced
+    return _getOutputDeviceId(tabId);
+}
+
+// --- Keyboard Shortcuts ---
+
+/** Forgets the pre-mute volume of a tab (any explicit volume change ends the mute). */
+function _clearMuteRestore(tabId) {
+    if (tabMuteRestoreVolumes[tabId] === undefined) return;
+    delete tabMuteRestoreVolumes[tabId];
+    saveVolumes(); // Debounced
+}
+
+/** Computes the volume a shortcut command should move the tab to, or null for unknown commands. */
+function _getCommandTargetVolume(command, tabId, currentVolume) {
+    switch (command) {
+        case COMMAND_VOLUME_UP:
+            return Math.min(settings.maxVolume, currentVolume + settings.stepSize);
+        case COMMAND_VOLUME_DOWN:
+            return Math.max(MUTED_VOLUME, currentVolume - settings.stepSize);
+        case COMMAND_VOLUME_RESET:
+            return DEFAULT_VOLUME;
+        case COMMAND_TOGGLE_MUTE: {
+            const restoreVolume = tabMuteRestoreVolumes[tabId];
+            if (currentVolume === MUTED_VOLUME) {
+                return restoreVolume ?? DEFAULT_VOLUME;
+            }
+            return MUTED_VOLUME;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Applies a shortcut command (or the popup list's mute toggle) to a tab, routing through the
+ * normal volume change flow. Resolves to `{ volume, pending }`, or undefined for unknown commands.
+ */
+async function handleVolumeCommand(command, tabId) {
+    const currentVolume = _getRequestedVolume(tabId) ?? DEFAULT_VOLUME;
+    const newVolume = _getCommandTargetVolume(command, tabId, currentVolume);
+    if (newVolume === null) {
+        logger.warn(`${LOG_PREFIX_COMMANDS} Unknown command: ${command}`);
+        return;
+    }
+    logger.info(`${LOG_PREFIX_COMMANDS} ${command} on tab ${tabId}: ${currentVolume}% -> ${newVolume}%`);
+
+    let pending = false;
+    if (newVolume !== currentVolume || tabPendingVolumes[tabId]) {
+        ({ pending } = await handleVolumeChange(tabId, newVolume, tabVolumes[tabId]));
+    }
+
+    // Update mute bookkeeping only after the change went through
+    if (command === COMMAND_TOGGLE_MUTE && newVolume === MUTED_VOLUME) {
+        tabMuteRestoreVolumes[tabId] = currentVolume;
+        saveVolumes(); // Debounced
+    } else {
+        _clearMuteRestore(tabId);
+    }
+    // Like a slider change, a shortcut takes the tab out of site rule control
+    if (tabRuleIds[tabId]) _setTabRule(tabId, null);
+
+    await _flashBadge(tabId, _formatBadgeVolume(newVolume), pending ? BADGE_COLOR_PENDING : BADGE_COLOR_FLASH);
+    return { volume: newVolume, pending: pending };
+}
+
+// --- Site Rules ---
+
+/** Saves the site rules list to storage (not debounced, edits are infrequent). */
+async function saveSiteRules() {
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEY_SITE_RULES]: siteRules });
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_RULES} Error saving site rules:`, error);
+        throw error;
+    }
+}
+
+/** Converts a simple glob ('*' wildcard only) into an anchored, case-insensitive RegExp. */
+function _globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Tests a URL against a site rule pattern.
+ * Patterns without a '/' match the hostname ("www.youtube.com", "*.twitch.tv");
+ * a leading "*." also matches the bare domain. Other patterns are globs over the full URL.
+ */
+function urlMatchesSitePattern(url, pattern) {
+    const trimmedPattern = (pattern || '').trim();
+    if (!url || !trimmedPattern) return false;
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    if (!/^(https?|file):$/.test(parsedUrl.protocol)) return false;
+
+    if (!trimmedPattern.includes('/')) {
+        const hostname = parsedUrl.hostname.toLowerCase();
+        const hostPattern = trimmedPattern.toLowerCase();
+        if (hostPattern.startsWith('*.')) {
+            const baseDomain = hostPattern.slice(2);
+            if (hostname === baseDomain) return true;
+        }
+        return _globToRegExp(hostPattern).test(hostname);
+    }
+    return _globToRegExp(trimmedPattern).test(url);
+}
+
+/** Returns the most specific (longest pattern) site rule matching the URL, or null. */
+function findMatchingSiteRule(url) {
+    let bestRule = null;
+    for (const rule of siteRules) {
+        if (urlMatchesSitePattern(url, rule.pattern) && (!bestRule || rule.pattern.length > bestRule.pattern.length)) {
+            bestRule = rule;
+        }
+    }
+    return bestRule;
+}
+
+/**
+ * Determines the volume site rules want for a tab, or null if rules don't apply.
+ * Tabs boosted by hand are never touched. A tab previously boosted by a rule
+ * falls back to 100% once it navigates away from the rule's sites.
+ */
+function _getSiteRuleTarget(tabId, url) {
+    const currentVolume = tabVolumes[tabId];
+    const isManuallyBoosted = currentVolume !== undefined && currentVolume !== DEFAULT_VOLUME && !tabRuleIds[tabId];
+    if (isManuallyBoosted) return null;
+
+    const rule = findMatchingSiteRule(url);
+    if (rule) return { ruleId: rule.id, volume: rule.volume };
+    if (tabRuleIds[tabId]) return { ruleId: null, volume: DEFAULT_VOLUME };
+    return null;
+}
+
+/** Validates and normalizes a rule coming from the popup. Throws on invalid input. */
+function _normalizeSiteRule(rule) {
+    const pattern = typeof rule?.pattern === 'string' ? rule.pattern.trim() : '';
+    const volume = Number(rule?.volume);
+    if (!pattern) {
+        throw new BoosterError(ERROR_CODES.INVALID_SITE_RULE, "Site rule pattern cannot be empty.", { field: 'pattern' });
+    }
+    if (!Number.isFinite(volume) || volume < 0 || volume > settings.maxVolume) {
+        throw new BoosterError(ERROR_CODES.INVALID_SITE_RULE, `Site rule volume must be 0-${settings.maxVolume}%.`, { field: 'volume' });
+    }
+    return {
+        id: typeof rule.id === 'string' && rule.id ? rule.id : crypto.randomUUID(),
+        pattern: pattern,
+        volume: Math.round(volume),
+        priority: rule.priority === true, // Tabs on the site duck the others while they play
+        outputDeviceId: typeof rule.outputDeviceId === 'string' ? rule.outputDeviceId : '' // Tabs on the site play there ('' = default device)
+    };
+}
+
+/**
+ * Adds or updates a site rule. A rule with the same id, or failing that the
+ * same pattern, is replaced. Open tabs governed by the rule pick up the new volume,
+ * tabs on its sites its output device.
+ */
+async function upsertSiteRule(rule) {
+    const normalizedRule = _normalizeSiteRule(rule);
+    let index = siteRules.findIndex(r => r.id === normalizedRule.id);
+    if (index === -1) {
+        index = siteRules.findIndex(r => r.pattern.toLowerCase() === normalizedRule.pattern.toLowerCase());
+        if (index !== -1) normalizedRule.id = siteRules[index].id; // Keep existing id stable
+    }
+
+    if (index !== -1) {
+        // Fields left out keep their value (older popups only send the volume)
+        if (rule.priority === undefined) normalizedRule.priority = !!siteRules[index].priority;
+        if (rule.outputDeviceId === undefined) normalizedRule.outputDeviceId = siteRules[index].outputDeviceId ?? '';
+    }
+    await _rerouteTabs(_getLocatedTabIds(), () => {
+        if (index === -1) {
+            siteRules.push(normalizedRule);
+        } else {
+            siteRules[index] = normalizedRule;
+        }
+    });
+    logger.info(`${LOG_PREFIX_RULES} Saved rule ${normalizedRule.id}: ${normalizedRule.pattern} -> ${normalizedRule.volume}%${normalizedRule.priority ? ' (priority)' : ''}`);
+    await saveSiteRules();
+    await _reapplySiteRules();
+    await refreshDucking();
+    return normalizedRule;
+}
+
+/** Removes a site rule. Tabs it had boosted go back to 100%, tabs on its sites to their own or the default output device. */
+async function removeSiteRule(ruleId) {
+    const before = siteRules.length;
+    await _rerouteTabs(_getLocatedTabIds(), () => {
+        siteRules = siteRules.filter(rule => rule.id !== ruleId);
+    });
+    if (siteRules.length === before) {
+        logger.warn(`${LOG_PREFIX_RULES} Remove requested for unknown rule ${ruleId}.`);
+        return;
+    }
+    logger.info(`${LOG_PREFIX_RULES} Removed rule ${ruleId}.`);
+    await saveSiteRules();
+    await _reapplySiteRules();
+    await refreshDucking();
+}
+
+/**
+ * Re-evaluates rule-managed tabs after the rules changed.
+ * Only tabs already governed by a rule are updated; other tabs pick rules up on their next load.
+ */
+async function _reapplySiteRules() {
+    for (const tabIdKey of Object.keys(tabRuleIds)) {
+        const tabId = parseInt(tabIdKey, 10);
+        let tab;
+        try {
+            tab = await chrome.tabs.get(tabId);
+        } catch (error) {
+            continue; // Tab is gone, onRemoved cleans up
+        }
+        const target = _getSiteRuleTarget(tabId, tab.url);
+        if (!target || target.volume === tabVolumes[tabId]) continue;
+
+        try {
+            await handleVolumeChange(tabId, target.volume, tabVolumes[tabId]);
+            _setTabRule(tabId, target.ruleId);
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_RULES} Could not re-apply rules to tab ${tabId}: ${error.message}`);
+        }
+    }
+}
+
+/** IDs of the tabs whose URL is known, the ones a site rule's output device can apply to. */
+function _getLocatedTabIds() {
+    return Object.keys(tabLocations).map(id => parseInt(id, 10));
+}
+
+/** Records (or clears, when ruleId is null) which rule governs a tab's volume. */
+function _setTabRule(tabId, ruleId) {
+    if (ruleId) {
+        tabRuleIds[tabId] = ruleId;
+    } else {
+        delete tabRuleIds[tabId];
+    }
+    saveVolumes(); // Debounced
+}
+
+// --- Equalizer ---
+
+/** True if the EQ settings are missing or leave every band at 0 dB. */
+function _isFlatEq(eqSettings) {
+    return !eqSettings || !Array.isArray(eqSettings.gains) || eqSettings.gains.every(gain => gain === 0);
+}
+
+/** Returns the tab's EQ settings, falling back to the Flat preset. */
+function getTabEqSettings(tabId) {
+    return tabEqSettings[tabId] ?? { preset: EQ_PRESET_FLAT, gains: [...EQ_PRESETS[EQ_PRESET_FLAT]] };
+}
+
+/** Builds the band descriptors sent to offscreen. Flat tabs get no filters at all. */
+function _getTabEqBands(tabId) {
+    const eqSettings = tabEqSettings[tabId];
+    if (_isFlatEq(eqSettings)) return [];
+    return EQ_BANDS.map((band, i) => ({ ...band, gain: eqSettings.gains[i] ?? 0 }));
+}
+
+/**
+ * Resolves a SET_EQ request ({ preset } or { gains }) into stored settings.
+ * Custom gains that happen to match a built-in preset are labelled with that preset.
+ */
+function _normalizeEqSettings({ preset, gains }) {
+    if (typeof preset === 'string' && preset !== EQ_PRESET_CUSTOM) {
+        if (!EQ_PRESETS[preset]) {
+            throw new BoosterError(ERROR_CODES.INVALID_EQ, `Unknown EQ preset: ${preset}`, { preset: preset });
+        }
+        return { preset: preset, gains: [...EQ_PRESETS[preset]] };
+    }
+    if (!Array.isArray(gains) || gains.length !== EQ_BANDS.length || !gains.every(Number.isFinite)) {
+        throw new BoosterError(ERROR_CODES.INVALID_EQ, "Invalid EQ gains.");
+    }
+    const clampedGains = gains.map(gain => Math.max(-EQ_GAIN_LIMIT_DB, Math.min(EQ_GAIN_LIMIT_DB, Math.round(gain))));
+    const matchingPreset = Object.keys(EQ_PRESETS)
+        .find(name => EQ_PRESETS[name].every((gain, i) => gain === clampedGains[i]));
+    return { preset: matchingPreset ?? EQ_PRESET_CUSTOM, gains: clampedGains };
+}
+
+/**
+ * Applies new EQ settings to a tab. Starts capture if the EQ alone now requires
+ * it, stops it if nothing requires it anymore, or updates the bands live.
+ */
+async function handleEqChange(tabId, eqSettings) {
+    const tab = await _getTabIfExists(tabId);
+    if (!tab) {
+        throw new BoosterError(ERROR_CODES.TAB_NOT_FOUND, `Tab ${tabId} no longer exists.`, { tabId: tabId });
+    }
+    if (activeTabOperations.has(tabId)) {
+        throw new BoosterError(ERROR_CODES.BUSY, "Operation busy, please wait.", { tabId: tabId });
+    }
+    activeTabOperations.add(tabId);
+
+    const volume = tabVolumes[tabId] ?? DEFAULT_VOLUME;
+    const wasCapturing = tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, volume);
+    const previousEqSettings = tabEqSettings[tabId];
+    if (_isFlatEq(eqSettings)) {
+        delete tabEqSettings[tabId];
+    } else {
+        tabEqSettings[tabId] = eqSettings;
+    }
+    const shouldBeCapturing = _tabNeedsCapture(tabId, volume);
+    logger.info(`${LOG_PREFIX_CORE} Tab ${tabId}: EQ -> ${eqSettings.preset}. WasCapturing=${wasCapturing}, ShouldBeCapturing=${shouldBeCapturing}`);
+
+    try {
+        if (shouldBeCapturing && wasCapturing) {
+            await _updateEqProcess(tabId, volume);
+        } else if (shouldBeCapturing) {
+            await _startCaptureProcess(tabId, volume);
+        } else if (wasCapturing) {
+            await _stopCaptureProcess(tabId);
+        }
+        tabVolumes[tabId] = volume; // Ensure an entry exists so the capture state is tracked
+        _setCaptureError(tabId, null);
+        _rememberTabLocation(tab);
+        await saveVolumes(); // Debounced save
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_CORE} FAILURE during handleEqChange for tab ${tabId}:`, error);
+        // Restore previous settings so state keeps matching the offscreen graph
+        if (previousEqSettings) {
+            tabEqSettings[tabId] = previousEqSettings;
+        } else {
+            delete tabEqSettings[tabId];
+        }
+        if (shouldBeCapturing && !wasCapturing) {
+            await _sendStopMessageToOffscreen(tabId);
+            _setCaptureError(tabId, volume);
+            await saveVolumes(); // Debounced save
+        }
+        throw error;
+    } finally {
+        activeTabOperations.delete(tabId);
+        await updateTabBadge(tabId);
+        await closeOffscreenDocumentIfNeeded();
+    }
+}
+
+// --- Limiter ---
+
+/** Returns the limiter settings in effect for a tab: its own override, or the global default. */
+function getEffectiveLimiterSettings(tabId) {
+    return tabLimiterSettings[tabId] ?? globalLimiterSettings;
+}
+
+/** Strips the preset label; offscreen only needs the parameters. */
+function _getLimiterPayload(settings) {
+    const { bypass, threshold, knee, ratio, attack, release } = settings;
+    return { bypass, threshold, knee, ratio, attack, release };
+}
+
+/**
+ * Resolves a SET_LIMITER request ({ preset } or { params }) into stored settings.
+ * Custom parameters are clamped to the compressor's valid ranges.
+ */
+function _normalizeLimiterSettings({ preset, params }) {
+    if (typeof preset === 'string' && preset !== LIMITER_PRESET_CUSTOM) {
+        if (!LIMITER_PRESETS[preset]) {
+            throw new BoosterError(ERROR_CODES.INVALID_LIMITER, `Unknown limiter preset: ${preset}`, { preset: preset });
+        }
+        return { preset: preset, ...LIMITER_PRESETS[preset] };
+    }
+    if (!params || typeof params !== 'object') {
+        throw new BoosterError(ERROR_CODES.INVALID_LIMITER, "Invalid limiter settings.");
+    }
+    const settings = { preset: LIMITER_PRESET_CUSTOM, bypass: params.bypass === true };
+    for (const [key, range] of Object.entries(LIMITER_PARAM_RANGES)) {
+        const value = Number(params[key]);
+        if (!Number.isFinite(value)) {
+            throw new BoosterError(ERROR_CODES.INVALID_LIMITER, "Invalid limiter settings.", { param: key });
+        }
+        settings[key] = Math.max(range.min, Math.min(range.max, value));
+    }
+    return settings;
+}
+
+/** Sends limiter settings to a running graph. Failures are logged; the next capture start picks them up. */
+async function _sendLimiterUpdateToOffscreen(tabId) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_UPDATE_LIMITER, {
+            targetTabId: tabId,
+            limiter: _getLimiterPayload(getEffectiveLimiterSettings(tabId))
+        }));
+        if (!response || !response.success) {
+            logger.warn(`${LOG_PREFIX_CORE} Offscreen failed to update limiter for tab ${tabId}: ${response?.error?.message ?? 'Unknown offscreen error'}`);
         }
-    };
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_CORE} Error sending limiter update for tab ${tabId}:`, error.message);
+    }
+}
 
-    if (immediate) {
-        await saveAction();
+/**
+ * Changes limiter settings and applies them live to running graphs.
+ * scope 'tab' sets (or with settings = null, clears) a tab override;
+ * scope 'global' changes the default used by every tab without an override.
+ */
+async function handleLimiterChange(scope, tabId, settings) {
+    let affectedTabIds;
+    if (scope === 'tab') {
+        if (settings) {
+            tabLimiterSettings[tabId] = settings;
+        } else {
+            delete tabLimiterSettings[tabId];
+        }
+        affectedTabIds = [tabId];
     } else {
-        saveTimeout = setTimeout(saveAction, SAVE_DEBOUNCE_MS);
+        globalLimiterSettings = settings;
+        affectedTabIds = Object.keys(tabVolumes)
+            .map(id => parseInt(id, 10))
+            .filter(id => !tabLimiterSettings[id]);
     }
+    await saveVolumes(); // Debounced, limiter settings are saved alongside the volumes
+
+    if (!await hasOffscreenDocument()) return; // Applied on next capture start
+    const capturingTabIds = affectedTabIds.filter(id => _tabNeedsCapture(id, tabVolumes[id] ?? DEFAULT_VOLUME) && !activeTabOperations.has(id));
+    logger.info(`${LOG_PREFIX_CORE} Applying ${scope} limiter change to ${capturingTabIds.length} running graph(s).`);
+    await Promise.all(capturingTabIds.map(id => _sendLimiterUpdateToOffscreen(id)));
 }
 
 // --- Core Audio Handling Logic ---
 
 /** Checks if a tab exists. */
-async function _checkTabExists(tabId) {
+async function _getTabIfExists(tabId) {
     try {
-        await chrome.tabs.get(tabId);
-        return true;
+        return await chrome.tabs.get(tabId);
     } catch (error) {
         // Error typically means the tab doesn't exist
+        return null;
+    }
+}
+
+/**
+ * Checks whether a tab closed while an operation for it was running. onRemoved has already
+ * cleaned up its state then, so the caller must not store any; a capture it started is stopped.
+ */
+async function _tabClosedDuringOperation(tabId) {
+    if (await _getTabIfExists(tabId)) {
         return false;
     }
+    logger.warn(`${LOG_PREFIX_CORE} Tab ${tabId} was closed during the operation. Discarding its result.`);
+    await _sendStopMessageToOffscreen(tabId);
+    return true;
+}
+
+/**
+ * True if a tab at the given volume needs a live audio graph (boosted/cut, scaled by its group,
+ * window or the master volume, ducked, a non-flat EQ, recorded, fading out for its sleep timer,
+ * or playing to another output device than the default).
+ */
+function _tabNeedsCapture(tabId, volume) {
+    return volume !== DEFAULT_VOLUME || _getScopeMultiplier(tabId) !== 1 || _isMasterScaled(tabId) ||
+        _getDuckFactor(tabId) !== 1 || !_isFlatEq(tabEqSettings[tabId]) || !!tabRecordings[tabId] ||
+        !!tabSleepTimers[tabId]?.fadeEndsAt || _getOutputDeviceId(tabId) !== '';
 }
 
 /**
  * Main orchestrator for volume changes. Determines action (start/stop/update)
  * and manages locking and error handling.
+ * Pass `forceRestart` to rebuild a running capture (e.g. after navigation), and `wasCapturing`
+ * when something other than the volume (a group or window volume) changed whether it needs one.
+ * If the tab has no audio to capture yet, the volume is kept as pending instead of
+ * failing; resolves to `{ pending }` telling the caller which happened.
  */
-async function handleVolumeChange(tabId, newVolume, oldVolume) {
-    console.log(`${LOG_PREFIX_CORE} Handling volume change for tab ${tabId}. New: ${newVolume}%, Old: ${oldVolume}%`);
+async function handleVolumeChange(tabId, newVolume, oldVolume, { forceRestart = false, wasCapturing } = {}) {
+    logger.info(`${LOG_PREFIX_CORE} Handling volume change for tab ${tabId}. New: ${newVolume}%, Old: ${oldVolume}%`);
 
     // 1. Check Tab Existence
-    if (!await _checkTabExists(tabId)) {
-        console.warn(`${LOG_PREFIX_CORE} Tab ${tabId} does not exist. Cleaning up state if necessary.`);
-        if (tabVolumes[tabId] && tabVolumes[tabId] !== DEFAULT_VOLUME) {
-            delete tabVolumes[tabId];
+    const tab = await _getTabIfExists(tabId);
+    if (!tab) {
+        logger.warn(`${LOG_PREFIX_CORE} Tab ${tabId} does not exist. Cleaning up state if necessary.`);
+        if (tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, tabVolumes[tabId])) {
+            _forgetTabState(tabId);
             await saveVolumes(); // Debounced save
             await closeOffscreenDocumentIfNeeded();
         }
         // Don't throw an error here, just abort the operation for this non-existent tab.
-        return;
+        return { pending: false };
     }
 
     // 2. Determine Required Action
-    const isCurrentlyCapturingBasedOnOldVol = oldVolume !== undefined && oldVolume !== DEFAULT_VOLUME;
-    const shouldBeCapturing = newVolume !== DEFAULT_VOLUME;
+    const isCurrentlyCapturingBasedOnOldVol = wasCapturing ?? (oldVolume !== undefined && _tabNeedsCapture(tabId, oldVolume));
+    // The tab has a volume of its own from here on, so a master volume other than 100% applies to it
+    const shouldBeCapturing = _tabNeedsCapture(tabId, newVolume) || masterVolume !== DEFAULT_VOLUME;
     // isForcedRestart: Used when nav requires restarting even if old/new volume are same non-default
-    const isForcedRestart = oldVolume === DEFAULT_VOLUME && shouldBeCapturing;
+    const isForcedRestart = forceRestart && shouldBeCapturing;
 
-    console.log(`${LOG_PREFIX_CORE} Tab ${tabId}: ShouldBeCapturing=${shouldBeCapturing}, OldVolCaptureState=${isCurrentlyCapturingBasedOnOldVol}, ForcedRestart=${isForcedRestart}`);
+    logger.info(`${LOG_PREFIX_CORE} Tab ${tabId}: ShouldBeCapturing=${shouldBeCapturing}, OldVolCaptureState=${isCurrentlyCapturingBasedOnOldVol}, ForcedRestart=${isForcedRestart}`);
 
     // 3. Acquire Lock
     if (activeTabOperations.has(tabId)) {
-        console.warn(`${LOG_PREFIX_CORE} Operation already in progress for tab ${tabId}. Aborting duplicate request.`);
-        throw new Error("Operation busy, please wait."); // User-friendly message
+        logger.warn(`${LOG_PREFIX_CORE} Operation already in progress for tab ${tabId}. Aborting duplicate request.`);
+        throw new BoosterError(ERROR_CODES.BUSY, "Operation busy, please wait.", { tabId: tabId });
     }
     activeTabOperations.add(tabId);
 
@@ -251,14 +2259,14 @@ async function handleVolumeChange(tabId, newVolume, oldVolume) {
     try {
         // --- Case 1: Stop Capture (Transition TO 100%) ---
         if (!shouldBeCapturing && isCurrentlyCapturingBasedOnOldVol) {
-            console.log(`${LOG_PREFIX_CORE} Tab ${tabId}: Stopping capture.`);
+            logger.info(`${LOG_PREFIX_CORE} Tab ${tabId}: Stopping capture.`);
             await _stopCaptureProcess(tabId);
         }
         // --- Case 2: Start/Restart Capture (Transition FROM 100% or Forced Restart) ---
         else if (shouldBeCapturing && (!isCurrentlyCapturingBasedOnOldVol || isForcedRestart)) {
-            console.log(`${LOG_PREFIX_CORE} Tab ${tabId}: Starting/Restarting capture.`);
-            if (isForcedRestart) {
-                console.log(`${LOG_PREFIX_CORE} Explicitly stopping existing capture before forced restart for tab ${tabId}...`);
+            logger.info(`${LOG_PREFIX_CORE} Tab ${tabId}: Starting/Restarting capture.`);
+            if (isForcedRestart && !tabRecordings[tabId]) { // A recording moves over to the new graph, so it can't be stopped first
+                logger.info(`${LOG_PREFIX_CORE} Explicitly stopping existing capture before forced restart for tab ${tabId}...`);
                 await _sendStopMessageToOffscreen(tabId); // Ensure offscreen cleans up first
                 await new Promise(resolve => setTimeout(resolve, 100)); // Short pause
             }
@@ -266,32 +2274,59 @@ async function handleVolumeChange(tabId, newVolume, oldVolume) {
         }
         // --- Case 3: Update Capture (Changing between non-100% levels) ---
         else if (shouldBeCapturing && isCurrentlyCapturingBasedOnOldVol && !isForcedRestart) {
-            console.log(`${LOG_PREFIX_CORE} Tab ${tabId}: Updating capture volume.`);
+            logger.info(`${LOG_PREFIX_CORE} Tab ${tabId}: Updating capture volume.`);
             await _updateCaptureProcess(tabId, newVolume);
         }
         // --- Case 4: No Change Needed (e.g., staying at 100%) ---
         else {
-             // console.log(`${LOG_PREFIX_CORE} Tab ${tabId}: No capture action needed (e.g., remains 100%).`); // Verbose
+             logger.debug(`${LOG_PREFIX_CORE} Tab ${tabId}: No capture action needed (e.g., remains 100%).`);
+        }
+
+        if (await _tabClosedDuringOperation(tabId)) {
+            return { pending: false };
         }
 
         // 5. Update State & Save (on success)
+        _stampVolumeChange(tabId, newVolume);
         tabVolumes[tabId] = newVolume;
+        _setCaptureError(tabId, null);
+        _clearPendingVolume(tabId); // Applied, or superseded by this change
+        _rememberTabLocation(tab);
         await saveVolumes(); // Debounced save
+        return { pending: false };
 
     } catch (error) {
-        console.error(`${LOG_PREFIX_CORE} FAILURE during handleVolumeChange for tab ${tabId}:`, error);
+        logger.error(`${LOG_PREFIX_CORE} FAILURE during handleVolumeChange for tab ${tabId}:`, error);
+        if (await _tabClosedDuringOperation(tabId)) {
+            throw new BoosterError(ERROR_CODES.TAB_NOT_FOUND, undefined, { tabId: tabId });
+        }
         // Attempt to clean up offscreen state if a start/update failed
-        // Avoid calling stop if the error was related to stopping itself
-        if (shouldBeCapturing && !error.message.toLowerCase().includes("stop")) {
-            console.warn(`${LOG_PREFIX_CORE} Attempting offscreen cleanup after failure for tab ${tabId}.`);
-            await _sendStopMessageToOffscreen(tabId);
+        if (shouldBeCapturing) {
+            // A stop can't reach an offscreen document that is gone either
+            if (error.code !== ERROR_CODES.OFFSCREEN_UNAVAILABLE) {
+                logger.warn(`${LOG_PREFIX_CORE} Attempting offscreen cleanup after failure for tab ${tabId}.`);
+                await _sendStopMessageToOffscreen(tabId);
+            }
+            if (_isStreamUnavailableError(error)) {
+                // Nothing is captured now; wait for the tab to become audible instead of failing
+                _stampVolumeChange(tabId, newVolume);
+                delete tabVolumes[tabId];
+                _setCaptureError(tabId, null);
+                _setPendingVolume(tabId, newVolume);
+                _rememberTabLocation(tab);
+                await saveVolumes(); // Debounced save
+                return { pending: true };
+            }
+            _setCaptureError(tabId, newVolume);
+            await saveVolumes(); // Debounced save
         }
         // Rethrow the original error to be handled by the message listener
         throw error;
     } finally {
         // 6. Release Lock (ALWAYS)
         activeTabOperations.delete(tabId);
-        // console.log(`${LOG_PREFIX_CORE} Released lock for tab ${tabId}`); // Verbose
+        await updateTabBadge(tabId);
+        logger.debug(`${LOG_PREFIX_CORE} Released lock for tab ${tabId}`);
         // 7. Check if Offscreen can be closed
         await closeOffscreenDocumentIfNeeded();
     }
@@ -299,10 +2334,12 @@ async function handleVolumeChange(tabId, newVolume, oldVolume) {
 
 
 async function _getMediaStreamIdWithTimeout(tabId) {
-    console.log(`${LOG_PREFIX_CORE} Getting MediaStreamId for tab ${tabId}...`);
+    logger.info(`${LOG_PREFIX_CORE} Getting MediaStreamId for tab ${tabId}...`);
     return new Promise((resolve, reject) => {
         const timer = setTimeout(() => {
-            reject(new Error(`tabCapture.getMediaStreamId timed out after ${GET_STREAM_ID_TIMEOUT_MS}ms. Is tab audible?`));
+            reject(new BoosterError(ERROR_CODES.CAPTURE_NOT_AUDIBLE,
+                `tabCapture.getMediaStreamId timed out after ${GET_STREAM_ID_TIMEOUT_MS}ms. Is tab audible?`,
+                { tabId: tabId, reason: 'timeout' }));
         }, GET_STREAM_ID_TIMEOUT_MS);
 
         chrome.tabCapture.getMediaStreamId({ targetTabId: tabId }, (id) => {
@@ -310,10 +2347,10 @@ async function _getMediaStreamIdWithTimeout(tabId) {
             const lastError = chrome.runtime.lastError;
             if (lastError || !id) {
                 const errorMsg = `tabCapture.getMediaStreamId failed: ${lastError?.message || "No stream ID returned."} (Tab might not be audible, muted, or capture requires user gesture)`;
-                console.error(`${LOG_PREFIX_CORE} getMediaStreamId FAILED for tab ${tabId}:`, errorMsg);
-                reject(new Error(errorMsg)); // Use the constructed message
+                logger.error(`${LOG_PREFIX_CORE} getMediaStreamId FAILED for tab ${tabId}:`, errorMsg);
+                reject(new BoosterError(ERROR_CODES.CAPTURE_NOT_AUDIBLE, errorMsg, { tabId: tabId, reason: lastError?.message ?? 'no-stream-id' }));
             } else {
-                console.log(`${LOG_PREFIX_CORE} Got stream ID ${id} for tab ${tabId}`);
+                logger.info(`${LOG_PREFIX_CORE} Got stream ID ${id} for tab ${tabId}`);
                 resolve(id);
             }
         });
@@ -329,32 +2366,37 @@ async function _startCaptureProcess(tabId, volume) {
         streamId = await _getMediaStreamIdWithTimeout(tabId);
     } catch (error) {
         // Add context for better error message
-        throw new Error(`Cannot capture tab audio: ${error.message}`);
+        const captureError = toBoosterError(error, ERROR_CODES.CAPTURE_NOT_AUDIBLE);
+        throw new BoosterError(captureError.code, `Cannot capture tab audio: ${captureError.message}`, captureError.details);
     }
 
-    console.log(`${LOG_PREFIX_CORE} Sending '${MSG_TYPE_START_CAPTURE}' to offscreen for tab ${tabId}`);
+    logger.info(`${LOG_PREFIX_CORE} Sending '${MSG_TYPE_START_CAPTURE}' to offscreen for tab ${tabId}`);
+    const duckFactor = _getDuckFactor(tabId); // A tab starting while a priority tab plays starts ducked
     try {
-        const response = await chrome.runtime.sendMessage({
-            type: MSG_TYPE_START_CAPTURE,
-            target: TARGET_OFFSCREEN,
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_START_CAPTURE, {
             targetTabId: tabId,
             streamId: streamId,
-            volume: volume
-        });
+            volume: _getScaledVolume(tabId, volume),
+            eqBands: _getTabEqBands(tabId),
+            limiter: _getLimiterPayload(getEffectiveLimiterSettings(tabId)),
+            duckFactor: duckFactor,
+            outputDeviceId: _getOutputDeviceId(tabId)
+        }));
         if (!response || !response.success) {
-            const offscreenError = response?.error ? `: ${response.error}` : ". Unknown offscreen error";
-            throw new Error(`Internal audio processor error (start)${offscreenError}`);
+            // Keeps the offscreen document's code (e.g. CAPTURE_FAILED, AUDIO_CONTEXT_FAILED)
+            throw toBoosterError(response?.error ?? 'Unknown offscreen error (start).', ERROR_CODES.OFFSCREEN_ERROR);
         }
-        console.log(`${LOG_PREFIX_CORE} Offscreen confirmed capture start for tab ${tabId}`);
+        tabDuckFactors[tabId] = duckFactor;
+        logger.info(`${LOG_PREFIX_CORE} Offscreen confirmed capture start for tab ${tabId}`);
     } catch (error) {
         // Handle specific connection errors
-        if (error.message.includes("Could not establish connection") || error.message.includes("Receiving end does not exist")) {
-            console.error(`${LOG_PREFIX_CORE} Failed to connect to offscreen document for tab ${tabId}. It might be closing or crashed.`, error);
-            throw new Error(`Internal audio processor unavailable for tab ${tabId}.`);
+        if (isConnectionError(error)) {
+            logger.error(`${LOG_PREFIX_CORE} Failed to connect to offscreen document for tab ${tabId}. It might be closing or crashed.`, error);
+            throw new BoosterError(ERROR_CODES.OFFSCREEN_UNAVAILABLE, `Internal audio processor unavailable for tab ${tabId}.`, { tabId: tabId });
         }
-        console.error(`${LOG_PREFIX_CORE} Error sending '${MSG_TYPE_START_CAPTURE}' or processing response for tab ${tabId}:`, error);
-        // Rethrow potentially already specific errors, or a generic one
-        throw new Error(error.message.startsWith('Internal audio processor error') ? error.message : `Internal audio processor error (send): ${error.message}`);
+        logger.error(`${LOG_PREFIX_CORE} Error sending '${MSG_TYPE_START_CAPTURE}' or processing response for tab ${tabId}:`, error);
+        // Rethrow already coded errors, or a generic one
+        throw toBoosterError(error, ERROR_CODES.OFFSCREEN_ERROR);
     }
 }
 
@@ -365,61 +2407,80 @@ async function _stopCaptureProcess(tabId) {
 
 /** Helper: Sends update message to offscreen. Handles cases where offscreen might need restart. */
 async function _updateCaptureProcess(tabId, volume) {
-    console.log(`${LOG_PREFIX_CORE} Sending '${MSG_TYPE_UPDATE_VOLUME}' to offscreen for tab ${tabId}`);
+    logger.info(`${LOG_PREFIX_CORE} Sending '${MSG_TYPE_UPDATE_VOLUME}' to offscreen for tab ${tabId}`);
 
     // Quick check if offscreen exists, if not, try full restart
     if (!await hasOffscreenDocument()) {
-        console.warn(`${LOG_PREFIX_CORE} Offscreen doc not found during update attempt for tab ${tabId}. Triggering full restart.`);
+        logger.warn(`${LOG_PREFIX_CORE} Offscreen doc not found during update attempt for tab ${tabId}. Triggering full restart.`);
         await _startCaptureProcess(tabId, volume); // This will re-run the full setup
         return;
     }
 
     try {
-        const response = await chrome.runtime.sendMessage({
-            type: MSG_TYPE_UPDATE_VOLUME,
-            target: TARGET_OFFSCREEN,
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_UPDATE_VOLUME, {
             targetTabId: tabId,
-            volume: volume
-        });
+            volume: _getScaledVolume(tabId, volume)
+        }));
         if (!response || !response.success) {
-             const offscreenError = response?.error ? `: ${response.error}` : ". Unknown offscreen error";
+             const offscreenError = response?.error ? `: ${response.error.message}` : ". Unknown offscreen error";
              // If update fails, often best to try restarting the capture entirely
-             console.warn(`${LOG_PREFIX_CORE} Offscreen failed to update volume for tab ${tabId}${offscreenError}. Triggering restart.`);
+             logger.warn(`${LOG_PREFIX_CORE} Offscreen failed to update volume for tab ${tabId}${offscreenError}. Triggering restart.`);
              await _startCaptureProcess(tabId, volume);
              // Do not throw here, as we attempted recovery. Let caller know it completed (via restart).
         } else {
-            console.log(`${LOG_PREFIX_CORE} Offscreen confirmed volume update for tab ${tabId}`);
+            logger.info(`${LOG_PREFIX_CORE} Offscreen confirmed volume update for tab ${tabId}`);
         }
     } catch (error) {
-        if (error.message.includes("Could not establish connection") || error.message.includes("Receiving end does not exist")) {
-            console.warn(`${LOG_PREFIX_CORE} Update failed for tab ${tabId} (connection issue). Triggering full restart.`);
+        if (isConnectionError(error)) {
+            logger.warn(`${LOG_PREFIX_CORE} Update failed for tab ${tabId} (connection issue). Triggering full restart.`);
             await _startCaptureProcess(tabId, volume); // Attempt recovery
         } else {
-            console.error(`${LOG_PREFIX_CORE} Error sending '${MSG_TYPE_UPDATE_VOLUME}' or processing response for tab ${tabId}:`, error);
+            logger.error(`${LOG_PREFIX_CORE} Error sending '${MSG_TYPE_UPDATE_VOLUME}' or processing response for tab ${tabId}:`, error);
             // Propagate other errors after attempting restart as a fallback? Or just fail? Let's try restart.
-            console.warn(`${LOG_PREFIX_CORE} Update failed for tab ${tabId} due to other error. Triggering full restart as fallback.`);
+            logger.warn(`${LOG_PREFIX_CORE} Update failed for tab ${tabId} due to other error. Triggering full restart as fallback.`);
             await _startCaptureProcess(tabId, volume);
             // If restart fails, the error from it will propagate. If it succeeds, operation completed.
         }
     }
 }
 
+/** Helper: Sends new EQ bands to offscreen. Falls back to a full restart, like volume updates. */
+async function _updateEqProcess(tabId, volume) {
+    if (!await hasOffscreenDocument()) {
+        logger.warn(`${LOG_PREFIX_CORE} Offscreen doc not found during EQ update for tab ${tabId}. Triggering full restart.`);
+        await _startCaptureProcess(tabId, volume);
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_UPDATE_EQ, {
+            targetTabId: tabId,
+            eqBands: _getTabEqBands(tabId)
+        }));
+        if (!response || !response.success) {
+            logger.warn(`${LOG_PREFIX_CORE} Offscreen failed to update EQ for tab ${tabId}: ${response?.error?.message ?? 'Unknown offscreen error'}. Triggering restart.`);
+            await _startCaptureProcess(tabId, volume);
+        }
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_CORE} EQ update failed for tab ${tabId} (${error.message}). Triggering full restart.`);
+        await _startCaptureProcess(tabId, volume);
+    }
+}
+
 /** Internal helper: Safely sends stop message to offscreen. */
 async function _sendStopMessageToOffscreen(tabId) {
+    delete tabDuckFactors[tabId]; // A new graph gets its factor with its capture start
     if (await hasOffscreenDocument()) {
-        // console.log(`${LOG_PREFIX_CORE} Sending '${MSG_TYPE_STOP_CAPTURE}' to offscreen for tab ${tabId}`); // Verbose
+        logger.debug(`${LOG_PREFIX_CORE} Sending '${MSG_TYPE_STOP_CAPTURE}' to offscreen for tab ${tabId}`);
         try {
-            await chrome.runtime.sendMessage({
-                type: MSG_TYPE_STOP_CAPTURE,
-                target: TARGET_OFFSCREEN,
+            await chrome.runtime.sendMessage(createMessage(MSG_TYPE_STOP_CAPTURE, {
                 targetTabId: tabId
-            });
-            // console.log(`${LOG_PREFIX_CORE} Sent stopCapture for tab ${tabId}`); // Verbose
+            }));
+            logger.debug(`${LOG_PREFIX_CORE} Sent stopCapture for tab ${tabId}`);
         } catch (err) {
             // Ignore connection errors as the doc might be closing/gone.
-            const msg = err.message.toLowerCase();
-            if (!msg.includes("could not establish connection") && !msg.includes("receiving end does not exist")) {
-                console.warn(`${LOG_PREFIX_CORE} Error sending stopCapture to offscreen (tab ${tabId}):`, err);
+            if (!isConnectionError(err)) {
+                logger.warn(`${LOG_PREFIX_CORE} Error sending stopCapture to offscreen (tab ${tabId}):`, err);
             }
         }
     }
@@ -430,75 +2491,101 @@ async function _sendStopMessageToOffscreen(tabId) {
 // Listen for messages from Popup or other extension contexts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Basic validation: Ignore messages not from the extension or targeted elsewhere
-    if (sender.id !== chrome.runtime.id || message.target === TARGET_OFFSCREEN) {
+    if (sender.id !== chrome.runtime.id || message?.target === TARGET_OFFSCREEN) {
         return false; // Not handled here (or already handled if targeted to offscreen)
     }
 
-    // Handle messages from popup (identified by lack of sender.tab)
-    if (!sender.tab) {
-        console.log(`${LOG_PREFIX_MSG} Received message type ${message.type} from popup.`);
+    // Events pushed by the offscreen document (no response expected)
+    if (message?.target === TARGET_BACKGROUND) {
+        try {
+            validateMessage(message);
+            if (message.type === MSG_TYPE_LOG_ENTRIES) {
+                appendLogEntries(message.entries);
+            } else {
+                handleOffscreenEvent(message);
+            }
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_EVENTS} Dropping invalid offscreen event:`, error.message, message);
+        }
+        return false;
+    }
+
+    // Handle messages from popup (identified by lack of sender.tab) and other extension pages (options page)
+    if (!sender.tab || sender.url?.startsWith(chrome.runtime.getURL(''))) {
+        try {
+            validateMessage(message);
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_MSG} Rejecting invalid message from popup:`, error.message, message);
+            sendResponse(createErrorResponse(error));
+            return false;
+        }
+        logger.info(`${LOG_PREFIX_MSG} Received message type ${message.type} from popup.`);
+        const respond = createResponder(message.type, sendResponse);
         switch (message.type) {
             case MSG_TYPE_GET_VOLUME: {
                 const { tabId } = message;
-                if (typeof tabId !== 'number') {
-                     sendResponse({ error: "Invalid tabId" }); return false;
-                }
-                const volume = tabVolumes[tabId] ?? DEFAULT_VOLUME; // Use nullish coalescing
-                sendResponse({ volume: volume });
+                respond({ ..._getTabState(tabId), outputDeviceId: _getOutputDeviceId(tabId) });
                 return false; // Synchronous response
             }
 
             case MSG_TYPE_SET_VOLUME: {
                 const { tabId, volume } = message;
-                if (typeof tabId !== 'number' || typeof volume !== 'number' || isNaN(volume)) {
-                    console.error(`${LOG_PREFIX_MSG} Invalid SET_VOLUME request:`, message);
-                    sendResponse({ status: "error", error: "Invalid request parameters." });
+                if (!_isIntegerInRange(volume, { min: 0, max: settings.maxVolume })) {
+                    const error = new BoosterError(ERROR_CODES.INVALID_REQUEST, `Volume must be 0-${settings.maxVolume}%.`, { volume: volume });
+                    logger.warn(`${LOG_PREFIX_MSG} SET_VOLUME rejected for tab ${tabId}:`, error.message);
+                    respond({ status: "error", error: toErrorPayload(error) });
                     return false;
                 }
-
                 const oldVolume = tabVolumes[tabId];
 
                  // Avoid processing if volume hasn't changed *and* no operation is pending (which might fix a broken state)
                  if (oldVolume === volume && !activeTabOperations.has(tabId)) {
-                     console.log(`${LOG_PREFIX_MSG} Volume for tab ${tabId} already ${volume}%. No change needed.`);
-                     sendResponse({ status: "success", message: "No change needed" });
+                     logger.info(`${LOG_PREFIX_MSG} Volume for tab ${tabId} already ${volume}%. No change needed.`);
+                     respond({ status: "success", message: "No change needed" });
                      return false;
                  }
 
                 // --- Initiate Volume Change ---
                 // Note: We update tabVolumes *after* handleVolumeChange succeeds now.
                 handleVolumeChange(tabId, volume, oldVolume)
-                    .then(() => {
-                        console.log(`${LOG_PREFIX_MSG} SET_VOLUME successful for tab ${tabId} to ${volume}%.`);
-                        sendResponse({ status: "success" });
+                    .then(({ pending }) => {
+                        logger.info(`${LOG_PREFIX_MSG} SET_VOLUME ${pending ? 'pending' : 'successful'} for tab ${tabId} to ${volume}%.`);
+                        // A manual change takes the tab out of site rule control and ends any mute
+                        if (tabRuleIds[tabId]) _setTabRule(tabId, null);
+                        _clearMuteRestore(tabId);
+                        // ...and a fading sleep timer (someone is still listening)
+                        if (tabSleepTimers[tabId]?.fadeEndsAt) {
+                            setSleepTimer(tabId, 0).catch(error => logger.warn(`${LOG_PREFIX_SLEEP} Could not cancel the sleep timer of tab ${tabId}:`, error.message));
+                        }
+                        respond({ status: "success", pending: pending });
                     })
                     .catch(error => {
-                        console.error(`${LOG_PREFIX_MSG} SET_VOLUME failed for tab ${tabId}:`, error);
+                        logger.error(`${LOG_PREFIX_MSG} SET_VOLUME failed for tab ${tabId}:`, error);
                         // Error message is likely already specific from handleVolumeChange/helpers
-                        sendResponse({ status: "error", error: error.message || "Unknown error setting volume." });
+                        respond({ status: "error", error: toErrorPayload(error) });
                         // No need to revert tabVolumes here, as it wasn't changed yet.
                     });
                 return true; // Indicate asynchronous response
             }
 
             case MSG_TYPE_GET_ACTIVE_TABS: {
-                console.log(`${LOG_PREFIX_MSG} Received GET_ACTIVE_TABS request.`);
-                const boostedTabIds = Object.entries(tabVolumes)
-                    .filter(([, vol]) => vol !== DEFAULT_VOLUME && typeof vol === 'number')
+                logger.info(`${LOG_PREFIX_MSG} Received GET_ACTIVE_TABS request.`);
+                const boostedTabIds = Object.entries(_getTabStates())
+                    .filter(([, state]) => state.listed) // Timers and recordings are listed even at 100%
                     .map(([id]) => parseInt(id, 10));
 
                 if (boostedTabIds.length === 0) {
-                    sendResponse({ activeTabs: [] });
+                    respond({ activeTabs: [] });
                     return false; // Sync response
                 }
 
                 // Fetch details concurrently
                 const getTabDetailsPromises = boostedTabIds.map(tabId =>
                     chrome.tabs.get(tabId).catch(async error => {
-                        console.warn(`${LOG_PREFIX_TABS} Error getting details for boosted tab ${tabId} (likely closed):`, error.message);
+                        logger.warn(`${LOG_PREFIX_TABS} Error getting details for boosted tab ${tabId} (likely closed):`, error.message);
                         // Clean up state if tab doesn't exist
                         if (tabVolumes[tabId]) {
-                            delete tabVolumes[tabId];
+                            _forgetTabState(tabId);
                             await saveVolumes(); // Debounced
                             await closeOffscreenDocumentIfNeeded();
                         }
@@ -508,27 +2595,314 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
                 Promise.all(getTabDetailsPromises).then(tabResults => {
                     const activeTabsData = tabResults
-                        .filter(tab => tab !== null && tabVolumes[tab.id] !== undefined) // Filter out failures AND tabs cleaned up concurrently
+                        .filter(tab => tab !== null && (_getRequestedVolume(tab.id) !== undefined || tabSleepTimers[tab.id] || tabRecordings[tab.id])) // Filter out failures AND tabs cleaned up concurrently
                         .map(tab => ({
                             tabId: tab.id,
                             title: tab.title || `Tab ID: ${tab.id}`,
-                            volume: tabVolumes[tab.id], // Get current volume from state
+                            ..._getTabState(tab.id),
+                            ..._getTabListState(tab.id),
+                            windowId: tab.windowId, // So the popup can focus the tab's window
                             favIconUrl: tab.favIconUrl || null // Use null if missing
                         }));
-                    console.log(`${LOG_PREFIX_MSG} Sending active tabs list (${activeTabsData.length} items).`);
-                    sendResponse({ activeTabs: activeTabsData });
+                    logger.info(`${LOG_PREFIX_MSG} Sending active tabs list (${activeTabsData.length} items).`);
+                    respond({ activeTabs: activeTabsData });
                 }).catch(err => {
                     // Should not happen with individual catches, but safety first
-                     console.error(`${LOG_PREFIX_MSG} Unexpected error in Promise.all for GET_ACTIVE_TABS:`, err);
-                     sendResponse({ activeTabs: [], error: "Failed to retrieve tab details." });
+                     logger.error(`${LOG_PREFIX_MSG} Unexpected error in Promise.all for GET_ACTIVE_TABS:`, err);
+                     respond({ activeTabs: [], error: toErrorPayload(err) });
+                });
+
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_EQ: {
+                const { tabId } = message;
+                respond({
+                    eq: getTabEqSettings(tabId),
+                    bands: EQ_BANDS,
+                    presets: Object.keys(EQ_PRESETS).map(name => ({ name: name, gains: EQ_PRESETS[name] })),
+                    gainLimit: EQ_GAIN_LIMIT_DB
+                });
+                return false; // Synchronous response
+            }
+
+            case MSG_TYPE_SET_EQ: {
+                const { tabId, preset, gains } = message;
+                let eqSettings;
+                try {
+                    eqSettings = _normalizeEqSettings({ preset, gains });
+                } catch (error) {
+                    logger.error(`${LOG_PREFIX_MSG} Invalid SET_EQ request:`, message);
+                    respond({ status: "error", error: toErrorPayload(error) });
+                    return false;
+                }
+
+                handleEqChange(tabId, eqSettings)
+                    .then(() => {
+                        logger.info(`${LOG_PREFIX_MSG} SET_EQ successful for tab ${tabId} (${eqSettings.preset}).`);
+                        respond({ status: "success", eq: getTabEqSettings(tabId) });
+                    })
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SET_EQ failed for tab ${tabId}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_LIMITER: {
+                const { tabId } = message;
+                respond({
+                    global: globalLimiterSettings,
+                    tab: tabLimiterSettings[tabId] ?? null, // null: the tab follows the global settings
+                    presets: Object.keys(LIMITER_PRESETS),
+                    ranges: LIMITER_PARAM_RANGES
+                });
+                return false; // Synchronous response
+            }
+
+            case MSG_TYPE_SET_LIMITER: {
+                const { tabId, scope, preset, params, clear } = message;
+                let settings = null;
+                try {
+                    if (scope === 'tab' && typeof tabId !== 'number') throw new BoosterError(ERROR_CODES.INVALID_REQUEST, "Invalid request parameters.");
+                    if (!(scope === 'tab' && clear === true)) {
+                        settings = _normalizeLimiterSettings({ preset, params });
+                    }
+                } catch (error) {
+                    logger.error(`${LOG_PREFIX_MSG} Invalid SET_LIMITER request:`, message);
+                    respond({ status: "error", error: toErrorPayload(error) });
+                    return false;
+                }
+
+                handleLimiterChange(scope, tabId, settings)
+                    .then(() => respond({
+                        status: "success",
+                        global: globalLimiterSettings,
+                        tab: typeof tabId === 'number' ? (tabLimiterSettings[tabId] ?? null) : null
+                    }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SET_LIMITER failed:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_AUDIO_STATS: {
+                getOffscreenAudioStats()
+                    .then(stats => respond({ stats: stats }))
+                    .catch(error => {
+                        logger.warn(`${LOG_PREFIX_MSG} GET_AUDIO_STATS failed:`, error.message);
+                        respond({ error: toErrorPayload(error, ERROR_CODES.OFFSCREEN_UNAVAILABLE) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_SITE_RULES: {
+                const { tabId } = message;
+                respond({
+                    rules: siteRules,
+                    // Which rule (if any) governs the given tab, so the popup can reflect it
+                    activeRuleId: typeof tabId === 'number' ? (tabRuleIds[tabId] ?? null) : null
+                });
+                return false; // Synchronous response
+            }
+
+            case MSG_TYPE_SAVE_SITE_RULE: {
+                const { rule, tabId } = message;
+                upsertSiteRule(rule)
+                    .then(savedRule => {
+                        // "Remember for this site": the originating tab is now governed by the rule
+                        if (typeof tabId === 'number' && tabVolumes[tabId] === savedRule.volume) {
+                            _setTabRule(tabId, savedRule.id);
+                        }
+                        // A device choice the rule now makes for the tab anyway is dropped, so later rule edits apply
+                        if (typeof tabId === 'number' && tabOutputDevices[tabId] === savedRule.outputDeviceId &&
+                            findMatchingSiteRule(tabLocations[tabId]?.url)?.id === savedRule.id) {
+                            delete tabOutputDevices[tabId];
+                            saveVolumes(); // Debounced
+                        }
+                        respond({ status: "success", rule: savedRule });
+                    })
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SAVE_SITE_RULE failed:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_REMOVE_SITE_RULE: {
+                const { ruleId } = message;
+                removeSiteRule(ruleId)
+                    .then(() => respond({ status: "success" }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} REMOVE_SITE_RULE failed:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_SETTINGS: {
+                respond({
+                    settings: settings,
+                    defaults: DEFAULT_SETTINGS,
+                    ranges: SETTINGS_RANGES,
+                    sliderMappings: SLIDER_MAPPINGS
                 });
+                return false; // Synchronous response
+            }
+
+            case MSG_TYPE_SAVE_SETTINGS: {
+                const { settings: partialSettings } = message;
+                updateSettings(partialSettings)
+                    .then(savedSettings => respond({ status: "success", settings: savedSettings }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SAVE_SETTINGS failed:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_SET_LOG_LEVEL: {
+                updateLogLevel(message.level)
+                    .then(level => respond({ status: "success", level: level }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SET_LOG_LEVEL failed:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_SET_SLEEP_TIMER: {
+                setSleepTimer(message.tabId, message.minutes)
+                    .then(sleepTimer => respond({ status: "success", sleepTimer: sleepTimer }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SET_SLEEP_TIMER failed for tab ${message.tabId}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_DUCKING: {
+                const { tabId } = message;
+                _getTabIfExists(tabId).then(tab => respond({
+                    priority: !!tabPriorities[tabId],
+                    rulePriority: _matchesPriorityRule(tab?.url),
+                    active: audiblePriorityTabs.size > 0
+                }));
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_SET_TAB_PRIORITY: {
+                setTabPriority(message.tabId, message.priority)
+                    .then(priority => respond({ status: "success", priority: priority }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SET_TAB_PRIORITY failed for tab ${message.tabId}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_TOGGLE_MUTE: {
+                handleVolumeCommand(COMMAND_TOGGLE_MUTE, message.tabId)
+                    .then(({ volume, pending }) => respond({ status: "success", volume: volume, pending: pending }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} TOGGLE_MUTE failed for tab ${message.tabId}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_SET_OUTPUT_DEVICE: {
+                setTabOutputDevice(message.tabId, message.deviceId)
+                    .then(outputDeviceId => respond({ status: "success", outputDeviceId: outputDeviceId }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SET_OUTPUT_DEVICE failed for tab ${message.tabId}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_SCOPE_VOLUMES: {
+                getScopeVolumes()
+                    .then(scopes => respond({ scopes: scopes, range: SCOPE_VOLUME_RANGE }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} GET_SCOPE_VOLUMES failed:`, error);
+                        respond({ scopes: [], range: SCOPE_VOLUME_RANGE, error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_SET_SCOPE_VOLUME: {
+                const { scope, id, volume } = message;
+                setScopeVolume(scope, id, volume)
+                    .then(savedVolume => respond({ status: "success", volume: savedVolume }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SET_SCOPE_VOLUME failed for ${scope} ${id}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_MASTER_VOLUME: {
+                respond({ volume: masterVolume, range: MASTER_VOLUME_RANGE });
+                return false; // Synchronous response
+            }
+
+            case MSG_TYPE_SET_MASTER_VOLUME: {
+                setMasterVolume(message.volume)
+                    .then(volume => respond({ status: "success", volume: volume }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} SET_MASTER_VOLUME failed:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_START_RECORDING: {
+                const { tabId, format, maxMinutes } = message;
+                startRecording(tabId, format, maxMinutes)
+                    .then(recording => respond({ status: "success", recording: recording }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} START_RECORDING failed for tab ${tabId}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
 
+            case MSG_TYPE_PAUSE_RECORDING: {
+                pauseRecording(message.tabId, message.paused)
+                    .then(recording => respond({ status: "success", recording: recording }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} PAUSE_RECORDING failed for tab ${message.tabId}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_STOP_RECORDING: {
+                stopRecording(message.tabId)
+                    .then(() => respond({ status: "success" }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} STOP_RECORDING failed for tab ${message.tabId}:`, error);
+                        respond({ status: "error", error: toErrorPayload(error) });
+                    });
+                return true; // Indicate asynchronous response
+            }
+
+            case MSG_TYPE_GET_DIAGNOSTICS: {
+                buildDiagnostics()
+                    .then(diagnostics => respond({ diagnostics: diagnostics }))
+                    .catch(error => {
+                        logger.error(`${LOG_PREFIX_MSG} GET_DIAGNOSTICS failed:`, error);
+                        respond({ error: toErrorPayload(error) });
+                    });
                 return true; // Indicate asynchronous response
             }
 
             default:
-                console.warn(`${LOG_PREFIX_MSG} Received unknown message type from popup: ${message.type}`);
-                sendResponse({ status: "error", error: "Unknown message type" });
+                // Valid protocol message meant for another context (e.g. the level meter's)
+                logger.warn(`${LOG_PREFIX_MSG} Received message type not handled by the background: ${message.type}`);
+                sendResponse(createErrorResponse(new BoosterError(ERROR_CODES.UNKNOWN_MESSAGE, `Unknown message type: ${message.type}`)));
                 return false;
         }
     }
@@ -536,13 +2910,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false;
 });
 
+// Listen for open popups connecting for live tab state updates
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.sender?.id !== chrome.runtime.id) return;
+    if (port.name !== PORT_NAME_TAB_STATE) {
+        port.disconnect(); // The offscreen document answers the level meter; the popup stays connected to it
+        return;
+    }
+    _addPopupPort(port);
+});
+
+// Listen for Keyboard Shortcuts
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    let tabId = tab?.id;
+    if (typeof tabId !== 'number') {
+        // Some Chrome versions don't pass the tab; fall back to the focused window's active tab
+        const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        tabId = activeTab?.id;
+    }
+    if (typeof tabId !== 'number') {
+        logger.warn(`${LOG_PREFIX_COMMANDS} No active tab for command ${command}.`);
+        return;
+    }
+
+    try {
+        await handleVolumeCommand(command, tabId);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_COMMANDS} Command ${command} failed for tab ${tabId}:`, error);
+        await _flashBadge(tabId, '!', BADGE_COLOR_ERROR);
+    }
+});
+
 // Listen for Tab Closure
 chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
-    console.log(`${LOG_PREFIX_TABS} Tab ${tabId} removed.`);
+    logger.info(`${LOG_PREFIX_TABS} Tab ${tabId} removed.`);
 
     // Clean up lock if tab is removed mid-operation
     if (activeTabOperations.has(tabId)) {
-        console.warn(`${LOG_PREFIX_TABS} Tab ${tabId} removed during active operation. Clearing lock.`);
+        logger.warn(`${LOG_PREFIX_TABS} Tab ${tabId} removed during active operation. Clearing lock.`);
         activeTabOperations.delete(tabId);
         // Any ongoing operation related to this tab will likely fail now, which is handled.
     }
@@ -551,14 +2956,27 @@ chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
     if (onUpdatedRestartTimers[tabId]) {
         clearTimeout(onUpdatedRestartTimers[tabId]);
         delete onUpdatedRestartTimers[tabId];
-        console.log(`${LOG_PREFIX_TABS} Cleared pending restart timer for removed tab ${tabId}.`);
+        logger.info(`${LOG_PREFIX_TABS} Cleared pending restart timer for removed tab ${tabId}.`);
+    }
+
+    // A pending badge flash has nothing left to restore
+    clearTimeout(badgeFlashTimers[tabId]);
+    delete badgeFlashTimers[tabId];
+
+    // A closed priority tab no longer ducks the others
+    if (audiblePriorityTabs.delete(tabId)) {
+        logger.info(`${LOG_PREFIX_DUCKING} Playing priority tab ${tabId} closed.`);
+        await updateDucking();
     }
 
     // Clean up volume state and stop capture if needed
-    if (tabVolumes[tabId] !== undefined) {
-        const wasCapturing = tabVolumes[tabId] !== DEFAULT_VOLUME;
-        console.log(`${LOG_PREFIX_TABS} Cleaning up volume state for closed tab ${tabId}. Was capturing: ${wasCapturing}.`);
-        delete tabVolumes[tabId];
+    if (tabVolumes[tabId] !== undefined || tabRuleIds[tabId] || tabCaptureErrors[tabId] !== undefined || tabPendingVolumes[tabId] || tabSleepTimers[tabId] ||
+        tabPriorities[tabId] || tabLocations[tabId]) {
+        const wasCapturing = tabVolumes[tabId] !== undefined && _tabNeedsCapture(tabId, tabVolumes[tabId]);
+        logger.info(`${LOG_PREFIX_TABS} Cleaning up volume state for closed tab ${tabId}. Was capturing: ${wasCapturing}.`);
+        // Keep the state around in case the tab (or its whole window) gets restored
+        _stashRestorableState(tabId, removeInfo.isWindowClosing ? WINDOW_CLOSE_RESTORE_MS : CLOSED_TAB_RESTORE_MS);
+        _forgetTabState(tabId);
         await saveVolumes(); // Debounced
 
         if (wasCapturing) {
@@ -566,16 +2984,126 @@ chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
         }
     }
 
+    delete tabScopes[tabId];
+
     // Always check if the offscreen document can be closed after cleanup
     await closeOffscreenDocumentIfNeeded();
 });
 
+// A tab dragged to another window takes that window's volume instead
+chrome.tabs.onAttached.addListener(async (tabId) => {
+    const tab = await _getTabIfExists(tabId);
+    if (tab) {
+        await _rescaleTabs([tabId], () => _updateTabScope(tab));
+    }
+});
+
+// Closed groups and windows don't come back with the same ID
+chrome.tabGroups.onRemoved.addListener(async (group) => {
+    if (groupVolumes[group.id] === undefined) return;
+    logger.info(`${LOG_PREFIX_SCOPES} Group ${group.id} removed, dropping its volume.`);
+    delete groupVolumes[group.id];
+    await saveVolumes(); // Debounced
+});
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+    if (windowVolumes[windowId] === undefined) return;
+    logger.info(`${LOG_PREFIX_SCOPES} Window ${windowId} closed, dropping its volume.`);
+    delete windowVolumes[windowId];
+    await saveVolumes(); // Debounced
+});
+
+
+// A finished recording's blob URL can go once its download is over
+chrome.downloads.onChanged.addListener(async (delta) => {
+    const url = recordingDownloads.get(delta.id);
+    if (!url || !['complete', 'interrupted'].includes(delta.state?.current)) return;
+    logger.info(`${LOG_PREFIX_RECORDING} Download ${delta.id} ${delta.state.current}, releasing the recording.`);
+    recordingDownloads.delete(delta.id);
+    await _releaseRecordingUrl(url);
+    await closeOffscreenDocumentIfNeeded();
+});
+
+// Drop pending volumes whose tab never played audio, and run sleep timers
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === ALARM_PENDING_EXPIRY) {
+        expirePendingVolumes();
+    } else if (alarm.name === ALARM_SLEEP_TIMER) {
+        handleSleepTimerAlarm();
+    }
+});
+
+// Keep restore locations current when tabs are dragged around
+chrome.tabs.onMoved.addListener(async (tabId) => {
+    if (!tabLocations[tabId]) return;
+    const tab = await _getTabIfExists(tabId);
+    if (tab && _rememberTabLocation(tab)) {
+        await saveVolumes(); // Debounced
+    }
+});
+
+// Keep the badge of the newly focused tab in sync with its state
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    updateTabBadge(tabId);
+});
 
 // Listen for Tab Updates (Navigation, Audible State Changes)
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-    // Process only if the tab has a non-default volume stored AND is not currently locked/pending restart
-    const currentVolume = tabVolumes[tabId];
-    const shouldBeCapturing = currentVolume !== undefined && currentVolume !== DEFAULT_VOLUME;
+    // A restored tab (session restore, "Reopen closed tab") shows up with a new ID: hand it its old state
+    if (changeInfo.url && restorableTabStates.length > 0 && _claimRestorableState(tab)) {
+        await saveVolumes(); // Debounced
+    } else if (tabLocations[tabId] || findMatchingSiteRule(tab.url)?.outputDeviceId) {
+        // Keeps the restore location current across navigations; the URL also picks a site rule's output device
+        let moved = false;
+        await _rerouteTabs([tabId], () => {
+            moved = _rememberTabLocation(tab);
+        });
+        if (moved) await saveVolumes(); // Debounced
+    }
+
+    // Joining or leaving a group picks up or drops the group's volume (new tabs are recorded on their first update)
+    if (changeInfo.groupId !== undefined || !tabScopes[tabId]) {
+        await _rescaleTabs([tabId], () => _updateTabScope(tab));
+    }
+
+    // Ducking follows priority tabs starting and stopping to play (muting or navigating away counts as stopping)
+    // A navigation can also move a captured tab onto or off a priority site, so its own factor may change too
+    if (changeInfo.audible !== undefined || changeInfo.mutedInfo || changeInfo.url) {
+        _trackPriorityAudio(tab);
+        await updateDucking();
+    }
+
+    // Re-assert the badge once a navigation commits, in case the page load reset it
+    if (changeInfo.status === 'loading' && (tabVolumes[tabId] !== undefined || tabCaptureErrors[tabId] !== undefined)) {
+        updateTabBadge(tabId);
+    }
+
+    // Site rules may want a different volume than the one stored for this tab
+    const ruleTarget = _getSiteRuleTarget(tabId, tab.url);
+
+    // --- Site Rules: Drop a rule-applied boost once the tab no longer matches ---
+    // Stopping capture doesn't need an audible tab, so this runs as soon as the load completes.
+    if (ruleTarget && ruleTarget.volume === DEFAULT_VOLUME && changeInfo.status === 'complete') {
+        _setTabRule(tabId, ruleTarget.ruleId);
+        const storedVolume = tabVolumes[tabId];
+        if (storedVolume !== undefined && storedVolume !== DEFAULT_VOLUME && !activeTabOperations.has(tabId)) {
+            logger.info(`${LOG_PREFIX_RULES} onUpdated: Tab ${tabId} left its site rule. Resetting to ${DEFAULT_VOLUME}%.`);
+            clearTimeout(onUpdatedRestartTimers[tabId]);
+            delete onUpdatedRestartTimers[tabId];
+            try {
+                await handleVolumeChange(tabId, DEFAULT_VOLUME, storedVolume);
+            } catch (error) {
+                logger.warn(`${LOG_PREFIX_RULES} onUpdated: Error resetting tab ${tabId}: ${error.message}`);
+            }
+        }
+        // A tab playing to another output device still needs its graph (re)started below
+        if (!_tabNeedsCapture(tabId, DEFAULT_VOLUME)) return;
+    }
+
+    // Process only if the tab has (or a site rule wants, or is waiting to get) a non-default volume AND is not currently locked/pending restart
+    // (a tab without a volume of its own can still need one for its group or window volume)
+    const currentVolume = ruleTarget ? ruleTarget.volume : (_getRequestedVolume(tabId) ?? DEFAULT_VOLUME);
+    const shouldBeCapturing = _tabNeedsCapture(tabId, currentVolume);
 
     if (!shouldBeCapturing) {
         return; // No volume management needed for this tab
@@ -583,7 +3111,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
     // Prevent triggering restart logic if an operation is already locked or a restart timer is pending
     if (activeTabOperations.has(tabId) || onUpdatedRestartTimers[tabId]) {
-        // console.log(`${LOG_PREFIX_TABS} onUpdated: Skipping update for tab ${tabId} due to ongoing operation or pending restart timer.`); // Verbose
+        logger.debug(`${LOG_PREFIX_TABS} onUpdated: Skipping update for tab ${tabId} due to ongoing operation or pending restart timer.`);
         return;
     }
 
@@ -599,7 +3127,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     // Trigger condition: (Load completes AND tab is audible) OR (Audible state becomes true AFTER load was already complete)
     if ((isLoadComplete && tab.audible) || (tab.status === 'complete' && changeInfo.audible === true)) {
 
-         console.log(`${LOG_PREFIX_TABS} onUpdated: Scheduling capture re-validation check for tab ${tabId} (Load/Audible change detected). Volume: ${currentVolume}%`);
+         logger.info(`${LOG_PREFIX_TABS} onUpdated: Scheduling capture re-validation check for tab ${tabId} (Load/Audible change detected). Volume: ${currentVolume}%`);
 
         // Clear any existing timer (shouldn't be needed due to check above, but safety)
         clearTimeout(onUpdatedRestartTimers[tabId]);
@@ -608,30 +3136,36 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
             delete onUpdatedRestartTimers[tabId]; // Clear timer reference
 
             // Final checks before executing: tab still exists, still needs capturing, not locked
-             if (!await _checkTabExists(tabId)) {
-                console.log(`${LOG_PREFIX_TABS} onUpdated: Debounced check found tab ${tabId} no longer exists. Aborting.`);
+            let latestTab;
+            try {
+                latestTab = await chrome.tabs.get(tabId);
+            } catch (error) {
+                logger.info(`${LOG_PREFIX_TABS} onUpdated: Debounced check found tab ${tabId} no longer exists. Aborting.`);
                 return;
             }
              if (activeTabOperations.has(tabId)) {
-                 console.log(`${LOG_PREFIX_TABS} onUpdated: Restart cancelled for tab ${tabId} due to intervening operation lock.`);
+                 logger.info(`${LOG_PREFIX_TABS} onUpdated: Restart cancelled for tab ${tabId} due to intervening operation lock.`);
                  return;
              }
-            const latestVolume = tabVolumes[tabId];
-            if (latestVolume === undefined || latestVolume === DEFAULT_VOLUME) {
-                 console.log(`${LOG_PREFIX_TABS} onUpdated: Debounced check found tab ${tabId} no longer requires capture (Volume is ${latestVolume}). Aborting.`);
+            const latestRuleTarget = _getSiteRuleTarget(tabId, latestTab.url);
+            const latestVolume = latestRuleTarget ? latestRuleTarget.volume : (_getRequestedVolume(tabId) ?? DEFAULT_VOLUME);
+            if (!_tabNeedsCapture(tabId, latestVolume)) {
+                 logger.info(`${LOG_PREFIX_TABS} onUpdated: Debounced check found tab ${tabId} no longer requires capture (Volume is ${latestVolume}). Aborting.`);
                  return;
              }
 
-             console.log(`${LOG_PREFIX_TABS} onUpdated: DEBOUNCED - Triggering capture restart for tab ${tabId}. Volume: ${latestVolume}%`);
+             logger.info(`${LOG_PREFIX_TABS} onUpdated: DEBOUNCED - Triggering capture restart for tab ${tabId}. Volume: ${latestVolume}%`);
 
-             // Use handleVolumeChange to perform the restart.
-             // Pass DEFAULT_VOLUME as oldVolume to force the 'start/restart' path.
-             const forceRestartOldVolume = DEFAULT_VOLUME;
+             // Use handleVolumeChange to perform the restart, forcing the 'start/restart' path.
              try {
-                 await handleVolumeChange(tabId, latestVolume, forceRestartOldVolume);
+                 if (latestRuleTarget) {
+                     logger.info(`${LOG_PREFIX_RULES} onUpdated: Applying site rule ${latestRuleTarget.ruleId} to tab ${tabId}.`);
+                     _setTabRule(tabId, latestRuleTarget.ruleId);
+                 }
+                 await handleVolumeChange(tabId, latestVolume, tabVolumes[tabId], { forceRestart: true });
              } catch (error) {
                  // Log error, but don't crash the listener. Error is already logged within handleVolumeChange.
-                 console.warn(`${LOG_PREFIX_TABS} onUpdated: DEBOUNCED - Error re-applying volume for tab ${tabId}: ${error.message}`);
+                 logger.warn(`${LOG_PREFIX_TABS} onUpdated: DEBOUNCED - Error re-applying volume for tab ${tabId}: ${error.message}`);
                  // The state (volume setting) remains, but capture might be broken. User might need to manually reset/reapply.
              }
 
@@ -645,10 +3179,10 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
 // --- Extension Lifecycle Listeners ---
 chrome.runtime.onInstalled.addListener((details) => {
-    console.log(`${LOG_PREFIX_LIFECYCLE} Extension ${details.reason}. Version: ${chrome.runtime.getManifest().version}`);
+    logger.info(`${LOG_PREFIX_LIFECYCLE} Extension ${details.reason}. Version: ${chrome.runtime.getManifest().version}`);
     if (details.reason === 'install') {
         // Clean storage just in case (useful during development)
-        // chrome.storage.local.clear(() => console.log("Cleared storage on install."));
+        // chrome.storage.local.clear(() => logger.info("Cleared storage on install."));
     } else if (details.reason === 'update') {
         // Reload volumes on update in case of storage changes or new logic
         initialize(); // Re-run initialization logic
@@ -656,7 +3190,7 @@ chrome.runtime.onInstalled.addListener((details) => {
 });
 
 chrome.runtime.onStartup.addListener(() => {
-    console.log(`${LOG_PREFIX_LIFECYCLE} Browser startup detected.`);
+    logger.info(`${LOG_PREFIX_LIFECYCLE} Browser startup detected.`);
     // Re-load volumes and check state on browser startup
     initialize();
 });
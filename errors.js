@@ -0,0 +1,113 @@
+// --- errors.js ---
+// Shared error taxonomy. Loaded by background.js (importScripts) and by the offscreen,
+// popup and options pages (<script> tag) before their own script.
+// Errors cross message boundaries as plain payloads: { code, message, details, retryable }.
+
+/** Stable error codes. They travel between scripts, so never rename one. */
+const ERROR_CODES = Object.freeze({
+    CAPTURE_NOT_AUDIBLE: 'CAPTURE_NOT_AUDIBLE',       // tabCapture gave no stream (tab silent, muted or restricted)
+    CAPTURE_FAILED: 'CAPTURE_FAILED',                 // getUserMedia or graph setup failed in the offscreen document
+    AUDIO_CONTEXT_FAILED: 'AUDIO_CONTEXT_FAILED',     // The shared AudioContext could not be started or resumed
+    NO_ACTIVE_STREAM: 'NO_ACTIVE_STREAM',             // Offscreen has no running graph for the tab
+    OFFSCREEN_UNAVAILABLE: 'OFFSCREEN_UNAVAILABLE',   // Offscreen document missing, closing or crashed
+    OFFSCREEN_ERROR: 'OFFSCREEN_ERROR',               // Offscreen document answered with an unexpected failure
+    BACKGROUND_UNAVAILABLE: 'BACKGROUND_UNAVAILABLE', // A page could not reach the background service worker
+    BUSY: 'BUSY',                                     // Another operation for the tab is in progress
+    UNSUPPORTED_URL: 'UNSUPPORTED_URL',               // chrome://, extension pages and other uncapturable URLs
+    NO_ACTIVE_TAB: 'NO_ACTIVE_TAB',
+    TAB_NOT_FOUND: 'TAB_NOT_FOUND',
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    UNKNOWN_MESSAGE: 'UNKNOWN_MESSAGE',
+    INVALID_RESPONSE: 'INVALID_RESPONSE',             // A response didn't match its message schema (protocol.js)
+    INVALID_EQ: 'INVALID_EQ',
+    INVALID_LIMITER: 'INVALID_LIMITER',
+    INVALID_SITE_RULE: 'INVALID_SITE_RULE',
+    RECORDING_FAILED: 'RECORDING_FAILED',             // The recorder could not be started in the offscreen document
+    UNKNOWN: 'UNKNOWN'
+});
+
+/** User-facing message per code, and whether simply trying again may succeed. */
+const ERROR_INFO = Object.freeze({
+    [ERROR_CODES.CAPTURE_NOT_AUDIBLE]: { retryable: true, message: "Cannot capture audio (is tab audible/playing?)" },
+    [ERROR_CODES.CAPTURE_FAILED]: { retryable: true, message: "Internal audio processor error." },
+    [ERROR_CODES.AUDIO_CONTEXT_FAILED]: { retryable: true, message: "Audio output could not be started." },
+    [ERROR_CODES.NO_ACTIVE_STREAM]: { retryable: true, message: "No active audio stream for this tab." },
+    [ERROR_CODES.OFFSCREEN_UNAVAILABLE]: { retryable: true, message: "Audio processor unavailable. Try reloading." },
+    [ERROR_CODES.OFFSCREEN_ERROR]: { retryable: false, message: "Internal audio processor error." },
+    [ERROR_CODES.BACKGROUND_UNAVAILABLE]: { retryable: true, message: "Extension context error. Try again shortly or reload." },
+    [ERROR_CODES.BUSY]: { retryable: true, message: "Busy, please wait a moment." },
+    [ERROR_CODES.UNSUPPORTED_URL]: { retryable: false, message: "Cannot control this type of page." },
+    [ERROR_CODES.NO_ACTIVE_TAB]: { retryable: false, message: "No active tab found." },
+    [ERROR_CODES.TAB_NOT_FOUND]: { retryable: false, message: "The tab no longer exists." },
+    [ERROR_CODES.INVALID_REQUEST]: { retryable: false, message: "Invalid request sent." },
+    [ERROR_CODES.UNKNOWN_MESSAGE]: { retryable: false, message: "Invalid request sent." },
+    [ERROR_CODES.INVALID_RESPONSE]: { retryable: false, message: "Internal error (unexpected response)." },
+    [ERROR_CODES.INVALID_EQ]: { retryable: false, message: "Invalid equalizer settings." },
+    [ERROR_CODES.INVALID_LIMITER]: { retryable: false, message: "Invalid limiter settings." },
+    [ERROR_CODES.INVALID_SITE_RULE]: { retryable: false, message: "Invalid site rule." },
+    [ERROR_CODES.RECORDING_FAILED]: { retryable: false, message: "Recording could not be started." },
+    [ERROR_CODES.UNKNOWN]: { retryable: false, message: "An unknown error occurred." }
+});
+
+const MAX_FALLBACK_MESSAGE_LENGTH = 60;
+
+/** An error with a stable code, structured details and a retryable flag. */
+class BoosterError extends Error {
+    constructor(code, message, details = {}) {
+        super(message || ERROR_INFO[code]?.message || ERROR_INFO[ERROR_CODES.UNKNOWN].message);
+        this.name = 'BoosterError';
+        this.code = ERROR_INFO[code] ? code : ERROR_CODES.UNKNOWN;
+        this.details = details;
+        this.retryable = ERROR_INFO[this.code].retryable;
+    }
+}
+
+/** Whether an error from chrome.runtime messaging means nobody was listening on the other end. */
+function isConnectionError(error) {
+    const message = String(error?.message ?? error ?? '');
+    return message.includes("Could not establish connection") || message.includes("Receiving end does not exist");
+}
+
+/**
+ * Turns anything thrown or received into a BoosterError. Plain errors get `fallbackCode`
+ * (connection failures are recognized as such); payloads keep their code.
+ */
+function toBoosterError(error, fallbackCode = ERROR_CODES.UNKNOWN) {
+    if (error instanceof BoosterError) return error;
+    if (error && typeof error === 'object' && typeof error.code === 'string' && ERROR_INFO[error.code]) {
+        return new BoosterError(error.code, error.message, error.details ?? {});
+    }
+    const message = typeof error === 'string' ? error : error?.message;
+    if (isConnectionError(message) && fallbackCode === ERROR_CODES.UNKNOWN) {
+        return new BoosterError(ERROR_CODES.BACKGROUND_UNAVAILABLE, message);
+    }
+    return new BoosterError(fallbackCode, message);
+}
+
+/** Serializable form of an error for sendResponse (Error objects don't survive messaging). */
+function toErrorPayload(error, fallbackCode = ERROR_CODES.UNKNOWN) {
+    const boosterError = toBoosterError(error, fallbackCode);
+    return {
+        code: boosterError.code,
+        message: boosterError.message,
+        details: boosterError.details,
+        retryable: boosterError.retryable
+    };
+}
+
+/** Shorthand for an error payload built from scratch. */
+function createErrorPayload(code, message, details = {}) {
+    return toErrorPayload(new BoosterError(code, message, details));
+}
+
+/** The message to show a user for an error or payload: the code's message, or the (trimmed) text of an unknown error. */
+function getUserErrorMessage(error) {
+    const boosterError = toBoosterError(error);
+    if (boosterError.code !== ERROR_CODES.UNKNOWN) {
+        return ERROR_INFO[boosterError.code].message;
+    }
+    const cleanMessage = String(boosterError.message).replace(/^Error: /, '');
+    return cleanMessage.length > MAX_FALLBACK_MESSAGE_LENGTH
+        ? cleanMessage.substring(0, MAX_FALLBACK_MESSAGE_LENGTH - 3) + "..."
+        : cleanMessage;
+}
@@ -0,0 +1,105 @@
+// --- logger.js ---
+// Leveled logging shared by the background, offscreen and popup scripts. Loaded like errors.js
+// (importScripts / <script> tag, before protocol.js). Each script calls configureLogger() with
+// its source name and a sink; the background keeps the entries in a ring buffer in storage
+// (see "Diagnostics" in background.js) and the pages forward theirs to it.
+
+/** Verbosity levels, most severe first. An entry is kept if its level is at or above the current one. */
+const LOG_LEVELS = Object.freeze({ error: 0, warn: 1, info: 2, debug: 3 });
+const DEFAULT_LOG_LEVEL = 'info';
+const STORAGE_KEY_LOG_LEVEL = 'logLevel';
+const LOG_MESSAGE_MAX_LENGTH = 1000; // Longer entries are cut (stringified objects can be huge)
+const LOG_FORWARD_DELAY_MS = 250;    // Pages batch entries for this long before sending them
+const LOG_FORWARD_BATCH_SIZE = 50;   // ...or until this many are queued
+
+let logLevel = DEFAULT_LOG_LEVEL;
+let logSource = 'unknown';
+let logSink = null; // function(entry), set by configureLogger
+
+/** Sets where this script's entries go: `source` names the script, `sink` receives each kept entry. */
+function configureLogger(source, sink) {
+    logSource = source;
+    logSink = sink;
+}
+
+/** Changes the verbosity at runtime. Unknown levels are ignored; returns the level in effect. */
+function setLogLevel(level) {
+    if (Object.hasOwn(LOG_LEVELS, level)) {
+        logLevel = level;
+    }
+    return logLevel;
+}
+
+/** Applies the stored verbosity. For pages with storage access; the offscreen document is told by the background. */
+async function loadLogLevel() {
+    const result = await chrome.storage.local.get(STORAGE_KEY_LOG_LEVEL);
+    return setLogLevel(result[STORAGE_KEY_LOG_LEVEL] ?? DEFAULT_LOG_LEVEL);
+}
+
+function _formatLogArg(arg) {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error || (arg && typeof arg.message === 'string' && typeof arg.name === 'string')) {
+        return `${arg.name}: ${arg.message}${arg.code ? ` (${arg.code})` : ''}`;
+    }
+    try {
+        return JSON.stringify(arg) ?? String(arg);
+    } catch (error) {
+        return String(arg); // Circular structures and the like
+    }
+}
+
+function _log(level, args) {
+    if (LOG_LEVELS[level] > LOG_LEVELS[logLevel]) return;
+    const consoleMethod = level === 'info' ? 'log' : level;
+    console[consoleMethod](...args);
+    if (!logSink) return;
+    const message = args.map(_formatLogArg).join(' ');
+    try {
+        logSink({
+            time: Date.now(),
+            level: level,
+            source: logSource,
+            message: message.length > LOG_MESSAGE_MAX_LENGTH ? message.substring(0, LOG_MESSAGE_MAX_LENGTH - 3) + '...' : message
+        });
+    } catch (error) {
+        console.warn('[Logger] Sink failed:', error); // Not via the logger, that could loop
+    }
+}
+
+/** Use instead of console.* so the entry also reaches the diagnostics buffer. */
+const logger = Object.freeze({
+    error: (...args) => _log('error', args),
+    warn: (...args) => _log('warn', args),
+    info: (...args) => _log('info', args),
+    debug: (...args) => _log('debug', args)
+});
+
+/**
+ * A sink for pages, which batches entries and sends them to the background's buffer.
+ * Call `sink.flush()` to send right away (e.g. before asking for a diagnostics export).
+ */
+function createForwardingLogSink() {
+    let queue = [];
+    let flushTimer = null;
+
+    const flush = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (queue.length === 0) return;
+        const entries = queue;
+        queue = [];
+        chrome.runtime.sendMessage(createMessage(MSG_TYPE_LOG_ENTRIES, { entries: entries }))
+            .catch(() => { /* Background unavailable: the entries are still in this page's console */ });
+    };
+
+    const sink = (entry) => {
+        queue.push(entry);
+        if (queue.length >= LOG_FORWARD_BATCH_SIZE) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, LOG_FORWARD_DELAY_MS);
+        }
+    };
+    sink.flush = flush;
+    return sink;
+}
@@ -1,36 +1,84 @@
 // --- offscreen.js (Refactored) ---
-console.log("[Offscreen] Document loaded.");
 
 // --- Constants ---
-const TARGET_OFFSCREEN = 'offscreen';
-const MSG_TYPE_START_CAPTURE = 'startOrUpdateCapture';
-const MSG_TYPE_STOP_CAPTURE = 'stopCapture';
-const MSG_TYPE_UPDATE_VOLUME = 'updateVolume';
+// Message types, targets and PORT_NAME_LEVEL_METER come from protocol.js
 
 // Logging Prefixes
 const LOG_PREFIX = '[Offscreen]';
 const LOG_PREFIX_AUDIO = '[Offscreen Audio]';
 const LOG_PREFIX_MSG = '[Offscreen Msg]';
 const LOG_PREFIX_CLEANUP = '[Offscreen Cleanup]';
+const LOG_PREFIX_METER = '[Offscreen Meter]';
+const LOG_PREFIX_EVENTS = '[Offscreen Events]';
+const LOG_PREFIX_RECORDING = '[Offscreen Recording]';
 
 // --- Limiter Configuration ---
-const LIMITER_THRESHOLD = -1.0; // dB
-const LIMITER_KNEE = 0;         // dB
-const LIMITER_RATIO = 20;       // Ratio (e.g., 20:1)
-const LIMITER_ATTACK = 0.003;   // Seconds (Fast attack)
-const LIMITER_RELEASE = 0.050;  // Seconds (Relatively fast release)
+// Used when the background doesn't send settings (matches its "Brickwall" preset).
+// The background owns the presets and per-tab/global settings.
+const DEFAULT_LIMITER_SETTINGS = {
+    bypass: false,
+    threshold: -1.0, // dB
+    knee: 0,         // dB
+    ratio: 20,       // Ratio (e.g., 20:1)
+    attack: 0.003,   // Seconds (Fast attack)
+    release: 0.050   // Seconds (Relatively fast release)
+};
+
+// --- Gain Ramp Configuration ---
+// Used until the background sends the user's settings (matches its defaults).
+const DEFAULT_GAIN_RAMP = {
+    rampMs: 50,      // Volume changes of a running graph
+    curve: 'linear', // One of GAIN_RAMP_CURVES
+    fadeInMs: 300,   // From silence when a capture starts
+    fadeOutMs: 100   // To silence before a capture is torn down
+};
+const SMOOTH_RAMP_TIME_CONSTANTS = 3; // setTargetAtTime is ~95% of the way there after 3 time constants
+
+// --- Equalizer Configuration ---
+const EQ_FILTER_TYPES = ['lowshelf', 'peaking', 'highshelf'];
+const EQ_MAX_GAIN_DB = 24; // Hard safety clamp, the UI range is smaller
+
+// --- Level Meter Configuration ---
+const ANALYSER_FFT_SIZE = 2048;      // Samples per level reading (~43ms at 48kHz)
+const LEVEL_METER_INTERVAL_MS = 100; // How often levels are pushed to a connected popup
+const CLIP_THRESHOLD = 0.99;         // Linear sample peak treated as clipping
+
+// --- Recording Configuration ---
+const RECORDING_WEBM_MIME_TYPE = 'audio/webm;codecs=opus';
+const RECORDING_TIMESLICE_MS = 1000;       // MediaRecorder hands its data over this often
+const RECORDING_WORKLET_PATH = 'recorder-worklet.js';
+const RECORDING_WORKLET_PROCESSOR = 'pcm-recorder';
+const RECORDING_WAV_CHANNELS = 2;
+const RECORDING_FLUSH_TIMEOUT_MS = 1000;   // How long a WAV recording waits for the worklet's last block
+const WAV_HEADER_BYTES = 44;
 
 // --- Global State ---
-// Stores active audio processing graphs, keyed by targetTabId
-const activeStreams = {}; // { targetTabId: { context, source, gainNode, limiterNode, stream } }
+// Stores active per-tab audio sub-graphs, keyed by targetTabId. Each lives in the AudioContext of its output device.
+const activeStreams = {}; // { targetTabId: { context, outputDeviceId, source, gainNode, volume, duckFactor, fadeTimer, eqFilters, limiterNode, limiterBypassed, analyserNode, levelBuffer, stream, recording } }
+const audioContexts = new Map(); // outputDeviceId ('' = default device) -> AudioContext shared by every tab playing to that device
+let pendingCaptureStarts = 0; // Captures between acquiring a context and registering in activeStreams
+let gainRamp = { ...DEFAULT_GAIN_RAMP }; // Set by the background from the user's settings
+const recorderWorkletContexts = new WeakSet(); // AudioContexts the WAV recorder's worklet module was added to
+
+// No storage access here: entries go to the background's diagnostics buffer, which also sends the log level
+configureLogger('offscreen', createForwardingLogSink());
+logger.info(`${LOG_PREFIX} Document loaded.`);
 
 // --- Message Handling ---
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Validate message source and target
-    if (message.target !== TARGET_OFFSCREEN || sender.id !== chrome.runtime.id) {
+    if (message?.target !== TARGET_OFFSCREEN || sender.id !== chrome.runtime.id) {
         return false; // Indicate message not handled
     }
-    console.log(`${LOG_PREFIX_MSG} Received: ${message.type} for tab ${message.targetTabId || 'N/A'}`);
+    try {
+        validateMessage(message);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_MSG} Rejecting invalid message:`, error.message, message);
+        sendResponse(createErrorResponse(error));
+        return false;
+    }
+    const respond = createResponder(message.type, sendResponse);
+    logger.info(`${LOG_PREFIX_MSG} Received: ${message.type} for tab ${message.targetTabId || 'N/A'}`);
 
     // Use a Promise to handle async operations and ensure response is sent
     const messageHandlerPromise = new Promise(async (resolve, reject) => {
@@ -39,36 +87,104 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         try {
             switch (message.type) {
                 case MSG_TYPE_START_CAPTURE:
-                    if (typeof targetTabId !== 'number' || !message.streamId || typeof message.volume !== 'number') {
-                        throw new Error("Missing/invalid parameters for startOrUpdateCapture.");
+                    if (message.eqBands !== undefined && !isValidEqBands(message.eqBands)) {
+                        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, "Invalid eqBands for startOrUpdateCapture.");
+                    }
+                    if (message.limiter !== undefined && !isValidLimiterSettings(message.limiter)) {
+                        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, "Invalid limiter for startOrUpdateCapture.");
                     }
-                    await handleStartOrUpdateCapture(targetTabId, message.streamId, message.volume);
+                    await handleStartOrUpdateCapture(targetTabId, message.streamId, message.volume,
+                        message.eqBands || [], message.limiter || DEFAULT_LIMITER_SETTINGS, message.duckFactor ?? 1, message.outputDeviceId ?? '');
                     resolve({ success: true });
                     break;
 
                 case MSG_TYPE_UPDATE_VOLUME:
-                     if (typeof targetTabId !== 'number' || typeof message.volume !== 'number' || isNaN(message.volume)) {
-                        throw new Error("Missing/invalid parameters for updateVolume.");
-                    }
                     handleUpdateVolume(targetTabId, message.volume);
                     resolve({ success: true });
                     break;
 
+                case MSG_TYPE_UPDATE_EQ:
+                    if (!isValidEqBands(message.eqBands)) {
+                        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, "Missing/invalid parameters for updateEq.");
+                    }
+                    handleUpdateEq(targetTabId, message.eqBands);
+                    resolve({ success: true });
+                    break;
+
+                case MSG_TYPE_UPDATE_LIMITER:
+                    if (!isValidLimiterSettings(message.limiter)) {
+                        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, "Missing/invalid parameters for updateLimiter.");
+                    }
+                    handleUpdateLimiter(targetTabId, message.limiter);
+                    resolve({ success: true });
+                    break;
+
+                case MSG_TYPE_OFFSCREEN_AUDIO_STATS:
+                    resolve({ success: true, stats: getAudioStats() });
+                    break;
+
+                case MSG_TYPE_OFFSCREEN_GET_STATE:
+                    resolve({ success: true, state: getCaptureState() });
+                    break;
+
+                case MSG_TYPE_FADE_OUT:
+                    handleFadeOut(targetTabId, message.durationMs);
+                    resolve({ success: true });
+                    break;
+
+                case MSG_TYPE_DUCK:
+                    handleDuck(targetTabId, message.factor, message.rampMs);
+                    resolve({ success: true });
+                    break;
+
                 case MSG_TYPE_STOP_CAPTURE:
-                     if (typeof targetTabId !== 'number') {
-                        throw new Error("Missing targetTabId for stopCapture.");
+                    await fadeOutAndStopCapture(targetTabId); // Resolves once the tab is released
+                    resolve({ success: true });
+                    break;
+
+                case MSG_TYPE_OFFSCREEN_START_RECORDING:
+                    await handleStartRecording(targetTabId, message.format, message.maxDurationMs);
+                    resolve({ success: true });
+                    break;
+
+                case MSG_TYPE_OFFSCREEN_PAUSE_RECORDING:
+                    handlePauseRecording(targetTabId, message.paused);
+                    resolve({ success: true });
+                    break;
+
+                case MSG_TYPE_OFFSCREEN_STOP_RECORDING: {
+                    const recording = activeStreams[targetTabId]?.recording;
+                    if (recording) {
+                        await finishRecording(targetTabId, recording, 'stopped'); // Resolves once the file is handed over
                     }
-                    handleStopCapture(targetTabId); // Stop is synchronous cleanup
+                    resolve({ success: true });
+                    break;
+                }
+
+                case MSG_TYPE_OFFSCREEN_RELEASE_RECORDING:
+                    URL.revokeObjectURL(message.url);
+                    logger.debug(`${LOG_PREFIX_RECORDING} Released ${message.url}.`);
+                    resolve({ success: true });
+                    break;
+
+                case MSG_TYPE_OFFSCREEN_SET_LOG_LEVEL:
+                    setLogLevel(message.level);
+                    resolve({ success: true });
+                    break;
+
+                case MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP:
+                    gainRamp = { rampMs: message.rampMs, curve: message.curve, fadeInMs: message.fadeInMs, fadeOutMs: message.fadeOutMs };
+                    logger.debug(`${LOG_PREFIX_AUDIO} Gain ramp set:`, gainRamp);
                     resolve({ success: true });
                     break;
 
                 default:
-                    console.warn(`${LOG_PREFIX_MSG} Unrecognized message type: ${message.type}`);
-                    reject(new Error(`Unrecognized message type: ${message.type}`));
+                    logger.warn(`${LOG_PREFIX_MSG} Unrecognized message type: ${message.type}`);
+                    reject(new BoosterError(ERROR_CODES.UNKNOWN_MESSAGE, `Unrecognized message type: ${message.type}`));
                     break;
             }
         } catch (error) {
-            console.error(`${LOG_PREFIX_MSG} Error processing ${message.type} for tab ${targetTabId}:`, error);
+            logger.error(`${LOG_PREFIX_MSG} Error processing ${message.type} for tab ${targetTabId}:`, error);
             // Reject the promise with a potentially more specific error from handlers
             reject(error);
         }
@@ -76,8 +192,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     // Send response back to background script
     messageHandlerPromise
-        .then(response => sendResponse(response))
-        .catch(error => sendResponse({ success: false, error: error.message || "Unknown offscreen error" }));
+        .then(response => respond(response))
+        .catch(error => respond({ success: false, error: toErrorPayload(error, ERROR_CODES.OFFSCREEN_ERROR) }));
 
     // Return true to indicate that the response will be sent asynchronously.
     return true;
@@ -89,30 +205,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  * Handles starting or updating the audio capture and processing pipeline.
  * Stops existing capture for the tab first.
  */
-async function handleStartOrUpdateCapture(targetTabId, streamId, volume) {
-    console.log(`${LOG_PREFIX_AUDIO} === START/UPDATE Capture Request for tab ${targetTabId} | Vol: ${volume}% ===`);
-
-    // **Crucial:** Stop any existing stream/context for this tab before starting anew.
-    // This prevents resource leaks and ensures clean restarts on navigation.
-    console.log(`${LOG_PREFIX_AUDIO} Ensuring previous resources for tab ${targetTabId} are stopped first.`);
-    handleStopCapture(targetTabId); // Synchronously cleans up existing resources if any
+async function handleStartOrUpdateCapture(targetTabId, streamId, volume, eqBands = [], limiterSettings = DEFAULT_LIMITER_SETTINGS, duckFactor = 1, outputDeviceId = '') {
+    logger.info(`${LOG_PREFIX_AUDIO} === START/UPDATE Capture Request for tab ${targetTabId} | Vol: ${volume}% | Output: ${describeOutputDevice(outputDeviceId)} ===`);
 
     // Validate inputs again locally
     if (!streamId) {
-        console.error(`${LOG_PREFIX_AUDIO} No streamId provided.`);
-        throw new Error("Invalid stream ID provided.");
+        logger.error(`${LOG_PREFIX_AUDIO} No streamId provided.`);
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, "Invalid stream ID provided.");
     }
      if (typeof volume !== 'number' || isNaN(volume)) {
-         console.error(`${LOG_PREFIX_AUDIO} Invalid volume: ${volume}`);
-         throw new Error("Invalid volume value.");
+         logger.error(`${LOG_PREFIX_AUDIO} Invalid volume: ${volume}`);
+         throw new BoosterError(ERROR_CODES.INVALID_REQUEST, "Invalid volume value.");
      }
 
     let stream = null;
-    let audioContext = null; // Define here for cleanup scope
+    let audioInfo = null; // Define here for cleanup scope
+    pendingCaptureStarts++; // Keeps the contexts open while we set up (even if this was the only tab of one)
+    // A running recording moves over to the new graph instead of ending with the old one
+    const carriedRecording = activeStreams[targetTabId]?.recording ?? null;
+    if (carriedRecording) {
+        activeStreams[targetTabId].recording = null;
+    }
 
     try {
+        // **Crucial:** Stop any existing stream/sub-graph for this tab before starting anew.
+        // This prevents resource leaks and ensures clean restarts on navigation.
+        logger.info(`${LOG_PREFIX_AUDIO} Ensuring previous resources for tab ${targetTabId} are stopped first.`);
+        handleStopCapture(targetTabId); // Synchronously cleans up existing resources if any
+
         // 1. Get MediaStream
-        console.log(`${LOG_PREFIX_AUDIO} Attempting getUserMedia with streamId: ${streamId}`);
+        logger.info(`${LOG_PREFIX_AUDIO} Attempting getUserMedia with streamId: ${streamId}`);
         stream = await navigator.mediaDevices.getUserMedia({
             audio: {
                 mandatory: {
@@ -122,95 +244,299 @@ async function handleStartOrUpdateCapture(targetTabId, streamId, volume) {
             },
             video: false
         });
-        console.log(`${LOG_PREFIX_AUDIO} Got MediaStream successfully for tab ${targetTabId}`);
+        logger.info(`${LOG_PREFIX_AUDIO} Got MediaStream successfully for tab ${targetTabId}`);
 
         // Check if stream has active audio tracks
         if (!stream.getAudioTracks().some(track => track.enabled && track.readyState === 'live')) {
-            console.warn(`${LOG_PREFIX_AUDIO} Acquired stream for tab ${targetTabId}, but it has no active/live audio tracks.`);
+            logger.warn(`${LOG_PREFIX_AUDIO} Acquired stream for tab ${targetTabId}, but it has no active/live audio tracks.`);
             // Don't throw error yet, but setup might fail later or produce silence.
             // Consider throwing if this is consistently problematic:
             // throw new Error("Acquired stream has no active audio tracks.");
         }
 
 
-        // 2. Setup Web Audio API graph
-        console.log(`${LOG_PREFIX_AUDIO} Creating AudioContext...`);
-        audioContext = new AudioContext();
-
-        // Ensure context is running
-        if (audioContext.state === 'suspended') {
-            console.log(`${LOG_PREFIX_AUDIO} AudioContext is suspended, attempting to resume...`);
-            await audioContext.resume();
-        }
-        console.log(`${LOG_PREFIX_AUDIO} AudioContext state: ${audioContext.state}`);
-        if (audioContext.state !== 'running') {
-             throw new Error(`AudioContext failed to start or resume. State: ${audioContext.state}`);
-        }
+        // 2. Attach a sub-graph for this tab to the Web Audio context of its output device
+        const audioContext = await acquireAudioContext(outputDeviceId);
 
         const source = audioContext.createMediaStreamSource(stream);
         const gainNode = audioContext.createGain();
+        const eqFilters = createEqFilters(audioContext, eqBands);
         const limiterNode = audioContext.createDynamicsCompressor();
+        const analyserNode = audioContext.createAnalyser();
+        analyserNode.fftSize = ANALYSER_FFT_SIZE;
 
-        // Configure Gain
-        const targetGain = Math.max(0, volume / 100); // Clamp gain at 0 minimum
-        gainNode.gain.setValueAtTime(targetGain, audioContext.currentTime);
-        console.log(`${LOG_PREFIX_AUDIO} Initial gain set to ${targetGain.toFixed(2)} (${volume}%)`);
-
-        // Configure Limiter (using constants)
-        limiterNode.threshold.setValueAtTime(LIMITER_THRESHOLD, audioContext.currentTime);
-        limiterNode.knee.setValueAtTime(LIMITER_KNEE, audioContext.currentTime);
-        limiterNode.ratio.setValueAtTime(LIMITER_RATIO, audioContext.currentTime);
-        limiterNode.attack.setValueAtTime(LIMITER_ATTACK, audioContext.currentTime);
-        limiterNode.release.setValueAtTime(LIMITER_RELEASE, audioContext.currentTime);
-        console.log(`${LOG_PREFIX_AUDIO} Limiter configured for tab ${targetTabId}`);
-
-        // Connect nodes: Source -> Gain -> Limiter -> Destination
-        source.connect(gainNode);
-        gainNode.connect(limiterNode);
-        limiterNode.connect(audioContext.destination);
-        console.log(`${LOG_PREFIX_AUDIO} Audio nodes connected.`);
-
-        // 3. Store references
-        activeStreams[targetTabId] = {
+        audioInfo = {
             context: audioContext,
+            outputDeviceId: outputDeviceId, // Device picked for the tab; the context plays to the default one while it is missing
             source: source,
             gainNode: gainNode,
+            volume: volume, // Target volume; the gain itself may still be ramping towards it
+            duckFactor: duckFactor, // Share of the volume kept while a priority tab plays (1 = not ducked)
+            eqFilters: eqFilters,
             limiterNode: limiterNode,
-            stream: stream // Store stream for track stopping later
+            limiterBypassed: false,
+            analyserNode: analyserNode,
+            levelBuffer: new Float32Array(analyserNode.fftSize), // Reused for every meter reading
+            stream: stream, // Store stream for track stopping later
+            // The recorder's nodes belong to the context they were made in; one that was replaced can't take it over
+            recording: carriedRecording && !carriedRecording.finished && carriedRecording.inputNode.context === audioContext ? carriedRecording : null
         };
 
-        // Optional: Listen for track ending (though background handles explicit stops)
-        // stream.getTracks().forEach(track => {
-        //     track.onended = () => {
-        //         console.log(`${LOG_PREFIX_AUDIO} Track ended for tab ${targetTabId}. Initiating cleanup.`);
-        //         // Note: This might fire if the source stops producing audio,
-        //         // but background should handle tab closure/nav explicitly.
-        //         // Calling handleStopCapture here could interfere with explicit stops.
-        //         // It's generally safer to rely on background script's state management.
-        //         // handleStopCapture(targetTabId);
-        //     };
-        // });
+        // Configure Gain: fade in from silence, so a (re)started capture doesn't cut in abruptly
+        const targetGain = getTargetGain(audioInfo);
+        rampGain(audioInfo, targetGain, gainRamp.fadeInMs, 0);
+        logger.info(`${LOG_PREFIX_AUDIO} Initial gain ${targetGain.toFixed(2)} (${volume}%), fading in over ${gainRamp.fadeInMs}ms`);
 
+        // Configure Limiter
+        applyLimiterSettings(audioInfo, limiterSettings);
+        logger.info(`${LOG_PREFIX_AUDIO} Limiter configured for tab ${targetTabId} (${limiterSettings.bypass ? 'bypassed' : `${limiterSettings.threshold} dB, ${limiterSettings.ratio}:1`})`);
 
-        console.log(`${LOG_PREFIX_AUDIO} === Audio pipeline setup COMPLETE for tab ${targetTabId} ===`);
+        // Connect nodes: Source -> Gain -> EQ filters -> Limiter -> Destination
+        source.connect(gainNode);
+        connectProcessingChain(audioInfo);
+        logger.info(`${LOG_PREFIX_AUDIO} Audio nodes connected (${eqFilters.length} EQ band(s)).`);
+
+        // 3. Store references
+        activeStreams[targetTabId] = audioInfo;
+        if (carriedRecording && !audioInfo.recording) {
+            finishRecording(targetTabId, carriedRecording, 'captureEnded');
+        } else if (carriedRecording) {
+            logger.info(`${LOG_PREFIX_RECORDING} Recording of tab ${targetTabId} continues on the new graph.`);
+        }
+
+        // Tracks we stop ourselves don't fire 'ended', so this only catches captures that died on their own
+        const capturedStream = stream;
+        capturedStream.getAudioTracks().forEach(track => {
+            track.addEventListener('ended', () => handleTrackEnded(targetTabId, capturedStream));
+        });
+
+        logger.info(`${LOG_PREFIX_AUDIO} === Audio pipeline setup COMPLETE for tab ${targetTabId} ===`);
 
     } catch (error) {
-        console.error(`${LOG_PREFIX_AUDIO} Error during audio setup for tab ${targetTabId}:`, error);
+        logger.error(`${LOG_PREFIX_AUDIO} Error during audio setup for tab ${targetTabId}:`, error);
         // --- Cleanup on Failure ---
         if (stream) {
             stream.getTracks().forEach(track => track.stop());
-            console.log(`${LOG_PREFIX_CLEANUP} Stopped stream tracks after setup failure for tab ${targetTabId}.`);
+            logger.info(`${LOG_PREFIX_CLEANUP} Stopped stream tracks after setup failure for tab ${targetTabId}.`);
+        }
+        if (audioInfo) {
+            disconnectTabGraph(audioInfo, targetTabId);
         }
-        if (audioContext && audioContext.state !== 'closed') {
-            audioContext.close().catch(e => console.warn(`${LOG_PREFIX_CLEANUP} Error closing context during setup failure cleanup for ${targetTabId}:`, e));
+        if (carriedRecording) {
+            finishRecording(targetTabId, carriedRecording, 'captureEnded');
         }
         // Remove potentially partial entry
         delete activeStreams[targetTabId];
-        // Rethrow a more informative error for the background script
-        throw new Error(`Audio setup failed for tab ${targetTabId}: ${error.message}`);
+        // Rethrow a more informative error for the background script (context failures keep their own code)
+        const setupError = toBoosterError(error, ERROR_CODES.CAPTURE_FAILED);
+        throw new BoosterError(setupError.code, `Audio setup failed for tab ${targetTabId}: ${setupError.message}`,
+            { tabId: targetTabId, ...setupError.details });
+    } finally {
+        pendingCaptureStarts--;
+        releaseUnusedAudioContexts();
     }
 }
 
+// --- Events To Background ---
+
+/** Pushes an event to the background. Fire-and-forget: a sleeping service worker is woken up by it. */
+function notifyBackground(type, details = {}) {
+    chrome.runtime.sendMessage(createMessage(type, details))
+        .catch(error => logger.warn(`${LOG_PREFIX_EVENTS} Could not send ${type} to background:`, error.message));
+}
+
+/** A captured track ended without us stopping it (e.g. the tab crashed or capture was revoked). */
+function handleTrackEnded(targetTabId, stream) {
+    if (activeStreams[targetTabId]?.stream !== stream) {
+        return; // Already replaced or stopped
+    }
+    logger.warn(`${LOG_PREFIX_EVENTS} Captured track ended for tab ${targetTabId}. Cleaning up.`);
+    handleStopCapture(targetTabId);
+    notifyBackground(MSG_TYPE_EVENT_CAPTURE_ENDED, { tabId: targetTabId });
+}
+
+/**
+ * Reacts to an AudioContext changing state outside our control: a suspended context is
+ * resumed if possible, a closed one takes the graphs of every tab playing to its device down with it.
+ */
+async function handleContextStateChange(event) {
+    const context = event.target;
+    const outputDeviceId = [...audioContexts].find(([, candidate]) => candidate === context)?.[0];
+    if (outputDeviceId === undefined) {
+        return; // A context we released ourselves
+    }
+    const tabIds = Object.entries(activeStreams)
+        .filter(([, audioInfo]) => audioInfo.context === context)
+        .map(([tabId]) => parseInt(tabId, 10));
+    logger.info(`${LOG_PREFIX_EVENTS} AudioContext of ${describeOutputDevice(outputDeviceId)} is now '${context.state}' (${tabIds.length} tab graph(s)).`);
+
+    if (context.state === 'suspended') {
+        try {
+            await context.resume();
+            return; // The resulting 'running' change is reported instead
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_EVENTS} Could not resume AudioContext:`, error);
+        }
+    } else if (context.state === 'closed') {
+        tabIds.forEach(tabId => handleStopCapture(tabId));
+        audioContexts.delete(outputDeviceId);
+    }
+    notifyBackground(MSG_TYPE_EVENT_CONTEXT_STATE, { state: context.state, tabIds: tabIds });
+}
+
+// Output devices coming and going can silence or move the output: contexts whose device went
+// away fall back to the default device (and return once it is back) before the background checks the graphs
+navigator.mediaDevices.addEventListener('devicechange', async () => {
+    logger.info(`${LOG_PREFIX_EVENTS} Audio devices changed.`);
+    await rerouteOutputDevices();
+    notifyBackground(MSG_TYPE_EVENT_DEVICE_CHANGED);
+});
+
+// --- AudioContexts ---
+// Tabs playing to the same output device share one AudioContext (one audio thread and output
+// stream). A context's device is set with setSinkId(); while the device is disconnected the
+// context plays to the default device instead.
+
+/** Names an output device in log messages. */
+function describeOutputDevice(outputDeviceId) {
+    return outputDeviceId ? `output device ${outputDeviceId}` : 'the default output device';
+}
+
+/**
+ * Returns the AudioContext of an output device ('' = default), creating it for the first tab
+ * playing there. Throws if the context can't be brought to the 'running' state.
+ */
+async function acquireAudioContext(outputDeviceId) {
+    let context = audioContexts.get(outputDeviceId);
+    if (!context || context.state === 'closed') {
+        logger.info(`${LOG_PREFIX_AUDIO} Creating AudioContext for ${describeOutputDevice(outputDeviceId)}...`);
+        context = new AudioContext();
+        context.addEventListener('statechange', handleContextStateChange);
+        audioContexts.set(outputDeviceId, context);
+        if (outputDeviceId) {
+            await routeToOutputDevice(context, outputDeviceId, await getConnectedOutputDeviceIds());
+        }
+    }
+
+    // Ensure context is running
+    if (context.state === 'suspended') {
+        logger.info(`${LOG_PREFIX_AUDIO} AudioContext of ${describeOutputDevice(outputDeviceId)} is suspended, attempting to resume...`);
+        await context.resume();
+    }
+    if (context.state !== 'running') {
+        throw new BoosterError(ERROR_CODES.AUDIO_CONTEXT_FAILED, `AudioContext failed to start or resume. State: ${context.state}`,
+            { contextState: context.state });
+    }
+    return context;
+}
+
+/** Closes every AudioContext no tab sub-graph uses anymore (none while a capture is being set up). */
+function releaseUnusedAudioContexts() {
+    if (pendingCaptureStarts > 0) {
+        return;
+    }
+    const usedContexts = new Set(Object.values(activeStreams).map(audioInfo => audioInfo.context));
+    for (const [outputDeviceId, context] of audioContexts) {
+        if (usedContexts.has(context)) continue;
+        audioContexts.delete(outputDeviceId);
+        if (context.state !== 'closed') {
+            context.close()
+                .then(() => logger.info(`${LOG_PREFIX_CLEANUP} AudioContext of ${describeOutputDevice(outputDeviceId)} closed (no tabs play there).`))
+                .catch(e => logger.warn(`${LOG_PREFIX_CLEANUP} Error during async AudioContext close:`, e));
+        }
+    }
+}
+
+/** IDs of the connected audio output devices. */
+async function getConnectedOutputDeviceIds() {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return new Set(devices.filter(device => device.kind === 'audiooutput').map(device => device.deviceId));
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX_AUDIO} Could not list output devices:`, error);
+        return new Set();
+    }
+}
+
+/** Points a context at its output device while it is connected, and at the default device while it isn't. */
+async function routeToOutputDevice(context, outputDeviceId, connectedDeviceIds) {
+    const sinkId = connectedDeviceIds.has(outputDeviceId) ? outputDeviceId : '';
+    if (context.sinkId === sinkId) {
+        return;
+    }
+    try {
+        await context.setSinkId(sinkId);
+        if (sinkId) {
+            logger.info(`${LOG_PREFIX_AUDIO} Playing to ${describeOutputDevice(outputDeviceId)}.`);
+        } else {
+            logger.warn(`${LOG_PREFIX_AUDIO} ${describeOutputDevice(outputDeviceId)} is not connected, playing to the default device.`);
+        }
+    } catch (error) {
+        // The context keeps its current sink, which is the default device unless it was switched before
+        logger.warn(`${LOG_PREFIX_AUDIO} Could not switch to ${sinkId ? describeOutputDevice(sinkId) : 'the default output device'}:`, error);
+    }
+}
+
+/** Re-checks the device of every context after the connected devices changed. */
+async function rerouteOutputDevices() {
+    const routedContexts = [...audioContexts].filter(([outputDeviceId, context]) => outputDeviceId && context.state !== 'closed');
+    if (routedContexts.length === 0) {
+        return;
+    }
+    const connectedDeviceIds = await getConnectedOutputDeviceIds();
+    for (const [outputDeviceId, context] of routedContexts) {
+        await routeToOutputDevice(context, outputDeviceId, connectedDeviceIds);
+    }
+}
+
+/** 'none' without contexts, otherwise 'running' unless one of them is in another state. */
+function getContextsState() {
+    const states = [...audioContexts.values()].map(context => context.state);
+    if (states.length === 0) return 'none';
+    return states.find(state => state !== 'running') ?? 'running';
+}
+
+/** Number of AudioNodes in a tab's sub-graph. */
+function countTabNodes(audioInfo) {
+    // source + gain + EQ filters + limiter + analyser (+ the recorder's input)
+    return 4 + audioInfo.eqFilters.length + (audioInfo.recording ? 1 : 0);
+}
+
+/** Summarizes the audio engine (one context per output device in use), so resource savings can be verified. */
+function getAudioStats() {
+    const tabGraphs = Object.values(activeStreams);
+    const openContexts = [...audioContexts.values()].filter(context => context.state !== 'closed');
+    return {
+        contextCount: openContexts.length,
+        contextState: getContextsState(),
+        sampleRate: openContexts[0]?.sampleRate ?? null,
+        tabCount: tabGraphs.length,
+        nodeCount: tabGraphs.reduce((total, audioInfo) => total + countTabNodes(audioInfo), 0)
+    };
+}
+
+/**
+ * Reports every live tab graph, so a restarted background can reconcile its state with ours.
+ * `trackState` is the captured track's readyState ('live' or 'ended'), `contextState` that of the
+ * tab's AudioContext; `outputFallback` is set while the tab's device is missing.
+ */
+function getCaptureState() {
+    return {
+        contextState: getContextsState(),
+        tabs: Object.entries(activeStreams).map(([tabId, audioInfo]) => ({
+            tabId: parseInt(tabId, 10),
+            volume: audioInfo.volume,
+            duckFactor: audioInfo.duckFactor,
+            trackState: audioInfo.stream.getAudioTracks()[0]?.readyState ?? 'ended',
+            contextState: audioInfo.context.state,
+            outputDeviceId: audioInfo.outputDeviceId,
+            outputFallback: audioInfo.context.sinkId !== audioInfo.outputDeviceId,
+            limiterBypassed: audioInfo.limiterBypassed,
+            recording: audioInfo.recording ? describeRecording(audioInfo.recording) : null
+        }))
+    };
+}
+
 /**
  * Handles updating the volume (gain) for an existing capture.
  */
@@ -218,23 +544,232 @@ function handleUpdateVolume(targetTabId, volume) {
     const audioInfo = activeStreams[targetTabId];
 
     if (typeof volume !== 'number' || isNaN(volume)) {
-         console.error(`${LOG_PREFIX_AUDIO} Invalid volume received for update: ${volume} for tab ${targetTabId}`);
+         logger.error(`${LOG_PREFIX_AUDIO} Invalid volume received for update: ${volume} for tab ${targetTabId}`);
          // No throw here, just log, background might retry/restart
          return; // Don't proceed
     }
 
     if (audioInfo?.context?.state === 'running') {
-        const targetGain = Math.max(0, volume / 100); // Ensure gain >= 0
-        // Use setValueAtTime for immediate effect, or setTargetAtTime for smooth transition (less critical here)
-        audioInfo.gainNode.gain.setValueAtTime(targetGain, audioInfo.context.currentTime);
-        // console.log(`${LOG_PREFIX_AUDIO} Volume updated to ${volume}% (Gain: ${targetGain.toFixed(2)}) for tab ${targetTabId}`); // Verbose
+        audioInfo.volume = volume;
+        const targetGain = getTargetGain(audioInfo);
+        clearTimeout(audioInfo.fadeTimer); // A volume change supersedes a sleep fade
+        audioInfo.fadeTimer = null;
+        rampGain(audioInfo, targetGain, gainRamp.rampMs); // A ramp instead of a jump avoids zipper noise while dragging
+        logger.debug(`${LOG_PREFIX_AUDIO} Volume updated to ${volume}% (Gain: ${targetGain.toFixed(2)}) for tab ${targetTabId}`);
     } else {
-        console.warn(`${LOG_PREFIX_AUDIO} Could not update volume for tab ${targetTabId}. No active/running audio stream found. State: ${audioInfo?.context?.state ?? 'N/A'}`);
+        logger.warn(`${LOG_PREFIX_AUDIO} Could not update volume for tab ${targetTabId}. No active/running audio stream found. State: ${audioInfo?.context?.state ?? 'N/A'}`);
         // Don't throw - background script might see this failure and initiate a restart.
         // If we threw here, it might mask the root cause or prevent recovery.
     }
 }
 
+/** The gain a tab's graph should settle at: its volume, scaled down while it is ducked. */
+function getTargetGain(audioInfo) {
+    return Math.max(0, audioInfo.volume / 100) * audioInfo.duckFactor; // Clamp gain at 0 minimum
+}
+
+/**
+ * Ducks a tab (factor < 1) or releases it (factor 1) over `rampMs`. The factor scales the gain
+ * on top of the tab's volume, which stays as it is. A tab fading out for its sleep timer keeps
+ * fading; the factor applies from its next volume change.
+ */
+function handleDuck(targetTabId, factor, rampMs) {
+    const audioInfo = activeStreams[targetTabId];
+    if (audioInfo?.context?.state !== 'running') {
+        throw new BoosterError(ERROR_CODES.CAPTURE_FAILED, `No running audio graph to duck for tab ${targetTabId}.`, { tabId: targetTabId });
+    }
+    audioInfo.duckFactor = Math.min(1, Math.max(0, factor));
+    if (audioInfo.fadeTimer) return;
+    rampGain(audioInfo, getTargetGain(audioInfo), rampMs);
+    logger.debug(`${LOG_PREFIX_AUDIO} Tab ${targetTabId} ${audioInfo.duckFactor < 1 ? `ducked to ${Math.round(audioInfo.duckFactor * 100)}%` : 'released'} over ${rampMs}ms.`);
+}
+
+/**
+ * Moves a tab's gain to `targetGain` over `durationMs` with the configured curve. Starts from
+ * `startGain` (default: the current gain, even mid-ramp) so back-to-back changes don't click.
+ */
+function rampGain(audioInfo, targetGain, durationMs, startGain = audioInfo.gainNode.gain.value) {
+    const gain = audioInfo.gainNode.gain;
+    const now = audioInfo.context.currentTime;
+    gain.cancelScheduledValues(now);
+    if (durationMs <= 0) {
+        gain.setValueAtTime(targetGain, now);
+        return;
+    }
+    gain.setValueAtTime(startGain, now);
+    if (gainRamp.curve === 'smooth') {
+        gain.setTargetAtTime(targetGain, now, durationMs / 1000 / SMOOTH_RAMP_TIME_CONSTANTS);
+    } else {
+        gain.linearRampToValueAtTime(targetGain, now + durationMs / 1000);
+    }
+}
+
+/**
+ * Fades a tab to silence over `durationMs` (a sleep timer running out) and tells the background
+ * when the fade is over. The graph keeps running; the background decides what happens next.
+ */
+function handleFadeOut(targetTabId, durationMs) {
+    const audioInfo = activeStreams[targetTabId];
+    if (audioInfo?.context?.state !== 'running') {
+        throw new BoosterError(ERROR_CODES.CAPTURE_FAILED, `No running audio graph to fade for tab ${targetTabId}.`, { tabId: targetTabId });
+    }
+    logger.info(`${LOG_PREFIX_AUDIO} Fading out tab ${targetTabId} over ${durationMs}ms.`);
+    rampGain(audioInfo, 0, durationMs);
+    clearTimeout(audioInfo.fadeTimer);
+    audioInfo.fadeTimer = setTimeout(() => {
+        if (activeStreams[targetTabId] === audioInfo) {
+            notifyBackground(MSG_TYPE_EVENT_FADE_COMPLETE, { tabId: targetTabId });
+        }
+    }, durationMs);
+}
+
+// --- Equalizer Functions ---
+
+/** Validates an array of EQ band descriptors ({ type, frequency, gain, Q }). */
+function isValidEqBands(eqBands) {
+    return Array.isArray(eqBands) && eqBands.every(band =>
+        band && EQ_FILTER_TYPES.includes(band.type) &&
+        Number.isFinite(band.frequency) && band.frequency > 0 &&
+        Number.isFinite(band.gain) &&
+        Number.isFinite(band.Q) && band.Q > 0
+    );
+}
+
+/** Creates one BiquadFilterNode per band, configured but not yet connected. */
+function createEqFilters(audioContext, eqBands) {
+    return eqBands.map(band => {
+        const filter = audioContext.createBiquadFilter();
+        applyEqBand(filter, band, audioContext.currentTime);
+        return filter;
+    });
+}
+
+/** Applies a single band's settings to an existing filter node. */
+function applyEqBand(filter, band, time) {
+    filter.type = band.type;
+    filter.frequency.setValueAtTime(band.frequency, time);
+    filter.Q.setValueAtTime(band.Q, time);
+    filter.gain.setValueAtTime(Math.max(-EQ_MAX_GAIN_DB, Math.min(EQ_MAX_GAIN_DB, band.gain)), time);
+}
+
+/** The last node of a tab's processing chain: the limiter, or while it is bypassed the last EQ filter (or the gain). */
+function getChainOutput(audioInfo) {
+    if (!audioInfo.limiterBypassed) return audioInfo.limiterNode;
+    return audioInfo.eqFilters.at(-1) ?? audioInfo.gainNode;
+}
+
+/**
+ * (Re)connects everything after the gain node: Gain -> EQ filters -> Limiter -> Destination.
+ * A bypassed limiter is left out of the chain. The analyser taps the final output for the
+ * popup's level meter (it has no output of its own), and so does a running recording.
+ */
+function connectProcessingChain(audioInfo) {
+    const { context, gainNode, eqFilters, limiterNode, analyserNode } = audioInfo;
+    gainNode.disconnect();
+    eqFilters.forEach(filter => filter.disconnect());
+    limiterNode.disconnect();
+
+    let previousNode = gainNode;
+    for (const filter of eqFilters) {
+        previousNode.connect(filter);
+        previousNode = filter;
+    }
+    if (!audioInfo.limiterBypassed) {
+        previousNode.connect(limiterNode);
+        previousNode = limiterNode;
+    }
+    previousNode.connect(context.destination);
+    previousNode.connect(analyserNode);
+    if (audioInfo.recording) {
+        previousNode.connect(audioInfo.recording.inputNode);
+    }
+}
+
+/**
+ * Updates the EQ bands of a running graph. Band values are changed in place when
+ * the band layout matches; otherwise the filter chain between gain and limiter is rebuilt.
+ */
+function handleUpdateEq(targetTabId, eqBands) {
+    const audioInfo = activeStreams[targetTabId];
+    if (audioInfo?.context?.state !== 'running') {
+        // Unlike volume updates, throw so the background restarts capture with the new bands.
+        throw new BoosterError(ERROR_CODES.NO_ACTIVE_STREAM, `No active/running audio stream for tab ${targetTabId}. State: ${audioInfo?.context?.state ?? 'N/A'}`,
+            { tabId: targetTabId, contextState: audioInfo?.context?.state ?? null });
+    }
+
+    const { context } = audioInfo;
+    const sameLayout = audioInfo.eqFilters.length === eqBands.length &&
+        audioInfo.eqFilters.every((filter, i) => filter.type === eqBands[i].type);
+
+    if (sameLayout) {
+        audioInfo.eqFilters.forEach((filter, i) => applyEqBand(filter, eqBands[i], context.currentTime));
+        logger.debug(`${LOG_PREFIX_AUDIO} EQ updated in place for tab ${targetTabId}`);
+        return;
+    }
+
+    logger.info(`${LOG_PREFIX_AUDIO} Rebuilding EQ chain for tab ${targetTabId} (${audioInfo.eqFilters.length} -> ${eqBands.length} bands)`);
+    audioInfo.eqFilters.forEach(filter => filter.disconnect());
+    audioInfo.eqFilters = createEqFilters(context, eqBands);
+    connectProcessingChain(audioInfo);
+}
+
+// --- Limiter Functions ---
+
+/** Validates limiter settings ({ bypass, threshold, knee, ratio, attack, release }). */
+function isValidLimiterSettings(settings) {
+    return !!settings && typeof settings.bypass === 'boolean' &&
+        ['threshold', 'knee', 'ratio', 'attack', 'release'].every(key => Number.isFinite(settings[key]));
+}
+
+/**
+ * Applies limiter settings to a graph's compressor node. Parameter values are applied
+ * even when bypassed, so re-enabling picks them up. Returns true if the bypass state changed.
+ */
+function applyLimiterSettings(audioInfo, settings) {
+    const { limiterNode, context } = audioInfo;
+    const time = context.currentTime;
+    limiterNode.threshold.setValueAtTime(settings.threshold, time);
+    limiterNode.knee.setValueAtTime(settings.knee, time);
+    limiterNode.ratio.setValueAtTime(settings.ratio, time);
+    limiterNode.attack.setValueAtTime(settings.attack, time);
+    limiterNode.release.setValueAtTime(settings.release, time);
+
+    const bypassChanged = audioInfo.limiterBypassed !== settings.bypass;
+    audioInfo.limiterBypassed = settings.bypass;
+    return bypassChanged;
+}
+
+/** Updates the limiter of a running graph, rewiring the chain only if bypass was toggled. */
+function handleUpdateLimiter(targetTabId, settings) {
+    const audioInfo = activeStreams[targetTabId];
+    if (audioInfo?.context?.state !== 'running') {
+        throw new BoosterError(ERROR_CODES.NO_ACTIVE_STREAM, `No active/running audio stream for tab ${targetTabId}. State: ${audioInfo?.context?.state ?? 'N/A'}`,
+            { tabId: targetTabId, contextState: audioInfo?.context?.state ?? null });
+    }
+
+    if (applyLimiterSettings(audioInfo, settings)) {
+        logger.info(`${LOG_PREFIX_AUDIO} Limiter ${settings.bypass ? 'bypassed' : 're-enabled'} for tab ${targetTabId}`);
+        connectProcessingChain(audioInfo);
+    }
+}
+
+/**
+ * Fades a tab's audio out before stopping its capture, so a stop (or a navigation restart)
+ * doesn't end with a click. Stops right away if the graph isn't playing.
+ */
+async function fadeOutAndStopCapture(targetTabId) {
+    const audioInfo = activeStreams[targetTabId];
+    if (audioInfo && gainRamp.fadeOutMs > 0 && audioInfo.context.state === 'running') {
+        logger.debug(`${LOG_PREFIX_CLEANUP} Fading out tab ${targetTabId} over ${gainRamp.fadeOutMs}ms before stopping.`);
+        rampGain(audioInfo, 0, gainRamp.fadeOutMs);
+        await new Promise(resolve => setTimeout(resolve, gainRamp.fadeOutMs));
+        if (activeStreams[targetTabId] !== audioInfo) {
+            return; // Stopped or replaced while fading (e.g. its track ended)
+        }
+    }
+    handleStopCapture(targetTabId);
+}
+
 /**
  * Stops the capture and cleans up all associated resources for a given tab.
  * Designed to be safe to call even if capture is not currently active for the tab.
@@ -243,56 +778,326 @@ function handleStopCapture(targetTabId) {
     const audioInfo = activeStreams[targetTabId];
 
     if (!audioInfo) {
-        // console.log(`${LOG_PREFIX_CLEANUP} stopCapture called for tab ${targetTabId}, but no active stream found. Nothing to do.`); // Verbose
+        logger.debug(`${LOG_PREFIX_CLEANUP} stopCapture called for tab ${targetTabId}, but no active stream found. Nothing to do.`);
         return; // Nothing to stop
     }
 
-    console.log(`${LOG_PREFIX_CLEANUP} === Stopping capture and cleaning up resources for tab ${targetTabId} ===`);
+    logger.info(`${LOG_PREFIX_CLEANUP} === Stopping capture and cleaning up resources for tab ${targetTabId} ===`);
+    clearTimeout(audioInfo.fadeTimer);
+    if (audioInfo.recording) {
+        finishRecording(targetTabId, audioInfo.recording, 'captureEnded'); // Whatever was recorded is still saved
+    }
 
     // 1. Stop the MediaStream tracks (prevents further data flow)
     try {
         if (audioInfo.stream) {
             audioInfo.stream.getTracks().forEach(track => track.stop());
-            // console.log(`${LOG_PREFIX_CLEANUP} Stopped MediaStream tracks for tab ${targetTabId}`); // Verbose
+            logger.debug(`${LOG_PREFIX_CLEANUP} Stopped MediaStream tracks for tab ${targetTabId}`);
         }
     } catch (err) {
-        console.warn(`${LOG_PREFIX_CLEANUP} Error stopping stream tracks for tab ${targetTabId}:`, err);
+        logger.warn(`${LOG_PREFIX_CLEANUP} Error stopping stream tracks for tab ${targetTabId}:`, err);
     }
 
-    // 2. Disconnect Web Audio nodes (best practice: reverse order, check existence)
-    // This prevents memory leaks from dangling node references.
+    // 2. Detach the tab's sub-graph from its context
+    disconnectTabGraph(audioInfo, targetTabId);
+
+    // 3. Remove the entry from our tracking object, then close its context if this was the last tab playing there
+    delete activeStreams[targetTabId];
+    logger.info(`${LOG_PREFIX_CLEANUP} Removed state entry for tab ${targetTabId}. Active streams now: ${Object.keys(activeStreams).length}`);
+    releaseUnusedAudioContexts();
+    logger.info(`${LOG_PREFIX_CLEANUP} === Cleanup COMPLETE for tab ${targetTabId} ===`);
+}
+
+/**
+ * Disconnects every node of a tab's sub-graph (best practice: reverse order, check existence).
+ * This prevents memory leaks from dangling node references and leaves the (shared) context untouched.
+ */
+function disconnectTabGraph(audioInfo, targetTabId) {
     try {
+        if (audioInfo.analyserNode) audioInfo.analyserNode.disconnect();
         if (audioInfo.limiterNode) audioInfo.limiterNode.disconnect();
+        if (audioInfo.eqFilters) audioInfo.eqFilters.forEach(filter => filter.disconnect());
         if (audioInfo.gainNode) audioInfo.gainNode.disconnect();
         if (audioInfo.source) audioInfo.source.disconnect(); // Disconnect source last
-        // console.log(`${LOG_PREFIX_CLEANUP} Disconnected audio nodes for tab ${targetTabId}`); // Verbose
+        logger.debug(`${LOG_PREFIX_CLEANUP} Disconnected audio nodes for tab ${targetTabId}`);
     } catch (err) {
-        console.warn(`${LOG_PREFIX_CLEANUP} Error disconnecting nodes for tab ${targetTabId}:`, err);
+        logger.warn(`${LOG_PREFIX_CLEANUP} Error disconnecting nodes for tab ${targetTabId}:`, err);
     }
+}
+
+// --- Recording ---
+// A tab's processed output (what the user hears, after the limiter) can be recorded to a file:
+// WebM/Opus through a MediaStreamAudioDestinationNode and MediaRecorder, or WAV through an
+// AudioWorklet (recorder-worklet.js) that hands over 16-bit PCM. The recorder taps the end of
+// the processing chain, so volume, EQ and limiter changes are recorded as they happen, and it
+// moves to the new graph when a capture is rebuilt. A finished recording becomes a blob URL that
+// the background downloads and then releases (MSG_TYPE_OFFSCREEN_RELEASE_RECORDING).
 
-    // 3. Close the AudioContext (releases underlying OS resources)
+/** Recorded time so far, without paused stretches. */
+function getRecordingElapsedMs(recording) {
+    return (recording.pausedAt ?? Date.now()) - recording.startedAt - recording.pausedMs;
+}
+
+/** A recording as reported in getCaptureState(). */
+function describeRecording(recording) {
+    return {
+        format: recording.format,
+        paused: recording.pausedAt !== null,
+        elapsedMs: getRecordingElapsedMs(recording),
+        maxDurationMs: recording.maxDurationMs
+    };
+}
+
+/** Starts recording a tab's running graph for at most `maxDurationMs` (pauses don't count). */
+async function handleStartRecording(targetTabId, format, maxDurationMs) {
+    const audioInfo = activeStreams[targetTabId];
+    if (audioInfo?.context?.state !== 'running') {
+        throw new BoosterError(ERROR_CODES.NO_ACTIVE_STREAM, `No running audio graph to record for tab ${targetTabId}.`, { tabId: targetTabId });
+    }
+    if (audioInfo.recording) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `Tab ${targetTabId} is already being recorded.`, { tabId: targetTabId });
+    }
+
+    let recording;
     try {
-        if (audioInfo.context && audioInfo.context.state !== 'closed') {
-            audioInfo.context.close()
-                .then(() => console.log(`${LOG_PREFIX_CLEANUP} AudioContext closed successfully for tab ${targetTabId}`))
-                .catch(e => console.warn(`${LOG_PREFIX_CLEANUP} Error during async AudioContext close for tab ${targetTabId}:`, e));
+        recording = format === 'wav' ? await createWavRecorder(audioInfo.context) : createWebmRecorder(audioInfo.context);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_RECORDING} Could not start a ${format} recorder for tab ${targetTabId}:`, error);
+        throw new BoosterError(ERROR_CODES.RECORDING_FAILED, `Could not start recording: ${error.message}`, { tabId: targetTabId, format: format });
+    }
+    if (activeStreams[targetTabId] !== audioInfo || audioInfo.recording) {
+        recording.finish(); // The graph went away (or another recording started) while the worklet loaded
+        throw new BoosterError(ERROR_CODES.NO_ACTIVE_STREAM, `The audio graph of tab ${targetTabId} changed while recording started.`, { tabId: targetTabId });
+    }
+
+    Object.assign(recording, { format: format, startedAt: Date.now(), pausedAt: null, pausedMs: 0, maxDurationMs: maxDurationMs, maxTimer: null, finished: false });
+    audioInfo.recording = recording;
+    getChainOutput(audioInfo).connect(recording.inputNode);
+    scheduleRecordingLimit(targetTabId, recording);
+    logger.info(`${LOG_PREFIX_RECORDING} Recording tab ${targetTabId} as ${format} (at most ${Math.round(maxDurationMs / 1000)}s).`);
+}
+
+/** A WebM/Opus recorder: MediaRecorder on a stream the chain plays into. */
+function createWebmRecorder(context) {
+    if (!MediaRecorder.isTypeSupported(RECORDING_WEBM_MIME_TYPE)) {
+        throw new Error(`${RECORDING_WEBM_MIME_TYPE} is not supported.`);
+    }
+    const destination = context.createMediaStreamDestination();
+    const mediaRecorder = new MediaRecorder(destination.stream, { mimeType: RECORDING_WEBM_MIME_TYPE });
+    const chunks = [];
+    mediaRecorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    mediaRecorder.start(RECORDING_TIMESLICE_MS);
+    return {
+        inputNode: destination,
+        pause: () => mediaRecorder.pause(),
+        resume: () => mediaRecorder.resume(),
+        finish: () => new Promise((resolve) => {
+            const done = () => {
+                destination.stream.getTracks().forEach(track => track.stop());
+                resolve(new Blob(chunks, { type: 'audio/webm' }));
+            };
+            if (mediaRecorder.state === 'inactive') {
+                done();
+                return;
+            }
+            mediaRecorder.addEventListener('stop', done, { once: true }); // After the last 'dataavailable'
+            mediaRecorder.stop();
+        })
+    };
+}
+
+/** A WAV recorder: the PCM recorder worklet, whose blocks become a 16-bit WAV file when finished. */
+async function createWavRecorder(context) {
+    if (!recorderWorkletContexts.has(context)) {
+        await context.audioWorklet.addModule(RECORDING_WORKLET_PATH);
+        recorderWorkletContexts.add(context);
+    }
+    const node = new AudioWorkletNode(context, RECORDING_WORKLET_PROCESSOR, {
+        numberOfInputs: 1,
+        numberOfOutputs: 0, // Pulled by the context on its own, like the analyser
+        channelCount: RECORDING_WAV_CHANNELS,
+        channelCountMode: 'explicit', // Mono tabs are recorded as two equal channels
+        processorOptions: { channelCount: RECORDING_WAV_CHANNELS }
+    });
+    const blocks = [];
+    let onFinalBlock = null;
+    node.port.onmessage = (event) => {
+        blocks.push(event.data.samples);
+        if (event.data.final) onFinalBlock?.();
+    };
+    return {
+        inputNode: node,
+        pause: () => node.port.postMessage({ type: 'pause', paused: true }),
+        resume: () => node.port.postMessage({ type: 'pause', paused: false }),
+        finish: async () => {
+            // A closed context never answers; what arrived until then is still written
+            await new Promise((resolve) => {
+                onFinalBlock = resolve;
+                setTimeout(resolve, RECORDING_FLUSH_TIMEOUT_MS);
+                node.port.postMessage({ type: 'flush' });
+            });
+            node.port.onmessage = null;
+            return encodeWav(blocks, context.sampleRate, RECORDING_WAV_CHANNELS);
         }
-    } catch (err) {
-        // Catch synchronous errors just in case, although close() returns Promise
-        console.warn(`${LOG_PREFIX_CLEANUP} Synchronous error initiating AudioContext close for tab ${targetTabId}:`, err);
-    } finally {
-        // 4. Remove the entry from our tracking object (MUST be last step)
-        delete activeStreams[targetTabId];
-        console.log(`${LOG_PREFIX_CLEANUP} Removed state entry for tab ${targetTabId}. Active streams now: ${Object.keys(activeStreams).length}`);
-        console.log(`${LOG_PREFIX_CLEANUP} === Cleanup COMPLETE for tab ${targetTabId} ===`);
+    };
+}
+
+/** Wraps interleaved 16-bit PCM blocks in a WAV (RIFF) file. */
+function encodeWav(blocks, sampleRate, channelCount) {
+    const dataBytes = blocks.reduce((total, block) => total + block.byteLength, 0);
+    const header = new DataView(new ArrayBuffer(WAV_HEADER_BYTES));
+    const writeText = (offset, text) => [...text].forEach((char, i) => header.setUint8(offset + i, char.charCodeAt(0)));
+    writeText(0, 'RIFF');
+    header.setUint32(4, WAV_HEADER_BYTES - 8 + dataBytes, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    header.setUint32(16, 16, true); // Size of the fmt chunk
+    header.setUint16(20, 1, true); // PCM
+    header.setUint16(22, channelCount, true);
+    header.setUint32(24, sampleRate, true);
+    header.setUint32(28, sampleRate * channelCount * 2, true); // Bytes per second
+    header.setUint16(32, channelCount * 2, true); // Bytes per frame
+    header.setUint16(34, 16, true); // Bits per sample
+    writeText(36, 'data');
+    header.setUint32(40, dataBytes, true);
+    return new Blob([header, ...blocks], { type: 'audio/wav' });
+}
+
+/** Ends the recording once its remaining time is up. */
+function scheduleRecordingLimit(targetTabId, recording) {
+    clearTimeout(recording.maxTimer);
+    recording.maxTimer = setTimeout(() => finishRecording(targetTabId, recording, 'maxDuration'),
+        Math.max(0, recording.maxDurationMs - getRecordingElapsedMs(recording)));
+}
+
+/** Pauses or resumes a tab's recording. Paused time doesn't count towards its maximum duration. */
+function handlePauseRecording(targetTabId, paused) {
+    const recording = activeStreams[targetTabId]?.recording;
+    if (!recording) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `Tab ${targetTabId} is not being recorded.`, { tabId: targetTabId });
+    }
+    if (paused === (recording.pausedAt !== null)) return;
+    if (paused) {
+        recording.pausedAt = Date.now();
+        clearTimeout(recording.maxTimer);
+        recording.pause();
+    } else {
+        recording.pausedMs += Date.now() - recording.pausedAt;
+        recording.pausedAt = null;
+        recording.resume();
+        scheduleRecordingLimit(targetTabId, recording);
+    }
+    logger.info(`${LOG_PREFIX_RECORDING} Recording of tab ${targetTabId} ${paused ? 'paused' : 'resumed'} at ${Math.round(getRecordingElapsedMs(recording) / 1000)}s.`);
+}
+
+/**
+ * Ends a recording, detaches it from the tab's graph and hands the file to the background
+ * (`reason`: 'stopped', 'maxDuration' or 'captureEnded'). Safe to call more than once.
+ */
+async function finishRecording(targetTabId, recording, reason) {
+    if (recording.finished) return;
+    recording.finished = true;
+    clearTimeout(recording.maxTimer);
+    const durationMs = getRecordingElapsedMs(recording);
+    const audioInfo = activeStreams[targetTabId];
+    if (audioInfo?.recording === recording) {
+        audioInfo.recording = null;
+        try {
+            getChainOutput(audioInfo).disconnect(recording.inputNode);
+        } catch (error) {
+            // Not connected anymore (the chain was being rewired)
+        }
+    }
+
+    let blob = null;
+    try {
+        blob = await recording.finish();
+    } catch (error) {
+        logger.error(`${LOG_PREFIX_RECORDING} Could not finish the recording of tab ${targetTabId}:`, error);
+    }
+    const url = blob?.size > 0 ? URL.createObjectURL(blob) : null;
+    logger.info(`${LOG_PREFIX_RECORDING} Recording of tab ${targetTabId} finished (${reason}): ${Math.round(durationMs / 1000)}s, ${blob?.size ?? 0} bytes.`);
+    notifyBackground(MSG_TYPE_EVENT_RECORDING_FINISHED, {
+        tabId: targetTabId,
+        format: recording.format,
+        url: url,
+        durationMs: durationMs,
+        size: blob?.size ?? 0,
+        reason: reason
+    });
+}
+
+// --- Level Meter ---
+
+/**
+ * Reads the current output levels of a tab's graph.
+ * Returns null if the tab has no running graph.
+ */
+function getLevels(targetTabId) {
+    const audioInfo = activeStreams[targetTabId];
+    if (!audioInfo?.analyserNode || audioInfo.context?.state !== 'running') {
+        return null;
     }
+
+    const buffer = audioInfo.levelBuffer;
+    audioInfo.analyserNode.getFloatTimeDomainData(buffer);
+    let peak = 0;
+    let sumOfSquares = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        const sample = Math.abs(buffer[i]);
+        if (sample > peak) peak = sample;
+        sumOfSquares += sample * sample;
+    }
+
+    return {
+        peak: peak, // Linear, 0..1 (can exceed 1 when clipping)
+        rms: Math.sqrt(sumOfSquares / buffer.length),
+        reduction: audioInfo.limiterBypassed ? 0 : audioInfo.limiterNode.reduction, // dB, <= 0
+        limiterBypassed: audioInfo.limiterBypassed,
+        clipping: peak >= CLIP_THRESHOLD
+    };
 }
 
-console.log(`${LOG_PREFIX} Initial setup complete. Listening for messages.`);
+// The popup connects while it is open and tells us which tab to meter.
+// Streaming stops as soon as the port disconnects (popup closed).
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.sender?.id !== chrome.runtime.id) {
+        return;
+    }
+    if (port.name !== PORT_NAME_LEVEL_METER) {
+        port.disconnect(); // The background answers the popup's tab state port; the popup stays connected to it
+        return;
+    }
+
+    let meterTimer = null;
+    port.onMessage.addListener((message) => {
+        try {
+            if (validateMessage(message).type !== MSG_TYPE_METER_SUBSCRIBE) {
+                throw new BoosterError(ERROR_CODES.UNKNOWN_MESSAGE, `Unexpected ${message.type} on the meter port.`);
+            }
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX_METER} Ignoring invalid meter request:`, error.message);
+            return;
+        }
+        logger.info(`${LOG_PREFIX_METER} Streaming levels for tab ${message.tabId}.`);
+        clearInterval(meterTimer);
+        meterTimer = setInterval(() => {
+            const levels = getLevels(message.tabId);
+            port.postMessage(createMessage(MSG_TYPE_METER_LEVELS, levels
+                ? { tabId: message.tabId, active: true, ...levels }
+                : { tabId: message.tabId, active: false }));
+        }, LEVEL_METER_INTERVAL_MS);
+    });
+
+    port.onDisconnect.addListener(() => {
+        clearInterval(meterTimer);
+        logger.info(`${LOG_PREFIX_METER} Meter port disconnected. Streaming stopped.`);
+    });
+});
+
+logger.info(`${LOG_PREFIX} Initial setup complete. Listening for messages.`);
 
-// Optional: Add a periodic check for orphaned streams (if background SW crashes unexpectedly)
-// setInterval(() => {
-//   const now = Date.now(); // Or performance.now()
-//   // Check activeStreams against known tabs or last message time? Complex.
-//   // Generally rely on background script re-syncing on restart.
-// }, 60000); // e.g., every minute
\ No newline at end of file
+// Orphaned streams (e.g. after the background service worker restarted) are found by the
+// background itself: it queries getCaptureState() on startup and stops, restarts or adopts graphs.
\ No newline at end of file
@@ -0,0 +1,242 @@
+// --- options.js ---
+logger.info("[Options] Initializing...");
+
+// --- DOM Elements ---
+const maxVolumeInput = document.getElementById('maxVolumeInput');
+const stepSizeInput = document.getElementById('stepSizeInput');
+const pendingExpiryInput = document.getElementById('pendingExpiryInput');
+const sliderMappingSelect = document.getElementById('sliderMappingSelect');
+const volumeRampInput = document.getElementById('volumeRampInput');
+const volumeRampCurveSelect = document.getElementById('volumeRampCurveSelect');
+const fadeInInput = document.getElementById('fadeInInput');
+const fadeOutInput = document.getElementById('fadeOutInput');
+const sleepFadeInput = document.getElementById('sleepFadeInput');
+const sleepTimerActionSelect = document.getElementById('sleepTimerActionSelect');
+const duckLevelInput = document.getElementById('duckLevelInput');
+const duckAttackInput = document.getElementById('duckAttackInput');
+const duckReleaseInput = document.getElementById('duckReleaseInput');
+const outputDevicesStatus = document.getElementById('outputDevicesStatus');
+const outputDevicesAccessButton = document.getElementById('outputDevicesAccessButton');
+const presetList = document.getElementById('presetList');
+const addPresetButton = document.getElementById('addPresetButton');
+const saveButton = document.getElementById('saveButton');
+const restoreDefaultsButton = document.getElementById('restoreDefaultsButton');
+const statusDisplay = document.getElementById('status');
+
+// --- Constants ---
+const NEW_PRESET_VOLUME = 100;
+const STATUS_CLEAR_MS = 2000;
+
+// Logging Prefixes
+const LOG_PREFIX = '[Options]';
+
+// --- State ---
+let defaultSettings = null; // From GET_SETTINGS, for "Restore Defaults"
+let settingsRanges = null; // { stepSize, maxVolume, pendingExpiryMinutes, volumeRampMs, fadeInMs, fadeOutMs, sleepFadeSeconds, duckLevel, duckAttackMs, duckReleaseMs, presetCount: { min, max } }
+let statusTimeout;
+
+configureLogger('options', createForwardingLogSink()); // Entries go to the background's diagnostics buffer
+
+// --- Initialization ---
+async function initializeOptions() {
+    await loadLogLevel().catch(() => {}); // The default level is fine if storage fails
+    renderOutputDeviceAccess();
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_SETTINGS));
+        if (chrome.runtime.lastError || !response?.settings) {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid settings response.");
+        }
+        defaultSettings = response.defaults;
+        settingsRanges = response.ranges;
+        stepSizeInput.min = settingsRanges.stepSize.min;
+        stepSizeInput.max = settingsRanges.stepSize.max;
+        maxVolumeInput.min = settingsRanges.maxVolume.min;
+        maxVolumeInput.max = settingsRanges.maxVolume.max;
+        pendingExpiryInput.min = settingsRanges.pendingExpiryMinutes.min;
+        pendingExpiryInput.max = settingsRanges.pendingExpiryMinutes.max;
+        [[volumeRampInput, settingsRanges.volumeRampMs], [fadeInInput, settingsRanges.fadeInMs], [fadeOutInput, settingsRanges.fadeOutMs],
+            [sleepFadeInput, settingsRanges.sleepFadeSeconds], [duckLevelInput, settingsRanges.duckLevel],
+            [duckAttackInput, settingsRanges.duckAttackMs], [duckReleaseInput, settingsRanges.duckReleaseMs]]
+            .forEach(([input, range]) => {
+                input.min = range.min;
+                input.max = range.max;
+            });
+        renderSettings(response.settings);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error loading settings:`, error);
+        setStatus(`Error: ${getUserErrorMessage(error)}`, true);
+        saveButton.disabled = true;
+    }
+}
+
+// --- Rendering ---
+
+function renderSettings(settings) {
+    maxVolumeInput.value = settings.maxVolume;
+    stepSizeInput.value = settings.stepSize;
+    pendingExpiryInput.value = settings.pendingExpiryMinutes;
+    sliderMappingSelect.value = settings.sliderMapping;
+    volumeRampInput.value = settings.volumeRampMs;
+    volumeRampCurveSelect.value = settings.volumeRampCurve;
+    fadeInInput.value = settings.fadeInMs;
+    fadeOutInput.value = settings.fadeOutMs;
+    sleepFadeInput.value = settings.sleepFadeSeconds;
+    sleepTimerActionSelect.value = settings.sleepTimerAction;
+    duckLevelInput.value = settings.duckLevel;
+    duckAttackInput.value = settings.duckAttackMs;
+    duckReleaseInput.value = settings.duckReleaseMs;
+    presetList.innerHTML = '';
+    settings.presets.forEach(addPresetRow);
+    updatePresetControls();
+}
+
+function addPresetRow(volume) {
+    const li = document.createElement('li');
+
+    const volumeInput = document.createElement('input');
+    volumeInput.type = 'number';
+    volumeInput.min = 0;
+    volumeInput.step = 10;
+    volumeInput.value = volume;
+
+    const unitSpan = document.createElement('span');
+    unitSpan.className = 'preset-unit';
+    unitSpan.textContent = '%';
+
+    li.appendChild(volumeInput);
+    li.appendChild(unitSpan);
+    [['up', '▲', 'Move up'], ['down', '▼', 'Move down'], ['remove', 'Remove', 'Remove preset']].forEach(([action, text, title]) => {
+        const button = document.createElement('button');
+        button.dataset.action = action;
+        button.textContent = text;
+        button.title = title;
+        li.appendChild(button);
+    });
+    presetList.appendChild(li);
+}
+
+/** Disables moves past either end and add/remove beyond the allowed preset count. */
+function updatePresetControls() {
+    const rows = [...presetList.children];
+    rows.forEach((row, index) => {
+        row.querySelector('[data-action="up"]').disabled = index === 0;
+        row.querySelector('[data-action="down"]').disabled = index === rows.length - 1;
+        row.querySelector('[data-action="remove"]').disabled = rows.length <= (settingsRanges?.presetCount.min ?? 1);
+        row.querySelector('input').max = maxVolumeInput.value;
+    });
+    addPresetButton.disabled = rows.length >= (settingsRanges?.presetCount.max ?? Infinity);
+}
+
+function setStatus(message, isError = false) {
+    clearTimeout(statusTimeout);
+    statusDisplay.textContent = message || '';
+    statusDisplay.classList.toggle('error', isError && !!message);
+    if (message && !isError) {
+        statusTimeout = setTimeout(() => setStatus(''), STATUS_CLEAR_MS);
+    }
+}
+
+// --- Output Devices ---
+
+/** Shows how many output devices the extension can name, or that access is still needed. */
+async function renderOutputDeviceAccess() {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        // Without access every entry comes back with an empty ID and label
+        const namedOutputs = devices.filter(device => device.kind === 'audiooutput' && device.deviceId);
+        outputDevicesStatus.textContent = namedOutputs.length > 0
+            ? 'Access allowed: the popup lists your output devices.'
+            : 'Devices are hidden until access is allowed.';
+        outputDevicesAccessButton.disabled = namedOutputs.length > 0;
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX} Could not list output devices:`, error);
+        outputDevicesStatus.textContent = 'Output devices unavailable.';
+    }
+}
+
+/** Asks for microphone access (only to reveal the output devices) and releases the microphone again. */
+async function requestOutputDeviceAccess() {
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        stream.getTracks().forEach(track => track.stop());
+        logger.info(`${LOG_PREFIX} Device access granted.`);
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX} Device access refused:`, error);
+        setStatus('Access was not allowed. Output devices stay hidden.', true);
+    }
+    await renderOutputDeviceAccess();
+}
+
+// --- Saving ---
+
+function readSettingsForm() {
+    return {
+        maxVolume: parseInt(maxVolumeInput.value, 10),
+        stepSize: parseInt(stepSizeInput.value, 10),
+        pendingExpiryMinutes: parseInt(pendingExpiryInput.value, 10),
+        sliderMapping: sliderMappingSelect.value,
+        volumeRampMs: parseInt(volumeRampInput.value, 10),
+        volumeRampCurve: volumeRampCurveSelect.value,
+        fadeInMs: parseInt(fadeInInput.value, 10),
+        fadeOutMs: parseInt(fadeOutInput.value, 10),
+        sleepFadeSeconds: parseInt(sleepFadeInput.value, 10),
+        sleepTimerAction: sleepTimerActionSelect.value,
+        duckLevel: parseInt(duckLevelInput.value, 10),
+        duckAttackMs: parseInt(duckAttackInput.value, 10),
+        duckReleaseMs: parseInt(duckReleaseInput.value, 10),
+        presets: [...presetList.querySelectorAll('input')].map(input => parseInt(input.value, 10))
+    };
+}
+
+/** Saves the settings and re-renders with the values the background accepted (invalid ones fall back to defaults). */
+function saveSettings(settings) {
+    setStatus("Saving...");
+    chrome.runtime.sendMessage(createMessage(MSG_TYPE_SAVE_SETTINGS, { settings: settings }), (response) => {
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            const error = toBoosterError(chrome.runtime.lastError || response?.error || "Unknown error.");
+            logger.error(`${LOG_PREFIX} Error saving settings:`, error.code, error.message);
+            setStatus(`Error: ${getUserErrorMessage(error)}`, true);
+            return;
+        }
+        renderSettings(response.settings);
+        setStatus("Saved.");
+    });
+}
+
+// --- Event Listeners ---
+
+saveButton.addEventListener('click', () => {
+    saveSettings(readSettingsForm());
+});
+
+restoreDefaultsButton.addEventListener('click', () => {
+    if (defaultSettings) saveSettings(defaultSettings);
+});
+
+addPresetButton.addEventListener('click', () => {
+    addPresetRow(NEW_PRESET_VOLUME);
+    updatePresetControls();
+});
+
+maxVolumeInput.addEventListener('change', updatePresetControls);
+
+outputDevicesAccessButton.addEventListener('click', requestOutputDeviceAccess);
+
+// Preset Row Buttons (Event Delegation)
+presetList.addEventListener('click', (event) => {
+    const action = event.target.dataset?.action;
+    const row = event.target.closest('li');
+    if (!action || !row) return;
+
+    if (action === 'up' && row.previousElementSibling) {
+        presetList.insertBefore(row, row.previousElementSibling);
+    } else if (action === 'down' && row.nextElementSibling) {
+        presetList.insertBefore(row.nextElementSibling, row);
+    } else if (action === 'remove') {
+        row.remove();
+    }
+    updatePresetControls();
+});
+
+// --- Initialize ---
+document.addEventListener('DOMContentLoaded', initializeOptions);
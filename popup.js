@@ -1,23 +1,86 @@
 // --- popup.js (Refactored) ---
-console.log("[Popup] Initializing...");
+logger.info("[Popup] Initializing...");
 
 // --- DOM Elements ---
+const masterSlider = document.getElementById('masterVolumeSlider');
+const masterPercentageDisplay = document.getElementById('masterVolumePercentage');
 const slider = document.getElementById('volumeSlider');
 const percentageDisplay = document.getElementById('volumePercentage');
+const levelMeterFill = document.getElementById('levelMeterFill');
+const levelMeterReduction = document.getElementById('levelMeterReduction');
+const levelMeterInfo = document.getElementById('levelMeterInfo');
+const clipIndicator = document.getElementById('clipIndicator');
 const statusDisplay = document.getElementById('status');
 const resetButton = document.getElementById('resetButton');
+const rememberSiteButton = document.getElementById('rememberSiteButton');
 const presetButtonContainer = document.querySelector('.preset-buttons');
 const activeTabsListContainer = document.getElementById('activeTabsList');
 const boostedTabsHeading = document.querySelector('.list-heading'); // Reference heading
+const activeTabsSortSelect = document.getElementById('activeTabsSortSelect');
+const siteRulesListContainer = document.getElementById('siteRulesList');
+const audioStatsDisplay = document.getElementById('audioStats');
+const eqPresetLabel = document.getElementById('eqPresetLabel');
+const eqPresetSelect = document.getElementById('eqPresetSelect');
+const eqBandsContainer = document.getElementById('eqBands');
+const limiterPresetLabel = document.getElementById('limiterPresetLabel');
+const limiterScopeSelect = document.getElementById('limiterScopeSelect');
+const limiterPresetSelect = document.getElementById('limiterPresetSelect');
+const limiterParamsContainer = document.getElementById('limiterParams');
+const shortcutStepLabel = document.getElementById('shortcutStepLabel');
+const editShortcutsButton = document.getElementById('editShortcutsButton');
+const openOptionsButton = document.getElementById('openOptionsButton');
+const sleepTimerLabel = document.getElementById('sleepTimerLabel');
+const sleepTimerPresets = document.getElementById('sleepTimerPresets');
+const sleepTimerMinutesInput = document.getElementById('sleepTimerMinutesInput');
+const sleepTimerSetButton = document.getElementById('sleepTimerSetButton');
+const sleepTimerCancelButton = document.getElementById('sleepTimerCancelButton');
+const recordingLabel = document.getElementById('recordingLabel');
+const recordingFormatSelect = document.getElementById('recordingFormatSelect');
+const recordingMaxMinutesInput = document.getElementById('recordingMaxMinutesInput');
+const recordButton = document.getElementById('recordButton');
+const recordingPauseButton = document.getElementById('recordingPauseButton');
+const recordingStopButton = document.getElementById('recordingStopButton');
+const outputDeviceLabel = document.getElementById('outputDeviceLabel');
+const outputDeviceSelect = document.getElementById('outputDeviceSelect');
+const outputDeviceHint = document.getElementById('outputDeviceHint');
+const outputDeviceAccessButton = document.getElementById('outputDeviceAccessButton');
+const duckingLabel = document.getElementById('duckingLabel');
+const priorityTabCheckbox = document.getElementById('priorityTabCheckbox');
+const scopeVolumesLabel = document.getElementById('scopeVolumesLabel');
+const scopeVolumesList = document.getElementById('scopeVolumesList');
+const logLevelSelect = document.getElementById('logLevelSelect');
+const copyDiagnosticsButton = document.getElementById('copyDiagnosticsButton');
 
 // --- Constants ---
-const MSG_TYPE_GET_VOLUME = 'GET_VOLUME';
-const MSG_TYPE_SET_VOLUME = 'SET_VOLUME';
-const MSG_TYPE_GET_ACTIVE_TABS = 'GET_ACTIVE_TABS';
+// Message types, targets and port names come from protocol.js
+const SHORTCUTS_PAGE_URL = 'chrome://extensions/shortcuts';
 const DEFAULT_VOLUME = 100;
-const MAX_VOLUME = 600; // Defined from slider max
+const DEFAULT_MAX_VOLUME = 600; // Used until the stored settings arrive
+const DEFAULT_PRESETS = [50, 150, 200, 400, 600];
+const SLIDER_DB_FLOOR = -40; // dB mapping: lowest non-zero slider position (1%)
 const SET_VOLUME_DEBOUNCE_MS = 150;
+const SET_VOLUME_RETRY_DELAY_MS = 500; // Wait before retrying a retryable SET_VOLUME error
+const SET_VOLUME_MAX_ATTEMPTS = 2;
+const SET_EQ_DEBOUNCE_MS = 150;
+const SET_SCOPE_VOLUME_DEBOUNCE_MS = 150;
+const SET_MASTER_VOLUME_DEBOUNCE_MS = 150;
+const EQ_PRESET_CUSTOM = 'Custom';
+const LIMITER_PRESET_CUSTOM = 'Custom';
 const VISUAL_FEEDBACK_DURATION_MS = 750;
+const PENDING_STATUS_MESSAGE = 'Waiting for audio: boost starts when the tab plays sound.';
+const CAPTURE_ERROR_STATUS_MESSAGE = 'Boost not active: audio capture failed or stopped.';
+const METER_FLOOR_DB = -60; // Lowest level shown on the meter
+const METER_HOT_DB = -6; // Peaks above this are shown in warning colour
+const METER_REDUCTION_RANGE_DB = 20; // Gain reduction that fills the reduction bar
+const METER_SILENCE_THRESHOLD = 0.0001; // Linear peak below which the tab counts as silent
+const METER_RECONNECT_MS = 1000; // Retry delay while no offscreen document is listening
+const TAB_STATE_RECONNECT_MS = 1000; // Retry delay after the background service worker went away
+const CLIP_HOLD_MS = 1500; // Keep the clip indicator lit this long after the last clip
+const SLEEP_COUNTDOWN_INTERVAL_MS = 1000; // Refresh rate of the remaining sleep timer times
+const SLEEP_TIMER_RANGE_MINUTES = { min: 1, max: 720 }; // Same as the background's
+const RECORDING_RANGE_MINUTES = { min: 1, max: 240 }; // Same as the background's recordingMaxMinutes
+const OUTPUT_DEVICE_ALIASES = ['default', 'communications']; // enumerateDevices() entries that stand for another device
+const STORAGE_KEY_ACTIVE_TABS_SORT = 'activeTabsSort'; // Popup-only preference: order of the boosted tabs list
 const DEFAULT_FAVICON_PATH = 'icons/icon16.png'; // Path to your default icon
 
 // Logging Prefixes
@@ -26,140 +89,177 @@ const LOG_PREFIX = '[Popup]';
 // --- State ---
 let currentTabId = null;
 let currentTabUrl = null; // Store URL for checks
+let currentWindowId = null; // Window of the current tab, shown as "This window"
+let currentVolume = DEFAULT_VOLUME; // Last volume shown in the main UI
 let debounceTimer;
 let isLoading = true; // Flag to prevent interactions during load/init error
 let feedbackTimeout; // Timer for visual feedback
-
-// --- Non-Linear Slider Mapping ---
+let eqDebounceTimer; // Timer for debouncing EQ band changes
+let limiterState = null; // Last GET_LIMITER/SET_LIMITER response: { global, tab }
+let meterPort = null; // Port to the offscreen document streaming levels
+let meterReconnectTimer; // Timer for reconnecting the level meter
+let tabStatePort = null; // Port to the background pushing tab states
+let tabStateReconnectTimer; // Timer for reconnecting the tab state port
+const listedTabs = new Map(); // tabId -> { tabId, title, favIconUrl, windowId, ...pushed state } of each row in the boosted tabs list
+let volumeChangeInFlight = false; // The user is changing the current tab's volume: pushed states don't move the slider meanwhile
+let clipHoldTimeout; // Timer for releasing the clip indicator
+let maxVolume = DEFAULT_MAX_VOLUME; // From settings
+let currentSleepTimer = null; // { endsAt, fadeEndsAt? } of the current tab, or null
+let currentRecording = null; // { format, startedAt, pausedAt, pausedMs, maxDurationMs } of the current tab, or null
+let outputDevices = []; // [{ deviceId, label }] of the connected output devices
+let hasDeviceAccess = false; // Whether Chrome reveals the devices (IDs are empty until access is allowed)
+let currentOutputDeviceId = ''; // Device the current tab plays to ('' = default)
+let currentDucking = null; // Last GET_DUCKING response for the current tab: { priority, rulePriority, active }
+let scopeVolumes = []; // Last GET_SCOPE_VOLUMES list: [{ scope, id, volume, tabCount, title?, color? }]
+const scopeDebounceTimers = {}; // { "scope:id": timerId } - One debounce per group/window slider
+let masterDebounceTimer; // Timer for debouncing master volume changes
+
+// Entries go to the background's diagnostics buffer; flushed before an export so it includes them
+const forwardingLogSink = createForwardingLogSink();
+configureLogger('popup', forwardingLogSink);
+
+// --- Slider Mapping ---
+// Maps the slider's raw position to an actual volume. The curve ('linear', 'power' or 'db') is chosen on the options page.
 const SliderMapping = {
+    mode: 'power',
     powerFactor: 0.5, // More granularity at higher volumes (0-1 less sensitive, 100-600 more sensitive)
     maxRawValue: parseFloat(slider.max),
-    maxActualVolume: MAX_VOLUME,
+    maxActualVolume: DEFAULT_MAX_VOLUME,
+
+    configure(mode, maxActualVolume) {
+        this.mode = mode;
+        this.maxActualVolume = maxActualVolume;
+    },
+
+    /** Maps a 0-1 slider position to a 0-1 fraction of the maximum volume. */
+    _toVolumeFraction(position) {
+        switch (this.mode) {
+            case 'linear':
+                return position;
+            case 'db': {
+                // Equal slider travel per dB, from SLIDER_DB_FLOOR up to the maximum
+                const maxDb = 20 * Math.log10(this.maxActualVolume / DEFAULT_VOLUME);
+                const db = SLIDER_DB_FLOOR + position * (maxDb - SLIDER_DB_FLOOR);
+                return (DEFAULT_VOLUME * Math.pow(10, db / 20)) / this.maxActualVolume;
+            }
+            default:
+                return Math.pow(position, 1 / this.powerFactor);
+        }
+    },
+
+    /** Inverse of _toVolumeFraction. */
+    _toPosition(volumeFraction) {
+        switch (this.mode) {
+            case 'linear':
+                return volumeFraction;
+            case 'db': {
+                const maxDb = 20 * Math.log10(this.maxActualVolume / DEFAULT_VOLUME);
+                const db = 20 * Math.log10((volumeFraction * this.maxActualVolume) / DEFAULT_VOLUME);
+                return Math.max(0, (db - SLIDER_DB_FLOOR) / (maxDb - SLIDER_DB_FLOOR));
+            }
+            default:
+                return Math.pow(volumeFraction, this.powerFactor);
+        }
+    },
 
     mapRawToActual(rawValue) {
         if (rawValue <= 0) return 0;
         const normalizedValue = Math.min(1, rawValue / this.maxRawValue); // Clamp to 1 max
-        const mappedNormalized = Math.pow(normalizedValue, 1 / this.powerFactor);
-        const actualVolume = Math.min(this.maxActualVolume, mappedNormalized * this.maxActualVolume);
+        const actualVolume = Math.min(this.maxActualVolume, this._toVolumeFraction(normalizedValue) * this.maxActualVolume);
         return Math.round(actualVolume);
     },
 
     mapActualToRaw(actualVolume) {
         if (actualVolume <= 0) return 0;
         const cappedVolume = Math.min(actualVolume, this.maxActualVolume);
-        const normalizedVolume = cappedVolume / this.maxActualVolume;
-        const mappedNormalized = Math.pow(normalizedVolume, this.powerFactor);
-        const rawValue = mappedNormalized * this.maxRawValue;
+        const rawValue = this._toPosition(cappedVolume / this.maxActualVolume) * this.maxRawValue;
         return Math.round(rawValue);
     }
 };
 
 // --- Error Message Mapping ---
-function mapErrorMessage(originalError) {
-    if (!originalError) return "An unknown error occurred.";
-    const lowerError = String(originalError).toLowerCase(); // Ensure it's a string
-
-    // Specific Background/Offscreen Errors
-    if (lowerError.includes("cannot capture tab audio") || lowerError.includes("is it audible?") || lowerError.includes("getmediastreamid failed") || lowerError.includes("timed out")) {
-        return "Cannot capture audio (is tab audible/playing?)";
-    }
-    if (lowerError.includes("operation busy") || lowerError.includes("in progress")) {
-        return "Busy, please wait a moment.";
-    }
-    if (lowerError.includes("internal audio processor error") || lowerError.includes("offscreen document failed") || lowerError.includes("audio setup failed")) {
-        return "Internal audio processor error.";
-    }
-    if (lowerError.includes("internal audio processor unavailable")) {
-        return "Audio processor unavailable. Try reloading.";
-    }
-     if (lowerError.includes("invalid stream id")) {
-         return "Internal error (Invalid Stream ID).";
-     }
-
-    // Popup / Tab Errors
-    if (lowerError.includes("no active tab")) {
-        return "No active tab found.";
-    }
-    if (lowerError.includes("cannot control") && (lowerError.includes("chrome pages") || lowerError.includes("this page type") || lowerError.includes("url scheme"))) {
-        return "Cannot control this type of page.";
-    }
-
-    // Communication / Runtime Errors
-     if (lowerError.includes("invalid request parameters")) {
-        return "Invalid request sent.";
-    }
-    if (lowerError.includes("runtime error") || lowerError.includes("native host has exited") || lowerError.includes("receiving end does not exist") || lowerError.includes("could not establish connection")) {
-        // Often means the background script crashed, was terminated, or is starting up
-        return "Extension context error. Try again shortly or reload.";
-     }
-     if (lowerError.includes("invalid tabid")) {
-         return "Internal error (Invalid Tab ID)."
-     }
-
-    // Default fallback - truncate long generic messages
-    const maxLength = 60;
-    const cleanMsg = String(originalError).replace(/^Error: /, ''); // Remove leading "Error: "
-    return cleanMsg.length > maxLength ? cleanMsg.substring(0, maxLength - 3) + "..." : cleanMsg;
+/** Friendly text for an error, error payload or message string (codes come from errors.js). */
+function mapErrorMessage(error) {
+    return getUserErrorMessage(error);
 }
 
 
 // --- Initialization ---
 async function initializePopup() {
-    console.log(`${LOG_PREFIX} Starting initialization...`);
     setLoadingState(true, 'Loading...');
+    logLevelSelect.value = await loadLogLevel().catch(() => logLevel);
+    logger.info(`${LOG_PREFIX} Starting initialization...`);
+
+    // Slider range and presets depend on the settings, so load them before showing any volume
+    await fetchAndRenderSettings();
+    await fetchOutputDevices(); // Needed by the output picker and the site rules list
+    await loadActiveTabsSort();
+    fetchAndRenderMasterVolume(); // Applies to all tabs, so it works even on pages we can't control
 
     try {
         // 1. Get Active Tab Info
         const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
         if (!tabs || tabs.length === 0 || !tabs[0].id) {
-            throw new Error("No active tab found.");
+            throw new BoosterError(ERROR_CODES.NO_ACTIVE_TAB);
         }
         currentTabId = tabs[0].id;
         currentTabUrl = tabs[0].url;
-        console.log(`${LOG_PREFIX} Active Tab ID: ${currentTabId}, URL: ${currentTabUrl}`);
+        currentWindowId = tabs[0].windowId;
+        logger.info(`${LOG_PREFIX} Active Tab ID: ${currentTabId}, URL: ${currentTabUrl}`);
 
         // 2. Check if URL is controllable
         if (!currentTabUrl || !/^(https?|file):/.test(currentTabUrl)) {
-            const reason = (currentTabUrl && currentTabUrl.startsWith('chrome://'))
-                ? "Cannot control chrome pages."
-                : "Cannot control this page type.";
-            throw new Error(reason);
+            throw new BoosterError(ERROR_CODES.UNSUPPORTED_URL, undefined, { url: currentTabUrl });
         }
 
         // 3. Get Current Volume for Active Tab
-        console.log(`${LOG_PREFIX} Requesting initial volume for tab ${currentTabId}`);
-        const volumeResponse = await chrome.runtime.sendMessage({ type: MSG_TYPE_GET_VOLUME, tabId: currentTabId });
+        logger.info(`${LOG_PREFIX} Requesting initial volume for tab ${currentTabId}`);
+        const volumeResponse = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_VOLUME, { tabId: currentTabId }));
 
         // Check for runtime errors after the call
         if (chrome.runtime.lastError) {
-            throw new Error(`Runtime error: ${chrome.runtime.lastError.message}`);
+            throw toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE);
         }
         if (volumeResponse?.error) {
-             throw new Error(`Error getting volume: ${volumeResponse.error}`);
+             throw toBoosterError(volumeResponse.error);
         }
         if (volumeResponse && typeof volumeResponse.volume === 'number') {
-            console.log(`${LOG_PREFIX} Received initial volume: ${volumeResponse.volume}%`);
-            updateUI(volumeResponse.volume);
-            setStatus('', false); // Clear loading message
+            logger.info(`${LOG_PREFIX} Received initial volume: ${volumeResponse.volume}%`);
+            renderCurrentTabState(volumeResponse); // Clears the loading message
+            renderOutputDevice(volumeResponse.outputDeviceId ?? '');
         } else {
-            console.warn(`${LOG_PREFIX} Invalid response for GET_VOLUME:`, volumeResponse);
+            logger.warn(`${LOG_PREFIX} Invalid response for GET_VOLUME:`, volumeResponse);
             updateUI(DEFAULT_VOLUME); // Fallback to default UI
             setStatus('Could not get current volume.', false); // Informative but not error state
         }
 
-        // 4. Fetch and Render Boosted Tabs List (happens concurrently with UI enable)
-        fetchAndRenderActiveTabs(); // Don't await here, let it run in background
+        // 4. Fetch and Render Site Rules and the panels (happens concurrently with UI enable)
+        // (the Boosted Tabs list is rendered once the tab state port connects, see step 6)
+        fetchAndRenderSiteRules();
+        fetchAndRenderEq();
+        fetchAndRenderLimiter();
+        fetchAndRenderDucking();
+        fetchAndRenderScopeVolumes();
 
         // 5. Enable Controls
         setLoadingState(false); // Success!
 
+        // 6. Start the live tab states, the level meter, the sleep timer countdowns and the recording time (run until the popup closes)
+        connectTabState();
+        connectLevelMeter();
+        setInterval(() => {
+            updateSleepCountdowns();
+            updateRecordingTime();
+        }, SLEEP_COUNTDOWN_INTERVAL_MS);
+
     } catch (error) {
-        console.error(`${LOG_PREFIX} Initialization error:`, error);
-        const friendlyError = mapErrorMessage(error.message);
-        setStatus(`Error: ${friendlyError}`, true);
+        logger.error(`${LOG_PREFIX} Initialization error:`, error);
+        const friendlyError = mapErrorMessage(error);
         updateUI(DEFAULT_VOLUME); // Show default state
-        setLoadingState(true); // Keep controls disabled on init error
-        renderActiveTabsList([], `Failed: ${friendlyError}`); // Show error in list too
+        setLoadingState(true); // Keep controls disabled on init error (clears the status)
+        setStatus(`Error: ${friendlyError}`, true);
+        showActiveTabsMessage(`List error: Failed: ${friendlyError}`, true); // Show error in list too
+        fetchAndRenderSiteRules(); // Rules stay manageable even on pages we can't control
     }
 }
 
@@ -170,7 +270,21 @@ function setLoadingState(loading, message = '') {
     isLoading = loading;
     slider.disabled = loading;
     resetButton.disabled = loading;
+    rememberSiteButton.disabled = loading;
+    eqPresetSelect.disabled = loading;
+    eqBandsContainer.querySelectorAll('input').forEach(input => input.disabled = loading);
+    limiterScopeSelect.disabled = loading;
+    limiterPresetSelect.disabled = loading;
+    limiterParamsContainer.querySelectorAll('input').forEach(input => input.disabled = loading);
     presetButtonContainer.querySelectorAll('button').forEach(button => button.disabled = loading);
+    sleepTimerPresets.querySelectorAll('button').forEach(button => button.disabled = loading);
+    sleepTimerMinutesInput.disabled = loading;
+    sleepTimerSetButton.disabled = loading;
+    sleepTimerCancelButton.disabled = loading || !currentSleepTimer;
+    updateRecordingButtons();
+    outputDeviceSelect.disabled = loading;
+    priorityTabCheckbox.disabled = loading || !!currentDucking?.rulePriority;
+    scopeVolumesList.querySelectorAll('input').forEach(input => input.disabled = loading);
 
     if (loading) {
         setStatus(message, false); // Show loading message, not as error
@@ -186,12 +300,28 @@ function setStatus(message, isError = false) {
 
 /** Updates the main slider/percentage display based on an ACTUAL volume value. */
 function updateUI(actualVolume) {
-    const clampedVolume = Math.max(0, Math.min(MAX_VOLUME, actualVolume)); // Ensure within 0-MAX bounds
+    const clampedVolume = Math.max(0, Math.min(maxVolume, actualVolume)); // Ensure within 0-MAX bounds
+    currentVolume = clampedVolume;
     const rawValue = SliderMapping.mapActualToRaw(clampedVolume);
     slider.value = rawValue;
     percentageDisplay.textContent = `${clampedVolume}%`;
 }
 
+/** Status line for a GET_VOLUME response: pending, failed capture, or nothing. */
+function getVolumeStateMessage(volumeResponse) {
+    if (volumeResponse.pending) return PENDING_STATUS_MESSAGE;
+    if (volumeResponse.captureError) return CAPTURE_ERROR_STATUS_MESSAGE;
+    return '';
+}
+
+/** Shows the current tab's state ({ volume, pending, captureError, sleepTimer, recording }, from GET_VOLUME or pushed). */
+function renderCurrentTabState(tabState) {
+    updateUI(tabState.volume);
+    renderSleepTimer(tabState.sleepTimer ?? null);
+    renderRecording(tabState.recording ?? null);
+    setStatus(getVolumeStateMessage(tabState), !!tabState.captureError);
+}
+
 /** Shows temporary visual feedback on the percentage display. */
 function showVisualFeedback() {
     clearTimeout(feedbackTimeout);
@@ -201,107 +331,1128 @@ function showVisualFeedback() {
     }, VISUAL_FEEDBACK_DURATION_MS);
 }
 
-// --- Fetch and Render Active Tabs List ---
+// --- Level Meter ---
+
+/** Converts a linear amplitude to dBFS. */
+function linearToDb(value) {
+    return value > 0 ? 20 * Math.log10(value) : -Infinity;
+}
+
+function formatDb(db) {
+    return Number.isFinite(db) ? `${db.toFixed(1)} dB` : '-∞ dB';
+}
+
+/**
+ * Opens a port to the offscreen document, which streams levels for the current tab.
+ * If no document is listening yet (nothing captured), keeps retrying while the popup is open.
+ * Closing the popup disconnects the port, which stops the stream.
+ */
+function connectLevelMeter() {
+    clearTimeout(meterReconnectTimer);
+    if (currentTabId === null) return;
+
+    meterPort = chrome.runtime.connect({ name: PORT_NAME_LEVEL_METER });
+    meterPort.onMessage.addListener((message) => {
+        try {
+            validateMessage(message);
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX} Ignoring invalid level report:`, error.message);
+            return;
+        }
+        renderLevels(message);
+    });
+    meterPort.onDisconnect.addListener(() => {
+        void chrome.runtime.lastError; // Expected when the offscreen document doesn't exist
+        meterPort = null;
+        renderLevels({ active: false });
+        meterReconnectTimer = setTimeout(connectLevelMeter, METER_RECONNECT_MS);
+    });
+    meterPort.postMessage(createMessage(MSG_TYPE_METER_SUBSCRIBE, { tabId: currentTabId }));
+}
+
+/** Updates the meter from a level report ({ active, peak, rms, reduction, clipping }). */
+function renderLevels(levels) {
+    if (!levels?.active) {
+        levelMeterFill.style.width = '0%';
+        levelMeterFill.classList.remove('hot', 'clipping');
+        levelMeterReduction.style.width = '0%';
+        levelMeterInfo.textContent = 'No signal (tab not being processed)';
+        return;
+    }
+
+    const peakDb = linearToDb(levels.peak);
+    const meterFraction = Number.isFinite(peakDb) ? Math.max(0, Math.min(1, 1 - peakDb / METER_FLOOR_DB)) : 0;
+    levelMeterFill.style.width = `${(meterFraction * 100).toFixed(1)}%`;
+    levelMeterFill.classList.toggle('hot', peakDb > METER_HOT_DB && !levels.clipping);
+    levelMeterFill.classList.toggle('clipping', levels.clipping);
+
+    const reduction = Math.abs(levels.reduction || 0);
+    levelMeterReduction.style.width = `${(Math.min(1, reduction / METER_REDUCTION_RANGE_DB) * 100).toFixed(1)}%`;
+
+    levelMeterInfo.textContent = levels.peak < METER_SILENCE_THRESHOLD
+        ? 'Silent'
+        : `Peak ${formatDb(peakDb)} · RMS ${formatDb(linearToDb(levels.rms))} · ${levels.limiterBypassed ? 'Limiter off' : `Limiter -${reduction.toFixed(1)} dB`}`;
+
+    if (levels.clipping) {
+        clipIndicator.classList.add('active');
+        clearTimeout(clipHoldTimeout);
+        clipHoldTimeout = setTimeout(() => clipIndicator.classList.remove('active'), CLIP_HOLD_MS);
+    }
+}
+
+// --- Live Tab States ---
+
+/**
+ * Opens a port to the background, which pushes every tab's state on connect and then the tabs whose
+ * state changes (shortcuts, closed tabs, restarted captures...). Closing the popup disconnects it;
+ * if the service worker goes away instead, reconnects for a fresh snapshot.
+ */
+function connectTabState() {
+    clearTimeout(tabStateReconnectTimer);
+
+    tabStatePort = chrome.runtime.connect({ name: PORT_NAME_TAB_STATE });
+    tabStatePort.onMessage.addListener((message) => {
+        try {
+            if (validateMessage(message).type !== MSG_TYPE_TAB_STATES) {
+                throw new BoosterError(ERROR_CODES.UNKNOWN_MESSAGE, `Unexpected ${message.type} on the tab state port.`);
+            }
+        } catch (error) {
+            logger.warn(`${LOG_PREFIX} Ignoring invalid tab states:`, error.message);
+            return;
+        }
+        applyTabStates(message.tabs, message.full, message.duckingActive);
+    });
+    tabStatePort.onDisconnect.addListener(() => {
+        void chrome.runtime.lastError; // The service worker stopped or restarted
+        tabStatePort = null;
+        tabStateReconnectTimer = setTimeout(connectTabState, TAB_STATE_RECONNECT_MS);
+    });
+}
+
+/**
+ * Shows pushed tab states ({ [tabId]: state or null }): the current tab's in the main controls, the others
+ * in the boosted tabs list. A tab that is null, or missing from a full snapshot, is at 100% with nothing going on.
+ */
+function applyTabStates(tabStates, full, duckingActive) {
+    updateListedTabs(tabStates, full);
+    if (isLoading) return;
+    // A priority tab starting or stopping to play changes ducking for every tab
+    if (currentDucking && currentDucking.active !== duckingActive) {
+        renderDucking({ ...currentDucking, active: duckingActive });
+    }
+    if ((full || String(currentTabId) in tabStates) && !volumeChangeInFlight) {
+        renderCurrentTabState(tabStates[currentTabId] ?? { volume: DEFAULT_VOLUME, pending: false, captureError: false });
+    }
+}
+
+// --- Boosted Tabs List ---
+// Built from the pushed tab states (see "Live Tab States"). A push only touches the rows of the tabs
+// in it, so a slider being dragged in another row stays put. Titles, favicons and windows aren't
+// pushed; they are looked up once, when a tab is first listed.
+
+/**
+ * Applies pushed tab states to listedTabs and the list. A tab that is null or no longer listed loses
+ * its row; a full snapshot also drops the rows of tabs missing from it.
+ */
+function updateListedTabs(tabStates, full) {
+    const changedTabIds = [];
+    const newTabIds = [];
+    const removedTabIds = full ? [...listedTabs.keys()].filter(tabId => !(tabId in tabStates)) : [];
+    for (const [id, state] of Object.entries(tabStates)) {
+        const tabId = Number(id);
+        if (tabId === currentTabId) continue; // Shown in the main controls instead
+        if (!state?.listed) {
+            if (listedTabs.has(tabId)) removedTabIds.push(tabId);
+            continue;
+        }
+        if (!listedTabs.has(tabId)) newTabIds.push(tabId);
+        listedTabs.set(tabId, { title: '', favIconUrl: null, ...listedTabs.get(tabId), ...state, tabId: tabId });
+        changedTabIds.push(tabId);
+    }
+    removedTabIds.forEach(tabId => listedTabs.delete(tabId));
+    renderActiveTabsList(changedTabIds);
+    newTabIds.forEach(fetchListedTabDetails);
+    if (full || newTabIds.length > 0 || removedTabIds.length > 0) {
+        fetchAndRenderAudioStats(); // Graph count follows the boosted list
+    }
+}
+
+/** Looks up the title, favicon and window of a tab that just got listed, and fills them into its row. */
+async function fetchListedTabDetails(tabId) {
+    try {
+        const tab = await chrome.tabs.get(tabId);
+        const listedTab = listedTabs.get(tabId);
+        if (!listedTab) return; // Unlisted while looking it up
+        Object.assign(listedTab, { title: tab.title || '', favIconUrl: tab.favIconUrl || null, windowId: tab.windowId });
+        renderActiveTabsList([tabId]);
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX} Could not look up listed tab ${tabId} (likely closed):`, error); // Its null state follows
+    }
+}
+
+/** Replaces the list with a message (empty list, init error). */
+function showActiveTabsMessage(message, isError = false) {
+    activeTabsListContainer.innerHTML = ''; // Clear previous content
+    const messageElement = document.createElement('span');
+    messageElement.className = 'no-active-tabs';
+    messageElement.classList.toggle('error', isError); // Error style
+    messageElement.textContent = message;
+    activeTabsListContainer.appendChild(messageElement);
+    boostedTabsHeading.style.display = 'block'; // Show heading even if list is empty now
+}
+
+/**
+ * Brings the list in line with listedTabs: adds and removes rows, fills the rows of `changedTabIds`
+ * and moves rows only where the order changed. The other rows are left as they are.
+ */
+function renderActiveTabsList(changedTabIds) {
+    const tabs = sortActiveTabs([...listedTabs.values()], activeTabsSortSelect.value);
+    if (tabs.length === 0) {
+        showActiveTabsMessage('No other tabs currently boosted.');
+        return;
+    }
+
+    boostedTabsHeading.style.display = 'block'; // Make sure heading is visible
+    let ul = activeTabsListContainer.querySelector('ul.active-tabs-list');
+    if (!ul) {
+        activeTabsListContainer.innerHTML = ''; // Drop the message shown instead of the list
+        ul = document.createElement('ul');
+        ul.className = 'active-tabs-list';
+        activeTabsListContainer.appendChild(ul);
+    }
+
+    const rows = new Map([...ul.querySelectorAll('li[data-tab-id]')].map(li => [Number(li.dataset.tabId), li]));
+    rows.forEach((li, tabId) => {
+        if (!listedTabs.has(tabId)) li.remove();
+    });
+    tabs.forEach((tab, index) => {
+        let li = rows.get(tab.tabId);
+        if (!li) {
+            li = createActiveTabRow(tab.tabId);
+            fillActiveTabRow(li, tab);
+        } else if (changedTabIds.includes(tab.tabId)) {
+            fillActiveTabRow(li, tab);
+        }
+        if (ul.children[index] !== li) {
+            ul.insertBefore(li, ul.children[index] ?? null);
+        }
+    });
+}
+
+/** Creates the empty row of a listed tab; fillActiveTabRow() shows its state. */
+function createActiveTabRow(tabId) {
+    const li = document.createElement('li');
+    li.dataset.tabId = tabId;
+
+    const img = document.createElement('img');
+    img.className = 'active-tab-favicon';
+    img.alt = ''; // Decorative
+    // Handle favicon loading error (optional, sets to default)
+    img.onerror = () => { if (img.src !== DEFAULT_FAVICON_PATH) img.src = DEFAULT_FAVICON_PATH; };
+
+    const titleSpan = document.createElement('span');
+    titleSpan.className = 'active-tab-title';
+
+    const recordingSpan = document.createElement('span');
+    recordingSpan.className = 'active-tab-recording';
+
+    const sleepSpan = document.createElement('span');
+    sleepSpan.className = 'active-tab-sleep';
+
+    const volumeSpan = document.createElement('span');
+    volumeSpan.className = 'active-tab-volume';
+
+    const muteButton = document.createElement('button');
+    muteButton.className = 'active-tab-reset active-tab-mute';
+    muteButton.dataset.tabid = tabId;
+
+    const listResetButton = document.createElement('button');
+    listResetButton.className = 'active-tab-reset';
+    listResetButton.dataset.tabid = tabId; // Store tabId for the click handler
+
+    // Same mapping as the main slider; wraps onto its own line under the row
+    const tabSlider = document.createElement('input');
+    tabSlider.type = 'range';
+    tabSlider.className = 'active-tab-slider';
+    tabSlider.min = 0;
+    tabSlider.dataset.tabid = tabId;
+
+    li.appendChild(img);
+    li.appendChild(titleSpan);
+    li.appendChild(recordingSpan);
+    li.appendChild(sleepSpan);
+    li.appendChild(volumeSpan);
+    li.appendChild(muteButton);
+    li.appendChild(listResetButton);
+    li.appendChild(tabSlider);
+    return li;
+}
+
+/** Shows a listed tab's state in its row (also re-enables its buttons after a failed action). */
+function fillActiveTabRow(li, tab) {
+    const title = tab.title || `Tab ID: ${tab.tabId}`;
+    if (tab.windowId !== undefined) {
+        li.dataset.windowId = tab.windowId; // Clicking the favicon or title focuses the tab in its window
+    }
+
+    li.querySelector('.active-tab-favicon').src = tab.favIconUrl || DEFAULT_FAVICON_PATH; // Use default if null/empty
+
+    const titleSpan = li.querySelector('.active-tab-title');
+    titleSpan.textContent = title;
+    titleSpan.title = `${title} (click to switch to the tab)`; // Tooltip for overflow
+
+    const sleepSpan = li.querySelector('.active-tab-sleep');
+    if (tab.sleepTimer) {
+        sleepSpan.dataset.endsAt = tab.sleepTimer.endsAt;
+        sleepSpan.dataset.fading = !!tab.sleepTimer.fadeEndsAt;
+        sleepSpan.textContent = `⏾ ${formatSleepRemaining(tab.sleepTimer)}`;
+        sleepSpan.title = 'Sleep timer';
+    } else {
+        delete sleepSpan.dataset.endsAt;
+        delete sleepSpan.dataset.fading;
+        sleepSpan.textContent = '';
+        sleepSpan.title = '';
+    }
+
+    const recordingSpan = li.querySelector('.active-tab-recording');
+    recordingSpan.textContent = tab.recording ? '●' : '';
+    recordingSpan.title = tab.recording ? (tab.recording.pausedAt !== null ? 'Recording paused' : 'Recording') : '';
+    recordingSpan.classList.toggle('paused', !!tab.recording && tab.recording.pausedAt !== null);
+
+    const volumeSpan = li.querySelector('.active-tab-volume');
+    const isScaled = tab.effectiveVolume !== undefined && tab.effectiveVolume !== tab.volume;
+    volumeSpan.textContent = isScaled ? `${tab.volume}% → ${tab.effectiveVolume}%` : `${tab.volume}%`;
+    volumeSpan.classList.toggle('pending', !!tab.pending);
+    volumeSpan.classList.toggle('ducked', !!tab.ducked);
+    if (tab.pending) {
+        volumeSpan.title = 'Waiting for audio';
+    } else if (tab.ducked) {
+        volumeSpan.title = 'Turned down while a priority tab plays';
+    } else if (isScaled) {
+        volumeSpan.title = 'Tab volume → level after group, window and master volume';
+    } else if (tab.eqPreset && tab.eqPreset !== 'Flat') {
+        volumeSpan.title = `EQ: ${tab.eqPreset}`;
+    } else {
+        volumeSpan.title = '';
+    }
+
+    const [muteButton, listResetButton] = li.querySelectorAll('.active-tab-reset'); // Both share the button style
+    muteButton.textContent = tab.volume === 0 ? 'Unmute' : 'Mute';
+    muteButton.disabled = isLoading;
+
+    listResetButton.textContent = 'Reset';
+    listResetButton.disabled = isLoading; // Disable if main controls are disabled
+
+    const tabSlider = li.querySelector('.active-tab-slider');
+    tabSlider.max = slider.max;
+    tabSlider.value = SliderMapping.mapActualToRaw(tab.volume);
+    tabSlider.disabled = isLoading;
+    tabSlider.title = `Volume of ${tab.title || `tab ${tab.tabId}`}`;
+}
+
+/** Re-renders a listed tab's row from its last pushed state, e.g. to re-enable its buttons after a failed action. */
+function refreshActiveTabRow(tabId) {
+    if (listedTabs.has(tabId)) renderActiveTabsList([tabId]);
+}
+
+/** Orders the list in place: by title, by volume (loudest first) or by most recently changed volume. */
+function sortActiveTabs(tabs, order) {
+    const byTitle = (a, b) => (a.title || "").localeCompare(b.title || "");
+    switch (order) {
+        case 'volume':
+            return tabs.sort((a, b) => b.volume - a.volume || byTitle(a, b));
+        case 'recent':
+            return tabs.sort((a, b) => (b.changedAt ?? 0) - (a.changedAt ?? 0) || byTitle(a, b));
+        default:
+            return tabs.sort(byTitle);
+    }
+}
+
+/** Restores the sort order picked in an earlier popup (title order until one was picked). */
+async function loadActiveTabsSort() {
+    try {
+        const result = await chrome.storage.local.get(STORAGE_KEY_ACTIVE_TABS_SORT);
+        if (result[STORAGE_KEY_ACTIVE_TABS_SORT]) {
+            activeTabsSortSelect.value = result[STORAGE_KEY_ACTIVE_TABS_SORT];
+        }
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX} Could not load the list order:`, error);
+    }
+}
+
+/** Switches to a listed tab and brings its window to the front (which closes the popup). */
+async function focusListedTab(tabId, windowId) {
+    try {
+        await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(windowId, { focused: true });
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error switching to tab ${tabId}:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+    }
+}
+
+/** Mutes a listed tab, or brings back its volume from before the mute (same as the mute shortcut). */
+async function sendToggleMute(tabId) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_TOGGLE_MUTE, { tabId: tabId }));
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid TOGGLE_MUTE response.");
+        }
+        setStatus(response.pending ? PENDING_STATUS_MESSAGE : '', false);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error toggling mute for tab ${tabId}:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+        refreshActiveTabRow(tabId); // Re-enables the button (a successful toggle is pushed)
+    }
+}
+
+// --- Sleep Timer ---
+
+/** Remaining time of a sleep timer as "m:ss" (or "h:mm:ss"), or "Fading out" once it ran out. */
+function formatSleepRemaining(sleepTimer) {
+    if (sleepTimer.fadeEndsAt) return 'Fading out';
+    const totalSeconds = Math.max(0, Math.ceil((sleepTimer.endsAt - Date.now()) / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/** Shows the current tab's sleep timer (null: none) in the panel summary. */
+function renderSleepTimer(sleepTimer) {
+    currentSleepTimer = sleepTimer;
+    sleepTimerLabel.textContent = sleepTimer ? formatSleepRemaining(sleepTimer) : 'Off';
+    sleepTimerCancelButton.disabled = isLoading || !sleepTimer;
+}
+
+/** Ticks every shown countdown: the current tab's and those in the boosted tabs list. */
+function updateSleepCountdowns() {
+    if (currentSleepTimer) {
+        sleepTimerLabel.textContent = formatSleepRemaining(currentSleepTimer);
+    }
+    activeTabsListContainer.querySelectorAll('.active-tab-sleep').forEach(span => {
+        if (!span.dataset.endsAt) return;
+        const sleepTimer = { endsAt: Number(span.dataset.endsAt), fadeEndsAt: span.dataset.fading === 'true' };
+        span.textContent = `⏾ ${formatSleepRemaining(sleepTimer)}`;
+    });
+}
+
+/** Starts (minutes > 0) or cancels (0) the current tab's sleep timer. */
+async function sendSleepTimer(minutes) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_SLEEP_TIMER, { tabId: currentTabId, minutes: minutes }));
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid SET_SLEEP_TIMER response.");
+        }
+        renderSleepTimer(response.sleepTimer ?? null);
+        setStatus(minutes > 0 ? `Sleep timer: ${minutes} min.` : 'Sleep timer cancelled.', false);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error setting sleep timer:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+    }
+}
+
+// --- Recording ---
+
+/** Recorded time of a recording as "m:ss" (pauses don't count). */
+function formatRecordingTime(recording) {
+    const elapsedMs = (recording.pausedAt ?? Date.now()) - recording.startedAt - recording.pausedMs;
+    const totalSeconds = Math.max(0, Math.floor(elapsedMs / 1000));
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+/** Shows the current tab's recording (null: none) in the panel summary. */
+function renderRecording(recording) {
+    currentRecording = recording;
+    updateRecordingTime();
+    updateRecordingButtons();
+}
+
+function updateRecordingTime() {
+    if (!currentRecording) {
+        recordingLabel.textContent = 'Off';
+    } else {
+        const prefix = currentRecording.pausedAt !== null ? 'Paused' : '●';
+        recordingLabel.textContent = `${prefix} ${formatRecordingTime(currentRecording)}`;
+    }
+}
+
+/** Format and duration are chosen before a recording; pause and stop only work during one. */
+function updateRecordingButtons() {
+    recordingFormatSelect.disabled = isLoading || !!currentRecording;
+    recordingMaxMinutesInput.disabled = isLoading || !!currentRecording;
+    recordButton.disabled = isLoading || !!currentRecording;
+    recordingPauseButton.disabled = isLoading || !currentRecording;
+    recordingPauseButton.textContent = currentRecording?.pausedAt != null ? 'Resume' : 'Pause';
+    recordingStopButton.disabled = isLoading || !currentRecording;
+}
+
+/** Sends a recording message for the current tab and shows the recording it returns. */
+async function sendRecordingCommand(type, details, statusMessage) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(type, { tabId: currentTabId, ...details }));
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || `Invalid ${type} response.`);
+        }
+        renderRecording(response.recording ?? null);
+        setStatus(statusMessage, false);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error handling ${type}:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+    }
+}
+
+// --- Output Device ---
+// Chrome hides device IDs and names until the extension may use the microphone (allowed in Options).
+
+/** Reads the connected output devices into `outputDevices`. */
+async function fetchOutputDevices() {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        hasDeviceAccess = devices.some(device => device.deviceId);
+        outputDevices = devices
+            .filter(device => device.kind === 'audiooutput' && device.deviceId && !OUTPUT_DEVICE_ALIASES.includes(device.deviceId))
+            .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Output device ${index + 1}` }));
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX} Could not list output devices:`, error);
+        hasDeviceAccess = false;
+        outputDevices = [];
+    }
+}
+
+/** Fills a device select: the default output, every connected device, and the selected one even if it is unplugged. */
+function fillOutputDeviceSelect(select, selectedDeviceId) {
+    select.innerHTML = '';
+    const choices = [{ deviceId: '', label: 'Default output' }, ...outputDevices];
+    if (selectedDeviceId && !outputDevices.some(device => device.deviceId === selectedDeviceId)) {
+        choices.push({ deviceId: selectedDeviceId, label: 'Unavailable device' });
+    }
+    choices.forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice.deviceId;
+        option.textContent = choice.label;
+        select.appendChild(option);
+    });
+    select.value = selectedDeviceId;
+}
+
+/** Shows the device the current tab plays to, and why it may be playing elsewhere. */
+function renderOutputDevice(outputDeviceId) {
+    currentOutputDeviceId = outputDeviceId;
+    fillOutputDeviceSelect(outputDeviceSelect, outputDeviceId);
+    const device = outputDevices.find(entry => entry.deviceId === outputDeviceId);
+    const isMissing = !!outputDeviceId && !device;
+    outputDeviceLabel.textContent = outputDeviceId ? (device?.label ?? 'Unavailable') : 'Default';
+    if (!hasDeviceAccess) {
+        outputDeviceHint.textContent = 'Allow device access in Options to list your speakers and headsets';
+    } else if (isMissing) {
+        outputDeviceHint.textContent = 'Device not connected: the tab plays on the default output';
+    } else {
+        outputDeviceHint.textContent = 'Plays the tab on another speaker or headset';
+    }
+    outputDeviceAccessButton.hidden = hasDeviceAccess;
+}
+
+/** Re-reads the device the current tab plays to (site rule edits can change it). */
+async function refreshOutputDevice() {
+    if (currentTabId === null) return;
+    try {
+        const volumeResponse = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_VOLUME, { tabId: currentTabId }));
+        if (typeof volumeResponse?.outputDeviceId === 'string') renderOutputDevice(volumeResponse.outputDeviceId);
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX} Could not refresh the output device:`, error);
+    }
+}
+
+/** Sends the current tab to another output device ('' = default). */
+async function sendOutputDevice(deviceId) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_OUTPUT_DEVICE, { tabId: currentTabId, deviceId: deviceId }));
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid SET_OUTPUT_DEVICE response.");
+        }
+        renderOutputDevice(response.outputDeviceId);
+        setStatus(response.outputDeviceId ? `Playing on ${outputDeviceLabel.textContent}.` : 'Playing on the default output.', false);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error setting output device:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+        renderOutputDevice(currentOutputDeviceId); // Put the picker back
+    }
+}
+
+// --- Ducking ---
+
+async function fetchAndRenderDucking() {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_DUCKING, { tabId: currentTabId }));
+        if (chrome.runtime.lastError || response?.error) {
+            throw toBoosterError(chrome.runtime.lastError || response.error);
+        }
+        renderDucking(response);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error fetching ducking state:`, error);
+        duckingLabel.textContent = 'Unavailable';
+    }
+}
+
+/** Shows whether the current tab is a priority tab (by hand or by site rule) and whether ducking is on. */
+function renderDucking(ducking) {
+    currentDucking = ducking;
+    const isPriority = ducking.priority || ducking.rulePriority;
+    priorityTabCheckbox.checked = isPriority;
+    priorityTabCheckbox.disabled = isLoading || ducking.rulePriority;
+    priorityTabCheckbox.title = ducking.rulePriority ? 'Set by a priority site rule' : '';
+    duckingLabel.textContent = isPriority ? 'Priority' : (ducking.active ? 'Active' : 'Off');
+}
+
+/** Marks or unmarks the current tab as a priority tab. */
+async function sendTabPriority(priority) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_TAB_PRIORITY, { tabId: currentTabId, priority: priority }));
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid SET_TAB_PRIORITY response.");
+        }
+        setStatus(response.priority ? 'Other tabs turn down while this tab plays.' : 'Tab is no longer a priority tab.', false);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error setting tab priority:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+    }
+    fetchAndRenderDucking();
+}
+
+// --- Master Volume ---
+// Not tied to the current tab: the slider stays usable on pages the extension can't control.
+
+async function fetchAndRenderMasterVolume() {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_MASTER_VOLUME));
+        if (chrome.runtime.lastError || response?.error) {
+            throw toBoosterError(chrome.runtime.lastError || response.error);
+        }
+        masterSlider.min = response.range.min;
+        masterSlider.max = response.range.max;
+        renderMasterVolume(response.volume);
+        masterSlider.disabled = false;
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error fetching master volume:`, error);
+        masterPercentageDisplay.textContent = '--';
+    }
+}
+
+function renderMasterVolume(volume) {
+    masterSlider.value = volume;
+    masterPercentageDisplay.textContent = `${volume}%`;
+}
+
+/** Sends the master volume; the new effective levels of the boosted tabs are pushed to the list. */
+async function sendMasterVolume(volume) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_MASTER_VOLUME, { volume: volume }));
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid SET_MASTER_VOLUME response.");
+        }
+        renderMasterVolume(response.volume);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error setting master volume:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+        fetchAndRenderMasterVolume(); // Put the slider back
+    }
+}
+
+// --- Group & Window Volumes ---
+
+async function fetchAndRenderScopeVolumes() {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_SCOPE_VOLUMES));
+        if (chrome.runtime.lastError || response?.error) {
+            throw toBoosterError(chrome.runtime.lastError || response.error);
+        }
+        renderScopeVolumes(response.scopes, response.range);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error fetching group and window volumes:`, error);
+        scopeVolumesLabel.textContent = 'Unavailable';
+    }
+}
+
+/** Name shown for a group or window row: the group title, or which window it is. */
+function getScopeLabel(entry, windowNumber) {
+    const tabs = `${entry.tabCount} tab${entry.tabCount === 1 ? '' : 's'}`;
+    if (entry.scope === 'group') return `${entry.title || 'Unnamed group'} (${tabs})`;
+    return `${entry.id === currentWindowId ? 'This window' : `Window ${windowNumber}`} (${tabs})`;
+}
+
+/** Builds one slider per tab group and window. */
+function renderScopeVolumes(scopes, range) {
+    scopeVolumes = scopes;
+    renderScopeVolumesLabel();
+    scopeVolumesList.innerHTML = '';
+    let windowNumber = 0;
+    scopes.forEach(entry => {
+        if (entry.scope === 'window') windowNumber++;
+        const row = document.createElement('div');
+        row.className = 'eq-band';
+        row.dataset.scope = entry.scope;
+        row.dataset.scopeId = entry.id;
+
+        const label = document.createElement('span');
+        label.className = 'scope-volume-label';
+        label.title = getScopeLabel(entry, windowNumber);
+        if (entry.color) {
+            const colorDot = document.createElement('span');
+            colorDot.className = 'scope-volume-color';
+            colorDot.style.backgroundColor = entry.color;
+            label.appendChild(colorDot);
+        }
+        label.appendChild(document.createTextNode(label.title));
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = range.min;
+        input.max = range.max;
+        input.step = 5;
+        input.value = entry.volume;
+        input.disabled = isLoading;
+
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'eq-band-value';
+        valueSpan.textContent = `${entry.volume}%`;
+
+        row.appendChild(label);
+        row.appendChild(input);
+        row.appendChild(valueSpan);
+        scopeVolumesList.appendChild(row);
+    });
+}
+
+/** Summary text: how many groups and windows have a volume other than 100%. */
+function renderScopeVolumesLabel() {
+    const scaled = scopeVolumes.filter(entry => entry.volume !== DEFAULT_VOLUME).length;
+    scopeVolumesLabel.textContent = scaled === 0 ? 'Off' : `${scaled} set`;
+}
 
-async function fetchAndRenderActiveTabs() {
-    console.log(`${LOG_PREFIX} Fetching active tabs list...`);
-    renderActiveTabsList(null); // Show loading state in list
+/** Sends a group or window volume to the background. */
+async function sendScopeVolume(scope, id, volume) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_SCOPE_VOLUME, { scope: scope, id: id, volume: volume }));
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid SET_SCOPE_VOLUME response.");
+        }
+        const entry = scopeVolumes.find(candidate => candidate.scope === scope && candidate.id === id);
+        if (entry) entry.volume = response.volume;
+        renderScopeVolumesLabel();
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error setting ${scope} ${id} volume:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+        fetchAndRenderScopeVolumes(); // Put the slider back
+    }
+}
 
+// --- Fetch and Render Equalizer ---
+
+async function fetchAndRenderEq() {
     try {
-        const response = await chrome.runtime.sendMessage({ type: MSG_TYPE_GET_ACTIVE_TABS });
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_EQ, { tabId: currentTabId }));
         if (chrome.runtime.lastError) {
-             throw new Error(`Runtime error fetching list: ${chrome.runtime.lastError.message}`);
+            throw toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE);
         }
         if (response?.error) {
-            throw new Error(`Error fetching list: ${response.error}`);
+            throw toBoosterError(response.error);
+        }
+        if (!response?.eq || !Array.isArray(response.bands) || !Array.isArray(response.presets)) {
+            throw new Error("Invalid response when fetching EQ.");
         }
-        if (response && Array.isArray(response.activeTabs)) {
-            console.log(`${LOG_PREFIX} Received ${response.activeTabs.length} active tabs.`);
-            renderActiveTabsList(response.activeTabs);
+        renderEqPanel(response.bands, response.presets, response.gainLimit);
+        renderEqSettings(response.eq);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error fetching or rendering EQ:`, error);
+        eqPresetLabel.textContent = 'Unavailable';
+    }
+}
+
+/** Formats a band frequency for display, e.g. 250 -> "250 Hz", 3500 -> "3.5 kHz". */
+function formatFrequency(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000} kHz` : `${frequency} Hz`;
+}
+
+/** Builds the preset dropdown and one slider per band. Values are filled by renderEqSettings. */
+function renderEqPanel(bands, presets, gainLimit) {
+    eqPresetSelect.innerHTML = '';
+    [...presets.map(preset => preset.name), EQ_PRESET_CUSTOM].forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        option.hidden = name === EQ_PRESET_CUSTOM; // Only shown when the bands don't match a preset
+        eqPresetSelect.appendChild(option);
+    });
+
+    eqBandsContainer.innerHTML = '';
+    bands.forEach((band, index) => {
+        const row = document.createElement('div');
+        row.className = 'eq-band';
+
+        const label = document.createElement('span');
+        label.className = 'eq-band-label';
+        label.textContent = formatFrequency(band.frequency);
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = -gainLimit;
+        input.max = gainLimit;
+        input.step = 1;
+        input.value = 0;
+        input.dataset.bandIndex = index;
+        input.disabled = isLoading;
+
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'eq-band-value';
+
+        row.appendChild(label);
+        row.appendChild(input);
+        row.appendChild(valueSpan);
+        eqBandsContainer.appendChild(row);
+    });
+}
+
+function formatGain(gain) {
+    return `${gain > 0 ? '+' : ''}${gain} dB`;
+}
+
+/** Shows the given EQ settings ({ preset, gains }) in the panel. */
+function renderEqSettings(eqSettings) {
+    eqPresetLabel.textContent = eqSettings.preset;
+    eqPresetSelect.value = eqSettings.preset;
+    eqBandsContainer.querySelectorAll('.eq-band').forEach((row, index) => {
+        const gain = eqSettings.gains[index] ?? 0;
+        row.querySelector('input').value = gain;
+        row.querySelector('.eq-band-value').textContent = formatGain(gain);
+    });
+}
+
+/** Sends an EQ change ({ preset } or { gains }) for the current tab to the background. */
+function sendEqUpdate(eqChange) {
+    if (isLoading || currentTabId === null) return;
+    setStatus("Setting EQ...", false);
+
+    chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_EQ, { tabId: currentTabId, ...eqChange }), (response) => {
+        if (chrome.runtime.lastError) {
+            logger.error(`${LOG_PREFIX} Error setting EQ (runtime):`, chrome.runtime.lastError);
+            setStatus(`Error: ${mapErrorMessage(toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE))}`, true);
+        } else if (response?.status === "success") {
+            logger.info(`${LOG_PREFIX} EQ set to ${response.eq.preset} for tab ${currentTabId}`);
+            setStatus("", false);
+            renderEqSettings(response.eq);
         } else {
-             throw new Error("Invalid response when fetching active tabs.");
+            logger.error(`${LOG_PREFIX} Error setting EQ (response):`, response?.error);
+            setStatus(`Error: ${mapErrorMessage(response?.error)}`, true);
+            fetchAndRenderEq(); // Re-sync panel with the stored settings
         }
+    });
+}
+
+// --- Fetch and Render Limiter ---
+
+async function fetchAndRenderLimiter() {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_LIMITER, { tabId: currentTabId }));
+        if (chrome.runtime.lastError) {
+            throw toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE);
+        }
+        if (response?.error) {
+            throw toBoosterError(response.error);
+        }
+        if (!response?.global || !Array.isArray(response.presets)) {
+            throw new Error("Invalid response when fetching limiter settings.");
+        }
+
+        limiterPresetSelect.innerHTML = '';
+        [...response.presets, LIMITER_PRESET_CUSTOM].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.hidden = name === LIMITER_PRESET_CUSTOM;
+            limiterPresetSelect.appendChild(option);
+        });
+        limiterParamsContainer.querySelectorAll('input').forEach(input => {
+            const range = response.ranges?.[input.dataset.param];
+            const scale = Number(input.dataset.scale || 1);
+            if (range) {
+                input.min = range.min * scale;
+                input.max = range.max * scale;
+            }
+        });
+        renderLimiterSettings(response);
     } catch (error) {
-         console.error(`${LOG_PREFIX} Error fetching or rendering active tabs:`, error);
-         renderActiveTabsList([], mapErrorMessage(error.message)); // Show error in the list area
+        logger.error(`${LOG_PREFIX} Error fetching or rendering limiter:`, error);
+        limiterPresetLabel.textContent = 'Unavailable';
     }
 }
 
-function renderActiveTabsList(tabsData, errorMessage = null) {
-    activeTabsListContainer.innerHTML = ''; // Clear previous content
+/** Shows limiter state ({ global, tab }): the tab override if present, else the global default. */
+function renderLimiterSettings(state) {
+    limiterState = state;
+    const effective = state.tab ?? state.global;
+    limiterScopeSelect.value = state.tab ? 'tab' : 'global';
+    limiterPresetSelect.value = effective.preset;
+    limiterPresetLabel.textContent = state.tab ? `${effective.preset} (this tab)` : effective.preset;
+    limiterParamsContainer.querySelectorAll('input').forEach(input => {
+        const scale = Number(input.dataset.scale || 1);
+        input.value = Math.round(effective[input.dataset.param] * scale * 10) / 10;
+    });
+}
 
-    if (errorMessage) {
-        const errorElement = document.createElement('span');
-        errorElement.className = 'no-active-tabs error'; // Use existing class + error style
-        errorElement.textContent = `List error: ${errorMessage}`;
-        activeTabsListContainer.appendChild(errorElement);
-        boostedTabsHeading.style.display = 'block'; // Ensure heading is visible
-        return;
+/** Sends a limiter change to the background and re-renders with the confirmed state. */
+function sendLimiterUpdate(change) {
+    if (isLoading || currentTabId === null) return;
+    setStatus("Setting limiter...", false);
+
+    chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_LIMITER, { tabId: currentTabId, ...change }), (response) => {
+        if (chrome.runtime.lastError) {
+            logger.error(`${LOG_PREFIX} Error setting limiter (runtime):`, chrome.runtime.lastError);
+            setStatus(`Error: ${mapErrorMessage(toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE))}`, true);
+        } else if (response?.status === "success") {
+            setStatus("", false);
+            renderLimiterSettings(response);
+        } else {
+            logger.error(`${LOG_PREFIX} Error setting limiter (response):`, response?.error);
+            setStatus(`Error: ${mapErrorMessage(response?.error)}`, true);
+            fetchAndRenderLimiter(); // Re-sync panel with the stored settings
+        }
+    });
+}
+
+/** Reads the parameter inputs back into limiter parameters (seconds for attack/release). */
+function readLimiterParams() {
+    const params = { bypass: false };
+    limiterParamsContainer.querySelectorAll('input').forEach(input => {
+        params[input.dataset.param] = parseFloat(input.value) / Number(input.dataset.scale || 1);
+    });
+    return params;
+}
+
+// --- Settings ---
+
+/** Loads the settings and applies them to the slider, preset buttons and shortcuts panel. Falls back to defaults. */
+async function fetchAndRenderSettings() {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_SETTINGS));
+        if (chrome.runtime.lastError || !response?.settings) {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid settings response.");
+        }
+        renderSettings(response.settings);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error fetching settings:`, error);
+        renderPresetButtons(DEFAULT_PRESETS);
+        shortcutStepLabel.textContent = 'Unavailable';
     }
+}
 
-     if (tabsData === null) { // Loading state
-        const loadingElement = document.createElement('span');
-        loadingElement.className = 'no-active-tabs';
-        loadingElement.textContent = `Loading list...`;
-        activeTabsListContainer.appendChild(loadingElement);
-        boostedTabsHeading.style.display = 'block'; // Ensure heading is visible
-        return;
+function renderSettings(settings) {
+    maxVolume = settings.maxVolume;
+    SliderMapping.configure(settings.sliderMapping, settings.maxVolume);
+    renderPresetButtons(settings.presets);
+    shortcutStepLabel.textContent = `±${settings.stepSize}%`;
+    recordingFormatSelect.value = settings.recordingFormat;
+    recordingMaxMinutesInput.value = settings.recordingMaxMinutes;
+}
+
+/** Renders one button per preset volume; the maximum volume is labelled "MAX". */
+function renderPresetButtons(presets) {
+    presetButtonContainer.innerHTML = '';
+    presets.forEach(volume => {
+        const button = document.createElement('button');
+        button.className = 'preset-button';
+        button.dataset.volume = volume;
+        button.textContent = volume === maxVolume ? 'MAX' : `${volume}%`;
+        button.disabled = isLoading;
+        presetButtonContainer.appendChild(button);
+    });
+}
+
+// --- Audio Engine Stats ---
+
+/** Shows how many contexts, tab graphs and audio nodes the offscreen engine is running. */
+async function fetchAndRenderAudioStats() {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_AUDIO_STATS));
+        if (chrome.runtime.lastError || !response?.stats) {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid stats response.");
+        }
+        const { contextCount, tabCount, nodeCount } = response.stats;
+        audioStatsDisplay.textContent = contextCount === 0
+            ? 'Audio engine idle'
+            : `Audio engine: ${contextCount} context · ${tabCount} tab graph(s) · ${nodeCount} nodes`;
+    } catch (error) {
+        logger.warn(`${LOG_PREFIX} Could not fetch audio stats:`, error);
+        audioStatsDisplay.textContent = '';
     }
+}
 
-    // Filter out the current tab from the list
-    const otherBoostedTabs = tabsData.filter(tab => tab.tabId !== currentTabId);
+// --- Diagnostics ---
 
-    if (otherBoostedTabs.length === 0) {
-        const noTabsElement = document.createElement('span');
-        noTabsElement.className = 'no-active-tabs';
-        noTabsElement.textContent = 'No other tabs currently boosted.';
-        activeTabsListContainer.appendChild(noTabsElement);
-        boostedTabsHeading.style.display = 'block'; // Show heading even if list is empty now
-        return;
+/** Changes the log level of every part of the extension. */
+async function changeLogLevel(level) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_LOG_LEVEL, { level: level }));
+        if (chrome.runtime.lastError || response?.status !== "success") {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid SET_LOG_LEVEL response.");
+        }
+        logLevelSelect.value = setLogLevel(response.level);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error setting log level:`, error);
+        logLevelSelect.value = logLevel;
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
     }
+}
 
-    boostedTabsHeading.style.display = 'block'; // Make sure heading is visible
+/** Copies the background's diagnostics report (state and recent logs) as JSON, for pasting into a bug report. */
+async function copyDiagnostics() {
+    try {
+        forwardingLogSink.flush();
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_DIAGNOSTICS));
+        if (chrome.runtime.lastError || !response?.diagnostics) {
+            throw toBoosterError(chrome.runtime.lastError || response?.error || "Invalid diagnostics response.");
+        }
+        await navigator.clipboard.writeText(JSON.stringify(response.diagnostics, null, 2));
+        setStatus(`Diagnostics copied (${response.diagnostics.logs.length} log entries).`, false);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error copying diagnostics:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+    }
+}
+
+// --- Fetch and Render Site Rules ---
+
+async function fetchAndRenderSiteRules() {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_GET_SITE_RULES, { tabId: currentTabId }));
+        if (chrome.runtime.lastError) {
+            throw toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE);
+        }
+        if (response?.error) {
+            throw toBoosterError(response.error);
+        }
+        if (response && Array.isArray(response.rules)) {
+            renderSiteRulesList(response.rules, response.activeRuleId);
+        } else {
+            throw new Error("Invalid response when fetching site rules.");
+        }
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error fetching or rendering site rules:`, error);
+        renderSiteRulesList([], null, mapErrorMessage(error));
+    }
+}
+
+function renderSiteRulesList(rules, activeRuleId = null, errorMessage = null) {
+    siteRulesListContainer.innerHTML = ''; // Clear previous content
+
+    if (errorMessage || rules.length === 0) {
+        const messageElement = document.createElement('span');
+        messageElement.className = errorMessage ? 'no-active-tabs error' : 'no-active-tabs';
+        messageElement.textContent = errorMessage
+            ? `Rules error: ${errorMessage}`
+            : 'No site rules. Use "Remember for Site" to add one.';
+        siteRulesListContainer.appendChild(messageElement);
+        return;
+    }
 
     const ul = document.createElement('ul');
     ul.className = 'active-tabs-list';
 
-    // Sort alphabetically by title for consistent order
-    otherBoostedTabs.sort((a, b) => (a.title || "").localeCompare(b.title || ""));
-
-    otherBoostedTabs.forEach(tab => {
-        const li = document.createElement('li');
-        li.dataset.tabId = tab.tabId; // Add tabId to li for potential future use
-
-        const img = document.createElement('img');
-        img.className = 'active-tab-favicon';
-        img.src = tab.favIconUrl || DEFAULT_FAVICON_PATH; // Use default if null/empty
-        img.alt = ''; // Decorative
-        // Handle favicon loading error (optional, sets to default)
-        img.onerror = () => { if (img.src !== DEFAULT_FAVICON_PATH) img.src = DEFAULT_FAVICON_PATH; };
-
-        const titleSpan = document.createElement('span');
-        titleSpan.className = 'active-tab-title';
-        titleSpan.textContent = tab.title || `Tab ID: ${tab.tabId}`;
-        titleSpan.title = tab.title || `Tab ID: ${tab.tabId}`; // Tooltip for overflow
-
-        const volumeSpan = document.createElement('span');
-        volumeSpan.className = 'active-tab-volume';
-        volumeSpan.textContent = `${tab.volume}%`;
-
-        const listResetButton = document.createElement('button');
-        listResetButton.className = 'active-tab-reset';
-        listResetButton.textContent = 'Reset';
-        listResetButton.dataset.tabid = tab.tabId; // Store tabId for the click handler
-        listResetButton.disabled = isLoading; // Disable if main controls are disabled
-
-        li.appendChild(img);
-        li.appendChild(titleSpan);
-        li.appendChild(volumeSpan);
-        li.appendChild(listResetButton);
-        ul.appendChild(li);
-    });
+    [...rules]
+        .sort((a, b) => a.pattern.localeCompare(b.pattern))
+        .forEach(rule => {
+            const li = document.createElement('li');
+            li.dataset.ruleId = rule.id;
+            li.classList.toggle('active-rule', rule.id === activeRuleId);
+
+            const patternInput = document.createElement('input');
+            patternInput.type = 'text';
+            patternInput.className = 'site-rule-pattern';
+            patternInput.value = rule.pattern;
+            patternInput.title = 'Hostname ("*.twitch.tv") or URL pattern with * wildcards';
+
+            const volumeInput = document.createElement('input');
+            volumeInput.type = 'number';
+            volumeInput.className = 'site-rule-volume';
+            volumeInput.min = 0;
+            volumeInput.max = maxVolume;
+            volumeInput.step = 10;
+            volumeInput.value = rule.volume;
+
+            const unitSpan = document.createElement('span');
+            unitSpan.className = 'site-rule-unit';
+            unitSpan.textContent = '%';
+
+            const priorityCheckbox = document.createElement('input');
+            priorityCheckbox.type = 'checkbox';
+            priorityCheckbox.className = 'site-rule-priority';
+            priorityCheckbox.checked = !!rule.priority;
+            priorityCheckbox.title = 'Priority: other tabs turn down while this site plays';
+
+            const deviceSelect = document.createElement('select');
+            deviceSelect.className = 'site-rule-device';
+            deviceSelect.title = 'Output device of tabs on this site';
+            fillOutputDeviceSelect(deviceSelect, rule.outputDeviceId ?? '');
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'active-tab-reset site-rule-remove';
+            removeButton.textContent = 'Remove';
+
+            li.appendChild(patternInput);
+            li.appendChild(volumeInput);
+            li.appendChild(unitSpan);
+            li.appendChild(priorityCheckbox);
+            li.appendChild(deviceSelect);
+            li.appendChild(removeButton);
+            ul.appendChild(li);
+        });
+
+    siteRulesListContainer.appendChild(ul);
+}
+
+/** Returns the default rule pattern for a URL: its hostname, or the full URL for host-less pages (file://). */
+function getSitePatternForUrl(url) {
+    try {
+        const parsedUrl = new URL(url);
+        return parsedUrl.hostname || `${parsedUrl.protocol}//${parsedUrl.pathname}`;
+    } catch (error) {
+        return null;
+    }
+}
 
-    activeTabsListContainer.appendChild(ul);
+/** Sends a site rule to the background for saving, then refreshes the affected lists. */
+async function saveSiteRule(rule, linkTabId = null) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_SAVE_SITE_RULE, { rule: rule, tabId: linkTabId }));
+        if (chrome.runtime.lastError) {
+            throw toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE);
+        }
+        if (response?.status !== "success") {
+            throw toBoosterError(response?.error || "Failed to save site rule.");
+        }
+        logger.info(`${LOG_PREFIX} Saved site rule ${response.rule.pattern} -> ${response.rule.volume}%`);
+        return response.rule;
+    } finally {
+        fetchAndRenderSiteRules();
+        fetchAndRenderDucking(); // Rule edits can change which tabs have priority
+        refreshOutputDevice(); // ...and where the current tab plays
+    }
+}
+
+async function removeSiteRule(ruleId) {
+    try {
+        const response = await chrome.runtime.sendMessage(createMessage(MSG_TYPE_REMOVE_SITE_RULE, { ruleId: ruleId }));
+        if (chrome.runtime.lastError) {
+            throw toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE);
+        }
+        if (response?.status !== "success") {
+            throw toBoosterError(response?.error || "Failed to remove site rule.");
+        }
+    } finally {
+        fetchAndRenderSiteRules();
+        fetchAndRenderDucking();
+        refreshOutputDevice();
+    }
 }
 
 
@@ -316,6 +1467,7 @@ slider.addEventListener('input', () => {
 
     // Update only the percentage display immediately
     percentageDisplay.textContent = `${actualVolume}%`;
+    volumeChangeInFlight = true;
     setStatus(""); // Clear status/error when user interacts
 
     clearTimeout(debounceTimer);
@@ -328,10 +1480,31 @@ slider.addEventListener('input', () => {
 // Reset Button for Current Tab
 resetButton.addEventListener('click', () => {
     if (isLoading) return;
-    console.log(`${LOG_PREFIX} Resetting current tab (${currentTabId}) volume to 100%`);
+    logger.info(`${LOG_PREFIX} Resetting current tab (${currentTabId}) volume to 100%`);
     handleVolumeChangeRequest(DEFAULT_VOLUME, currentTabId);
 });
 
+// Remember Button: Save the current volume as a rule for this site
+rememberSiteButton.addEventListener('click', async () => {
+    if (isLoading) return;
+    const pattern = getSitePatternForUrl(currentTabUrl);
+    if (!pattern) {
+        setStatus(`Error: ${mapErrorMessage(new BoosterError(ERROR_CODES.UNSUPPORTED_URL))}`, true);
+        return;
+    }
+
+    rememberSiteButton.disabled = true;
+    try {
+        const rule = await saveSiteRule({ pattern: pattern, volume: currentVolume, outputDeviceId: currentOutputDeviceId }, currentTabId);
+        setStatus(`Saved: ${rule.volume}% on ${rule.pattern}`, false);
+    } catch (error) {
+        logger.error(`${LOG_PREFIX} Error saving site rule:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+    } finally {
+        rememberSiteButton.disabled = isLoading;
+    }
+});
+
 // Preset Buttons (Event Delegation)
 presetButtonContainer.addEventListener('click', (event) => {
     if (isLoading || !event.target.classList.contains('preset-button')) return;
@@ -339,7 +1512,7 @@ presetButtonContainer.addEventListener('click', (event) => {
     const button = event.target;
     const volume = parseInt(button.dataset.volume, 10);
     if (!isNaN(volume)) {
-         console.log(`${LOG_PREFIX} Preset button clicked: ${volume}% for tab ${currentTabId}`);
+         logger.info(`${LOG_PREFIX} Preset button clicked: ${volume}% for tab ${currentTabId}`);
          button.disabled = true; // Briefly disable clicked button
          handleVolumeChangeRequest(volume, currentTabId);
          // Re-enable button after a short delay or on completion? Let sendVolumeUpdate handle state.
@@ -347,42 +1520,253 @@ presetButtonContainer.addEventListener('click', (event) => {
     }
 });
 
-// Reset Buttons in Active Tabs List (Event Delegation)
+// Active Tabs List: favicon or title switches to the tab, "Mute" toggles its mute, "Reset" resets it (Event Delegation)
 activeTabsListContainer.addEventListener('click', (event) => {
-     if (isLoading || !event.target.classList.contains('active-tab-reset')) return;
+     const li = event.target.closest('li[data-tab-id]');
+     if (!li) return;
+     const classList = event.target.classList;
+     if (classList.contains('active-tab-favicon') || classList.contains('active-tab-title')) {
+         focusListedTab(parseInt(li.dataset.tabId, 10), parseInt(li.dataset.windowId, 10));
+         return;
+     }
+     if (isLoading) return;
+     if (classList.contains('active-tab-mute')) {
+         event.target.disabled = true;
+         sendToggleMute(parseInt(event.target.dataset.tabid, 10));
+         return;
+     }
+     if (!classList.contains('active-tab-reset')) return;
 
      const button = event.target;
      const tabIdToReset = parseInt(button.dataset.tabid, 10);
      if (!isNaN(tabIdToReset)) {
-         console.log(`${LOG_PREFIX} Resetting volume for tab ${tabIdToReset} from list`);
+         logger.info(`${LOG_PREFIX} Resetting volume for tab ${tabIdToReset} from list`);
          button.disabled = true; // Disable button being clicked
          button.textContent = '...'; // Provide visual feedback
-         // The list will refresh via sendVolumeUpdate callback, removing/updating this item
+         // The list refreshes when the new state is pushed, removing/updating this item
          handleVolumeChangeRequest(DEFAULT_VOLUME, tabIdToReset);
      }
 });
 
+// Active Tabs List Sliders: show the level while dragging, set it on release (Event Delegation)
+activeTabsListContainer.addEventListener('input', (event) => {
+    if (isLoading || !event.target.classList.contains('active-tab-slider')) return;
+    const volumeSpan = event.target.closest('li').querySelector('.active-tab-volume');
+    volumeSpan.textContent = `${SliderMapping.mapRawToActual(parseInt(event.target.value, 10))}%`;
+});
+
+activeTabsListContainer.addEventListener('change', (event) => {
+    if (isLoading || !event.target.classList.contains('active-tab-slider')) return;
+    const tabId = parseInt(event.target.dataset.tabid, 10);
+    const volume = SliderMapping.mapRawToActual(parseInt(event.target.value, 10));
+    logger.info(`${LOG_PREFIX} List slider set tab ${tabId} to ${volume}%`);
+    handleVolumeChangeRequest(volume, tabId);
+});
+
+activeTabsSortSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ [STORAGE_KEY_ACTIVE_TABS_SORT]: activeTabsSortSelect.value })
+        .catch(error => logger.warn(`${LOG_PREFIX} Could not save the list order:`, error));
+    renderActiveTabsList([]); // Only moves the rows
+});
+
+// Site Rule Edits (Event Delegation): Save on change of pattern, volume or priority
+siteRulesListContainer.addEventListener('change', (event) => {
+    const li = event.target.closest('li[data-rule-id]');
+    if (!li) return;
+
+    const rule = {
+        id: li.dataset.ruleId,
+        pattern: li.querySelector('.site-rule-pattern').value,
+        volume: parseInt(li.querySelector('.site-rule-volume').value, 10),
+        priority: li.querySelector('.site-rule-priority').checked,
+        outputDeviceId: li.querySelector('.site-rule-device').value
+    };
+    saveSiteRule(rule).catch(error => {
+        logger.error(`${LOG_PREFIX} Error updating site rule ${rule.id}:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+    });
+});
+
+// Site Rule Remove Buttons (Event Delegation)
+siteRulesListContainer.addEventListener('click', (event) => {
+    if (!event.target.classList.contains('site-rule-remove')) return;
+    const li = event.target.closest('li[data-rule-id]');
+    if (!li) return;
+
+    event.target.disabled = true;
+    removeSiteRule(li.dataset.ruleId).catch(error => {
+        logger.error(`${LOG_PREFIX} Error removing site rule ${li.dataset.ruleId}:`, error);
+        setStatus(`Error: ${mapErrorMessage(error)}`, true);
+    });
+});
+
+// EQ Preset Dropdown
+eqPresetSelect.addEventListener('change', () => {
+    if (isLoading || eqPresetSelect.value === EQ_PRESET_CUSTOM) return;
+    clearTimeout(eqDebounceTimer);
+    sendEqUpdate({ preset: eqPresetSelect.value });
+});
+
+// EQ Band Sliders (Event Delegation): Update labels immediately, debounce sending
+eqBandsContainer.addEventListener('input', (event) => {
+    if (isLoading || event.target.type !== 'range') return;
+
+    const row = event.target.closest('.eq-band');
+    row.querySelector('.eq-band-value').textContent = formatGain(parseInt(event.target.value, 10));
+    eqPresetSelect.value = EQ_PRESET_CUSTOM;
+    eqPresetLabel.textContent = EQ_PRESET_CUSTOM;
+
+    clearTimeout(eqDebounceTimer);
+    eqDebounceTimer = setTimeout(() => {
+        const gains = [...eqBandsContainer.querySelectorAll('input[type=range]')].map(input => parseInt(input.value, 10));
+        sendEqUpdate({ gains: gains });
+    }, SET_EQ_DEBOUNCE_MS);
+});
+
+// Master Slider: Update the label immediately, debounce sending
+masterSlider.addEventListener('input', () => {
+    const volume = parseInt(masterSlider.value, 10);
+    masterPercentageDisplay.textContent = `${volume}%`;
+    clearTimeout(masterDebounceTimer);
+    masterDebounceTimer = setTimeout(() => sendMasterVolume(volume), SET_MASTER_VOLUME_DEBOUNCE_MS);
+});
+
+// Group & Window Sliders (Event Delegation): Update labels immediately, debounce sending per slider
+scopeVolumesList.addEventListener('input', (event) => {
+    if (isLoading || event.target.type !== 'range') return;
+
+    const row = event.target.closest('.eq-band');
+    const scope = row.dataset.scope;
+    const id = parseInt(row.dataset.scopeId, 10);
+    const volume = parseInt(event.target.value, 10);
+    row.querySelector('.eq-band-value').textContent = `${volume}%`;
+
+    const timerKey = `${scope}:${id}`;
+    clearTimeout(scopeDebounceTimers[timerKey]);
+    scopeDebounceTimers[timerKey] = setTimeout(() => {
+        delete scopeDebounceTimers[timerKey];
+        sendScopeVolume(scope, id, volume);
+    }, SET_SCOPE_VOLUME_DEBOUNCE_MS);
+});
+
+// Limiter Scope: switching to "This tab" copies the current settings into a tab override,
+// switching back to "All tabs" drops the override.
+limiterScopeSelect.addEventListener('change', () => {
+    if (isLoading || !limiterState) return;
+    if (limiterScopeSelect.value === 'global') {
+        sendLimiterUpdate({ scope: 'tab', clear: true });
+    } else {
+        const effective = limiterState.tab ?? limiterState.global;
+        sendLimiterUpdate(effective.preset === LIMITER_PRESET_CUSTOM
+            ? { scope: 'tab', params: effective }
+            : { scope: 'tab', preset: effective.preset });
+    }
+});
+
+// Limiter Preset Dropdown
+limiterPresetSelect.addEventListener('change', () => {
+    if (isLoading || limiterPresetSelect.value === LIMITER_PRESET_CUSTOM) return;
+    sendLimiterUpdate({ scope: limiterScopeSelect.value, preset: limiterPresetSelect.value });
+});
+
+// Limiter Parameter Inputs (Event Delegation): Any edit makes the settings "Custom"
+limiterParamsContainer.addEventListener('change', (event) => {
+    if (isLoading || event.target.tagName !== 'INPUT') return;
+    sendLimiterUpdate({ scope: limiterScopeSelect.value, params: readLimiterParams() });
+});
+
+// Key bindings can only be changed on Chrome's own shortcuts page
+editShortcutsButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: SHORTCUTS_PAGE_URL });
+});
+
+openOptionsButton.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+});
+
+sleepTimerPresets.addEventListener('click', (event) => {
+    const minutes = parseInt(event.target.dataset?.minutes, 10);
+    if (isLoading || !minutes) return;
+    sendSleepTimer(minutes);
+});
+
+sleepTimerSetButton.addEventListener('click', () => {
+    const minutes = parseInt(sleepTimerMinutesInput.value, 10);
+    if (isLoading) return;
+    if (!(minutes >= SLEEP_TIMER_RANGE_MINUTES.min && minutes <= SLEEP_TIMER_RANGE_MINUTES.max)) {
+        setStatus(`Enter a sleep timer between ${SLEEP_TIMER_RANGE_MINUTES.min} and ${SLEEP_TIMER_RANGE_MINUTES.max} minutes.`, true);
+        return;
+    }
+    sendSleepTimer(minutes);
+});
+
+sleepTimerCancelButton.addEventListener('click', () => {
+    if (!isLoading) sendSleepTimer(0);
+});
+
+recordButton.addEventListener('click', () => {
+    const maxMinutes = parseInt(recordingMaxMinutesInput.value, 10);
+    if (isLoading) return;
+    if (!(maxMinutes >= RECORDING_RANGE_MINUTES.min && maxMinutes <= RECORDING_RANGE_MINUTES.max)) {
+        setStatus(`Enter a recording length between ${RECORDING_RANGE_MINUTES.min} and ${RECORDING_RANGE_MINUTES.max} minutes.`, true);
+        return;
+    }
+    sendRecordingCommand(MSG_TYPE_START_RECORDING, { format: recordingFormatSelect.value, maxMinutes: maxMinutes }, 'Recording...');
+});
+
+recordingPauseButton.addEventListener('click', () => {
+    if (isLoading || !currentRecording) return;
+    const paused = currentRecording.pausedAt === null;
+    sendRecordingCommand(MSG_TYPE_PAUSE_RECORDING, { paused: paused }, paused ? 'Recording paused.' : 'Recording...');
+});
+
+recordingStopButton.addEventListener('click', () => {
+    if (isLoading || !currentRecording) return;
+    sendRecordingCommand(MSG_TYPE_STOP_RECORDING, {}, 'Recording stopped, downloading the file.');
+});
+
+outputDeviceSelect.addEventListener('change', () => {
+    if (!isLoading) sendOutputDevice(outputDeviceSelect.value);
+});
+
+outputDeviceAccessButton.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+});
+
+priorityTabCheckbox.addEventListener('change', () => {
+    if (!isLoading) sendTabPriority(priorityTabCheckbox.checked);
+});
+
+logLevelSelect.addEventListener('change', () => {
+    changeLogLevel(logLevelSelect.value);
+});
+
+copyDiagnosticsButton.addEventListener('click', () => {
+    copyDiagnostics();
+});
+
 
 // --- Core Logic ---
 
 /** Central handler for initiating volume changes from the UI. */
 function handleVolumeChangeRequest(actualVolume, targetTabId) {
     if (isLoading) {
-        console.warn(`${LOG_PREFIX} Ignoring volume change request while loading.`);
+        logger.warn(`${LOG_PREFIX} Ignoring volume change request while loading.`);
         return;
     }
     if (targetTabId === null) {
-        console.error(`${LOG_PREFIX} Cannot set volume, targetTabId is null.`);
-        setStatus(mapErrorMessage("No active tab found."), true);
+        logger.error(`${LOG_PREFIX} Cannot set volume, targetTabId is null.`);
+        setStatus(mapErrorMessage(new BoosterError(ERROR_CODES.NO_ACTIVE_TAB)), true);
         return;
     }
 
      // Clamp volume just in case
-     const clampedVolume = Math.max(0, Math.min(MAX_VOLUME, actualVolume));
+     const clampedVolume = Math.max(0, Math.min(maxVolume, actualVolume));
 
      // Update main UI immediately ONLY if the change is for the currently viewed tab
      if (targetTabId === currentTabId) {
          updateUI(clampedVolume);
+         volumeChangeInFlight = true;
      }
 
      setStatus("Setting...", false); // Indicate activity
@@ -391,30 +1775,45 @@ function handleVolumeChangeRequest(actualVolume, targetTabId) {
      sendVolumeUpdate(clampedVolume, targetTabId);
 }
 
-/** Sends the volume update message to the background script. */
-function sendVolumeUpdate(actualVolume, targetTabId) {
-    console.log(`${LOG_PREFIX} Sending SET_VOLUME: Tab ${targetTabId}, Volume ${actualVolume}%`);
+/** Sends the volume update message to the background script. Retryable errors are retried once. */
+function sendVolumeUpdate(actualVolume, targetTabId, attempt = 1) {
+    logger.info(`${LOG_PREFIX} Sending SET_VOLUME: Tab ${targetTabId}, Volume ${actualVolume}% (attempt ${attempt})`);
 
-    chrome.runtime.sendMessage({ type: MSG_TYPE_SET_VOLUME, tabId: targetTabId, volume: actualVolume }, (response) => {
+    chrome.runtime.sendMessage(createMessage(MSG_TYPE_SET_VOLUME, { tabId: targetTabId, volume: actualVolume }), (response) => {
         // If popup closed or re-initialized while waiting, response might be irrelevant
         if (isLoading && currentTabId === null) { // Check if popup state was reset
-             console.log(`${LOG_PREFIX} Ignoring SET_VOLUME response as popup seems closed/reset.`);
+             logger.info(`${LOG_PREFIX} Ignoring SET_VOLUME response as popup seems closed/reset.`);
              return;
          }
 
-        // ALWAYS try to refresh the list after ANY set attempt, success or fail,
-        // as the background state might have changed partially or needs re-syncing.
-        fetchAndRenderActiveTabs();
+        const error = chrome.runtime.lastError
+            ? toBoosterError(chrome.runtime.lastError, ERROR_CODES.BACKGROUND_UNAVAILABLE)
+            : (response?.status === "success" ? null : toBoosterError(response?.error || "Unknown background error"));
+
+        // Busy tabs and a restarting background usually recover within a second, so try once more before reporting
+        if (error?.retryable && attempt < SET_VOLUME_MAX_ATTEMPTS) {
+            logger.warn(`${LOG_PREFIX} Retrying SET_VOLUME for tab ${targetTabId} after ${error.code}.`);
+            setTimeout(() => sendVolumeUpdate(actualVolume, targetTabId, attempt + 1), SET_VOLUME_RETRY_DELAY_MS);
+            return;
+        }
+
+        // The boosted tabs list follows the pushed tab states; after a failure the row is only re-rendered to re-enable its buttons
+        if (targetTabId === currentTabId) {
+            volumeChangeInFlight = false;
+        }
+        if (error) {
+            refreshActiveTabRow(targetTabId);
+        }
 
         if (chrome.runtime.lastError) {
-            console.error(`${LOG_PREFIX} Error setting volume for tab ${targetTabId} (runtime):`, chrome.runtime.lastError);
-            const friendlyError = mapErrorMessage(chrome.runtime.lastError.message);
+            logger.error(`${LOG_PREFIX} Error setting volume for tab ${targetTabId} (runtime):`, chrome.runtime.lastError);
+            const friendlyError = mapErrorMessage(error);
             setStatus(`Error: ${friendlyError}`, true);
             // Re-enable controls even on error, allowing user to retry
             setLoadingState(false);
-        } else if (response && response.status === "success") {
-            console.log(`${LOG_PREFIX} Volume set successfully for tab ${targetTabId}. Message: ${response.message || '(No message)'}`);
-            setStatus("", false); // Clear "Setting..."
+        } else if (!error) {
+            logger.info(`${LOG_PREFIX} Volume set successfully for tab ${targetTabId}. Message: ${response.message || '(No message)'}`);
+            setStatus(response.pending ? PENDING_STATUS_MESSAGE : "", false); // Clear "Setting..."
             // Apply visual feedback ONLY if the update was for the currently displayed tab
             if (targetTabId === currentTabId) {
                 showVisualFeedback();
@@ -424,11 +1823,10 @@ function sendVolumeUpdate(actualVolume, targetTabId) {
              setLoadingState(false); // Re-enable controls on success
         } else {
             // Handle specific errors from background response
-            console.error(`${LOG_PREFIX} Error setting volume for tab ${targetTabId} (response):`, response?.error || "Unknown background error");
-            const friendlyError = mapErrorMessage(response?.error);
+            logger.error(`${LOG_PREFIX} Error setting volume for tab ${targetTabId} (response):`, error.code, error.message);
+            const friendlyError = mapErrorMessage(error);
             setStatus(`Error: ${friendlyError}`, true);
-             // If the error was 'busy', maybe keep controls disabled briefly?
-             // For now, re-enable to allow retry.
+             // Re-enable to allow a manual retry.
              setLoadingState(false);
         }
     });
@@ -0,0 +1,476 @@
+// --- protocol.js ---
+// Message protocol shared by every script. Loaded after errors.js and logger.js by background.js (importScripts)
+// and by the offscreen, popup and options pages (<script> tag) before their own script.
+// Every message is { version, type, target?, ...fields } and is checked against MESSAGE_SCHEMAS
+// by the listener receiving it; responses are checked by the listener sending them.
+
+/** Bump when a message or response shape changes incompatibly. */
+const PROTOCOL_VERSION = 1;
+
+// --- Targets ---
+const TARGET_OFFSCREEN = 'offscreen';
+const TARGET_BACKGROUND = 'background'; // Events pushed by the offscreen document, forwarded log entries
+const PORT_NAME_LEVEL_METER = 'levelMeter';
+const PORT_NAME_TAB_STATE = 'tabState';
+
+// --- Shared Values ---
+const GAIN_RAMP_CURVES = ['linear', 'smooth']; // linearRampToValueAtTime / setTargetAtTime
+const SLEEP_TIMER_ACTIONS = ['mute', 'reset']; // What a sleep timer does to the tab once its fade is over
+const VOLUME_SCOPES = ['group', 'window']; // Volume multipliers shared by the tabs of a tab group or window
+const RECORDING_FORMATS = ['webm', 'wav']; // WebM/Opus (MediaRecorder) or 16-bit PCM WAV (AudioWorklet)
+
+// --- Message Types ---
+// Popup / options page -> background (no target)
+const MSG_TYPE_GET_VOLUME = 'GET_VOLUME';
+const MSG_TYPE_SET_VOLUME = 'SET_VOLUME';
+const MSG_TYPE_GET_ACTIVE_TABS = 'GET_ACTIVE_TABS';
+const MSG_TYPE_GET_SITE_RULES = 'GET_SITE_RULES';
+const MSG_TYPE_SAVE_SITE_RULE = 'SAVE_SITE_RULE';
+const MSG_TYPE_REMOVE_SITE_RULE = 'REMOVE_SITE_RULE';
+const MSG_TYPE_GET_EQ = 'GET_EQ';
+const MSG_TYPE_SET_EQ = 'SET_EQ';
+const MSG_TYPE_GET_LIMITER = 'GET_LIMITER';
+const MSG_TYPE_SET_LIMITER = 'SET_LIMITER';
+const MSG_TYPE_GET_AUDIO_STATS = 'GET_AUDIO_STATS';
+const MSG_TYPE_GET_SETTINGS = 'GET_SETTINGS';
+const MSG_TYPE_SAVE_SETTINGS = 'SAVE_SETTINGS';
+const MSG_TYPE_SET_LOG_LEVEL = 'SET_LOG_LEVEL';
+const MSG_TYPE_GET_DIAGNOSTICS = 'GET_DIAGNOSTICS';
+const MSG_TYPE_SET_SLEEP_TIMER = 'SET_SLEEP_TIMER';
+const MSG_TYPE_GET_DUCKING = 'GET_DUCKING';
+const MSG_TYPE_SET_TAB_PRIORITY = 'SET_TAB_PRIORITY';
+const MSG_TYPE_GET_SCOPE_VOLUMES = 'GET_SCOPE_VOLUMES';
+const MSG_TYPE_SET_SCOPE_VOLUME = 'SET_SCOPE_VOLUME';
+const MSG_TYPE_GET_MASTER_VOLUME = 'GET_MASTER_VOLUME';
+const MSG_TYPE_SET_MASTER_VOLUME = 'SET_MASTER_VOLUME';
+const MSG_TYPE_START_RECORDING = 'START_RECORDING';
+const MSG_TYPE_PAUSE_RECORDING = 'PAUSE_RECORDING';
+const MSG_TYPE_STOP_RECORDING = 'STOP_RECORDING';
+const MSG_TYPE_SET_OUTPUT_DEVICE = 'SET_OUTPUT_DEVICE';
+const MSG_TYPE_TOGGLE_MUTE = 'TOGGLE_MUTE';
+// Background -> offscreen (target: TARGET_OFFSCREEN)
+const MSG_TYPE_START_CAPTURE = 'startOrUpdateCapture';
+const MSG_TYPE_STOP_CAPTURE = 'stopCapture';
+const MSG_TYPE_UPDATE_VOLUME = 'updateVolume';
+const MSG_TYPE_UPDATE_EQ = 'updateEq';
+const MSG_TYPE_UPDATE_LIMITER = 'updateLimiter';
+const MSG_TYPE_OFFSCREEN_AUDIO_STATS = 'getAudioStats';
+const MSG_TYPE_OFFSCREEN_GET_STATE = 'getState';
+const MSG_TYPE_OFFSCREEN_SET_LOG_LEVEL = 'setLogLevel';
+const MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP = 'setGainRamp';
+const MSG_TYPE_FADE_OUT = 'fadeOut';
+const MSG_TYPE_DUCK = 'duck';
+const MSG_TYPE_OFFSCREEN_START_RECORDING = 'startRecording';
+const MSG_TYPE_OFFSCREEN_PAUSE_RECORDING = 'pauseRecording';
+const MSG_TYPE_OFFSCREEN_STOP_RECORDING = 'stopRecording';
+const MSG_TYPE_OFFSCREEN_RELEASE_RECORDING = 'releaseRecording';
+// Offscreen -> background events (target: TARGET_BACKGROUND, no response)
+const MSG_TYPE_EVENT_CAPTURE_ENDED = 'captureEnded';
+const MSG_TYPE_EVENT_CONTEXT_STATE = 'audioContextStateChanged';
+const MSG_TYPE_EVENT_DEVICE_CHANGED = 'audioDeviceChanged';
+const MSG_TYPE_EVENT_FADE_COMPLETE = 'fadeComplete';
+const MSG_TYPE_EVENT_RECORDING_FINISHED = 'recordingFinished';
+// Offscreen / popup -> background (target: TARGET_BACKGROUND, no response)
+const MSG_TYPE_LOG_ENTRIES = 'logEntries';
+// Level meter port (PORT_NAME_LEVEL_METER)
+const MSG_TYPE_METER_SUBSCRIBE = 'meterSubscribe'; // Popup -> offscreen
+const MSG_TYPE_METER_LEVELS = 'meterLevels'; // Offscreen -> popup
+// Tab state port (PORT_NAME_TAB_STATE)
+const MSG_TYPE_TAB_STATES = 'tabStates'; // Background -> popup
+
+// --- Schemas ---
+// A field spec is a type name from FIELD_TYPE_CHECKS (suffix '?' allows undefined or null)
+// or an array of the allowed literal values. Fields not listed are rejected.
+// `response: null` marks fire-and-forget messages.
+const MESSAGE_SCHEMAS = Object.freeze({
+    [MSG_TYPE_GET_VOLUME]: {
+        target: null,
+        fields: { tabId: 'tabId' },
+        // outputDeviceId: the device the tab plays to, picked by hand or set by its site rule ('' = the default device)
+        response: { volume: 'number', pending: 'boolean', captureError: 'boolean', sleepTimer: 'object?', recording: 'object?', outputDeviceId: 'string' }
+    },
+    [MSG_TYPE_SET_VOLUME]: {
+        target: null,
+        fields: { tabId: 'tabId', volume: 'number' },
+        response: { status: ['success'], pending: 'boolean?', message: 'string?' }
+    },
+    [MSG_TYPE_GET_ACTIVE_TABS]: {
+        target: null,
+        fields: {},
+        // activeTabs: [{ tabId, title, volume, effectiveVolume, changedAt, windowId, ... }]; effectiveVolume is what the tab plays at
+        // after its group, window and master volumes (ducking, which comes and goes, is reported as `ducked`);
+        // changedAt is when its volume last changed (null if unknown)
+        response: { activeTabs: 'array' }
+    },
+    [MSG_TYPE_GET_SITE_RULES]: {
+        target: null,
+        fields: { tabId: 'tabId?' },
+        response: { rules: 'array', activeRuleId: 'string?' }
+    },
+    [MSG_TYPE_SAVE_SITE_RULE]: {
+        target: null,
+        fields: { rule: 'object', tabId: 'tabId?' },
+        response: { status: ['success'], rule: 'object' }
+    },
+    [MSG_TYPE_REMOVE_SITE_RULE]: {
+        target: null,
+        fields: { ruleId: 'nonEmptyString' },
+        response: { status: ['success'] }
+    },
+    [MSG_TYPE_GET_EQ]: {
+        target: null,
+        fields: { tabId: 'tabId' },
+        response: { eq: 'object', bands: 'array', presets: 'array', gainLimit: 'number' }
+    },
+    [MSG_TYPE_SET_EQ]: {
+        target: null,
+        fields: { tabId: 'tabId', preset: 'string?', gains: 'array?' },
+        response: { status: ['success'], eq: 'object' }
+    },
+    [MSG_TYPE_GET_LIMITER]: {
+        target: null,
+        fields: { tabId: 'tabId' },
+        response: { global: 'object', tab: 'object?', presets: 'array', ranges: 'object' }
+    },
+    [MSG_TYPE_SET_LIMITER]: {
+        target: null,
+        fields: { scope: ['tab', 'global'], tabId: 'tabId?', preset: 'string?', params: 'object?', clear: 'boolean?' },
+        response: { status: ['success'], global: 'object', tab: 'object?' }
+    },
+    [MSG_TYPE_GET_AUDIO_STATS]: {
+        target: null,
+        fields: {},
+        response: { stats: 'object' }
+    },
+    [MSG_TYPE_GET_SETTINGS]: {
+        target: null,
+        fields: {},
+        response: { settings: 'object', defaults: 'object', ranges: 'object', sliderMappings: 'array' }
+    },
+    [MSG_TYPE_SAVE_SETTINGS]: {
+        target: null,
+        fields: { settings: 'object' },
+        response: { status: ['success'], settings: 'object' }
+    },
+    [MSG_TYPE_SET_LOG_LEVEL]: {
+        target: null,
+        fields: { level: Object.keys(LOG_LEVELS) },
+        response: { status: ['success'], level: 'string' }
+    },
+    [MSG_TYPE_GET_DIAGNOSTICS]: {
+        target: null,
+        fields: {},
+        response: { diagnostics: 'object' }
+    },
+    [MSG_TYPE_SET_SLEEP_TIMER]: {
+        target: null,
+        fields: { tabId: 'tabId', minutes: 'number' }, // 0 cancels the timer
+        response: { status: ['success'], sleepTimer: 'object?' }
+    },
+    [MSG_TYPE_GET_DUCKING]: {
+        target: null,
+        fields: { tabId: 'tabId' },
+        // priority: marked by hand, rulePriority: a priority site rule matches, active: a priority tab is playing
+        response: { priority: 'boolean', rulePriority: 'boolean', active: 'boolean' }
+    },
+    [MSG_TYPE_SET_TAB_PRIORITY]: {
+        target: null,
+        fields: { tabId: 'tabId', priority: 'boolean' },
+        response: { status: ['success'], priority: 'boolean' }
+    },
+    [MSG_TYPE_GET_SCOPE_VOLUMES]: {
+        target: null,
+        fields: {},
+        // scopes: [{ scope, id, volume, tabCount, title?, color?, windowId? }], groups first (title and color are for groups)
+        response: { scopes: 'array', range: 'object' }
+    },
+    [MSG_TYPE_SET_SCOPE_VOLUME]: {
+        target: null,
+        fields: { scope: VOLUME_SCOPES, id: 'number', volume: 'number' },
+        response: { status: ['success'], volume: 'number' }
+    },
+    [MSG_TYPE_GET_MASTER_VOLUME]: {
+        target: null,
+        fields: {},
+        response: { volume: 'number', range: 'object' }
+    },
+    [MSG_TYPE_SET_MASTER_VOLUME]: {
+        target: null,
+        fields: { volume: 'number' },
+        response: { status: ['success'], volume: 'number' }
+    },
+    [MSG_TYPE_START_RECORDING]: {
+        target: null,
+        fields: { tabId: 'tabId', format: RECORDING_FORMATS, maxMinutes: 'number' },
+        // recording: { format, startedAt, pausedAt, pausedMs, maxDurationMs } (also in GET_VOLUME while it runs)
+        response: { status: ['success'], recording: 'object' }
+    },
+    [MSG_TYPE_PAUSE_RECORDING]: {
+        target: null,
+        fields: { tabId: 'tabId', paused: 'boolean' },
+        response: { status: ['success'], recording: 'object' }
+    },
+    [MSG_TYPE_STOP_RECORDING]: {
+        target: null,
+        fields: { tabId: 'tabId' }, // The file is downloaded once the offscreen document has finished it
+        response: { status: ['success'] }
+    },
+    [MSG_TYPE_SET_OUTPUT_DEVICE]: {
+        target: null,
+        fields: { tabId: 'tabId', deviceId: 'string' }, // A deviceId from enumerateDevices(), '' for the default device
+        response: { status: ['success'], outputDeviceId: 'string' }
+    },
+    [MSG_TYPE_TOGGLE_MUTE]: {
+        target: null,
+        fields: { tabId: 'tabId' }, // Same as the mute shortcut: mutes, or brings back the volume from before the mute
+        response: { status: ['success'], volume: 'number', pending: 'boolean' }
+    },
+
+    [MSG_TYPE_START_CAPTURE]: {
+        target: TARGET_OFFSCREEN,
+        fields: {
+            targetTabId: 'tabId', streamId: 'nonEmptyString', volume: 'number', eqBands: 'array?', limiter: 'object?', duckFactor: 'number?',
+            outputDeviceId: 'string?' // Sink of the tab's AudioContext; missing or '' plays to the default device
+        },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_STOP_CAPTURE]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId' },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_UPDATE_VOLUME]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId', volume: 'number' },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_UPDATE_EQ]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId', eqBands: 'array' },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_UPDATE_LIMITER]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId', limiter: 'object' },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_OFFSCREEN_AUDIO_STATS]: {
+        target: TARGET_OFFSCREEN,
+        fields: {},
+        response: { success: [true], stats: 'object' }
+    },
+    [MSG_TYPE_OFFSCREEN_GET_STATE]: {
+        target: TARGET_OFFSCREEN,
+        fields: {},
+        response: { success: [true], state: 'object' }
+    },
+    [MSG_TYPE_OFFSCREEN_SET_LOG_LEVEL]: {
+        target: TARGET_OFFSCREEN,
+        fields: { level: Object.keys(LOG_LEVELS) },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP]: {
+        target: TARGET_OFFSCREEN,
+        fields: { rampMs: 'number', curve: GAIN_RAMP_CURVES, fadeInMs: 'number', fadeOutMs: 'number' },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_FADE_OUT]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId', durationMs: 'number' },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_DUCK]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId', factor: 'number', rampMs: 'number' }, // factor: share of the tab's volume kept (1 = not ducked)
+        response: { success: [true] }
+    },
+    [MSG_TYPE_OFFSCREEN_START_RECORDING]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId', format: RECORDING_FORMATS, maxDurationMs: 'number' },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_OFFSCREEN_PAUSE_RECORDING]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId', paused: 'boolean' },
+        response: { success: [true] }
+    },
+    [MSG_TYPE_OFFSCREEN_STOP_RECORDING]: {
+        target: TARGET_OFFSCREEN,
+        fields: { targetTabId: 'tabId' }, // Resolves once the file is finished (MSG_TYPE_EVENT_RECORDING_FINISHED)
+        response: { success: [true] }
+    },
+    [MSG_TYPE_OFFSCREEN_RELEASE_RECORDING]: {
+        target: TARGET_OFFSCREEN,
+        fields: { url: 'nonEmptyString' }, // The blob URL of a finished recording, once its download is over
+        response: { success: [true] }
+    },
+
+    [MSG_TYPE_EVENT_CAPTURE_ENDED]: {
+        target: TARGET_BACKGROUND,
+        fields: { tabId: 'tabId' },
+        response: null
+    },
+    [MSG_TYPE_EVENT_CONTEXT_STATE]: {
+        target: TARGET_BACKGROUND,
+        fields: { state: 'string', tabIds: 'array' },
+        response: null
+    },
+    [MSG_TYPE_EVENT_DEVICE_CHANGED]: {
+        target: TARGET_BACKGROUND,
+        fields: {},
+        response: null
+    },
+    [MSG_TYPE_EVENT_FADE_COMPLETE]: {
+        target: TARGET_BACKGROUND,
+        fields: { tabId: 'tabId' },
+        response: null
+    },
+    [MSG_TYPE_EVENT_RECORDING_FINISHED]: {
+        target: TARGET_BACKGROUND,
+        // url: blob URL of the file (null if nothing was recorded); reason: 'stopped', 'maxDuration' or 'captureEnded'
+        fields: { tabId: 'tabId', format: RECORDING_FORMATS, url: 'string?', durationMs: 'number', size: 'number', reason: 'string' },
+        response: null
+    },
+    [MSG_TYPE_LOG_ENTRIES]: {
+        target: TARGET_BACKGROUND,
+        fields: { entries: 'array' },
+        response: null
+    },
+
+    [MSG_TYPE_METER_SUBSCRIBE]: {
+        target: null,
+        fields: { tabId: 'tabId' },
+        response: null
+    },
+    [MSG_TYPE_METER_LEVELS]: {
+        target: null,
+        fields: {
+            tabId: 'tabId', active: 'boolean', peak: 'number?', rms: 'number?',
+            reduction: 'number?', limiterBypassed: 'boolean?', clipping: 'boolean?'
+        },
+        response: null
+    },
+    [MSG_TYPE_TAB_STATES]: {
+        target: null,
+        // tabs: { [tabId]: { volume, pending, captureError, sleepTimer, recording } (as in GET_VOLUME) plus
+        // { listed, effectiveVolume, ducked, eqPreset, changedAt } (as in GET_ACTIVE_TABS), or null for a tab back
+        // to 100% with nothing going on }. `full` marks the snapshot sent on connect (every tab with state); later
+        // messages only hold the tabs that changed. duckingActive: a priority tab is playing (as in GET_DUCKING)
+        fields: { tabs: 'object', full: 'boolean', duckingActive: 'boolean' },
+        response: null
+    }
+});
+
+const FIELD_TYPE_CHECKS = Object.freeze({
+    tabId: value => Number.isInteger(value) && value >= 0,
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    string: value => typeof value === 'string',
+    nonEmptyString: value => typeof value === 'string' && value.length > 0,
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value)
+});
+
+const ENVELOPE_FIELDS = ['version', 'type', 'target'];
+const LOG_PREFIX_PROTOCOL = '[Protocol]';
+
+// --- Validation ---
+
+/** Returns the name of the first field of `data` that doesn't match `fieldSpecs`, or null. */
+function _findInvalidField(data, fieldSpecs, ignoredFields) {
+    for (const [name, spec] of Object.entries(fieldSpecs)) {
+        const value = data[name];
+        if (Array.isArray(spec)) {
+            if (!spec.includes(value)) return name;
+            continue;
+        }
+        const optional = spec.endsWith('?');
+        if (optional && (value === undefined || value === null)) continue;
+        if (!FIELD_TYPE_CHECKS[optional ? spec.slice(0, -1) : spec](value)) return name;
+    }
+    return Object.keys(data).find(name => !(name in fieldSpecs) && !ignoredFields.includes(name)) ?? null;
+}
+
+function _isErrorPayload(error) {
+    return FIELD_TYPE_CHECKS.object(error) && typeof error.code === 'string' && typeof error.message === 'string';
+}
+
+/** Throws a BoosterError unless `message` is a well-formed message of the current protocol version. */
+function validateMessage(message) {
+    if (!FIELD_TYPE_CHECKS.object(message)) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, "Message is not an object.");
+    }
+    const { type, version } = message;
+    if (version !== PROTOCOL_VERSION) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `Unsupported protocol version ${version} for ${type}.`,
+            { type: type, version: version, expectedVersion: PROTOCOL_VERSION });
+    }
+    const schema = MESSAGE_SCHEMAS[type];
+    if (!schema) {
+        throw new BoosterError(ERROR_CODES.UNKNOWN_MESSAGE, `Unknown message type: ${type}`, { type: type });
+    }
+    if ((message.target ?? null) !== schema.target) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `Message ${type} sent to the wrong target (${message.target}).`,
+            { type: type, target: message.target });
+    }
+    const invalidField = _findInvalidField(message, schema.fields, ENVELOPE_FIELDS);
+    if (invalidField) {
+        throw new BoosterError(ERROR_CODES.INVALID_REQUEST, `Invalid request parameters (${type}.${invalidField}).`,
+            { type: type, field: invalidField });
+    }
+    return message;
+}
+
+/** Throws a BoosterError unless `response` is a success or error response allowed for `type`. */
+function validateResponse(type, response) {
+    const schema = MESSAGE_SCHEMAS[type];
+    if (!schema?.response) {
+        throw new BoosterError(ERROR_CODES.INVALID_RESPONSE, `${type} has no response.`, { type: type });
+    }
+    if (!FIELD_TYPE_CHECKS.object(response) || response.version !== PROTOCOL_VERSION) {
+        throw new BoosterError(ERROR_CODES.INVALID_RESPONSE, `Malformed or outdated ${type} response.`, { type: type });
+    }
+    if (response.error !== undefined) {
+        if (!_isErrorPayload(response.error)) {
+            throw new BoosterError(ERROR_CODES.INVALID_RESPONSE, `Malformed error in ${type} response.`, { type: type });
+        }
+        return response; // Error responses may carry partial results (e.g. an empty list)
+    }
+    const invalidField = _findInvalidField(response, schema.response, ['version']);
+    if (invalidField) {
+        throw new BoosterError(ERROR_CODES.INVALID_RESPONSE, `Invalid ${type} response (${invalidField}).`,
+            { type: type, field: invalidField });
+    }
+    return response;
+}
+
+// --- Building Messages ---
+
+/** Builds a message of `type`, stamped with the protocol version and the schema's target. */
+function createMessage(type, fields = {}) {
+    const target = MESSAGE_SCHEMAS[type]?.target;
+    return { ...fields, version: PROTOCOL_VERSION, type: type, ...(target ? { target: target } : {}) };
+}
+
+/** An error response, for messages rejected before their type is known to be valid. */
+function createErrorResponse(error, fallbackCode = ERROR_CODES.UNKNOWN) {
+    return { version: PROTOCOL_VERSION, error: toErrorPayload(error, fallbackCode) };
+}
+
+/**
+ * Wraps a listener's sendResponse for a validated message: responses are stamped with the
+ * protocol version, and one that breaks the schema is replaced by an INVALID_RESPONSE error.
+ */
+function createResponder(type, sendResponse) {
+    return (response) => {
+        const stampedResponse = { ...response, version: PROTOCOL_VERSION };
+        try {
+            validateResponse(type, stampedResponse);
+        } catch (error) {
+            logger.error(`${LOG_PREFIX_PROTOCOL} Refusing to send malformed ${type} response:`, error.message, response);
+            sendResponse(createErrorResponse(error));
+            return;
+        }
+        sendResponse(stampedResponse);
+    };
+}
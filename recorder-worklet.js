@@ -0,0 +1,51 @@
+// --- recorder-worklet.js ---
+// AudioWorklet processor behind WAV recordings (see "Recording" in offscreen.js). Runs on the
+// audio thread: it turns the recorded tab's output into interleaved 16-bit PCM and posts it to
+// the offscreen document in blocks. Port messages: { type: 'pause', paused } stops or resumes
+// taking samples, { type: 'flush' } posts what is left (marked `final`) and ends the processor.
+
+const PCM_BLOCK_FRAMES = 16384; // Frames per posted block (~0.34s at 48kHz)
+
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.channelCount = options.processorOptions.channelCount;
+        this.block = new Int16Array(PCM_BLOCK_FRAMES * this.channelCount);
+        this.frames = 0; // Frames in the current block
+        this.paused = false;
+        this.finished = false;
+        this.port.onmessage = (event) => {
+            if (event.data?.type === 'pause') {
+                this.paused = event.data.paused;
+            } else if (event.data?.type === 'flush' && !this.finished) {
+                this.finished = true;
+                this.postBlock(true);
+            }
+        };
+    }
+
+    /** Hands the samples of the current block over (transferred, not copied) and starts a new one. */
+    postBlock(final) {
+        const samples = this.block.slice(0, this.frames * this.channelCount);
+        this.port.postMessage({ samples: samples, final: final }, [samples.buffer]);
+        this.frames = 0;
+    }
+
+    process(inputs) {
+        if (this.finished) return false; // Lets the node be collected
+        const channels = inputs[0];
+        if (this.paused || channels.length === 0) return true; // Paused, or the chain is being rewired
+        for (let i = 0; i < channels[0].length; i++) {
+            for (let channel = 0; channel < this.channelCount; channel++) {
+                const sample = Math.max(-1, Math.min(1, (channels[channel] ?? channels[0])[i]));
+                this.block[this.frames * this.channelCount + channel] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+            }
+            if (++this.frames === PCM_BLOCK_FRAMES) {
+                this.postBlock(false);
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
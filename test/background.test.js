@@ -0,0 +1,866 @@
+// --- test/background.test.js ---
+// The background state machine: capture start/update/stop, debounced saves and offscreen
+// close, navigation restarts, tab removal, the per-tab lock, stale-entry cleanup, shortcuts,
+// sleep timers, ducking, group, window and master volumes, recordings, output devices, popup
+// pushes and diagnostics.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadProtocol } = require('./harness/extension');
+
+const {
+    MSG_TYPE_SET_VOLUME, MSG_TYPE_GET_VOLUME, MSG_TYPE_SAVE_SETTINGS, MSG_TYPE_SET_LOG_LEVEL, MSG_TYPE_GET_DIAGNOSTICS,
+    MSG_TYPE_SET_SLEEP_TIMER, MSG_TYPE_SET_TAB_PRIORITY, MSG_TYPE_GET_DUCKING, MSG_TYPE_SAVE_SITE_RULE,
+    MSG_TYPE_GET_SCOPE_VOLUMES, MSG_TYPE_SET_SCOPE_VOLUME, MSG_TYPE_SET_MASTER_VOLUME, MSG_TYPE_GET_ACTIVE_TABS,
+    MSG_TYPE_START_RECORDING, MSG_TYPE_PAUSE_RECORDING, MSG_TYPE_STOP_RECORDING, MSG_TYPE_SET_OUTPUT_DEVICE,
+    MSG_TYPE_REMOVE_SITE_RULE, PORT_NAME_TAB_STATE, ERROR_CODES
+} = loadProtocol();
+const { resolveObjectURL } = require('node:buffer');
+
+const TAB_URL = 'https://video.example/watch';
+
+function audibleTab(properties = {}) {
+    return { id: 1, url: TAB_URL, audible: true, active: true, ...properties };
+}
+
+/** Runs a keyboard shortcut on a tab and lets the volume change it starts finish. */
+async function runCommand(extension, command, tabId) {
+    const done = extension.browser.triggerCommand(command, extension.browser.tabs.get(tabId));
+    await extension.settle(500);
+    await done;
+}
+
+/** Gain of a tab's graph in the offscreen document, or undefined when not captured. */
+function offscreenGain(extension, tabId) {
+    return extension.offscreen?.evaluate(`activeStreams[${tabId}]?.gainNode.gain.value`);
+}
+
+test('boosting a tab starts capture, changing it updates the graph and 100% stops it', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+
+    assert.equal((await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 })).status, 'success');
+    assert.equal(offscreenGain(extension, 1), 1.5);
+    assert.equal(extension.browser.badges[1].text, '150');
+    const capturesAfterStart = extension.browser.streams.size;
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 250 });
+    assert.equal(offscreenGain(extension, 1), 2.5);
+    assert.equal(extension.browser.streams.size, capturesAfterStart, 'an update reuses the running capture');
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 100 });
+    assert.equal(offscreenGain(extension, 1), undefined);
+    assert.equal(extension.browser.liveTrackCount(1), 0);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 100 });
+    assert.deepEqual(await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 }),
+        { version: 1, volume: 100, pending: false, captureError: false, sleepTimer: null, recording: null,
+            outputDeviceId: '' });
+    assert.equal(extension.browser.badges[1].text, '');
+});
+
+test('staying at 100% never creates the offscreen document', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 100 });
+
+    assert.equal(extension.browser.offscreenCreations, 0);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 100 });
+});
+
+test('a volume must be between 0% and the maximum volume', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    const maxVolume = extension.background.evaluate('settings.maxVolume');
+
+    for (const volume of [-1, maxVolume + 1, 150.5]) {
+        const response = await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: volume });
+        assert.equal(response.error.code, ERROR_CODES.INVALID_REQUEST);
+    }
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), {});
+    assert.equal(extension.browser.offscreenCreations, 0);
+
+    assert.equal((await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: maxVolume })).status, 'success');
+    assert.equal(offscreenGain(extension, 1), maxVolume / 100);
+});
+
+/** How many storage writes so far included a key. */
+function writesOf(extension, key) {
+    return extension.browser.storageWrites.filter(keys => keys.includes(key)).length;
+}
+
+test('volume changes are saved once, after the debounce delay', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    const writesBefore = writesOf(extension, 'tabVolumes');
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 200 });
+    assert.equal(writesOf(extension, 'tabVolumes'), writesBefore, 'nothing is written right away');
+
+    await extension.settle(500);
+    assert.equal(writesOf(extension, 'tabVolumes'), writesBefore + 1);
+    assert.deepEqual(extension.browser.storageData.tabVolumes, { 1: 200 });
+});
+
+test('the offscreen document closes once no tab needs capture', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    await extension.settle(5000);
+    assert.ok(extension.offscreen, 'kept open while a tab is boosted');
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 100 });
+    await extension.settle(1000);
+    assert.ok(extension.offscreen, 'the close is debounced');
+    await extension.settle(1000);
+    assert.equal(extension.offscreen, null);
+});
+
+test('a silent tab keeps its volume pending and is captured once it plays audio', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab({ audible: false })] });
+
+    const response = await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 180 });
+    assert.equal(response.pending, true);
+    assert.deepEqual(await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 }),
+        { version: 1, volume: 180, pending: true, captureError: false, sleepTimer: null, recording: null, outputDeviceId: '' });
+    assert.equal(offscreenGain(extension, 1), undefined);
+
+    await extension.browser.updateTab(1, { audible: true });
+    await extension.settle(1000);
+
+    assert.equal(offscreenGain(extension, 1), 1.8);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 180 });
+    assert.deepEqual(extension.background.snapshot('tabPendingVolumes'), {});
+});
+
+test('navigating a boosted tab restarts its capture with the same volume', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    const firstStream = extension.offscreen.evaluate('activeStreams[1].stream');
+
+    await extension.browser.updateTab(1, { status: 'loading', url: `${TAB_URL}?v=2` });
+    await extension.browser.updateTab(1, { status: 'complete' });
+    await extension.settle(349);
+    assert.equal(extension.offscreen.evaluate('activeStreams[1].stream'), firstStream, 'the restart is debounced');
+
+    await extension.settle(1000);
+    const restartedStream = extension.offscreen.evaluate('activeStreams[1].stream');
+    assert.notEqual(restartedStream, firstStream);
+    assert.equal(firstStream.getAudioTracks()[0].readyState, 'ended');
+    assert.equal(offscreenGain(extension, 1), 1.5);
+    assert.equal(extension.background.evaluate('activeTabOperations.size'), 0);
+});
+
+test('site rule patterns match hostnames, wildcard subdomains and URL globs, and the longest match wins', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab({ url: 'https://news.example/' })] });
+    await extension.send(MSG_TYPE_SAVE_SITE_RULE, { rule: { pattern: '*.video.example', volume: 150 } });
+    await extension.send(MSG_TYPE_SAVE_SITE_RULE, { rule: { pattern: 'https://www.video.example/live/*', volume: 300 } });
+    await extension.send(MSG_TYPE_SAVE_SITE_RULE, { rule: { pattern: 'Radio.Example', volume: 50 } });
+    const matchedPattern = url => extension.background.evaluate(`findMatchingSiteRule(${JSON.stringify(url)})?.pattern ?? null`);
+
+    assert.equal(matchedPattern('https://video.example/watch'), '*.video.example', 'a leading *. matches the bare domain');
+    assert.equal(matchedPattern('https://cdn.eu.video.example/clip'), '*.video.example');
+    assert.equal(matchedPattern('https://www.video.example/live/42'), 'https://www.video.example/live/*', 'longer pattern wins');
+    assert.equal(matchedPattern('https://www.video.example/vod/42'), '*.video.example');
+    assert.equal(matchedPattern('http://radio.example:8080/stream'), 'Radio.Example', 'hostnames match case-insensitively');
+    assert.equal(matchedPattern('https://notvideo.example/'), null);
+    assert.equal(matchedPattern('https://radio.example.org/'), null);
+    assert.equal(matchedPattern('chrome://settings/'), null);
+    assert.equal(matchedPattern('not a url'), null);
+
+    await extension.browser.updateTab(1, { status: 'loading', url: 'https://www.video.example/live/42' });
+    await extension.browser.updateTab(1, { status: 'complete' });
+    await extension.settle(1000);
+    assert.equal(offscreenGain(extension, 1), 3);
+    await extension.browser.updateTab(1, { status: 'loading', url: 'https://news.example/' });
+    const completed = extension.browser.updateTab(1, { status: 'complete' });
+    await extension.settle(1000); // Includes the fade-out before the capture stops
+    await completed;
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 100 }, 'back to 100% off the rule\'s sites');
+});
+
+test('a site rule volume must be between 0% and the maximum volume', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    const maxVolume = extension.background.evaluate('settings.maxVolume');
+
+    for (const volume of [-1, maxVolume + 1]) {
+        const response = await extension.send(MSG_TYPE_SAVE_SITE_RULE, { rule: { pattern: 'video.example', volume: volume } });
+        assert.equal(response.error.code, ERROR_CODES.INVALID_SITE_RULE);
+    }
+    assert.deepEqual(extension.background.snapshot('siteRules'), []);
+
+    const { rule } = await extension.send(MSG_TYPE_SAVE_SITE_RULE, { rule: { pattern: 'video.example', volume: maxVolume } });
+    assert.equal(rule.volume, maxVolume);
+});
+
+test('the gain ramp settings reach the offscreen document, now and when it is created', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    assert.deepEqual(extension.offscreen.snapshot('gainRamp'), { rampMs: 50, curve: 'linear', fadeInMs: 300, fadeOutMs: 100 });
+
+    const response = await extension.send(MSG_TYPE_SAVE_SETTINGS, { settings: { volumeRampMs: 120, volumeRampCurve: 'smooth', fadeOutMs: 5000 } });
+    assert.equal(response.settings.fadeOutMs, 100, 'out-of-range values fall back to the default');
+    assert.deepEqual(extension.offscreen.snapshot('gainRamp'), { rampMs: 120, curve: 'smooth', fadeInMs: 300, fadeOutMs: 100 });
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 100 });
+    await extension.settle(2000);
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 200 });
+    assert.equal(extension.browser.offscreenCreations, 2);
+    assert.equal(extension.offscreen.evaluate('gainRamp.curve'), 'smooth');
+});
+
+test('a second change for a tab is rejected as BUSY while the first one runs', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    extension.browser.captureDelayMs = 1000;
+
+    const first = extension.post(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    await extension.settle();
+    const second = await extension.post(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 300 });
+    assert.equal(second.status, 'error');
+    assert.equal(second.error.code, ERROR_CODES.BUSY);
+    assert.equal(second.error.retryable, true);
+
+    await extension.settle(1000);
+    assert.equal((await first).status, 'success');
+    assert.equal(offscreenGain(extension, 1), 1.5);
+    assert.equal(extension.background.evaluate('activeTabOperations.size'), 0);
+});
+
+test('closing a boosted tab stops its capture and forgets its volume', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab(), audibleTab({ id: 2, active: false, url: 'https://other.example/' })] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+
+    const removed = extension.browser.removeTab(1);
+    await extension.settle(1000); // Includes the fade-out before the capture stops
+    await removed;
+    await extension.settle(2000);
+
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), {});
+    assert.equal(extension.browser.liveTrackCount(1), 0);
+    assert.equal(extension.offscreen, null);
+});
+
+test('closing a tab while its capture is starting leaves no state or capture behind', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab(), audibleTab({ id: 2, active: false, url: 'https://other.example/' })] });
+    extension.browser.captureDelayMs = 1000;
+
+    const pending = extension.post(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    await extension.settle();
+    await extension.browser.removeTab(1);
+    await extension.settle(1000);
+    await pending;
+    await extension.settle(2000);
+
+    const background = extension.background;
+    assert.deepEqual(background.snapshot('tabVolumes'), {});
+    assert.deepEqual(background.snapshot('tabPendingVolumes'), {});
+    assert.deepEqual(background.snapshot('tabCaptureErrors'), {});
+    assert.equal(background.evaluate('activeTabOperations.size'), 0);
+    assert.equal(extension.browser.liveTrackCount(1), 0);
+    assert.equal(extension.offscreen, null);
+});
+
+test('closing a tab right after its stream ID is issued leaves no capture error behind', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    const issueStreamId = extension.browser.issueStreamId.bind(extension.browser);
+    extension.browser.issueStreamId = (tabId) => {
+        const result = issueStreamId(tabId);
+        extension.browser.removeTab(tabId); // Before the offscreen document can use the ID
+        return result;
+    };
+
+    const response = await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    await extension.settle(2000);
+
+    assert.equal(response.error.code, ERROR_CODES.TAB_NOT_FOUND);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), {});
+    assert.deepEqual(extension.background.snapshot('tabCaptureErrors'), {});
+    assert.equal(extension.background.evaluate('activeTabOperations.size'), 0);
+    assert.equal(extension.offscreen, null);
+});
+
+test('a closed tab stashes its state for a reopened tab at the same URL', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+
+    const removed = extension.browser.removeTab(1);
+    await extension.settle(100); // The capture fades out before it stops
+    await removed;
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), {});
+    assert.equal(extension.background.evaluate('restorableTabStates.length'), 1);
+
+    extension.browser.addTab({ id: 5, url: 'about:blank', audible: true, index: 0 });
+    await extension.browser.updateTab(5, { url: TAB_URL, status: 'complete' });
+    await extension.settle(1000);
+
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 5: 150 });
+    assert.equal(extension.background.evaluate('restorableTabStates.length'), 0);
+    assert.equal(offscreenGain(extension, 5), 1.5);
+});
+
+test('startup drops state of tabs that no longer exist and hands it to a matching open tab', async () => {
+    const extension = await loadExtension({
+        storage: {
+            tabVolumes: { 7: 150, 8: 250 },
+            tabLocations: { 7: { url: TAB_URL, index: 0 }, 8: { url: 'https://gone.example/', index: 3 } }
+        },
+        tabs: [audibleTab({ audible: false })]
+    });
+
+    // The open tab is silent, so the claimed volume waits for audio
+    assert.deepEqual(await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 }),
+        { version: 1, volume: 150, pending: true, captureError: false, sleepTimer: null, recording: null, outputDeviceId: '' });
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), {});
+    const stashed = extension.background.snapshot('restorableTabStates');
+    assert.equal(stashed.length, 1);
+    assert.equal(stashed[0].url, 'https://gone.example/');
+    assert.deepEqual(extension.browser.storageData.tabVolumes, { 1: 150 }, 'the cleanup is saved right away');
+});
+
+test('keyboard shortcuts step the volume, and toggling mute twice restores the level', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+
+    await runCommand(extension, 'volume-up', 1);
+    await runCommand(extension, 'volume-up', 1);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 150 });
+    assert.equal(offscreenGain(extension, 1), 1.5);
+    assert.equal(extension.browser.badges[1].text, '150', 'the new level shows on the badge');
+
+    await runCommand(extension, 'toggle-mute', 1);
+    assert.equal(offscreenGain(extension, 1), 0);
+    assert.equal(extension.browser.badges[1].text, 'M');
+    await runCommand(extension, 'toggle-mute', 1);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 150 });
+
+    await runCommand(extension, 'volume-reset', 1);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 100 });
+    assert.equal(offscreenGain(extension, 1), undefined);
+});
+
+test('a restarted service worker picks up the running capture instead of starting another', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    await extension.settle(500);
+    const capturesBefore = extension.browser.streams.size;
+
+    await extension.startBackground();
+
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 150 });
+    assert.equal(offscreenGain(extension, 1), 1.5);
+    assert.equal(extension.browser.streams.size, capturesBefore);
+    assert.equal(extension.browser.liveTrackCount(1), 1);
+});
+
+/** Starts a sleep timer on a tab boosted to `volume` and lets it run out; the fade is then under way. */
+async function runSleepTimerOut(extension, volume = 150) {
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: volume });
+    const { sleepTimer } = await extension.send(MSG_TYPE_SET_SLEEP_TIMER, { tabId: 1, minutes: 15 });
+    assert.equal(extension.browser.alarms.get('sleepTimer').scheduledTime, sleepTimer.endsAt);
+    await extension.settle(15 * 60 * 1000);
+    await extension.browser.fireAlarm('sleepTimer');
+    await extension.settle();
+}
+
+test('a sleep timer fades the tab out, then mutes it', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+
+    await runSleepTimerOut(extension);
+    assert.equal(offscreenGain(extension, 1), 0, 'fading');
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 150 }, 'the volume is kept while fading');
+    assert.deepEqual((await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 })).sleepTimer.fadeEndsAt, extension.clock.now + 30000);
+
+    await extension.settle(30000);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 0 });
+    assert.deepEqual(extension.background.snapshot('tabMuteRestoreVolumes'), { 1: 150 }, 'unmuting brings 150% back');
+    assert.deepEqual(extension.background.snapshot('tabSleepTimers'), {});
+    assert.equal(extension.browser.alarms.has('sleepTimer'), false);
+    assert.equal(extension.browser.badges[1].text, 'M');
+});
+
+test('a sleep timer set to reset stops the capture once the fade is over', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SAVE_SETTINGS, { settings: { sleepTimerAction: 'reset', sleepFadeSeconds: 10 } });
+
+    await runSleepTimerOut(extension, 250);
+    await extension.settle(10000);
+    await extension.settle(2500); // Stop fade-out, then the offscreen close debounce
+
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 100 });
+    assert.equal(extension.browser.liveTrackCount(1), 0);
+    assert.equal(extension.offscreen, null);
+});
+
+test('a tab at 100% is captured for its fade and released once the timer is done', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SAVE_SETTINGS, { settings: { sleepTimerAction: 'reset', sleepFadeSeconds: 10 } });
+
+    await runSleepTimerOut(extension, 100);
+    assert.equal(offscreenGain(extension, 1), 0, 'captured just for the fade');
+    assert.equal(extension.browser.liveTrackCount(1), 1);
+
+    await extension.settle(10000);
+    await extension.settle(2500); // Stop fade-out, then the offscreen close debounce
+    assert.deepEqual(extension.background.snapshot('tabSleepTimers'), {});
+    assert.equal(extension.browser.liveTrackCount(1), 0);
+    assert.equal(extension.offscreen, null);
+});
+
+test('changing the volume during the fade cancels the sleep timer', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await runSleepTimerOut(extension);
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 200 });
+    await extension.settle(30000);
+
+    assert.deepEqual(extension.background.snapshot('tabSleepTimers'), {});
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 200 });
+    assert.equal(offscreenGain(extension, 1), 2);
+});
+
+test('a fade whose completion never arrives is finished by the alarm', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await runSleepTimerOut(extension);
+    extension.offscreen.evaluate('clearTimeout(activeStreams[1].fadeTimer)'); // The completion event is lost
+
+    await extension.settle(30000 + 5000);
+    await extension.browser.fireAlarm('sleepTimer');
+    await extension.settle();
+
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 0 });
+    assert.deepEqual(extension.background.snapshot('tabSleepTimers'), {});
+});
+
+test('sleep timers are validated, survive a worker restart and go away with their tab', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    assert.equal((await extension.send(MSG_TYPE_SET_SLEEP_TIMER, { tabId: 1, minutes: 0.5 })).error.code, ERROR_CODES.INVALID_REQUEST);
+    const { sleepTimer } = await extension.send(MSG_TYPE_SET_SLEEP_TIMER, { tabId: 1, minutes: 30 });
+    await extension.settle(500);
+
+    await extension.startBackground();
+    assert.deepEqual(extension.background.snapshot('tabSleepTimers'), { 1: sleepTimer });
+
+    await extension.browser.removeTab(1);
+    assert.deepEqual(extension.background.snapshot('tabSleepTimers'), {});
+});
+
+const CALL_URL = 'https://meet.example/abc-defg';
+
+/** The last ramp scheduled on a tab's gain, as [type, value, duration in ms]. */
+function lastGainRamp(extension, tabId) {
+    const events = extension.offscreen.snapshot(`activeStreams[${tabId}].gainNode.gain.events`);
+    const [start, ramp] = events.slice(-2);
+    return [ramp.type, ramp.value, Math.round((ramp.time - start.time) * 1000)];
+}
+
+test('a playing priority tab ducks the other boosted tabs and releases them once it stops', async () => {
+    const extension = await loadExtension({
+        tabs: [audibleTab(), { id: 2, url: CALL_URL, audible: false, active: false }]
+    });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 200 });
+    assert.equal((await extension.send(MSG_TYPE_SET_TAB_PRIORITY, { tabId: 2, priority: true })).priority, true);
+    const { duckLevel, duckAttackMs, duckReleaseMs } = extension.background.snapshot('settings');
+
+    await extension.browser.updateTab(2, { audible: true });
+    await extension.settle();
+    assert.deepEqual(lastGainRamp(extension, 1), ['linearRamp', 2 * duckLevel / 100, duckAttackMs]);
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 200 }, 'the stored volume is untouched');
+    assert.equal((await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 })).volume, 200);
+    assert.equal((await extension.send(MSG_TYPE_GET_DUCKING, { tabId: 1 })).active, true);
+
+    // A volume change while ducked keeps the duck on top of the new volume
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 300 });
+    assert.equal(offscreenGain(extension, 1), 3 * duckLevel / 100);
+
+    await extension.browser.updateTab(2, { audible: false });
+    await extension.settle();
+    assert.deepEqual(lastGainRamp(extension, 1), ['linearRamp', 3, duckReleaseMs]);
+    assert.equal((await extension.send(MSG_TYPE_GET_DUCKING, { tabId: 1 })).active, false);
+});
+
+test('a playing tab at 100% is captured for the duck and released once it ends', async () => {
+    const extension = await loadExtension({
+        tabs: [audibleTab(), { id: 2, url: CALL_URL, audible: false, active: false }]
+    });
+    await extension.send(MSG_TYPE_SET_TAB_PRIORITY, { tabId: 2, priority: true });
+    const duckLevel = extension.background.evaluate('settings.duckLevel');
+    assert.equal(extension.browser.offscreenCreations, 0);
+
+    await settleEvent(extension, extension.browser.updateTab(2, { audible: true }));
+    assert.equal(offscreenGain(extension, 1), duckLevel / 100);
+    assert.equal((await extension.send(MSG_TYPE_GET_DUCKING, { tabId: 1 })).active, true);
+
+    await settleEvent(extension, extension.browser.updateTab(2, { audible: false }));
+    assert.equal(offscreenGain(extension, 1), undefined);
+    assert.equal(extension.browser.liveTrackCount(1), 0);
+});
+
+test('priority site rules duck while their tab plays, until it is muted or closed', async () => {
+    const extension = await loadExtension({
+        tabs: [audibleTab(), { id: 2, url: CALL_URL, audible: true, active: false }]
+    });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    await extension.send(MSG_TYPE_SAVE_SITE_RULE, { rule: { pattern: 'meet.example', volume: 100, priority: true } });
+    const duckLevel = extension.background.evaluate('settings.duckLevel');
+    assert.equal(offscreenGain(extension, 1), 1.5 * duckLevel / 100, 'a rule change re-checks the playing tabs');
+    assert.deepEqual(await extension.send(MSG_TYPE_GET_DUCKING, { tabId: 2 }), { version: 1, priority: false, rulePriority: true, active: true });
+
+    // "Remember for Site" without a priority flag keeps the rule's priority
+    const { rule } = await extension.send(MSG_TYPE_SAVE_SITE_RULE, { rule: { pattern: 'meet.example', volume: 100 } });
+    assert.equal(rule.priority, true);
+
+    await extension.browser.updateTab(2, { mutedInfo: { muted: true } });
+    await extension.settle();
+    assert.equal(offscreenGain(extension, 1), 1.5);
+
+    await extension.browser.updateTab(2, { mutedInfo: { muted: false } });
+    await extension.settle();
+    assert.equal(offscreenGain(extension, 1), 1.5 * duckLevel / 100);
+    await extension.browser.removeTab(2);
+    assert.equal(offscreenGain(extension, 1), 1.5);
+});
+
+test('a tab boosted while a priority tab plays starts ducked, and a restarted worker keeps ducking', async () => {
+    const extension = await loadExtension({
+        tabs: [audibleTab(), { id: 2, url: CALL_URL, audible: true, active: false }]
+    });
+    await extension.send(MSG_TYPE_SET_TAB_PRIORITY, { tabId: 2, priority: true });
+    const duckLevel = extension.background.evaluate('settings.duckLevel');
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 200 });
+    assert.equal(offscreenGain(extension, 1), 2 * duckLevel / 100);
+
+    await extension.settle(500);
+    await extension.startBackground();
+    assert.deepEqual(extension.background.snapshot('[...audiblePriorityTabs]'), [2]);
+    assert.equal(offscreenGain(extension, 1), 2 * duckLevel / 100);
+
+    await extension.send(MSG_TYPE_SET_TAB_PRIORITY, { tabId: 2, priority: false });
+    assert.equal(offscreenGain(extension, 1), 2);
+});
+
+const TAB_GROUP_ID_NONE = -1;
+
+/** Waits for a browser event whose listeners start or stop captures, advancing the clock meanwhile. */
+async function settleEvent(extension, dispatched, ms = 500) {
+    await extension.settle(ms);
+    await dispatched;
+}
+
+test('a group volume multiplies the volume of its tabs, which pick it up and drop it as they join and leave', async () => {
+    const extension = await loadExtension({
+        tabs: [audibleTab(), { id: 2, audible: true }, { id: 3, audible: false }]
+    });
+    const groupId = extension.browser.addGroup({ title: 'Music' });
+    await extension.browser.groupTab(1, groupId);
+    await extension.browser.groupTab(2, groupId);
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 200 });
+
+    const response = await extension.send(MSG_TYPE_SET_SCOPE_VOLUME, { scope: 'group', id: groupId, volume: 150 });
+    assert.deepEqual(response, { version: 1, status: 'success', volume: 150 });
+    assert.equal(offscreenGain(extension, 1), 3);
+    assert.equal(offscreenGain(extension, 2), 1.5, 'a tab at 100% is captured for its group');
+    assert.equal((await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 })).volume, 200, 'the tab keeps its own volume');
+
+    await settleEvent(extension, extension.browser.groupTab(2, TAB_GROUP_ID_NONE));
+    assert.equal(offscreenGain(extension, 2), undefined);
+
+    await extension.browser.groupTab(3, groupId);
+    await extension.settle();
+    assert.equal(offscreenGain(extension, 3), undefined, 'a silent tab waits until it plays');
+    await extension.browser.updateTab(3, { audible: true });
+    await extension.settle(500);
+    assert.equal(offscreenGain(extension, 3), 1.5);
+
+    await extension.send(MSG_TYPE_SET_SCOPE_VOLUME, { scope: 'group', id: groupId, volume: 100 });
+    assert.equal(offscreenGain(extension, 1), 2);
+    assert.equal(offscreenGain(extension, 3), undefined);
+    assert.deepEqual(extension.background.snapshot('groupVolumes'), {});
+});
+
+test('window and group volumes combine and follow a tab dragged to another window', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab(), { id: 2, windowId: 2, audible: false }] });
+    const groupId = extension.browser.addGroup();
+    await extension.browser.groupTab(1, groupId);
+
+    await extension.send(MSG_TYPE_SET_SCOPE_VOLUME, { scope: 'window', id: 1, volume: 50 });
+    assert.equal(offscreenGain(extension, 1), 0.5);
+    await extension.send(MSG_TYPE_SET_SCOPE_VOLUME, { scope: 'group', id: groupId, volume: 200 });
+    assert.equal(offscreenGain(extension, 1), undefined, '200% of 50% needs no capture');
+    await extension.send(MSG_TYPE_SET_SCOPE_VOLUME, { scope: 'window', id: 2, volume: 150 });
+
+    const { scopes } = await extension.send(MSG_TYPE_GET_SCOPE_VOLUMES);
+    assert.deepEqual(scopes.map(entry => [entry.scope, entry.id, entry.volume, entry.tabCount]),
+        [['group', groupId, 200, 1], ['window', 1, 50, 1], ['window', 2, 150, 1]]);
+
+    await settleEvent(extension, extension.browser.moveTabToWindow(1, 2)); // Leaves its group on the way
+    assert.equal(offscreenGain(extension, 1), 1.5);
+
+    await settleEvent(extension, extension.browser.removeGroup(groupId));
+    assert.deepEqual(extension.browser.storageData.groupVolumes, {});
+    assert.deepEqual(extension.browser.storageData.windowVolumes, { 1: 50, 2: 150 });
+});
+
+test('group volumes survive a worker restart, and volumes of closed groups and windows are dropped', async () => {
+    const extension = await loadExtension({
+        storage: { groupVolumes: { 7: 150 }, windowVolumes: { 9: 50 } },
+        tabs: [audibleTab()]
+    });
+    assert.deepEqual(extension.background.snapshot('groupVolumes'), {});
+    assert.deepEqual(extension.background.snapshot('windowVolumes'), {});
+
+    const groupId = extension.browser.addGroup();
+    await extension.browser.groupTab(1, groupId);
+    await extension.send(MSG_TYPE_SET_SCOPE_VOLUME, { scope: 'group', id: groupId, volume: 150 });
+    await extension.settle(500);
+    const streamCount = extension.browser.streams.size;
+
+    await extension.startBackground();
+    assert.equal(offscreenGain(extension, 1), 1.5);
+    assert.equal(extension.browser.streams.size, streamCount, 'the running capture is adopted');
+
+    const outOfRange = await extension.send(MSG_TYPE_SET_SCOPE_VOLUME, { scope: 'group', id: groupId, volume: 250 });
+    assert.equal(outOfRange.error.code, ERROR_CODES.INVALID_REQUEST);
+    const unknownGroup = await extension.send(MSG_TYPE_SET_SCOPE_VOLUME, { scope: 'group', id: 99, volume: 150 });
+    assert.equal(unknownGroup.error.code, ERROR_CODES.INVALID_REQUEST);
+});
+
+test('a popup\'s tab state port gets every tab\'s state, then only the tabs that changed', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab(), audibleTab({ id: 2, url: 'https://radio.example/', active: false })] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    await extension.post(MSG_TYPE_GET_VOLUME, { tabId: 1 }); // Opens the client page
+    const port = extension.client.global.chrome.runtime.connect({ name: PORT_NAME_TAB_STATE });
+    const pushed = [];
+    port.onMessage.addListener(message => pushed.push({ full: message.full, tabs: message.tabs }));
+    await extension.settle();
+    // Tab states as in GET_VOLUME, plus what the boosted tabs list shows
+    const boosted = (tabId, volume) => ({
+        volume: volume, pending: false, captureError: false, sleepTimer: null, recording: null, listed: volume !== 100,
+        effectiveVolume: volume, ducked: false, eqPreset: 'Flat', changedAt: extension.background.evaluate(`tabVolumeChangedAt[${tabId}]`)
+    });
+    assert.deepEqual(pushed, [{ full: true, tabs: { 1: boosted(1, 150) } }]);
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 200 });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 100 });
+    assert.deepEqual(pushed.slice(1), [{ full: false, tabs: { 2: boosted(2, 200) } }, { full: false, tabs: { 1: boosted(1, 100) } }]);
+    const removed = extension.browser.removeTab(2);
+    await extension.settle(100); // The capture fades out before it stops
+    await removed;
+    assert.deepEqual(pushed.slice(3), [{ full: false, tabs: { 2: null } }]);
+
+    port.disconnect();
+    await extension.settle();
+    assert.equal(extension.background.evaluate('popupPorts.size'), 0);
+});
+
+test('the master volume scales every tab with a volume of its own, is reported per tab and survives a restart', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab(), { id: 2, audible: true }, { id: 3, audible: true }, { id: 4, audible: true }] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 200 });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 50 });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 3, volume: 100 });
+
+    assert.deepEqual(await extension.send(MSG_TYPE_SET_MASTER_VOLUME, { volume: 70 }), { version: 1, status: 'success', volume: 70 });
+    assert.equal(offscreenGain(extension, 1), 1.4);
+    assert.equal(offscreenGain(extension, 2), 0.35);
+    assert.equal(offscreenGain(extension, 3), 0.7, 'a tab set to 100% is captured for the master volume');
+    assert.equal(offscreenGain(extension, 4), undefined, 'a tab without a volume of its own is left alone');
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 200, 2: 50, 3: 100 });
+
+    const { activeTabs } = await extension.send(MSG_TYPE_GET_ACTIVE_TABS);
+    assert.deepEqual(activeTabs.map(tab => [tab.tabId, tab.volume, tab.effectiveVolume]), [[1, 200, 140], [2, 50, 35], [3, 100, 70]]);
+
+    await extension.settle(500);
+    assert.equal(extension.browser.storageData.masterVolume, 70);
+    await extension.startBackground();
+    assert.equal(extension.background.evaluate('masterVolume'), 70);
+    assert.equal(offscreenGain(extension, 1), 1.4);
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 4, volume: 100 });
+    assert.equal(offscreenGain(extension, 4), 0.7, 'setting a volume, even 100%, puts a tab under the master volume');
+
+    const invalid = await extension.send(MSG_TYPE_SET_MASTER_VOLUME, { volume: 201 });
+    assert.equal(invalid.error.code, ERROR_CODES.INVALID_REQUEST);
+    await extension.send(MSG_TYPE_SET_MASTER_VOLUME, { volume: 100 });
+    assert.equal(offscreenGain(extension, 1), 2);
+    assert.equal(offscreenGain(extension, 3), undefined);
+    assert.equal(offscreenGain(extension, 4), undefined);
+});
+
+test('a recording keeps a tab at 100% captured through volume changes and is downloaded once stopped', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab({ title: 'Live: Concert' })] });
+
+    const { recording } = await extension.send(MSG_TYPE_START_RECORDING, { tabId: 1, format: 'webm', maxMinutes: 30 });
+    assert.deepEqual(recording, { format: 'webm', startedAt: extension.clock.now, pausedAt: null, pausedMs: 0, maxDurationMs: 30 * 60 * 1000 });
+    assert.equal(offscreenGain(extension, 1), 1, 'captured just for the recording');
+    const [recorder] = extension.webAudio.recorders;
+    assert.equal(recorder.state, 'recording');
+    assert.ok(extension.offscreen.evaluate('activeStreams[1].limiterNode.outputs.has(activeStreams[1].recording.inputNode)'),
+        'the processed audio is recorded');
+    assert.equal(extension.browser.storageData.settings.recordingMaxMinutes, 30, 'remembered for next time');
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 250 });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 100 });
+    assert.equal(offscreenGain(extension, 1), 1, 'still captured at 100%');
+    assert.equal(extension.webAudio.recorders.length, 1);
+    assert.equal((await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 })).recording.format, 'webm');
+
+    await extension.settle(1000);
+    await extension.send(MSG_TYPE_PAUSE_RECORDING, { tabId: 1, paused: true });
+    assert.equal(recorder.state, 'paused');
+    await extension.settle(5000);
+    const resumed = await extension.send(MSG_TYPE_PAUSE_RECORDING, { tabId: 1, paused: false });
+    assert.deepEqual([resumed.recording.pausedAt, resumed.recording.pausedMs], [null, 5000]);
+    assert.equal(recorder.state, 'recording');
+
+    assert.equal((await extension.send(MSG_TYPE_STOP_RECORDING, { tabId: 1 })).status, 'success');
+    await extension.settle();
+    const [download] = extension.browser.downloads;
+    assert.match(download.filename, /^Live_ Concert \d{4}-\d{2}-\d{2} \d{2}-\d{2}-\d{2}\.webm$/);
+    assert.equal(await resolveObjectURL(download.url).text(), 'webm chunk 1');
+    await extension.settle(5000);
+    assert.equal(offscreenGain(extension, 1), undefined, 'the capture only ran for the recording');
+    assert.ok(extension.offscreen, 'kept open until the file is downloaded');
+
+    await extension.browser.finishDownload(download.id);
+    await extension.settle(5000);
+    assert.equal(resolveObjectURL(download.url), undefined, 'the file is released');
+    assert.equal(extension.offscreen, null);
+    assert.equal((await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 })).recording, null);
+});
+
+test('a WAV recording stops at its maximum length and keeps the boost running', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 200 });
+    await extension.send(MSG_TYPE_START_RECORDING, { tabId: 1, format: 'wav', maxMinutes: 1 });
+    const [workletNode] = extension.webAudio.workletNodes;
+
+    workletNode.render([new Float32Array(128).fill(0.5), new Float32Array(128).fill(-0.5)]);
+    await extension.settle(60 * 1000);
+
+    const [download] = extension.browser.downloads;
+    assert.match(download.filename, /\.wav$/);
+    const wav = Buffer.from(await resolveObjectURL(download.url).arrayBuffer());
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.readUInt16LE(22), 2, 'stereo');
+    assert.equal(wav.readUInt32LE(40), 128 * 2 * 2, 'data size');
+    assert.deepEqual([wav.readInt16LE(44), wav.readInt16LE(46)], [0x3FFF, -0x4000]);
+    assert.equal(extension.background.evaluate('tabRecordings[1]'), undefined);
+    assert.equal(offscreenGain(extension, 1), 2);
+
+    const invalid = await extension.send(MSG_TYPE_START_RECORDING, { tabId: 1, format: 'wav', maxMinutes: 241 });
+    assert.equal(invalid.error.code, ERROR_CODES.INVALID_REQUEST);
+    assert.equal((await extension.send(MSG_TYPE_STOP_RECORDING, { tabId: 1 })).status, 'error');
+});
+
+/** Output device the AudioContext of a tab's sub-graph plays to, or undefined when not captured. */
+function offscreenSinkId(extension, tabId) {
+    return extension.offscreen?.evaluate(`activeStreams[${tabId}]?.context.sinkId`);
+}
+
+/** Loads the extension with a headset plugged in and device access granted. */
+async function loadWithHeadset(options) {
+    const extension = await loadExtension(options);
+    extension.browser.outputDevices.push({ deviceId: 'headset-1', label: 'Headset' });
+    extension.browser.mediaAccessGranted = true;
+    return extension;
+}
+
+test('a tab sent to another output device is captured even at 100% and keeps its device across a restart', async () => {
+    const extension = await loadWithHeadset({ tabs: [audibleTab(), { id: 2, audible: true }] });
+
+    assert.deepEqual(await extension.send(MSG_TYPE_SET_OUTPUT_DEVICE, { tabId: 1, deviceId: 'headset-1' }),
+        { version: 1, status: 'success', outputDeviceId: 'headset-1' });
+    assert.equal(offscreenGain(extension, 1), 1);
+    assert.equal(offscreenSinkId(extension, 1), 'headset-1');
+    assert.equal((await extension.send(MSG_TYPE_GET_VOLUME, { tabId: 1 })).outputDeviceId, 'headset-1');
+    const { activeTabs } = await extension.send(MSG_TYPE_GET_ACTIVE_TABS);
+    assert.deepEqual(activeTabs.map(tab => tab.tabId), [1]);
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 150 });
+    assert.equal(offscreenSinkId(extension, 2), '');
+    assert.equal(extension.offscreen.evaluate('audioContexts.size'), 2);
+
+    await extension.settle(500);
+    assert.deepEqual(extension.browser.storageData.tabOutputDevices, { 1: 'headset-1' });
+    const capturesBeforeRestart = extension.browser.streams.size;
+    await extension.startBackground();
+    assert.equal(extension.browser.streams.size, capturesBeforeRestart, 'the graph on the right device is adopted');
+    assert.equal(offscreenSinkId(extension, 1), 'headset-1');
+
+    await extension.send(MSG_TYPE_SET_OUTPUT_DEVICE, { tabId: 1, deviceId: '' });
+    assert.equal(offscreenGain(extension, 1), undefined, 'back on the default device at 100%: released');
+    assert.equal(extension.offscreen.evaluate('audioContexts.size'), 1);
+    assert.deepEqual(extension.background.snapshot('tabOutputDevices'), {});
+
+    const missing = await extension.send(MSG_TYPE_SET_OUTPUT_DEVICE, { tabId: 9, deviceId: 'headset-1' });
+    assert.equal(missing.error.code, ERROR_CODES.TAB_NOT_FOUND);
+});
+
+test('a site rule\'s output device moves its tabs, and a device picked by hand wins over it', async () => {
+    const extension = await loadWithHeadset({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+
+    const { rule } = await extension.send(MSG_TYPE_SAVE_SITE_RULE,
+        { rule: { pattern: 'video.example', volume: 150, outputDeviceId: 'headset-1' } });
+    assert.equal(offscreenSinkId(extension, 1), 'headset-1');
+    assert.equal(offscreenGain(extension, 1), 1.5);
+
+    // "Remember for Site" without a device keeps the rule's
+    const { rule: remembered } = await extension.send(MSG_TYPE_SAVE_SITE_RULE, { rule: { pattern: 'video.example', volume: 200 } });
+    assert.equal(remembered.outputDeviceId, 'headset-1');
+
+    await extension.send(MSG_TYPE_SET_OUTPUT_DEVICE, { tabId: 1, deviceId: '' });
+    assert.equal(offscreenSinkId(extension, 1), '');
+    assert.deepEqual(extension.background.snapshot('tabOutputDevices'), { 1: '' });
+
+    // Picking the rule's device again drops the tab's own choice
+    await extension.send(MSG_TYPE_SET_OUTPUT_DEVICE, { tabId: 1, deviceId: 'headset-1' });
+    assert.deepEqual(extension.background.snapshot('tabOutputDevices'), {});
+    await extension.send(MSG_TYPE_REMOVE_SITE_RULE, { ruleId: rule.id });
+    assert.equal(offscreenSinkId(extension, 1), '');
+});
+
+test('the diagnostics buffer is bounded, saved and restored by a restarted worker', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    const bufferSize = extension.background.evaluate('LOG_BUFFER_SIZE');
+
+    extension.background.evaluate(`for (let i = 0; i < ${bufferSize + 20}; i++) logger.warn('entry ' + i)`);
+    await extension.settle(2000);
+
+    const saved = extension.browser.storageData.diagnosticLogs;
+    assert.equal(saved.length, bufferSize);
+    assert.equal(saved.at(-1).message, `entry ${bufferSize + 19}`);
+    assert.deepEqual(Object.keys(saved[0]).sort(), ['level', 'message', 'source', 'time']);
+
+    await extension.startBackground();
+    const logs = extension.background.snapshot('logBuffer');
+    assert.equal(logs.length, bufferSize);
+    const restoredIndex = logs.findIndex(entry => entry.message === `entry ${bufferSize + 19}`);
+    assert.ok(restoredIndex >= 0);
+    assert.ok(logs.slice(restoredIndex + 1).some(entry => entry.message.includes('Service Worker starting')),
+        'entries of the new worker come after the restored ones');
+});
+
+test('the log level is stored and sent to the offscreen document', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+
+    const response = await extension.send(MSG_TYPE_SET_LOG_LEVEL, { level: 'debug' });
+
+    assert.equal(response.level, 'debug');
+    assert.equal(extension.browser.storageData.logLevel, 'debug');
+    assert.equal(extension.background.evaluate('logLevel'), 'debug');
+    assert.equal(extension.offscreen.evaluate('logLevel'), 'debug');
+    assert.equal((await extension.send(MSG_TYPE_SET_LOG_LEVEL, { level: 'verbose' })).error.code, ERROR_CODES.INVALID_REQUEST);
+});
+
+test('the diagnostics report includes tab state, offscreen graphs and forwarded logs', async () => {
+    const extension = await loadExtension({ tabs: [audibleTab()] });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 150 });
+    extension.offscreen.evaluate(`logger.warn('from the offscreen document')`);
+    await extension.settle(250);
+
+    const { diagnostics } = await extension.send(MSG_TYPE_GET_DIAGNOSTICS);
+
+    assert.equal(diagnostics.version, extension.browser.manifest.version);
+    assert.deepEqual(diagnostics.tabVolumes, { 1: 150 });
+    assert.deepEqual(diagnostics.activeStreams.tabs.map(tab => tab.tabId), [1]);
+    const forwarded = diagnostics.logs.find(entry => entry.message === 'from the offscreen document');
+    assert.equal(forwarded.source, 'offscreen');
+    assert.equal(forwarded.level, 'warn');
+});
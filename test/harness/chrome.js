@@ -0,0 +1,592 @@
+// --- test/harness/chrome.js ---
+// An in-memory browser: tabs, tab groups, storage, tabCapture, offscreen documents, badges, alarms and
+// runtime messaging between extension contexts. Each context gets its own `chrome` object,
+// so its listeners disappear with it (service worker restart, popup closed, document closed).
+
+const CONNECTION_ERROR = 'Could not establish connection. Receiving end does not exist.';
+const PORT_CLOSED_ERROR = 'The message port closed before a response was received.';
+const TAB_GROUP_ID_NONE = -1;
+
+class FakeEvent {
+    constructor() {
+        this.listeners = [];
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(existing => existing !== listener);
+    }
+
+    hasListener(listener) {
+        return this.listeners.includes(listener);
+    }
+
+    hasListeners() {
+        return this.listeners.length > 0;
+    }
+
+    /** Calls every listener; returns their results (promises for async listeners). */
+    dispatch(...args) {
+        return this.listeners.map(listener => listener(...args));
+    }
+}
+
+/** One end of a runtime.connect() channel. */
+class FakePort {
+    constructor(name, sender, owner) {
+        this.name = name;
+        this.sender = sender;
+        this.owner = owner; // Context record the port belongs to
+        this.onMessage = new FakeEvent();
+        this.onDisconnect = new FakeEvent();
+        this.peers = [];
+        this.connected = true;
+    }
+
+    postMessage(message) {
+        if (!this.connected) {
+            throw new Error('Attempting to use a disconnected port object');
+        }
+        const payload = structuredClone(message);
+        for (const peer of this.peers) {
+            Promise.resolve().then(() => {
+                if (peer.connected) peer.onMessage.dispatch(structuredClone(payload), peer);
+            });
+        }
+    }
+
+    disconnect() {
+        if (!this.connected) return;
+        this.connected = false;
+        for (const peer of this.peers) {
+            peer.peers = peer.peers.filter(port => port !== this);
+            if (peer.connected && peer.peers.length === 0) {
+                peer.connected = false;
+                Promise.resolve().then(() => peer.onDisconnect.dispatch(peer));
+            }
+        }
+        this.peers = [];
+    }
+}
+
+class FakeBrowser {
+    constructor({ clock, manifest }) {
+        this.clock = clock;
+        this.manifest = manifest;
+        this.extensionId = 'abcdefghijklmnopabcdefghijklmnop';
+        this.contexts = new Set();
+        this.tabs = new Map();
+        this.nextTabId = 1;
+        this.groups = new Map(); // groupId -> { id, title, color, collapsed, windowId }
+        this.nextGroupId = 1;
+        this.focusedWindowId = 1;
+        this.storageData = {};
+        this.storageWrites = []; // Keys of each storage.local.set() call, in order
+        this.badges = {}; // tabId -> { text, color }
+        this.alarms = new Map();
+        this.offscreenDocument = null; // Context record of the open offscreen document
+        this.offscreenCreations = 0;
+        this.createPageContext = null; // (name, url) => Promise<context record>, installed by the loader
+        this.captureDelayMs = 0; // Delay before getMediaStreamId answers
+        this.captureFailures = new Map(); // tabId -> error message
+        this.streams = new Map(); // streamId -> { tabId, consumed }
+        this.nextStreamNumber = 1;
+        this.liveTracks = new Map(); // tabId -> [track]
+        this.openedUrls = [];
+        this.downloads = []; // { id, url, filename, conflictAction, state } per downloads.download() call
+        this.outputDevices = [{ deviceId: 'default', label: 'Default' }]; // Connected audio outputs
+        this.mediaAccessGranted = false; // Device IDs and labels stay hidden until a page got microphone access
+    }
+
+    getURL(path = '') {
+        return `chrome-extension://${this.extensionId}/${path.replace(/^\//, '')}`;
+    }
+
+    // --- Contexts ---
+
+    /** Creates the `chrome` object for a new extension context. `tab` is set for content pages only. */
+    registerContext({ name, url, tab = null }) {
+        const record = { name, url, tab, lastError: undefined, ports: new Set(), timerIds: new Set(), alive: true };
+        record.api = this._createApi(record);
+        this.contexts.add(record);
+        return record;
+    }
+
+    /** Removes a context: its listeners stop receiving events, its timers stop and its ports disconnect. */
+    destroyContext(record) {
+        if (!record || !record.alive) return;
+        record.alive = false;
+        this.contexts.delete(record);
+        this.clock.clearTimers(record.timerIds);
+        for (const port of record.ports) {
+            port.disconnect();
+        }
+        if (this.offscreenDocument === record) {
+            this.offscreenDocument = null;
+        }
+    }
+
+    /** Dispatches an event (e.g. 'tabs.onUpdated') to every live context and waits for async listeners. */
+    async dispatch(eventPath, ...args) {
+        const results = [];
+        for (const record of [...this.contexts]) {
+            const event = eventPath.split('.').reduce((object, key) => object?.[key], record.api);
+            if (event) results.push(...event.dispatch(...args.map(arg => structuredClone(arg))));
+        }
+        await Promise.allSettled(results);
+    }
+
+    // --- Tabs ---
+
+    addTab(properties = {}) {
+        const id = properties.id ?? this.nextTabId;
+        this.nextTabId = Math.max(this.nextTabId, id + 1);
+        const windowId = properties.windowId ?? this.focusedWindowId;
+        const tab = {
+            id: id,
+            windowId: windowId,
+            index: [...this.tabs.values()].filter(existing => existing.windowId === windowId).length,
+            url: 'https://example.com/',
+            title: `Tab ${id}`,
+            status: 'complete',
+            audible: false,
+            active: false,
+            mutedInfo: { muted: false },
+            groupId: TAB_GROUP_ID_NONE,
+            favIconUrl: undefined,
+            ...properties
+        };
+        this.tabs.set(id, tab);
+        return structuredClone(tab);
+    }
+
+    /** Changes a tab and fires tabs.onUpdated with the changed properties. */
+    async updateTab(tabId, changes) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        Object.assign(tab, changes);
+        await this.dispatch('tabs.onUpdated', tabId, changes, tab);
+    }
+
+    /** Closes a tab and fires tabs.onRemoved. Its captured tracks end like in Chrome. */
+    async removeTab(tabId, { isWindowClosing = false } = {}) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        this.tabs.delete(tabId);
+        await this.dispatch('tabs.onRemoved', tabId, { windowId: tab.windowId, isWindowClosing: isWindowClosing });
+        this.endCapture(tabId);
+    }
+
+    /** Moves a tab to another window like dragging it there: onAttached, then onUpdated if it leaves its group. */
+    async moveTabToWindow(tabId, windowId) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        tab.windowId = windowId;
+        tab.index = [...this.tabs.values()].filter(existing => existing.windowId === windowId && existing !== tab).length;
+        await this.dispatch('tabs.onAttached', tabId, { newWindowId: windowId, newPosition: tab.index });
+        if (tab.groupId !== TAB_GROUP_ID_NONE) {
+            await this.updateTab(tabId, { groupId: TAB_GROUP_ID_NONE });
+        }
+    }
+
+    // --- Tab Groups ---
+
+    /** Creates a tab group (no event, like restoring a session) and returns its ID. */
+    addGroup(properties = {}) {
+        const id = properties.id ?? this.nextGroupId;
+        this.nextGroupId = Math.max(this.nextGroupId, id + 1);
+        this.groups.set(id, { id: id, title: '', color: 'grey', collapsed: false, windowId: this.focusedWindowId, ...properties });
+        return id;
+    }
+
+    /** Moves a tab into a group (or out, with TAB_GROUP_ID_NONE) and fires tabs.onUpdated. */
+    async groupTab(tabId, groupId) {
+        await this.updateTab(tabId, { groupId: groupId });
+    }
+
+    /** Ungroups the group's tabs, then removes it and fires tabGroups.onRemoved. */
+    async removeGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) throw new Error(`No group with id: ${groupId}.`);
+        for (const tab of [...this.tabs.values()].filter(tab => tab.groupId === groupId)) {
+            await this.groupTab(tab.id, TAB_GROUP_ID_NONE);
+        }
+        this.groups.delete(groupId);
+        await this.dispatch('tabGroups.onRemoved', group);
+    }
+
+    async activateTab(tabId) {
+        const tab = this.tabs.get(tabId);
+        for (const other of this.tabs.values()) {
+            if (other.windowId === tab.windowId) other.active = other.id === tabId;
+        }
+        await this.dispatch('tabs.onActivated', { tabId: tabId, windowId: tab.windowId });
+    }
+
+    _queryTabs(queryInfo = {}) {
+        return [...this.tabs.values()].filter(tab =>
+            (queryInfo.active === undefined || tab.active === queryInfo.active) &&
+            (queryInfo.audible === undefined || tab.audible === queryInfo.audible) &&
+            (queryInfo.windowId === undefined || tab.windowId === queryInfo.windowId) &&
+            (queryInfo.groupId === undefined || tab.groupId === queryInfo.groupId) &&
+            (!queryInfo.currentWindow && !queryInfo.lastFocusedWindow || tab.windowId === this.focusedWindowId)
+        );
+    }
+
+    // --- Tab Capture ---
+
+    /** Makes getMediaStreamId fail for a tab (null clears it). By default only audible tabs can be captured. */
+    setCaptureFailure(tabId, message) {
+        if (message === null) {
+            this.captureFailures.delete(tabId);
+        } else {
+            this.captureFailures.set(tabId, message);
+        }
+    }
+
+    /** What tabCapture.getMediaStreamId answers for a tab: `{ streamId }` or `{ error }`. */
+    issueStreamId(tabId) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) return { error: `No tab with id: ${tabId}.` };
+        if (this.captureFailures.has(tabId)) return { error: this.captureFailures.get(tabId) };
+        if (!tab.audible) return { error: 'Error starting tab capture' };
+        const streamId = `stream-${tabId}-${this.nextStreamNumber++}`;
+        this.streams.set(streamId, { tabId: tabId, consumed: false });
+        return { streamId: streamId };
+    }
+
+    /** Used by getUserMedia: a stream ID is valid once, for a tab that still exists. */
+    consumeStreamId(streamId) {
+        const entry = this.streams.get(streamId);
+        if (!entry || entry.consumed || !this.tabs.has(entry.tabId)) return null;
+        entry.consumed = true;
+        return entry.tabId;
+    }
+
+    registerTrack(tabId, track) {
+        const tracks = this.liveTracks.get(tabId) ?? [];
+        tracks.push(track);
+        this.liveTracks.set(tabId, tracks);
+    }
+
+    /** Ends every live captured track of a tab on its own (as when the tab crashes). */
+    endCapture(tabId) {
+        for (const track of this.liveTracks.get(tabId) ?? []) {
+            track.endFromSource();
+        }
+    }
+
+    /** Live captured tracks of a tab. */
+    liveTrackCount(tabId) {
+        return (this.liveTracks.get(tabId) ?? []).filter(track => track.readyState === 'live').length;
+    }
+
+    // --- Output Devices ---
+
+    /** What navigator.mediaDevices.enumerateDevices() lists, in any page of the extension. */
+    listMediaDevices() {
+        return this.outputDevices.map(device => ({
+            deviceId: this.mediaAccessGranted ? device.deviceId : '',
+            kind: 'audiooutput',
+            label: this.mediaAccessGranted ? device.label : '',
+            groupId: ''
+        }));
+    }
+
+    /** Whether AudioContext.setSinkId() finds the device ('' is the default device). */
+    hasOutputDevice(deviceId) {
+        return deviceId === '' || this.outputDevices.some(device => device.deviceId === deviceId);
+    }
+
+    // --- Downloads ---
+
+    /** Ends a download ('complete' or 'interrupted') and fires downloads.onChanged. */
+    async finishDownload(downloadId, state = 'complete') {
+        const download = this.downloads.find(entry => entry.id === downloadId);
+        if (!download) throw new Error(`No download with id ${downloadId}`);
+        const previous = download.state;
+        download.state = state;
+        await this.dispatch('downloads.onChanged', { id: downloadId, state: { previous: previous, current: state } });
+    }
+
+    // --- Alarms & Commands ---
+
+    async fireAlarm(name) {
+        const alarm = this.alarms.get(name);
+        if (!alarm) throw new Error(`No alarm named ${name}`);
+        this.alarms.delete(name);
+        await this.dispatch('alarms.onAlarm', alarm);
+    }
+
+    async triggerCommand(command, tab) {
+        await this.dispatch('commands.onCommand', command, tab);
+    }
+
+    // --- Messaging ---
+
+    _senderFor(record) {
+        return { id: this.extensionId, url: record.url, origin: `chrome-extension://${this.extensionId}`, ...(record.tab ? { tab: record.tab } : {}) };
+    }
+
+    /** Delivers a runtime message to every other context, resolving with the first response. */
+    async _deliverMessage(senderRecord, message) {
+        await Promise.resolve(); // Never synchronous, like Chrome
+        const payload = structuredClone(message);
+        const receivers = [...this.contexts].filter(record => record !== senderRecord && record.api.runtime.onMessage.hasListeners());
+        if (receivers.length === 0) {
+            throw new Error(CONNECTION_ERROR);
+        }
+        return new Promise((resolve, reject) => {
+            let responded = false;
+            let keptOpen = false;
+            const sender = this._senderFor(senderRecord);
+            for (const record of receivers) {
+                for (const listener of record.api.runtime.onMessage.listeners) {
+                    const sendResponse = (response) => {
+                        if (responded) return;
+                        responded = true;
+                        resolve(response === undefined ? undefined : structuredClone(response));
+                    };
+                    if (listener(structuredClone(payload), sender, sendResponse) === true) {
+                        keptOpen = true;
+                    }
+                }
+            }
+            if (!responded && !keptOpen) {
+                reject(new Error(PORT_CLOSED_ERROR));
+            }
+        });
+    }
+
+    _connect(senderRecord, connectInfo = {}) {
+        const opener = new FakePort(connectInfo.name ?? '', null, senderRecord);
+        senderRecord.ports.add(opener);
+        const receivers = [...this.contexts].filter(record => record !== senderRecord && record.api.runtime.onConnect.hasListeners());
+        if (receivers.length === 0) {
+            Promise.resolve().then(() => {
+                opener.connected = false; // Messages posted before this are dropped silently
+                senderRecord.lastError = { message: CONNECTION_ERROR };
+                opener.onDisconnect.dispatch(opener);
+                senderRecord.lastError = undefined;
+            });
+            return opener;
+        }
+        for (const record of receivers) {
+            const port = new FakePort(opener.name, this._senderFor(senderRecord), record);
+            record.ports.add(port);
+            port.peers.push(opener);
+            opener.peers.push(port);
+            Promise.resolve().then(() => record.api.runtime.onConnect.dispatch(port));
+        }
+        return opener;
+    }
+
+    // --- API Objects ---
+
+    _createApi(record) {
+        const browser = this;
+
+        /** Runs a callback with runtime.lastError set, like Chrome does. */
+        const withLastError = (error, callback, ...args) => {
+            record.lastError = error ? { message: error.message ?? String(error) } : undefined;
+            try {
+                callback(...args);
+            } finally {
+                record.lastError = undefined;
+            }
+        };
+
+        /** Chrome APIs return a promise, or call the callback when one is passed. */
+        const promiseOrCallback = (promise, callback) => {
+            if (typeof callback !== 'function') return promise;
+            promise.then(result => withLastError(undefined, callback, result), error => withLastError(error, callback));
+            return undefined;
+        };
+
+        const storageLocal = {
+            get(keys, callback) {
+                let result;
+                if (keys === null || keys === undefined) {
+                    result = structuredClone(browser.storageData);
+                } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                    result = {};
+                    for (const key of [].concat(keys)) {
+                        if (key in browser.storageData) result[key] = structuredClone(browser.storageData[key]);
+                    }
+                } else {
+                    result = {};
+                    for (const [key, fallback] of Object.entries(keys)) {
+                        result[key] = key in browser.storageData ? structuredClone(browser.storageData[key]) : fallback;
+                    }
+                }
+                return promiseOrCallback(Promise.resolve(result), callback);
+            },
+            set(items, callback) {
+                browser.storageWrites.push(Object.keys(items));
+                Object.assign(browser.storageData, structuredClone(items));
+                return promiseOrCallback(Promise.resolve(), callback);
+            },
+            remove(keys, callback) {
+                for (const key of [].concat(keys)) delete browser.storageData[key];
+                return promiseOrCallback(Promise.resolve(), callback);
+            },
+            clear(callback) {
+                browser.storageData = {};
+                return promiseOrCallback(Promise.resolve(), callback);
+            }
+        };
+
+        return {
+            runtime: {
+                id: browser.extensionId,
+                get lastError() {
+                    return record.lastError;
+                },
+                ContextType: { OFFSCREEN_DOCUMENT: 'OFFSCREEN_DOCUMENT', POPUP: 'POPUP', BACKGROUND: 'BACKGROUND' },
+                onMessage: new FakeEvent(),
+                onConnect: new FakeEvent(),
+                onInstalled: new FakeEvent(),
+                onStartup: new FakeEvent(),
+                getURL: path => browser.getURL(path),
+                getManifest: () => structuredClone(browser.manifest),
+                sendMessage(message, callback) {
+                    return promiseOrCallback(browser._deliverMessage(record, message), callback);
+                },
+                connect(connectInfo) {
+                    return browser._connect(record, connectInfo);
+                },
+                async getContexts(filter = {}) {
+                    const document = browser.offscreenDocument;
+                    if (!document) return [];
+                    const matchesType = !filter.contextTypes || filter.contextTypes.includes('OFFSCREEN_DOCUMENT');
+                    const matchesUrl = !filter.documentUrls || filter.documentUrls.includes(document.url);
+                    return matchesType && matchesUrl ? [{ contextType: 'OFFSCREEN_DOCUMENT', documentUrl: document.url }] : [];
+                },
+                openOptionsPage() {
+                    browser.openedUrls.push(browser.getURL('options.html'));
+                    return Promise.resolve();
+                }
+            },
+            storage: { local: storageLocal },
+            tabs: {
+                onUpdated: new FakeEvent(),
+                onRemoved: new FakeEvent(),
+                onActivated: new FakeEvent(),
+                onMoved: new FakeEvent(),
+                onCreated: new FakeEvent(),
+                onAttached: new FakeEvent(),
+                get(tabId, callback) {
+                    const tab = browser.tabs.get(tabId);
+                    const promise = tab ? Promise.resolve(structuredClone(tab)) : Promise.reject(new Error(`No tab with id: ${tabId}.`));
+                    return promiseOrCallback(promise, callback);
+                },
+                query(queryInfo, callback) {
+                    return promiseOrCallback(Promise.resolve(structuredClone(browser._queryTabs(queryInfo))), callback);
+                },
+                // Only `active` is supported
+                update(tabId, updateProperties, callback) {
+                    const tab = browser.tabs.get(tabId);
+                    if (!tab) return promiseOrCallback(Promise.reject(new Error(`No tab with id: ${tabId}.`)), callback);
+                    const activated = updateProperties.active && !tab.active ? browser.activateTab(tabId) : Promise.resolve();
+                    return promiseOrCallback(activated.then(() => structuredClone(tab)), callback);
+                },
+                create(createProperties, callback) {
+                    browser.openedUrls.push(createProperties.url);
+                    return promiseOrCallback(Promise.resolve(browser.addTab({ url: createProperties.url })), callback);
+                }
+            },
+            tabGroups: {
+                TAB_GROUP_ID_NONE: TAB_GROUP_ID_NONE,
+                onUpdated: new FakeEvent(),
+                onRemoved: new FakeEvent(),
+                get(groupId, callback) {
+                    const group = browser.groups.get(groupId);
+                    const promise = group ? Promise.resolve(structuredClone(group)) : Promise.reject(new Error(`No group with id: ${groupId}.`));
+                    return promiseOrCallback(promise, callback);
+                },
+                query(queryInfo = {}, callback) {
+                    const groups = [...browser.groups.values()].filter(group => queryInfo.windowId === undefined || group.windowId === queryInfo.windowId);
+                    return promiseOrCallback(Promise.resolve(structuredClone(groups)), callback);
+                }
+            },
+            windows: {
+                WINDOW_ID_NONE: -1,
+                onRemoved: new FakeEvent(),
+                update(windowId, updateInfo, callback) {
+                    if (updateInfo.focused) browser.focusedWindowId = windowId;
+                    return promiseOrCallback(Promise.resolve({ id: windowId, focused: browser.focusedWindowId === windowId }), callback);
+                }
+            },
+            tabCapture: {
+                getMediaStreamId(options, callback) {
+                    const answer = () => {
+                        const { streamId, error } = browser.issueStreamId(options.targetTabId);
+                        withLastError(error ? { message: error } : undefined, callback, streamId);
+                    };
+                    if (browser.captureDelayMs > 0) {
+                        browser.clock.setTimeout(answer, browser.captureDelayMs);
+                    } else {
+                        Promise.resolve().then(answer);
+                    }
+                }
+            },
+            offscreen: {
+                Reason: { USER_MEDIA: 'USER_MEDIA', AUDIO_PLAYBACK: 'AUDIO_PLAYBACK' },
+                async createDocument({ url }) {
+                    if (browser.offscreenDocument) {
+                        throw new Error('Only a single offscreen document may be created.');
+                    }
+                    browser.offscreenCreations++;
+                    browser.offscreenDocument = { url: browser.getURL(url), pending: true }; // Reserved while loading
+                    browser.offscreenDocument = await browser.createPageContext('offscreen', url);
+                },
+                async closeDocument() {
+                    if (!browser.offscreenDocument) {
+                        throw new Error('No current offscreen document.');
+                    }
+                    browser.destroyContext(browser.offscreenDocument);
+                }
+            },
+            action: {
+                setBadgeText({ tabId, text }) {
+                    browser.badges[tabId] = { ...browser.badges[tabId], text: text };
+                    return Promise.resolve();
+                },
+                setBadgeBackgroundColor({ tabId, color }) {
+                    browser.badges[tabId] = { ...browser.badges[tabId], color: color };
+                    return Promise.resolve();
+                }
+            },
+            alarms: {
+                onAlarm: new FakeEvent(),
+                create(name, alarmInfo = {}) {
+                    const scheduledTime = alarmInfo.when ?? browser.clock.now + (alarmInfo.delayInMinutes ?? 0) * 60 * 1000;
+                    browser.alarms.set(name, { name: name, scheduledTime: scheduledTime });
+                    return Promise.resolve();
+                },
+                clear(name) {
+                    return Promise.resolve(browser.alarms.delete(name));
+                },
+                get(name) {
+                    return Promise.resolve(browser.alarms.get(name));
+                }
+            },
+            commands: {
+                onCommand: new FakeEvent()
+            },
+            downloads: {
+                onChanged: new FakeEvent(),
+                download(options, callback) {
+                    const download = { id: browser.downloads.length + 1, ...options, state: 'in_progress' };
+                    browser.downloads.push(download);
+                    return promiseOrCallback(Promise.resolve(download.id), callback);
+                }
+            }
+        };
+    }
+}
+
+module.exports = { FakeBrowser, FakeEvent, FakePort, CONNECTION_ERROR, PORT_CLOSED_ERROR };
@@ -0,0 +1,109 @@
+// --- test/harness/clock.js ---
+// Fake timers shared by every extension context, so debounces and timeouts run on demand.
+
+/** Lets pending promise callbacks (and message deliveries) run to completion. */
+async function flushPromises(rounds = 20) {
+    for (let i = 0; i < rounds; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+class FakeClock {
+    constructor(startTime = Date.UTC(2024, 0, 1)) {
+        this.now = startTime;
+        this.timers = new Map(); // id -> { at, callback, args, interval }
+        this.nextId = 1;
+    }
+
+    setTimeout(callback, delay = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.set(id, { at: this.now + Math.max(0, delay), callback, args, interval: null });
+        return id;
+    }
+
+    setInterval(callback, delay = 0, ...args) {
+        const id = this.nextId++;
+        const interval = Math.max(1, delay);
+        this.timers.set(id, { at: this.now + interval, callback, args, interval });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /** Number of timers still scheduled. */
+    get pendingCount() {
+        return this.timers.size;
+    }
+
+    /** Advances time by `ms`, firing due timers in order and settling promises after each one. */
+    async tick(ms = 0) {
+        const end = this.now + ms;
+        await flushPromises();
+        for (;;) {
+            const next = [...this.timers.entries()]
+                .filter(([, timer]) => timer.at <= end)
+                .sort(([idA, a], [idB, b]) => a.at - b.at || idA - idB)[0];
+            if (!next) break;
+            const [id, timer] = next;
+            this.now = timer.at;
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                this.timers.delete(id);
+            }
+            timer.callback(...timer.args);
+            await flushPromises();
+        }
+        this.now = end;
+        await flushPromises();
+    }
+
+    /** A Date class for a context whose "now" follows this clock. */
+    createDateClass() {
+        const clock = this;
+        return class FakeDate extends Date {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(clock.now);
+                } else {
+                    super(...args);
+                }
+            }
+
+            static now() {
+                return clock.now;
+            }
+        };
+    }
+
+    /** The timer functions to install as globals of a context; the IDs of its timers are added to `timerIds`. */
+    createTimerGlobals(timerIds = new Set()) {
+        const track = id => {
+            timerIds.add(id);
+            return id;
+        };
+        return {
+            setTimeout: (...args) => track(this.setTimeout(...args)),
+            clearTimeout: this.clearTimeout.bind(this),
+            setInterval: (...args) => track(this.setInterval(...args)),
+            clearInterval: this.clearInterval.bind(this),
+            Date: this.createDateClass()
+        };
+    }
+
+    /** Cancels the given timers (those of a closed context). */
+    clearTimers(timerIds) {
+        for (const id of timerIds) {
+            this.timers.delete(id);
+        }
+        timerIds.clear();
+    }
+}
+
+module.exports = { FakeClock, flushPromises };
@@ -0,0 +1,342 @@
+// --- test/harness/dom.js ---
+// A small DOM for the popup and options pages: parses their HTML, supports the element
+// properties and simple selectors those scripts use, and bubbles events.
+
+const VOID_ELEMENTS = new Set(['input', 'img', 'br', 'hr', 'link', 'meta']);
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<\/([a-zA-Z0-9-]+)\s*>|<([a-zA-Z0-9-]+)([^>]*)>|[^<]+/gi;
+const ATTRIBUTE_PATTERN = /([a-zA-Z_:][a-zA-Z0-9_:.-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+// Element properties that mirror an attribute of the same name
+const REFLECTED_PROPERTIES = ['id', 'type', 'min', 'max', 'step', 'src', 'alt', 'title', 'placeholder', 'name', 'for'];
+
+class FakeTextNode {
+    constructor(text) {
+        this.nodeType = 3;
+        this.textContent = text;
+        this.parentNode = null;
+    }
+}
+
+class FakeElement {
+    constructor(ownerDocument, tagName, attributes = {}) {
+        this.nodeType = 1;
+        this.ownerDocument = ownerDocument;
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map(Object.entries(attributes));
+        this.childNodes = [];
+        this.parentNode = null;
+        this.style = {};
+        this.listeners = {};
+        this.disabled = this.attributes.has('disabled');
+        this.checked = this.attributes.has('checked');
+        this.open = this.attributes.has('open');
+        this._value = this.attributes.get('value') ?? '';
+        this.onerror = null;
+        this.dataset = this._createDataset();
+        this.classList = this._createClassList();
+    }
+
+    // --- Attributes ---
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    get className() {
+        return this.getAttribute('class') ?? '';
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    get value() {
+        return this._value;
+    }
+
+    set value(value) {
+        this._value = String(value);
+    }
+
+    _createDataset() {
+        const element = this;
+        const toAttribute = key => 'data-' + String(key).replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+        return new Proxy({}, {
+            get: (target, key) => typeof key === 'string' ? element.getAttribute(toAttribute(key)) ?? undefined : undefined,
+            set: (target, key, value) => {
+                element.setAttribute(toAttribute(key), value);
+                return true;
+            },
+            deleteProperty: (target, key) => {
+                element.removeAttribute(toAttribute(key));
+                return true;
+            },
+            has: (target, key) => element.hasAttribute(toAttribute(key))
+        });
+    }
+
+    _createClassList() {
+        const element = this;
+        const read = () => element.className.split(/\s+/).filter(Boolean);
+        const write = names => { element.className = [...new Set(names)].join(' '); };
+        return {
+            add: (...names) => write([...read(), ...names]),
+            remove: (...names) => write(read().filter(name => !names.includes(name))),
+            contains: name => read().includes(name),
+            toggle: (name, force) => {
+                const enable = force === undefined ? !read().includes(name) : Boolean(force);
+                if (enable) {
+                    write([...read(), name]);
+                } else {
+                    write(read().filter(existing => existing !== name));
+                }
+                return enable;
+            }
+        };
+    }
+
+    // --- Tree ---
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get parentElement() {
+        return this.parentNode instanceof FakeElement ? this.parentNode : null;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] ?? null;
+    }
+
+    appendChild(node) {
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? new FakeTextNode(node) : node));
+    }
+
+    insertBefore(node, referenceNode) {
+        if (!referenceNode) return this.appendChild(node);
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.splice(this.childNodes.indexOf(referenceNode), 0, node);
+        return node;
+    }
+
+    removeChild(node) {
+        this.childNodes = this.childNodes.filter(child => child !== node);
+        node.parentNode = null;
+        return node;
+    }
+
+    replaceChildren(...nodes) {
+        this.childNodes.forEach(child => { child.parentNode = null; });
+        this.childNodes = [];
+        this.append(...nodes);
+    }
+
+    remove() {
+        this.parentNode?.removeChild(this);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.replaceChildren();
+        if (text !== '' && text !== null && text !== undefined) this.appendChild(new FakeTextNode(String(text)));
+    }
+
+    get innerHTML() {
+        return this.textContent;
+    }
+
+    set innerHTML(html) {
+        this.replaceChildren();
+        parseInto(this.ownerDocument, this, String(html));
+    }
+
+    /** Every element below this one, in document order. */
+    _descendants() {
+        return this.children.flatMap(child => [child, ...child._descendants()]);
+    }
+
+    // --- Selectors ---
+
+    matches(selector) {
+        return parseSelectorList(selector).some(chain => matchesChain(this, chain));
+    }
+
+    closest(selector) {
+        for (let element = this; element; element = element.parentElement) {
+            if (element.matches(selector)) return element;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const chains = parseSelectorList(selector);
+        return this._descendants().filter(element => chains.some(chain => matchesChain(element, chain, this)));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] ?? null;
+    }
+
+    // --- Events ---
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ??= []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] ?? []).filter(existing => existing !== listener);
+    }
+
+    /** Fires an event at this element and bubbles it up to the document. Returns the listener results. */
+    dispatchEvent(event) {
+        event.target ??= this;
+        const results = [];
+        for (let node = this; node; node = node.parentNode) {
+            event.currentTarget = node;
+            for (const listener of [...(node.listeners?.[event.type] ?? [])]) {
+                results.push(listener.call(node, event));
+            }
+        }
+        return results;
+    }
+
+    click() {
+        if (this.disabled) return [];
+        return this.dispatchEvent({ type: 'click' });
+    }
+}
+
+for (const property of REFLECTED_PROPERTIES) {
+    Object.defineProperty(FakeElement.prototype, property === 'for' ? 'htmlFor' : property, {
+        get() {
+            return this.getAttribute(property) ?? '';
+        },
+        set(value) {
+            this.setAttribute(property, value);
+        }
+    });
+}
+
+// --- Selector Matching ---
+// Supports descendant combinators and compound selectors made of tag, #id, .class and [attr] / [attr=value].
+
+function parseSelectorList(selectorList) {
+    return selectorList.split(',').map(selector => selector.trim().split(/\s+/).map(parseCompoundSelector));
+}
+
+function parseCompoundSelector(compound) {
+    const parts = { tag: null, id: null, classes: [], attributes: [] };
+    const pattern = /^([a-zA-Z][a-zA-Z0-9-]*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=["']?([^"'\]]*)["']?)?\]/g;
+    for (const match of compound.matchAll(pattern)) {
+        if (match[1]) parts.tag = match[1].toUpperCase();
+        if (match[2]) parts.id = match[2];
+        if (match[3]) parts.classes.push(match[3]);
+        if (match[4]) parts.attributes.push({ name: match[4], value: match[5] });
+    }
+    return parts;
+}
+
+function matchesCompound(element, parts) {
+    return (!parts.tag || element.tagName === parts.tag) &&
+        (!parts.id || element.id === parts.id) &&
+        parts.classes.every(name => element.classList.contains(name)) &&
+        parts.attributes.every(({ name, value }) => element.hasAttribute(name) && (value === undefined || element.getAttribute(name) === value));
+}
+
+/** Whether `element` matches the last compound and its ancestors (below `root`) match the rest in order. */
+function matchesChain(element, chain, root = null) {
+    if (!matchesCompound(element, chain[chain.length - 1])) return false;
+    let index = chain.length - 2;
+    for (let ancestor = element.parentElement; ancestor && ancestor !== root && index >= 0; ancestor = ancestor.parentElement) {
+        if (matchesCompound(ancestor, chain[index])) index--;
+    }
+    return index < 0;
+}
+
+// --- Parsing ---
+
+function parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[match[1]] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+    return attributes;
+}
+
+function parseInto(document, root, html) {
+    const stack = [root];
+    for (const match of html.matchAll(TOKEN_PATTERN)) {
+        const [token, closingTag, openingTag, attributeSource] = match;
+        const parent = stack[stack.length - 1];
+        if (token.startsWith('<!')) {
+            continue;
+        } else if (closingTag) {
+            const index = stack.map(element => element.tagName).lastIndexOf(closingTag.toUpperCase());
+            if (index > 0) stack.length = index;
+        } else if (openingTag) {
+            const element = new FakeElement(document, openingTag, parseAttributes(attributeSource.replace(/\/$/, '')));
+            parent.appendChild(element);
+            if (!VOID_ELEMENTS.has(openingTag.toLowerCase()) && !attributeSource.endsWith('/')) stack.push(element);
+        } else if (token.trim()) {
+            parent.appendChild(new FakeTextNode(token.trim()));
+        }
+    }
+}
+
+class FakeDocument extends FakeElement {
+    constructor(html) {
+        super(null, '#document');
+        this.ownerDocument = this;
+        parseInto(this, this, html);
+    }
+
+    get documentElement() {
+        return this.querySelector('html');
+    }
+
+    get body() {
+        return this.querySelector('body');
+    }
+
+    getElementById(id) {
+        return this._descendants().find(element => element.id === id) ?? null;
+    }
+
+    createElement(tagName) {
+        return new FakeElement(this, tagName);
+    }
+
+    createTextNode(text) {
+        return new FakeTextNode(text);
+    }
+}
+
+/** Parses a page's HTML into a document. */
+function createDocument(html) {
+    return new FakeDocument(html);
+}
+
+module.exports = { createDocument, FakeDocument, FakeElement };
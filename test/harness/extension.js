@@ -0,0 +1,236 @@
+// --- test/harness/extension.js ---
+// Loads the extension's real scripts into vm contexts wired to the fake browser:
+// the background service worker, the offscreen document (created on demand by the
+// background, like in Chrome) and the popup/options pages with a small DOM.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { FakeClock, flushPromises } = require('./clock');
+const { FakeBrowser } = require('./chrome');
+const { createWebAudio, FakeMediaStream, FakeMediaStreamTrack } = require('./web-audio');
+const { createDocument } = require('./dom');
+
+const EXTENSION_ROOT = path.resolve(__dirname, '..', '..');
+const VERBOSE = Boolean(process.env.TEST_VERBOSE);
+const SEND_STEP_MS = 10;        // Clock steps while waiting for a response in send()
+const SEND_TIMEOUT_MS = 30000;  // Fake time after which send() stops advancing the clock
+const PROTOCOL_SCRIPTS = ['errors.js', 'logger.js', 'protocol.js'];
+
+function readExtensionFile(file) {
+    return fs.readFileSync(path.join(EXTENSION_ROOT, file), 'utf8');
+}
+
+/** manifest.json carries `//` comments, which Chrome tolerates but JSON.parse doesn't. */
+function readManifest() {
+    return JSON.parse(readExtensionFile('manifest.json').replace(/\s*\/\/[^"\n]*$/gm, ''));
+}
+
+/** Script files a page loads, in order. */
+function scriptsOf(html) {
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+}
+
+/** A console that records everything (and prints it with TEST_VERBOSE=1). */
+function createConsole(name, logs) {
+    const console = {};
+    for (const level of ['log', 'info', 'debug', 'warn', 'error']) {
+        console[level] = (...args) => {
+            logs.push({ level: level, args: args });
+            if (VERBOSE) process.stderr.write(`[${name}:${level}] ${args.map(arg => typeof arg === 'string' ? arg : String(arg?.message ?? JSON.stringify(arg))).join(' ')}\n`);
+        };
+    }
+    return console;
+}
+
+/** One extension context (service worker or page) running in its own vm context. */
+class ExtensionContext {
+    constructor(extension, { name, url, tab = null, globals = {} }) {
+        this.name = name;
+        this.extension = extension;
+        this.logs = [];
+        this.record = extension.browser.registerContext({ name: name, url: extension.browser.getURL(url), tab: tab });
+        this.record.page = this;
+        this.global = vm.createContext({
+            chrome: this.record.api,
+            console: createConsole(name, this.logs),
+            ...extension.clock.createTimerGlobals(this.record.timerIds),
+            structuredClone: structuredClone,
+            crypto: globalThis.crypto,
+            URL: URL,
+            URLSearchParams: URLSearchParams,
+            TextEncoder: TextEncoder,
+            queueMicrotask: queueMicrotask,
+            ...globals
+        });
+        this.global.self = vm.runInContext('globalThis', this.global);
+    }
+
+    /** Runs one of the extension's script files as a classic script. */
+    runScript(file) {
+        vm.runInContext(readExtensionFile(file), this.global, { filename: path.join(EXTENSION_ROOT, file) });
+    }
+
+    /** Evaluates an expression in the context, e.g. 'tabVolumes' or 'activeTabOperations.size'. */
+    evaluate(expression) {
+        return vm.runInContext(expression, this.global);
+    }
+
+    /** Like evaluate(), but copied into this realm so assert.deepStrictEqual compares plain values. */
+    snapshot(expression) {
+        return structuredClone(this.evaluate(expression));
+    }
+
+    /** Logged messages of a level ('error', 'warn', ...), joined into strings. */
+    messages(level) {
+        return this.logs
+            .filter(entry => entry.level === level)
+            .map(entry => entry.args.map(arg => typeof arg === 'string' ? arg : arg?.message ?? JSON.stringify(arg)).join(' '));
+    }
+
+    /** Closes the page (or stops the worker): listeners go away and ports disconnect. */
+    close() {
+        this.extension.browser.destroyContext(this.record);
+    }
+
+    get closed() {
+        return !this.record.alive;
+    }
+}
+
+class TestExtension {
+    constructor({ storage = {}, tabs = [] } = {}) {
+        this.clock = new FakeClock();
+        this.browser = new FakeBrowser({ clock: this.clock, manifest: readManifest() });
+        this.browser.storageData = structuredClone(storage);
+        tabs.forEach(tab => this.browser.addTab(tab));
+        this.browser.createPageContext = async (name, url) => this._loadOffscreen(url).record;
+        this.background = null;
+        this.webAudio = null; // Web Audio fakes of the current offscreen document
+    }
+
+    /** Starts (or restarts) the service worker and lets its startup work finish. */
+    async startBackground() {
+        if (this.background) {
+            this.background.close();
+        }
+        const background = new ExtensionContext(this, { name: 'background', url: 'background.js' });
+        background.global.importScripts = (...files) => files.forEach(file => background.runScript(file));
+        this.background = background;
+        background.runScript('background.js');
+        await this.settle();
+        return background;
+    }
+
+    /** The open offscreen document, if any. */
+    get offscreen() {
+        return this.browser.offscreenDocument?.page ?? null;
+    }
+
+    _loadOffscreen(url) {
+        const webAudio = createWebAudio(this.browser, { readScript: readExtensionFile });
+        const offscreen = new ExtensionContext(this, {
+            name: 'offscreen',
+            url: url,
+            globals: {
+                AudioContext: webAudio.AudioContext,
+                AudioWorkletNode: webAudio.AudioWorkletNode,
+                MediaRecorder: webAudio.MediaRecorder,
+                navigator: webAudio.navigator,
+                Float32Array: Float32Array,
+                Blob: Blob
+            }
+        });
+        offscreen.webAudio = webAudio;
+        this.webAudio = webAudio;
+        scriptsOf(readExtensionFile(url)).forEach(file => offscreen.runScript(file));
+        return offscreen;
+    }
+
+    /** Opens the offscreen document directly (normally the background creates it on demand). */
+    openOffscreen() {
+        const offscreen = this._loadOffscreen('offscreen.html');
+        this.browser.offscreenDocument = offscreen.record;
+        return offscreen;
+    }
+
+    /** Opens a page with a DOM (popup.html, options.html) and runs its DOMContentLoaded work. */
+    async openPage(file) {
+        const html = readExtensionFile(file);
+        const document = createDocument(html);
+        const page = new ExtensionContext(this, {
+            name: path.basename(file, '.html'),
+            url: file,
+            globals: {
+                document: document,
+                navigator: {
+                    clipboard: { writeText: async text => { page.clipboard = text; } },
+                    mediaDevices: {
+                        enumerateDevices: async () => this.browser.listMediaDevices(),
+                        // Microphone access (always granted here) reveals the output devices to the whole extension
+                        getUserMedia: async () => {
+                            this.browser.mediaAccessGranted = true;
+                            return new FakeMediaStream([new FakeMediaStreamTrack(null)]);
+                        }
+                    }
+                }
+            }
+        });
+        page.document = document;
+        page.clipboard = null;
+        page.global.window = page.global.self;
+        scriptsOf(html).forEach(script => page.runScript(script));
+        document.dispatchEvent({ type: 'DOMContentLoaded' });
+        await this.settle();
+        return page;
+    }
+
+    openPopup() {
+        return this.openPage('popup.html');
+    }
+
+    /** Sends a protocol message from an extension page (as the popup would) without advancing the clock. */
+    post(type, fields = {}) {
+        if (!this.client || this.client.closed) {
+            this.client = new ExtensionContext(this, { name: 'client', url: 'popup.html' });
+            PROTOCOL_SCRIPTS.forEach(file => this.client.runScript(file));
+        }
+        return this.client.global.chrome.runtime.sendMessage(this.client.global.createMessage(type, fields));
+    }
+
+    /** Like post(), but advances the fake clock in small steps until the response arrives. */
+    async send(type, fields = {}) {
+        let settled = false;
+        const response = this.post(type, fields);
+        response.then(() => { settled = true; }, () => { settled = true; });
+        await this.settle();
+        for (let waited = 0; !settled && waited < SEND_TIMEOUT_MS; waited += SEND_STEP_MS) {
+            await this.settle(SEND_STEP_MS);
+        }
+        return response;
+    }
+
+    /** Lets pending work run, advancing the fake clock by `ms` (debounces, retries, timeouts). */
+    async settle(ms = 0) {
+        await this.clock.tick(ms);
+    }
+}
+
+/**
+ * The shared constants and helpers of errors.js and protocol.js, for use in tests:
+ * `const { MSG_TYPE_SET_VOLUME, ERROR_CODES } = loadProtocol();`
+ */
+function loadProtocol() {
+    const context = vm.createContext({ console: createConsole('protocol', []) });
+    PROTOCOL_SCRIPTS.forEach(file => vm.runInContext(readExtensionFile(file), context, { filename: path.join(EXTENSION_ROOT, file) }));
+    return new Proxy({}, { get: (target, name) => vm.runInContext(String(name), context) });
+}
+
+/** Creates a browser with the given storage and tabs and starts the background service worker. */
+async function loadExtension(options = {}) {
+    const extension = new TestExtension(options);
+    await extension.startBackground();
+    return extension;
+}
+
+module.exports = { loadExtension, loadProtocol, TestExtension, ExtensionContext, flushPromises };
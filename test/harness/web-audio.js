@@ -0,0 +1,384 @@
+// --- test/harness/web-audio.js ---
+// Just enough of Web Audio, navigator.mediaDevices and MediaRecorder for offscreen.js: nodes
+// remember their connections, AudioParams remember their scheduled values, tracks can be ended
+// on demand. AudioWorklet modules really run (in their own vm context), so tests can feed them.
+
+const vm = require('node:vm');
+
+class FakeAudioParam {
+    constructor(value) {
+        this.value = value;
+        this.defaultValue = value;
+        this.events = []; // { type, value, time }
+    }
+
+    _schedule(type, value, time) {
+        this.value = value; // Jump straight to the target, tests don't render audio
+        this.events.push({ type: type, value: value, time: time });
+        return this;
+    }
+
+    setValueAtTime(value, time) {
+        return this._schedule('set', value, time);
+    }
+
+    linearRampToValueAtTime(value, time) {
+        return this._schedule('linearRamp', value, time);
+    }
+
+    exponentialRampToValueAtTime(value, time) {
+        return this._schedule('exponentialRamp', value, time);
+    }
+
+    setTargetAtTime(value, time, timeConstant) {
+        return this._schedule('target', value, time);
+    }
+
+    cancelScheduledValues(time) {
+        this.events.push({ type: 'cancel', value: this.value, time: time });
+        return this;
+    }
+
+    cancelAndHoldAtTime(time) {
+        return this.cancelScheduledValues(time);
+    }
+}
+
+class FakeAudioNode {
+    constructor(context, kind) {
+        this.context = context;
+        this.kind = kind;
+        this.outputs = new Set();
+    }
+
+    connect(destination) {
+        this.outputs.add(destination);
+        return destination;
+    }
+
+    disconnect(destination) {
+        if (destination) {
+            this.outputs.delete(destination);
+        } else {
+            this.outputs.clear();
+        }
+    }
+}
+
+class FakeMediaStreamTrack {
+    constructor(tabId) {
+        this.kind = 'audio';
+        this.tabId = tabId;
+        this.enabled = true;
+        this.readyState = 'live';
+        this.listeners = { ended: [] };
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ??= []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] ?? []).filter(existing => existing !== listener);
+    }
+
+    /** Stopping a track ourselves doesn't fire 'ended' (same as in browsers). */
+    stop() {
+        this.readyState = 'ended';
+    }
+
+    /** The source went away: the track ends and 'ended' fires. */
+    endFromSource() {
+        if (this.readyState === 'ended') return;
+        this.readyState = 'ended';
+        for (const listener of this.listeners.ended ?? []) listener({ type: 'ended', target: this });
+    }
+}
+
+class FakeMediaStream {
+    constructor(tracks) {
+        this.tracks = tracks;
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter(track => track.kind === 'audio');
+    }
+
+    getTracks() {
+        return [...this.tracks];
+    }
+}
+
+/** One end of a MessageChannel: messages arrive asynchronously at the other end's onmessage. */
+class FakeMessagePort {
+    constructor() {
+        this.onmessage = null;
+        this.peer = null;
+    }
+
+    postMessage(data) {
+        Promise.resolve().then(() => this.peer.onmessage?.({ data: data }));
+    }
+}
+
+function createMessageChannel() {
+    const port1 = new FakeMessagePort();
+    const port2 = new FakeMessagePort();
+    port1.peer = port2;
+    port2.peer = port1;
+    return { port1, port2 };
+}
+
+/**
+ * A MediaRecorder that records nothing real: each data handover is a small blob naming the
+ * time recorded since the last one. `recorders` (see createWebAudio) lists every instance.
+ */
+class FakeMediaRecorder {
+    static isTypeSupported(type) {
+        return type.startsWith('audio/webm');
+    }
+
+    constructor(stream, options = {}) {
+        this.stream = stream;
+        this.mimeType = options.mimeType;
+        this.state = 'inactive';
+        this.listeners = {};
+        this.chunkCount = 0;
+    }
+
+    addEventListener(type, listener, options = {}) {
+        (this.listeners[type] ??= []).push({ listener: listener, once: !!options.once });
+    }
+
+    _fire(type, event) {
+        const entries = this.listeners[type] ?? [];
+        this.listeners[type] = entries.filter(entry => !entry.once);
+        entries.forEach(entry => entry.listener({ type: type, ...event }));
+    }
+
+    start(timeslice) {
+        this.timeslice = timeslice;
+        this.state = 'recording';
+    }
+
+    pause() {
+        this.state = 'paused';
+    }
+
+    resume() {
+        this.state = 'recording';
+    }
+
+    /** Hands over a chunk, as the browser does every `timeslice` (tests call it when they want data). */
+    requestData() {
+        this._fire('dataavailable', { data: new Blob([`webm chunk ${++this.chunkCount}`]) });
+    }
+
+    stop() {
+        if (this.state === 'inactive') throw new Error('The MediaRecorder is inactive.');
+        this.state = 'inactive';
+        Promise.resolve().then(() => {
+            this.requestData();
+            this._fire('stop', {});
+        });
+    }
+}
+
+/**
+ * Creates the AudioContext class, `navigator`, MediaRecorder and AudioWorkletNode for one
+ * offscreen document. `contexts` lists every AudioContext the document created, `recorders`
+ * every MediaRecorder and `workletNodes` every AudioWorkletNode. `readScript(path)` returns the
+ * source of a worklet module.
+ */
+function createWebAudio(browser, { readScript } = {}) {
+    const contexts = [];
+    const recorders = [];
+    const workletNodes = [];
+    const deviceChangeListeners = [];
+
+    /** The AudioWorkletGlobalScope of one context: registered processors and the port of the one being built. */
+    function createWorkletScope(context) {
+        const scope = { processors: new Map(), nextPort: null };
+        scope.global = vm.createContext({
+            sampleRate: context.sampleRate,
+            AudioWorkletProcessor: class AudioWorkletProcessor {
+                constructor() {
+                    this.port = scope.nextPort;
+                }
+            },
+            registerProcessor: (name, processorClass) => scope.processors.set(name, processorClass)
+        });
+        return scope;
+    }
+
+    class FakeAudioContext {
+        constructor(options = {}) {
+            this.options = options;
+            this.state = 'running';
+            this.sampleRate = options.sampleRate ?? 48000;
+            this.currentTime = 0;
+            this.sinkId = options.sinkId ?? '';
+            this.destination = new FakeAudioNode(this, 'destination');
+            this.listeners = { statechange: [] };
+            this.workletScope = createWorkletScope(this);
+            this.audioWorklet = {
+                modules: [],
+                addModule: async (path) => {
+                    vm.runInContext(readScript(path), this.workletScope.global, { filename: path });
+                    this.audioWorklet.modules.push(path);
+                }
+            };
+            contexts.push(this);
+        }
+
+        addEventListener(type, listener) {
+            (this.listeners[type] ??= []).push(listener);
+        }
+
+        removeEventListener(type, listener) {
+            this.listeners[type] = (this.listeners[type] ?? []).filter(existing => existing !== listener);
+        }
+
+        /** Changes state and fires 'statechange' (tests use it to simulate the browser suspending audio). */
+        setState(state) {
+            if (this.state === state) return;
+            this.state = state;
+            for (const listener of this.listeners.statechange ?? []) listener({ type: 'statechange', target: this });
+        }
+
+        async resume() {
+            if (this.state === 'closed') throw new Error('Cannot resume a closed AudioContext.');
+            this.setState('running');
+        }
+
+        async suspend() {
+            if (this.state === 'closed') throw new Error('Cannot suspend a closed AudioContext.');
+            this.setState('suspended');
+        }
+
+        async close() {
+            if (this.state === 'closed') throw new Error('Cannot close a closed AudioContext.');
+            this.setState('closed');
+        }
+
+        async setSinkId(sinkId) {
+            if (!browser.hasOutputDevice(sinkId)) {
+                throw Object.assign(new Error('Requested device not found'), { name: 'NotFoundError' });
+            }
+            this.sinkId = sinkId;
+        }
+
+        createMediaStreamSource(mediaStream) {
+            const node = new FakeAudioNode(this, 'source');
+            node.mediaStream = mediaStream;
+            return node;
+        }
+
+        createMediaStreamDestination() {
+            const node = new FakeAudioNode(this, 'streamDestination');
+            node.stream = new FakeMediaStream([new FakeMediaStreamTrack(null)]);
+            return node;
+        }
+
+        createGain() {
+            const node = new FakeAudioNode(this, 'gain');
+            node.gain = new FakeAudioParam(1);
+            return node;
+        }
+
+        createBiquadFilter() {
+            const node = new FakeAudioNode(this, 'biquad');
+            node.type = 'lowpass';
+            node.frequency = new FakeAudioParam(350);
+            node.Q = new FakeAudioParam(1);
+            node.gain = new FakeAudioParam(0);
+            return node;
+        }
+
+        createDynamicsCompressor() {
+            const node = new FakeAudioNode(this, 'compressor');
+            node.threshold = new FakeAudioParam(-24);
+            node.knee = new FakeAudioParam(30);
+            node.ratio = new FakeAudioParam(12);
+            node.attack = new FakeAudioParam(0.003);
+            node.release = new FakeAudioParam(0.25);
+            node.reduction = 0;
+            return node;
+        }
+
+        createAnalyser() {
+            const node = new FakeAudioNode(this, 'analyser');
+            node.fftSize = 2048;
+            node.level = 0; // Sample value returned for every frame
+            node.getFloatTimeDomainData = (buffer) => buffer.fill(node.level);
+            return node;
+        }
+    }
+
+    class FakeAudioWorkletNode extends FakeAudioNode {
+        constructor(context, name, options = {}) {
+            super(context, 'worklet');
+            const processorClass = context.workletScope.processors.get(name);
+            if (!processorClass) throw new Error(`No AudioWorklet processor registered as '${name}'.`);
+            const { port1, port2 } = createMessageChannel();
+            this.port = port1;
+            this.options = options;
+            context.workletScope.nextPort = port2;
+            this.processor = new processorClass({ ...options, processorOptions: options.processorOptions ?? {} });
+            this.alive = true;
+            workletNodes.push(this);
+        }
+
+        /** Runs the processor on one render quantum per entry of `blocks` ([channel samples]), like the audio thread. */
+        render(...blocks) {
+            for (const channels of blocks) {
+                if (!this.alive) return;
+                this.alive = this.processor.process([channels], [], {});
+            }
+        }
+    }
+
+    class TrackedMediaRecorder extends FakeMediaRecorder {
+        constructor(stream, options) {
+            super(stream, options);
+            recorders.push(this);
+        }
+    }
+
+    const navigator = {
+        mediaDevices: {
+            async getUserMedia(constraints) {
+                const streamId = constraints?.audio?.mandatory?.chromeMediaSourceId;
+                const tabId = browser.consumeStreamId(streamId);
+                if (tabId === null) {
+                    throw new Error('Error starting tab capture');
+                }
+                const track = new FakeMediaStreamTrack(tabId);
+                browser.registerTrack(tabId, track);
+                return new FakeMediaStream([track]);
+            },
+            async enumerateDevices() {
+                return browser.listMediaDevices();
+            },
+            addEventListener(type, listener) {
+                if (type === 'devicechange') deviceChangeListeners.push(listener);
+            }
+        }
+    };
+
+    /** Fires 'devicechange' on navigator.mediaDevices. */
+    const changeDevices = () => deviceChangeListeners.forEach(listener => listener({ type: 'devicechange' }));
+
+    return {
+        AudioContext: FakeAudioContext,
+        AudioWorkletNode: FakeAudioWorkletNode,
+        MediaRecorder: TrackedMediaRecorder,
+        navigator: navigator,
+        contexts: contexts,
+        recorders: recorders,
+        workletNodes: workletNodes,
+        changeDevices: changeDevices
+    };
+}
+
+module.exports = { createWebAudio, FakeAudioParam, FakeAudioNode, FakeMediaStream, FakeMediaStreamTrack, FakeMediaRecorder };
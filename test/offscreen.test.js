@@ -0,0 +1,380 @@
+// --- test/offscreen.test.js ---
+// The offscreen document on its own: per-tab graphs in one AudioContext per output device,
+// volume, EQ and limiter updates, gain ramps, the level meter port, ducking, recordings,
+// cleanup, events pushed to the background and protocol validation.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestExtension, ExtensionContext, loadProtocol } = require('./harness/extension');
+
+const {
+    MSG_TYPE_START_CAPTURE, MSG_TYPE_STOP_CAPTURE, MSG_TYPE_UPDATE_VOLUME, MSG_TYPE_OFFSCREEN_GET_STATE,
+    MSG_TYPE_EVENT_CAPTURE_ENDED, MSG_TYPE_LOG_ENTRIES, MSG_TYPE_OFFSCREEN_SET_LOG_LEVEL, MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP,
+    MSG_TYPE_DUCK, MSG_TYPE_FADE_OUT, MSG_TYPE_UPDATE_EQ, MSG_TYPE_UPDATE_LIMITER, MSG_TYPE_OFFSCREEN_START_RECORDING,
+    MSG_TYPE_EVENT_RECORDING_FINISHED, MSG_TYPE_EVENT_DEVICE_CHANGED, MSG_TYPE_METER_SUBSCRIBE, TARGET_BACKGROUND,
+    PORT_NAME_LEVEL_METER, PROTOCOL_VERSION, ERROR_CODES
+} = loadProtocol();
+
+/**
+ * An offscreen document without a background; `events` collects the events it pushes to the
+ * background and `logEntries` the log entries it forwards.
+ */
+function openOffscreen(tabIds = [1]) {
+    const extension = new TestExtension({ tabs: tabIds.map(id => ({ id: id, audible: true })) });
+    const offscreen = extension.openOffscreen();
+    const events = [];
+    const logEntries = [];
+    const background = new ExtensionContext(extension, { name: 'background', url: 'background.js' });
+    background.record.api.runtime.onMessage.addListener((message) => {
+        if (message.target !== TARGET_BACKGROUND) return false;
+        if (message.type === MSG_TYPE_LOG_ENTRIES) {
+            logEntries.push(...message.entries);
+        } else {
+            events.push(message);
+        }
+        return false;
+    });
+    return { extension, offscreen, events, logEntries };
+}
+
+function startCapture(extension, tabId, volume, outputDeviceId) {
+    return extension.send(MSG_TYPE_START_CAPTURE, {
+        targetTabId: tabId,
+        streamId: extension.browser.issueStreamId(tabId).streamId,
+        volume: volume,
+        outputDeviceId: outputDeviceId
+    });
+}
+
+test('starting a capture builds the tab graph in one shared AudioContext', async () => {
+    const { extension, offscreen } = openOffscreen([1, 2]);
+
+    assert.deepEqual(await startCapture(extension, 1, 150), { version: 1, success: true });
+    assert.deepEqual(await startCapture(extension, 2, 50), { version: 1, success: true });
+
+    assert.equal(offscreen.webAudio.contexts.length, 1);
+    const graph = offscreen.evaluate('activeStreams[1]');
+    assert.equal(graph.context.state, 'running');
+    assert.equal(graph.gainNode.gain.value, 1.5);
+    assert.ok(graph.source.outputs.has(graph.gainNode));
+    assert.ok(graph.gainNode.outputs.has(graph.limiterNode));
+    assert.ok(graph.limiterNode.outputs.has(graph.context.destination), 'the limiter feeds the output');
+    assert.ok(graph.limiterNode.outputs.has(graph.analyserNode), 'and the level meter');
+    assert.equal(offscreen.evaluate('activeStreams[2].gainNode.gain.value'), 0.5);
+
+    const { state } = await extension.send(MSG_TYPE_OFFSCREEN_GET_STATE);
+    assert.equal(state.contextState, 'running');
+    assert.deepEqual(state.tabs.map(tab => [tab.tabId, tab.volume]), [[1, 150], [2, 50]]);
+});
+
+test('volume updates change the gain of the running graph', async () => {
+    const { extension, offscreen } = openOffscreen();
+    await startCapture(extension, 1, 150);
+
+    await extension.send(MSG_TYPE_UPDATE_VOLUME, { targetTabId: 1, volume: 300 });
+
+    assert.equal(offscreen.evaluate('activeStreams[1].gainNode.gain.value'), 3);
+});
+
+/** The nodes between a tab's gain node and the destination, by kind, following the first output of each. */
+function chainKinds(offscreen, tabId) {
+    const graph = offscreen.evaluate(`activeStreams[${tabId}]`);
+    const kinds = [];
+    let node = graph.gainNode;
+    while (node !== graph.context.destination) {
+        node = [...node.outputs].find(output => output !== graph.analyserNode);
+        kinds.push(node === graph.context.destination ? 'destination' : node.kind);
+    }
+    return kinds;
+}
+
+test('EQ updates retune the running filters in place, and a new band layout rebuilds them', async () => {
+    const { extension, offscreen } = openOffscreen();
+    const bands = [{ type: 'lowshelf', frequency: 100, Q: 0.7, gain: 6 }, { type: 'peaking', frequency: 1000, Q: 1, gain: -3 }];
+    await extension.send(MSG_TYPE_START_CAPTURE, {
+        targetTabId: 1, streamId: extension.browser.issueStreamId(1).streamId, volume: 150, eqBands: bands
+    });
+    const filters = offscreen.evaluate('activeStreams[1].eqFilters');
+    const bandValues = () => offscreen.evaluate('activeStreams[1].eqFilters')
+        .map(filter => [filter.type, filter.frequency.value, filter.Q.value, filter.gain.value]);
+    assert.deepEqual(bandValues(), [['lowshelf', 100, 0.7, 6], ['peaking', 1000, 1, -3]]);
+    assert.deepEqual(chainKinds(offscreen, 1), ['biquad', 'biquad', 'compressor', 'destination']);
+
+    await extension.send(MSG_TYPE_UPDATE_EQ, { targetTabId: 1, eqBands: [{ ...bands[0], gain: 3 }, { ...bands[1], frequency: 2000, gain: 40 }] });
+    assert.deepEqual(bandValues(), [['lowshelf', 100, 0.7, 3], ['peaking', 2000, 1, 24]], 'gains are clamped to ±24 dB');
+    assert.equal(offscreen.evaluate('activeStreams[1].eqFilters[0]'), filters[0], 'same layout: same filters');
+
+    await extension.send(MSG_TYPE_UPDATE_EQ, { targetTabId: 1, eqBands: [...bands, { type: 'highshelf', frequency: 8000, Q: 0.7, gain: 2 }] });
+    assert.notEqual(offscreen.evaluate('activeStreams[1].eqFilters[0]'), filters[0]);
+    assert.equal(filters[1].outputs.size, 0, 'the old filters are disconnected');
+    assert.deepEqual(chainKinds(offscreen, 1), ['biquad', 'biquad', 'biquad', 'compressor', 'destination']);
+
+    await extension.send(MSG_TYPE_UPDATE_EQ, { targetTabId: 1, eqBands: [] });
+    assert.deepEqual(chainKinds(offscreen, 1), ['compressor', 'destination']);
+
+    const invalid = await extension.send(MSG_TYPE_UPDATE_EQ, { targetTabId: 1, eqBands: [{ type: 'notch', frequency: 100, Q: 1, gain: 0 }] });
+    assert.equal(invalid.success, false);
+    assert.equal(invalid.error.code, ERROR_CODES.INVALID_REQUEST);
+    const missing = await extension.send(MSG_TYPE_UPDATE_EQ, { targetTabId: 2, eqBands: bands });
+    assert.equal(missing.error.code, ERROR_CODES.NO_ACTIVE_STREAM, 'the background restarts the capture then');
+});
+
+test('limiter updates retune the running compressor, and a bypass takes it out of the chain', async () => {
+    const { extension, offscreen } = openOffscreen();
+    const gentle = { bypass: false, threshold: -12, knee: 6, ratio: 4, attack: 0.01, release: 0.3 };
+    await extension.send(MSG_TYPE_START_CAPTURE, {
+        targetTabId: 1, streamId: extension.browser.issueStreamId(1).streamId, volume: 150, limiter: gentle
+    });
+    const limiter = offscreen.evaluate('activeStreams[1].limiterNode');
+    const limiterValues = () => ['threshold', 'knee', 'ratio', 'attack', 'release'].map(name => limiter[name].value);
+    assert.deepEqual(limiterValues(), [-12, 6, 4, 0.01, 0.3]);
+
+    await extension.send(MSG_TYPE_UPDATE_LIMITER, { targetTabId: 1, limiter: { ...gentle, threshold: -3, ratio: 20 } });
+    assert.deepEqual(limiterValues(), [-3, 6, 20, 0.01, 0.3]);
+    assert.equal(offscreen.evaluate('activeStreams[1].limiterNode'), limiter, 'updated in place');
+    assert.deepEqual(chainKinds(offscreen, 1), ['compressor', 'destination']);
+
+    await extension.send(MSG_TYPE_UPDATE_LIMITER, { targetTabId: 1, limiter: { ...gentle, bypass: true, threshold: -6 } });
+    assert.deepEqual(chainKinds(offscreen, 1), ['destination']);
+    assert.equal(limiter.outputs.size, 0);
+    assert.equal(limiter.threshold.value, -6, 'values still apply while bypassed');
+
+    await extension.send(MSG_TYPE_UPDATE_LIMITER, { targetTabId: 1, limiter: gentle });
+    assert.deepEqual(chainKinds(offscreen, 1), ['compressor', 'destination']);
+
+    const { release, ...incomplete } = gentle;
+    assert.equal((await extension.send(MSG_TYPE_UPDATE_LIMITER, { targetTabId: 1, limiter: incomplete })).error.code, ERROR_CODES.INVALID_REQUEST);
+    assert.equal((await extension.send(MSG_TYPE_UPDATE_LIMITER, { targetTabId: 2, limiter: gentle })).error.code, ERROR_CODES.NO_ACTIVE_STREAM);
+});
+
+/** The automation events scheduled on a tab's gain, as [type, value, time] (time rounded to ms). */
+function gainEvents(offscreen, tabId) {
+    return offscreen.snapshot(`activeStreams[${tabId}].gainNode.gain.events`)
+        .map(event => [event.type, event.value, Math.round(event.time * 1000)]);
+}
+
+test('a new capture fades in and volume changes ramp instead of jumping', async () => {
+    const { extension, offscreen } = openOffscreen();
+    await extension.send(MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP, { rampMs: 80, curve: 'linear', fadeInMs: 400, fadeOutMs: 100 });
+
+    await startCapture(extension, 1, 150);
+    assert.deepEqual(gainEvents(offscreen, 1), [['cancel', 1, 0], ['set', 0, 0], ['linearRamp', 1.5, 400]]);
+
+    await extension.send(MSG_TYPE_UPDATE_VOLUME, { targetTabId: 1, volume: 300 });
+    assert.deepEqual(gainEvents(offscreen, 1).slice(3), [['cancel', 1.5, 0], ['set', 1.5, 0], ['linearRamp', 3, 80]]);
+    assert.equal((await extension.send(MSG_TYPE_OFFSCREEN_GET_STATE)).state.tabs[0].volume, 300);
+
+    await extension.send(MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP, { rampMs: 90, curve: 'smooth', fadeInMs: 400, fadeOutMs: 100 });
+    await extension.send(MSG_TYPE_UPDATE_VOLUME, { targetTabId: 1, volume: 200 });
+    assert.deepEqual(gainEvents(offscreen, 1).at(-1), ['target', 2, 0], 'the smooth curve approaches the target');
+});
+
+test('a ramp of 0 ms changes the gain instantly', async () => {
+    const { extension, offscreen } = openOffscreen();
+    await extension.send(MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP, { rampMs: 0, curve: 'linear', fadeInMs: 0, fadeOutMs: 0 });
+
+    await startCapture(extension, 1, 150);
+    await extension.send(MSG_TYPE_UPDATE_VOLUME, { targetTabId: 1, volume: 250 });
+
+    assert.deepEqual(gainEvents(offscreen, 1).filter(([type]) => type !== 'cancel'), [['set', 1.5, 0], ['set', 2.5, 0]]);
+});
+
+test('ducking scales the gain on top of the volume, which is still reported unchanged', async () => {
+    const { extension, offscreen } = openOffscreen();
+    await extension.send(MSG_TYPE_OFFSCREEN_SET_GAIN_RAMP, { rampMs: 50, curve: 'linear', fadeInMs: 0, fadeOutMs: 0 });
+    await startCapture(extension, 1, 200);
+
+    await extension.send(MSG_TYPE_DUCK, { targetTabId: 1, factor: 0.25, rampMs: 300 });
+    assert.deepEqual(gainEvents(offscreen, 1).at(-1), ['linearRamp', 0.5, 300]);
+    await extension.send(MSG_TYPE_UPDATE_VOLUME, { targetTabId: 1, volume: 400 });
+    assert.deepEqual(gainEvents(offscreen, 1).at(-1), ['linearRamp', 1, 50]);
+    assert.equal((await extension.send(MSG_TYPE_OFFSCREEN_GET_STATE)).state.tabs[0].volume, 400);
+
+    await extension.send(MSG_TYPE_DUCK, { targetTabId: 1, factor: 1, rampMs: 1500 });
+    assert.deepEqual(gainEvents(offscreen, 1).at(-1), ['linearRamp', 4, 1500]);
+    assert.equal((await extension.send(MSG_TYPE_DUCK, { targetTabId: 2, factor: 0.5, rampMs: 0 })).error.code, ERROR_CODES.CAPTURE_FAILED);
+});
+
+test('a duck arriving during a sleep fade waits for the next volume change', async () => {
+    const { extension, offscreen } = openOffscreen();
+    await startCapture(extension, 1, 200);
+    await extension.send(MSG_TYPE_FADE_OUT, { targetTabId: 1, durationMs: 1000 });
+
+    await extension.send(MSG_TYPE_DUCK, { targetTabId: 1, factor: 0.5, rampMs: 0 });
+    assert.equal(offscreen.evaluate('activeStreams[1].gainNode.gain.value'), 0, 'still fading out');
+
+    await extension.send(MSG_TYPE_UPDATE_VOLUME, { targetTabId: 1, volume: 200 });
+    assert.equal(offscreen.evaluate('activeStreams[1].gainNode.gain.value'), 1);
+});
+
+test('stopping a tab fades it out before its capture is released', async () => {
+    const { extension, offscreen } = openOffscreen();
+    await startCapture(extension, 1, 150);
+    const fadeOutMs = offscreen.evaluate('gainRamp.fadeOutMs');
+
+    const stopped = extension.post(MSG_TYPE_STOP_CAPTURE, { targetTabId: 1 });
+    await extension.settle(fadeOutMs - 1);
+    assert.equal(offscreen.evaluate('activeStreams[1].gainNode.gain.value'), 0, 'fading out');
+    assert.equal(extension.browser.liveTrackCount(1), 1);
+
+    await extension.settle(1);
+    assert.deepEqual(await stopped, { version: 1, success: true });
+    assert.equal(offscreen.evaluate('activeStreams[1]'), undefined);
+    assert.equal(extension.browser.liveTrackCount(1), 0);
+});
+
+test('a recording follows the end of the chain through a limiter bypass and a rebuilt graph', async () => {
+    const { extension, offscreen, events } = openOffscreen();
+    await startCapture(extension, 1, 150);
+    await extension.send(MSG_TYPE_OFFSCREEN_START_RECORDING, { targetTabId: 1, format: 'webm', maxDurationMs: 60000 });
+    const tap = offscreen.evaluate('activeStreams[1].recording.inputNode');
+
+    await extension.send(MSG_TYPE_UPDATE_LIMITER, { targetTabId: 1, limiter: { ...offscreen.evaluate('DEFAULT_LIMITER_SETTINGS'), bypass: true } });
+    assert.ok(offscreen.evaluate('activeStreams[1].gainNode.outputs.has(activeStreams[1].recording.inputNode)'), 'recorded after the gain');
+    assert.ok(!offscreen.evaluate('activeStreams[1].limiterNode.outputs.has(activeStreams[1].recording.inputNode)'));
+
+    await startCapture(extension, 1, 200);
+    assert.equal(offscreen.evaluate('activeStreams[1].recording.inputNode'), tap, 'the new graph takes the recording over');
+    assert.equal(offscreen.webAudio.recorders.length, 1);
+    assert.equal((await extension.send(MSG_TYPE_OFFSCREEN_GET_STATE)).state.tabs[0].recording.format, 'webm');
+
+    await extension.send(MSG_TYPE_STOP_CAPTURE, { targetTabId: 1 });
+    await extension.settle();
+    const finished = events.filter(event => event.type === MSG_TYPE_EVENT_RECORDING_FINISHED);
+    assert.deepEqual(finished.map(event => [event.tabId, event.format, event.reason]), [[1, 'webm', 'captureEnded']]);
+    assert.match(finished[0].url, /^blob:/);
+});
+
+test('stopping the last tab stops its tracks and closes the AudioContext', async () => {
+    const { extension, offscreen } = openOffscreen([1, 2]);
+    await startCapture(extension, 1, 150);
+    await startCapture(extension, 2, 150);
+    const [context] = offscreen.webAudio.contexts;
+
+    await extension.send(MSG_TYPE_STOP_CAPTURE, { targetTabId: 1 });
+    assert.equal(extension.browser.liveTrackCount(1), 0);
+    assert.equal(offscreen.evaluate('activeStreams[1]'), undefined);
+    assert.equal(context.state, 'running', 'still used by tab 2');
+
+    await extension.send(MSG_TYPE_STOP_CAPTURE, { targetTabId: 2 });
+    assert.equal(context.state, 'closed');
+    assert.equal(offscreen.evaluate('audioContexts.size'), 0);
+});
+
+test('tabs share one AudioContext per output device, which falls back to the default device while unplugged', async () => {
+    const { extension, offscreen, events } = openOffscreen([1, 2, 3]);
+    const headset = { deviceId: 'headset-1', label: 'Headset' };
+    extension.browser.outputDevices.push(headset);
+    extension.browser.mediaAccessGranted = true;
+
+    await startCapture(extension, 1, 150);
+    await startCapture(extension, 2, 100, 'headset-1');
+    await startCapture(extension, 3, 200, 'headset-1');
+    const [defaultContext, headsetContext] = offscreen.webAudio.contexts;
+    assert.equal(offscreen.webAudio.contexts.length, 2);
+    assert.equal(offscreen.evaluate('activeStreams[3].context'), headsetContext);
+    assert.equal(defaultContext.sinkId, '');
+    assert.equal(headsetContext.sinkId, 'headset-1');
+
+    extension.browser.outputDevices = extension.browser.outputDevices.filter(device => device !== headset);
+    offscreen.webAudio.changeDevices();
+    await extension.settle();
+    assert.equal(headsetContext.sinkId, '', 'plays on the default device meanwhile');
+    assert.ok(events.some(event => event.type === MSG_TYPE_EVENT_DEVICE_CHANGED));
+    const { state } = await extension.send(MSG_TYPE_OFFSCREEN_GET_STATE);
+    assert.deepEqual(state.tabs.map(tab => [tab.tabId, tab.outputDeviceId, tab.outputFallback]),
+        [[1, '', false], [2, 'headset-1', true], [3, 'headset-1', true]]);
+
+    extension.browser.outputDevices.push(headset);
+    offscreen.webAudio.changeDevices();
+    await extension.settle();
+    assert.equal(headsetContext.sinkId, 'headset-1', 'moves back once the device returns');
+
+    await extension.send(MSG_TYPE_STOP_CAPTURE, { targetTabId: 2 });
+    await extension.send(MSG_TYPE_STOP_CAPTURE, { targetTabId: 3 });
+    assert.equal(headsetContext.state, 'closed', 'released with its last tab');
+    assert.equal(defaultContext.state, 'running');
+});
+
+test('the level meter port streams the levels of the subscribed tab until it disconnects', async () => {
+    const { extension, offscreen } = openOffscreen();
+    await startCapture(extension, 1, 150);
+    const graph = offscreen.evaluate('activeStreams[1]');
+    graph.analyserNode.level = 0.5;
+    graph.limiterNode.reduction = -3;
+
+    const popup = new ExtensionContext(extension, { name: 'popup', url: 'popup.html' });
+    const port = popup.record.api.runtime.connect({ name: PORT_NAME_LEVEL_METER });
+    const levels = [];
+    port.onMessage.addListener(message => levels.push(message));
+    port.postMessage({ version: PROTOCOL_VERSION, type: MSG_TYPE_METER_SUBSCRIBE, tabId: 1 });
+    await extension.settle(100);
+    const { version, type, ...first } = levels.at(-1);
+    assert.deepEqual(first, { tabId: 1, active: true, peak: 0.5, rms: 0.5, reduction: -3, limiterBypassed: false, clipping: false });
+
+    graph.analyserNode.level = 1;
+    await extension.settle(100);
+    assert.equal(levels.at(-1).clipping, true);
+
+    port.postMessage({ version: PROTOCOL_VERSION, type: MSG_TYPE_METER_SUBSCRIBE, tabId: 2 });
+    await extension.settle(100);
+    assert.deepEqual([levels.at(-1).tabId, levels.at(-1).active], [2, false], 'a tab without a graph is reported inactive');
+
+    port.postMessage({ version: PROTOCOL_VERSION, type: MSG_TYPE_UPDATE_VOLUME, targetTabId: 1, volume: 0 });
+    await extension.settle(100);
+    assert.equal(graph.gainNode.gain.value, 1.5, 'other messages are ignored on the meter port');
+
+    port.disconnect();
+    const received = levels.length;
+    await extension.settle(500);
+    assert.equal(levels.length, received, 'streaming stops with the port');
+});
+
+test('a track ending on its own cleans up and tells the background', async () => {
+    const { extension, offscreen, events } = openOffscreen();
+    await startCapture(extension, 1, 150);
+
+    extension.browser.endCapture(1);
+    await extension.settle();
+
+    assert.equal(offscreen.evaluate('activeStreams[1]'), undefined);
+    assert.deepEqual(events.map(event => [event.type, event.tabId]), [[MSG_TYPE_EVENT_CAPTURE_ENDED, 1]]);
+});
+
+test('an unusable stream ID fails the start with a capture error and leaves nothing running', async () => {
+    const { extension, offscreen } = openOffscreen();
+
+    const response = await extension.send(MSG_TYPE_START_CAPTURE, { targetTabId: 1, streamId: 'stream-unknown', volume: 150 });
+
+    assert.equal(response.success, false);
+    assert.equal(response.error.code, ERROR_CODES.CAPTURE_FAILED);
+    assert.equal(offscreen.evaluate('Object.keys(activeStreams).length'), 0);
+    assert.equal(offscreen.evaluate('audioContexts.size'), 0);
+});
+
+test('messages that break the protocol are rejected before any work', async () => {
+    const { extension, offscreen } = openOffscreen();
+    const streamId = extension.browser.issueStreamId(1).streamId;
+
+    const response = await extension.send(MSG_TYPE_START_CAPTURE, { targetTabId: 1, streamId: streamId, volume: '150' });
+
+    assert.equal(response.error.code, ERROR_CODES.INVALID_REQUEST);
+    assert.equal(offscreen.evaluate('Object.keys(activeStreams).length'), 0);
+    assert.equal(extension.browser.streams.get(streamId).consumed, false);
+});
+
+test('log entries are forwarded to the background in batches, filtered by the level it sends', async () => {
+    const { extension, offscreen, logEntries } = openOffscreen();
+    await extension.settle(250);
+    assert.ok(logEntries.some(entry => entry.source === 'offscreen' && entry.message.includes('Document loaded')));
+
+    offscreen.evaluate(`logger.debug('hidden at info')`);
+    await extension.send(MSG_TYPE_OFFSCREEN_SET_LOG_LEVEL, { level: 'debug' });
+    offscreen.evaluate(`logger.debug('shown at debug')`);
+    await extension.settle(250);
+
+    const messages = logEntries.map(entry => entry.message);
+    assert.ok(!messages.includes('hidden at info'));
+    assert.ok(messages.includes('shown at debug'));
+    assert.equal(logEntries.find(entry => entry.message === 'shown at debug').level, 'debug');
+});
@@ -0,0 +1,412 @@
+// --- test/popup.test.js ---
+// The popup against a running background: initial state, the slider, retries, error text,
+// the boosted tabs list, sleep timers, recordings, output devices, ducking, group, window and master volumes and diagnostics.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadProtocol, TestExtension } = require('./harness/extension');
+
+const { MSG_TYPE_SET_VOLUME, MSG_TYPE_SET_SLEEP_TIMER, ERROR_CODES } = loadProtocol();
+
+const TAB_URL = 'https://video.example/watch';
+
+function activeTab(properties = {}) {
+    return { id: 1, url: TAB_URL, audible: true, active: true, ...properties };
+}
+
+/** Moves the popup slider to a volume the way a user would, and lets the debounced update run. */
+async function dragSliderTo(extension, popup, volume) {
+    const slider = popup.document.getElementById('volumeSlider');
+    slider.value = popup.evaluate(`SliderMapping.mapActualToRaw(${volume})`);
+    slider.dispatchEvent({ type: 'input' });
+    await extension.settle(150);
+}
+
+test('the popup shows the stored volume of the active tab', async () => {
+    const extension = await loadExtension({ storage: { tabVolumes: { 1: 250 } }, tabs: [activeTab()] });
+
+    const popup = await extension.openPopup();
+
+    assert.equal(popup.document.getElementById('volumePercentage').textContent, '250%');
+    assert.equal(popup.document.getElementById('volumeSlider').disabled, false);
+    assert.equal(popup.document.getElementById('status').textContent, '');
+});
+
+test('dragging the slider boosts the tab', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    const popup = await extension.openPopup();
+
+    await dragSliderTo(extension, popup, 200);
+    await extension.settle(100);
+
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 200 });
+    assert.equal(extension.offscreen.evaluate('activeStreams[1].gainNode.gain.value'), 2);
+    assert.equal(popup.document.getElementById('volumePercentage').textContent, '200%');
+});
+
+test('a silent tab reports that the boost waits for audio', async () => {
+    const extension = await loadExtension({ tabs: [activeTab({ audible: false })] });
+    const popup = await extension.openPopup();
+
+    await dragSliderTo(extension, popup, 200);
+    await extension.settle(100);
+
+    assert.equal(popup.document.getElementById('status').textContent, popup.evaluate('PENDING_STATUS_MESSAGE'));
+});
+
+test('a busy tab is retried once before an error is shown', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    const popup = await extension.openPopup();
+    extension.background.evaluate('activeTabOperations.add(1)'); // Another operation holds the lock
+
+    await dragSliderTo(extension, popup, 200);
+    assert.doesNotMatch(popup.document.getElementById('status').textContent, /Error/, 'no error while the retry is pending');
+    extension.background.evaluate('activeTabOperations.delete(1)');
+    await extension.settle(600);
+
+    assert.deepEqual(extension.background.snapshot('tabVolumes'), { 1: 200 });
+    assert.equal(popup.document.getElementById('status').textContent, '');
+});
+
+test('a tab that stays busy shows the BUSY message after the retry', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    const popup = await extension.openPopup();
+    extension.background.evaluate('activeTabOperations.add(1)');
+
+    await dragSliderTo(extension, popup, 200);
+    await extension.settle(600);
+
+    assert.equal(popup.document.getElementById('status').textContent,
+        `Error: ${popup.evaluate(`ERROR_INFO.${ERROR_CODES.BUSY}.message`)}`);
+});
+
+test('pages the extension cannot capture disable the controls', async () => {
+    const extension = await loadExtension({ tabs: [activeTab({ url: 'chrome://settings/' })] });
+
+    const popup = await extension.openPopup();
+
+    assert.equal(popup.document.getElementById('volumeSlider').disabled, true);
+    assert.match(popup.document.getElementById('status').textContent, /Cannot control this type of page/);
+});
+
+test('every slider mapping turns a volume into a slider position and back', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    const popup = await extension.openPopup();
+
+    for (const mode of ['linear', 'power', 'db']) {
+        popup.evaluate(`SliderMapping.configure('${mode}', 600)`);
+        for (const volume of [10, 50, 100, 150, 250, 600]) {
+            const roundTrip = popup.evaluate(`SliderMapping.mapRawToActual(SliderMapping.mapActualToRaw(${volume}))`);
+            assert.ok(Math.abs(roundTrip - volume) <= volume * 0.05, `${mode}: ${volume}% came back as ${roundTrip}%`);
+        }
+        assert.equal(popup.evaluate('SliderMapping.mapRawToActual(0)'), 0);
+        assert.equal(popup.evaluate('SliderMapping.mapRawToActual(SliderMapping.maxRawValue)'), 600);
+    }
+});
+
+test('the sleep timer counts down in the panel and in the boosted tabs list', async () => {
+    const extension = await loadExtension({
+        tabs: [activeTab(), { id: 2, url: 'https://radio.example/', title: 'Radio', audible: true, active: false }]
+    });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 150 });
+    await extension.send(MSG_TYPE_SET_SLEEP_TIMER, { tabId: 2, minutes: 60 });
+    const popup = await extension.openPopup();
+    assert.equal(popup.document.getElementById('sleepTimerLabel').textContent, 'Off');
+    assert.equal(popup.document.querySelector('#activeTabsList .active-tab-sleep').textContent, '⏾ 1:00:00');
+
+    popup.document.querySelector('#sleepTimerPresets [data-minutes="15"]').click();
+    await extension.settle(100);
+    assert.equal(extension.background.evaluate('tabSleepTimers[1].endsAt'), extension.clock.now - 100 + 15 * 60 * 1000);
+    await extension.settle(1000);
+
+    assert.equal(popup.document.getElementById('sleepTimerLabel').textContent, '14:59');
+    assert.equal(popup.document.querySelector('#activeTabsList .active-tab-sleep').textContent, '⏾ 59:59');
+    assert.equal(popup.document.getElementById('sleepTimerCancelButton').disabled, false);
+
+    popup.document.getElementById('sleepTimerCancelButton').click();
+    await extension.settle(100);
+    assert.equal(popup.document.getElementById('sleepTimerLabel').textContent, 'Off');
+    assert.equal(extension.background.evaluate('tabSleepTimers[1]'), undefined);
+});
+
+test('the record panel starts, pauses and stops a recording of the current tab', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    const popup = await extension.openPopup();
+    const label = popup.document.getElementById('recordingLabel');
+    assert.equal(label.textContent, 'Off');
+    assert.equal(popup.document.getElementById('recordingStopButton').disabled, true);
+
+    popup.document.getElementById('recordingFormatSelect').value = 'wav';
+    popup.document.getElementById('recordButton').click();
+    await extension.settle(100);
+    assert.equal(extension.background.evaluate('tabRecordings[1].format'), 'wav');
+    assert.equal(popup.document.getElementById('recordButton').disabled, true);
+    await extension.settle(2000);
+    assert.equal(label.textContent, '● 0:02');
+
+    popup.document.getElementById('recordingPauseButton').click();
+    await extension.settle(3000);
+    assert.equal(label.textContent, 'Paused 0:02');
+    assert.equal(popup.document.getElementById('recordingPauseButton').textContent, 'Resume');
+
+    popup.document.getElementById('recordingStopButton').click();
+    await extension.settle(100);
+    assert.equal(label.textContent, 'Off');
+    assert.equal(extension.browser.downloads.length, 1);
+    assert.equal((await extension.openPopup()).document.getElementById('recordingFormatSelect').value, 'wav', 'remembered');
+});
+
+test('the output picker asks for device access in Options, then sends the tab and its site rule to a device', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    extension.browser.outputDevices.push({ deviceId: 'headset-1', label: 'Headset' });
+    let popup = await extension.openPopup();
+    const accessButton = () => popup.document.getElementById('outputDeviceAccessButton');
+    assert.equal(accessButton().hidden, false, 'devices stay hidden without access');
+    assert.deepEqual(popup.document.querySelectorAll('#outputDeviceSelect option').map(option => option.textContent), ['Default output']);
+    accessButton().click();
+    assert.ok(extension.browser.openedUrls.at(-1).endsWith('options.html'));
+
+    const options = await extension.openPage('options.html');
+    options.document.getElementById('outputDevicesAccessButton').click();
+    await extension.settle();
+    assert.equal(extension.browser.mediaAccessGranted, true);
+    assert.equal(options.document.getElementById('outputDevicesStatus').textContent, 'Access allowed: the popup lists your output devices.');
+
+    popup = await extension.openPopup();
+    const select = popup.document.getElementById('outputDeviceSelect');
+    assert.equal(accessButton().hidden, true);
+    assert.deepEqual(select.querySelectorAll('option').map(option => option.textContent), ['Default output', 'Headset']);
+    select.value = 'headset-1';
+    select.dispatchEvent({ type: 'change' });
+    await extension.settle(100);
+    assert.deepEqual(extension.background.snapshot('tabOutputDevices'), { 1: 'headset-1' });
+    assert.equal(popup.document.getElementById('outputDeviceLabel').textContent, 'Headset');
+
+    popup.document.getElementById('rememberSiteButton').click();
+    await extension.settle(100);
+    assert.equal(extension.background.evaluate('siteRules[0].outputDeviceId'), 'headset-1');
+    assert.deepEqual(extension.background.snapshot('tabOutputDevices'), {}, 'the rule now picks the device');
+    assert.equal(popup.document.querySelector('#siteRulesList .site-rule-device').value, 'headset-1');
+
+    // Unplugged: the choice stays, and the popup says where the tab plays meanwhile
+    extension.browser.outputDevices.pop();
+    popup = await extension.openPopup();
+    assert.equal(popup.document.getElementById('outputDeviceLabel').textContent, 'Unavailable');
+    assert.match(popup.document.getElementById('outputDeviceHint').textContent, /default output/);
+});
+
+test('the priority checkbox marks the tab, and a priority site rule checks it for good', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    const popup = await extension.openPopup();
+    const checkbox = popup.document.getElementById('priorityTabCheckbox');
+    assert.equal(popup.document.getElementById('duckingLabel').textContent, 'Off');
+
+    checkbox.checked = true;
+    checkbox.dispatchEvent({ type: 'change' });
+    await extension.settle(100);
+    assert.deepEqual(extension.background.snapshot('tabPriorities'), { 1: true });
+    assert.equal(popup.document.getElementById('duckingLabel').textContent, 'Priority');
+
+    checkbox.checked = false;
+    checkbox.dispatchEvent({ type: 'change' });
+    popup.document.getElementById('rememberSiteButton').click();
+    await extension.settle(100);
+    assert.equal(checkbox.checked, false);
+    const rulePriority = popup.document.querySelector('#siteRulesList .site-rule-priority');
+    rulePriority.checked = true;
+    rulePriority.dispatchEvent({ type: 'change', bubbles: true });
+    await extension.settle(100);
+
+    assert.equal(extension.background.evaluate('siteRules[0].priority'), true);
+    assert.equal(checkbox.checked, true);
+    assert.equal(checkbox.disabled, true, 'set by the rule');
+});
+
+test('the groups and windows panel lists every group and window with a slider that sets its volume', async () => {
+    const extension = new TestExtension({ tabs: [activeTab(), { id: 2, windowId: 2, audible: true }] });
+    const groupId = extension.browser.addGroup({ title: 'Videos', color: 'blue' });
+    extension.browser.tabs.get(1).groupId = groupId;
+    await extension.startBackground();
+    const popup = await extension.openPopup();
+
+    const rows = popup.document.querySelectorAll('#scopeVolumesList .eq-band');
+    assert.deepEqual(rows.map(row => row.querySelector('.scope-volume-label').textContent),
+        ['Videos (1 tab)', 'This window (1 tab)', 'Window 2 (1 tab)']);
+    assert.equal(popup.document.getElementById('scopeVolumesLabel').textContent, 'Off');
+
+    const groupSlider = rows[0].querySelector('input');
+    groupSlider.value = 150;
+    groupSlider.dispatchEvent({ type: 'input', bubbles: true });
+    assert.equal(rows[0].querySelector('.eq-band-value').textContent, '150%');
+    await extension.settle(150);
+    await extension.settle(100);
+
+    assert.deepEqual(extension.background.snapshot('groupVolumes'), { [groupId]: 150 });
+    assert.equal(extension.offscreen.evaluate('activeStreams[1].gainNode.gain.value'), 1.5);
+    assert.equal(popup.document.getElementById('scopeVolumesLabel').textContent, '1 set');
+});
+
+test('the master slider turns the boosted tabs down and the list shows their effective level', async () => {
+    const extension = await loadExtension({
+        tabs: [activeTab(), { id: 2, url: 'https://radio.example/', title: 'Radio', audible: true, active: false }]
+    });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 200 });
+    const popup = await extension.openPopup();
+    const masterSlider = popup.document.getElementById('masterVolumeSlider');
+    assert.equal(masterSlider.disabled, false);
+    assert.equal(popup.document.querySelector('#activeTabsList .active-tab-volume').textContent, '200%');
+
+    masterSlider.value = 70;
+    masterSlider.dispatchEvent({ type: 'input' });
+    assert.equal(popup.document.getElementById('masterVolumePercentage').textContent, '70%');
+    await extension.settle(150);
+    await extension.settle(100);
+
+    assert.equal(extension.background.evaluate('masterVolume'), 70);
+    assert.equal(extension.offscreen.evaluate('activeStreams[2].gainNode.gain.value'), 1.4);
+    assert.equal(popup.document.querySelector('#activeTabsList .active-tab-volume').textContent, '200% → 140%');
+});
+
+test('the boosted tabs list sets, mutes and sorts tabs in place and switches to a tab on click', async () => {
+    const extension = await loadExtension({
+        tabs: [
+            activeTab(),
+            { id: 2, url: 'https://radio.example/', title: 'Radio', audible: true, active: false },
+            { id: 3, windowId: 2, url: 'https://arcade.example/', title: 'Arcade', audible: true, active: false }
+        ]
+    });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 150 });
+    await extension.settle(10);
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 3, volume: 120 });
+    const popup = await extension.openPopup();
+    const titles = () => popup.document.querySelectorAll('#activeTabsList .active-tab-title').map(span => span.textContent);
+    const row = tabId => popup.document.querySelector(`#activeTabsList li[data-tab-id="${tabId}"]`);
+    assert.deepEqual(titles(), ['Arcade', 'Radio']);
+
+    const sortSelect = popup.document.getElementById('activeTabsSortSelect');
+    sortSelect.value = 'volume';
+    sortSelect.dispatchEvent({ type: 'change' });
+    await extension.settle(50);
+    assert.deepEqual(titles(), ['Radio', 'Arcade']);
+    sortSelect.value = 'recent';
+    sortSelect.dispatchEvent({ type: 'change' });
+    await extension.settle(50);
+    assert.deepEqual(titles(), ['Arcade', 'Radio']);
+
+    const slider = row(2).querySelector('.active-tab-slider');
+    slider.value = popup.evaluate('SliderMapping.mapActualToRaw(250)');
+    slider.dispatchEvent({ type: 'input', bubbles: true });
+    assert.equal(row(2).querySelector('.active-tab-volume').textContent, '250%');
+    slider.dispatchEvent({ type: 'change', bubbles: true });
+    await extension.settle(100);
+    assert.equal(extension.background.evaluate('tabVolumes[2]'), 250);
+    assert.deepEqual(titles(), ['Radio', 'Arcade'], 'most recently changed first');
+
+    row(3).querySelector('.active-tab-mute').click();
+    await extension.settle(100);
+    assert.equal(extension.offscreen.evaluate('activeStreams[3].gainNode.gain.value'), 0);
+    assert.equal(row(3).querySelector('.active-tab-mute').textContent, 'Unmute');
+    row(3).querySelector('.active-tab-mute').click();
+    await extension.settle(100);
+    assert.equal(extension.background.evaluate('tabVolumes[3]'), 120);
+
+    row(3).querySelector('.active-tab-title').click();
+    await extension.settle(10);
+    assert.equal(extension.browser.tabs.get(3).active, true);
+    assert.equal(extension.browser.focusedWindowId, 2);
+    assert.equal((await extension.openPopup()).document.getElementById('activeTabsSortSelect').value, 'recent', 'remembered');
+});
+
+test('a push for one listed tab leaves the other rows, and a slider being dragged there, in place', async () => {
+    const extension = await loadExtension({
+        tabs: [
+            activeTab(),
+            { id: 2, url: 'https://radio.example/', title: 'Radio', audible: true, active: false },
+            { id: 3, url: 'https://arcade.example/', title: 'Arcade', audible: true, active: false }
+        ]
+    });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 150 });
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 3, volume: 120 });
+    const popup = await extension.openPopup();
+    const row = tabId => popup.document.querySelector(`#activeTabsList li[data-tab-id="${tabId}"]`);
+    const arcadeRow = row(3);
+    const arcadeSlider = arcadeRow.querySelector('.active-tab-slider');
+    arcadeSlider.value = popup.evaluate('SliderMapping.mapActualToRaw(300)');
+    arcadeSlider.dispatchEvent({ type: 'input', bubbles: true }); // Still dragging
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 200 });
+    await extension.settle(50);
+    assert.equal(row(2).querySelector('.active-tab-volume').textContent, '200%');
+    assert.equal(row(3), arcadeRow);
+    assert.equal(row(3).querySelector('.active-tab-slider'), arcadeSlider);
+    assert.equal(arcadeSlider.value, String(popup.evaluate('SliderMapping.mapActualToRaw(300)')));
+    assert.equal(arcadeRow.querySelector('.active-tab-volume').textContent, '300%');
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 100 });
+    await extension.settle(100);
+    assert.equal(row(2), null);
+    assert.equal(row(3), arcadeRow);
+});
+
+test('the popup follows changes made elsewhere as they are pushed, and reconnects after a worker restart', async () => {
+    const extension = await loadExtension({
+        tabs: [activeTab(), { id: 2, url: 'https://radio.example/', title: 'Radio', audible: true, active: false }]
+    });
+    const popup = await extension.openPopup();
+    const percentage = popup.document.getElementById('volumePercentage');
+    const status = popup.document.getElementById('status');
+    const listTitles = () => popup.document.querySelectorAll('#activeTabsList .active-tab-title').map(span => span.textContent);
+
+    await extension.browser.triggerCommand('volume-up', extension.browser.tabs.get(1));
+    await extension.settle(50);
+    assert.equal(percentage.textContent, `${extension.background.evaluate('tabVolumes[1]')}%`);
+
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 2, volume: 150 });
+    await extension.settle(50);
+    assert.deepEqual(listTitles(), ['Radio']);
+    const removed = extension.browser.removeTab(2);
+    await extension.settle(100); // The capture fades out before it stops
+    await removed;
+    assert.deepEqual(listTitles(), []);
+
+    extension.browser.endCapture(1);
+    await extension.settle(50);
+    assert.equal(status.textContent, 'Waiting for audio: boost starts when the tab plays sound.');
+    await extension.settle(1000);
+    assert.equal(status.textContent, '', 'recaptured');
+
+    await extension.startBackground();
+    await extension.settle(1000);
+    await extension.send(MSG_TYPE_SET_VOLUME, { tabId: 1, volume: 300 });
+    await extension.settle(50);
+    assert.equal(percentage.textContent, '300%');
+});
+
+test('copy diagnostics puts a JSON report with the popup\'s own logs on the clipboard', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    const popup = await extension.openPopup();
+
+    popup.document.getElementById('copyDiagnosticsButton').click();
+    await extension.settle(100);
+
+    const report = JSON.parse(popup.clipboard);
+    assert.deepEqual(report.tabVolumes, {});
+    assert.ok(report.logs.some(entry => entry.source === 'popup' && entry.message.includes('Starting initialization')),
+        'entries still queued in the popup are sent first');
+    assert.match(popup.document.getElementById('status').textContent, /Diagnostics copied/);
+});
+
+test('the log level select changes the level everywhere', async () => {
+    const extension = await loadExtension({ tabs: [activeTab()] });
+    const popup = await extension.openPopup();
+    const select = popup.document.getElementById('logLevelSelect');
+    assert.equal(select.value, 'info');
+
+    select.value = 'error';
+    select.dispatchEvent({ type: 'change' });
+    await extension.settle(100);
+
+    assert.equal(popup.evaluate('logLevel'), 'error');
+    assert.equal(extension.background.evaluate('logLevel'), 'error');
+    assert.equal((await extension.openPopup()).document.getElementById('logLevelSelect').value, 'error');
+});